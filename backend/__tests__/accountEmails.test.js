@@ -0,0 +1,140 @@
+// Unit tests for single-use account tokens and the pluggable mailer
+const { issueUserToken, consumeUserToken, hashUserToken } = require('../src/lib/userTokens');
+const { sendMail, registerTransport, consoleTransport } = require('../src/lib/mailer');
+const { sendPasswordResetEmail } = require('../src/lib/notifications');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    $transaction: jest.fn((operations) => Promise.all(operations)),
+    userToken: {
+        deleteMany: jest.fn(),
+        create: jest.fn(),
+        findUnique: jest.fn(),
+        updateMany: jest.fn(),
+    },
+}));
+
+const prisma = require('../src/prisma');
+
+describe('User tokens', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should store only the hash and invalidate earlier unused tokens', async () => {
+        const { token, expiresAt } = await issueUserToken('user-1', 'password_reset');
+
+        expect(prisma.userToken.deleteMany).toHaveBeenCalledWith({
+            where: { userId: 'user-1', purpose: 'password_reset', usedAt: null },
+        });
+        expect(prisma.userToken.create).toHaveBeenCalledWith({
+            data: {
+                userId: 'user-1',
+                purpose: 'password_reset',
+                tokenHash: hashUserToken(token),
+                expiresAt,
+            },
+        });
+        expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should redeem a valid token once', async () => {
+        prisma.userToken.findUnique.mockResolvedValue({
+            id: 'token-1',
+            userId: 'user-1',
+            purpose: 'email_verification',
+            usedAt: null,
+            expiresAt: new Date(Date.now() + 60000),
+        });
+        prisma.userToken.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+        await expect(consumeUserToken('abc', 'email_verification')).resolves.toBe('user-1');
+        // A concurrent second redemption loses the conditional update
+        await expect(consumeUserToken('abc', 'email_verification')).resolves.toBeNull();
+        expect(prisma.userToken.findUnique).toHaveBeenCalledWith({
+            where: { tokenHash: hashUserToken('abc') },
+        });
+    });
+
+    test('should reject expired, used and wrong-purpose tokens', async () => {
+        const base = { id: 'token-1', userId: 'user-1', purpose: 'password_reset', usedAt: null, expiresAt: new Date(Date.now() + 60000) };
+
+        for (const stored of [
+            { ...base, expiresAt: new Date(Date.now() - 1000) },
+            { ...base, usedAt: new Date() },
+            { ...base, purpose: 'email_verification' },
+            null,
+        ]) {
+            prisma.userToken.findUnique.mockResolvedValue(stored);
+            await expect(consumeUserToken('abc', 'password_reset')).resolves.toBeNull();
+        }
+
+        expect(prisma.userToken.updateMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('Mailer', () => {
+    const originalTransport = process.env.MAIL_TRANSPORT;
+    const sent = [];
+
+    beforeAll(() => {
+        registerTransport('memory', async (message) => {
+            sent.push(message);
+        });
+        process.env.MAIL_TRANSPORT = 'memory';
+    });
+
+    afterAll(() => {
+        process.env.MAIL_TRANSPORT = originalTransport;
+    });
+
+    beforeEach(() => {
+        sent.length = 0;
+        jest.clearAllMocks();
+    });
+
+    test('should deliver through the configured transport', async () => {
+        await sendMail({ to: 'a@test.com', subject: 'Hello', text: 'Body' });
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toEqual(expect.objectContaining({ to: 'a@test.com', subject: 'Hello', text: 'Body' }));
+        expect(sent[0].from).toBeDefined();
+    });
+
+    test('should reject unknown transports', async () => {
+        process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+        await expect(sendMail({ to: 'a@test.com', subject: 'Hello', text: 'Body' })).rejects.toThrow('Unknown MAIL_TRANSPORT');
+        process.env.MAIL_TRANSPORT = 'memory';
+    });
+
+    test('the console transport should redact link tokens in production', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const originalEnv = process.env.NODE_ENV;
+        const message = { to: 'a@test.com', from: 'x@test.com', subject: 'Reset', text: 'Open http://app.test/auth/reset-password?token=abc123secret to continue' };
+
+        try {
+            process.env.NODE_ENV = 'production';
+            await consoleTransport(message);
+            process.env.NODE_ENV = 'development';
+            await consoleTransport(message);
+            const [[production], [development]] = log.mock.calls;
+            expect(production).toContain('?token=[redacted] to continue');
+            expect(production).not.toContain('abc123secret');
+            expect(development).toContain('?token=abc123secret');
+        } finally {
+            process.env.NODE_ENV = originalEnv;
+            log.mockRestore();
+        }
+    });
+
+    test('password reset emails link to the frontend with the plaintext token', async () => {
+        await sendPasswordResetEmail({ id: 'user-1', email: 'a@test.com', name: 'A' });
+
+        const { tokenHash } = prisma.userToken.create.mock.calls[0][0].data;
+        const link = sent[0].text.match(/https?:\/\/\S+/)[0];
+        const token = new URL(link).searchParams.get('token');
+
+        expect(new URL(link).pathname).toBe('/auth/reset-password');
+        expect(hashUserToken(token)).toBe(tokenHash);
+    });
+});
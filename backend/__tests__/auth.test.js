@@ -0,0 +1,203 @@
+// Unit tests for access token and API key verification in the auth middleware
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { requireAuth, requireScope } = require('../src/middleware/auth');
+const { issueTokenPair, verifyRefreshToken } = require('../src/lib/authTokens');
+const { generateApiKey, apiKeyAllowsTenant } = require('../src/lib/apiKeys');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    user: {
+        findUnique: jest.fn(),
+    },
+    apiKey: {
+        findUnique: jest.fn(),
+        update: jest.fn(),
+    },
+}));
+
+const prisma = require('../src/prisma');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+}
+
+describe('Auth middleware - requireAuth', () => {
+    const mockUser = { id: 'user-123', email: 'owner@test.com', name: 'Owner', tokenVersion: 0 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should resolve req.user from a valid access token', async () => {
+        prisma.user.findUnique.mockResolvedValue({ id: mockUser.id, email: mockUser.email, name: mockUser.name, tokenVersion: 0 });
+
+        const { accessToken } = issueTokenPair(mockUser);
+        const req = { headers: { authorization: `Bearer ${accessToken}` } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await requireAuth(req, res, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(prisma.user.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: mockUser.id },
+        }));
+        expect(req.user).toEqual({ id: mockUser.id, email: mockUser.email, name: mockUser.name });
+    });
+
+    test('should reject an access token issued before a logout or password reset', async () => {
+        prisma.user.findUnique.mockResolvedValue({ id: mockUser.id, email: mockUser.email, name: mockUser.name, tokenVersion: 1 });
+
+        const { accessToken } = issueTokenPair(mockUser);
+        const req = { headers: { authorization: `Bearer ${accessToken}` } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await requireAuth(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+        expect(req.user).toBeUndefined();
+    });
+
+    test('should ignore a spoofed X-User-Email header', async () => {
+        const req = { headers: { 'x-user-email': 'owner@test.com' } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await requireAuth(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+        expect(prisma.user.findUnique).not.toHaveBeenCalled();
+    });
+
+    test('should reject a token signed with a different secret', async () => {
+        const forged = jwt.sign({ typ: 'access' }, 'attacker-secret', {
+            subject: mockUser.id,
+            issuer: 'xeno-shopify-backend',
+        });
+        const req = { headers: { authorization: `Bearer ${forged}` } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await requireAuth(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject a refresh token used as an access token', async () => {
+        const { refreshToken } = issueTokenPair(mockUser);
+        const req = { headers: { authorization: `Bearer ${refreshToken}` } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await requireAuth(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+        // Refresh tokens still verify on their own endpoint
+        expect(verifyRefreshToken(refreshToken)).toEqual(expect.objectContaining({ sub: mockUser.id, ver: 0 }));
+    });
+});
+
+describe('Auth middleware - API keys', () => {
+    const mockUser = { id: 'user-123', email: 'owner@test.com', name: 'Owner' };
+
+    function mockStoredKey(keyHash, overrides = {}) {
+        return {
+            id: 'key-1',
+            prefix: 'abc',
+            keyHash,
+            scopes: ['read'],
+            tenantIds: [],
+            expiresAt: null,
+            revokedAt: null,
+            user: mockUser,
+            ...overrides,
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.apiKey.update.mockResolvedValue({});
+    });
+
+    test('should authenticate a valid API key and expose its scopes', async () => {
+        const { key, prefix, keyHash } = generateApiKey();
+        prisma.apiKey.findUnique.mockResolvedValue(mockStoredKey(keyHash, { prefix }));
+
+        const req = { headers: { authorization: `Bearer ${key}` } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await requireAuth(req, res, next);
+
+        expect(prisma.apiKey.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+            where: { prefix },
+        }));
+        expect(next).toHaveBeenCalledWith();
+        expect(req.user).toEqual(mockUser);
+        expect(req.apiKey).toEqual({ id: 'key-1', scopes: ['read'], tenantIds: [] });
+        expect(prisma.user.findUnique).not.toHaveBeenCalled();
+    });
+
+    test('should reject a key whose secret does not match the stored hash', async () => {
+        const { key, prefix } = generateApiKey();
+        const other = generateApiKey();
+        prisma.apiKey.findUnique.mockResolvedValue(mockStoredKey(other.keyHash, { prefix }));
+
+        const req = { headers: { authorization: `Bearer ${key}` } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await requireAuth(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject revoked and expired keys', async () => {
+        const { key, prefix, keyHash } = generateApiKey();
+
+        for (const overrides of [{ revokedAt: new Date() }, { expiresAt: new Date(Date.now() - 1000) }]) {
+            prisma.apiKey.findUnique.mockResolvedValue(mockStoredKey(keyHash, { prefix, ...overrides }));
+
+            const req = { headers: { authorization: `Bearer ${key}` } };
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await requireAuth(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        }
+    });
+
+    test('requireScope should block read-only keys from sync endpoints', () => {
+        const res = mockResponse();
+        const next = jest.fn();
+
+        requireScope('sync')({ apiKey: { scopes: ['read'], tenantIds: [] } }, res, next);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+
+        // Interactive sessions are not scope-limited
+        const sessionNext = jest.fn();
+        requireScope('sync')({ user: mockUser }, mockResponse(), sessionNext);
+        expect(sessionNext).toHaveBeenCalled();
+    });
+
+    test('apiKeyAllowsTenant should honour tenant restrictions', () => {
+        expect(apiKeyAllowsTenant(null, 'tenant-1')).toBe(true);
+        expect(apiKeyAllowsTenant({ tenantIds: [] }, 'tenant-1')).toBe(true);
+        expect(apiKeyAllowsTenant({ tenantIds: ['tenant-1'] }, 'tenant-1')).toBe(true);
+        expect(apiKeyAllowsTenant({ tenantIds: ['tenant-1'] }, 'tenant-2')).toBe(false);
+    });
+});
@@ -0,0 +1,250 @@
+// Unit tests for the scheduled sync runner
+const { nextRunAt, syncScheduledTenant, runDueSyncs } = require('../src/cron');
+
+// Mock Prisma; the transaction client is the same mock
+jest.mock('../src/prisma', () => {
+    const prisma = {
+        $queryRaw: jest.fn(),
+        tenant: {
+            findMany: jest.fn(),
+        },
+        syncSchedule: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            createMany: jest.fn(),
+            updateMany: jest.fn(),
+        },
+    };
+    prisma.$transaction = jest.fn((fn) => fn(prisma));
+    return prisma;
+});
+
+jest.mock('../src/lib/syncRuns', () => ({
+    createSyncRun: jest.fn(),
+    executeSyncRun: jest.fn(),
+}));
+
+jest.mock('../src/lib/rateLimiter', () => ({
+    acquireSyncSlot: jest.fn(),
+}));
+
+const prisma = require('../src/prisma');
+const { createSyncRun, executeSyncRun } = require('../src/lib/syncRuns');
+const { acquireSyncSlot } = require('../src/lib/rateLimiter');
+
+const MINUTE = 60 * 1000;
+const due = { tenantId: 'tenant-1', enabled: true, intervalMinutes: 30, consecutiveFailures: 0, nextRunAt: new Date(Date.now() - MINUTE) };
+
+// The update that released the lease (the first updateMany claims it)
+function scheduleUpdate() {
+    const calls = prisma.syncSchedule.updateMany.mock.calls;
+    return calls[calls.length - 1][0].data;
+}
+
+describe('nextRunAt', () => {
+    const now = new Date('2024-03-01T12:00:00Z');
+
+    test('should add the interval plus at most 10% jitter', () => {
+        const delay = nextRunAt({ intervalMinutes: 30 }, 0, now) - now;
+        expect(delay).toBeGreaterThanOrEqual(30 * MINUTE);
+        expect(delay).toBeLessThanOrEqual(33 * MINUTE);
+    });
+
+    test('should double the delay for each consecutive failure, up to a day', () => {
+        const afterTwo = nextRunAt({ intervalMinutes: 30 }, 2, now) - now;
+        expect(afterTwo).toBeGreaterThanOrEqual(120 * MINUTE);
+        expect(afterTwo).toBeLessThanOrEqual(132 * MINUTE);
+
+        const afterMany = nextRunAt({ intervalMinutes: 30 }, 20, now) - now;
+        expect(afterMany).toBeGreaterThanOrEqual(24 * 60 * MINUTE);
+        expect(afterMany).toBeLessThanOrEqual(1.1 * 24 * 60 * MINUTE);
+    });
+});
+
+describe('syncScheduledTenant', () => {
+    const release = jest.fn();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$queryRaw.mockResolvedValue([{ locked: true }]);
+        prisma.syncSchedule.updateMany.mockResolvedValue({ count: 1 });
+        prisma.syncSchedule.findUnique.mockResolvedValue(due);
+        acquireSyncSlot.mockResolvedValue({ allowed: true, release });
+        createSyncRun.mockResolvedValue({ id: 'run-1', status: 'queued' });
+    });
+
+    test('should record a cron run and schedule the next one after a success', async () => {
+        executeSyncRun.mockResolvedValue({ id: 'run-1', status: 'succeeded', error: null });
+
+        await expect(syncScheduledTenant(due)).resolves.toBe('succeeded');
+
+        expect(createSyncRun).toHaveBeenCalledWith({ tenantId: 'tenant-1', trigger: 'cron' });
+        expect(release).toHaveBeenCalled();
+        expect(scheduleUpdate()).toEqual(expect.objectContaining({
+            consecutiveFailures: 0,
+            lastError: null,
+            lockedBy: null,
+            lockedUntil: null,
+        }));
+        expect(scheduleUpdate().nextRunAt - Date.now()).toBeGreaterThan(29 * MINUTE);
+
+        // Claimed and released with the same lease token
+        const [[claim], [released]] = prisma.syncSchedule.updateMany.mock.calls;
+        expect(claim.where).toEqual(expect.objectContaining({ tenantId: 'tenant-1', nextRunAt: { lte: expect.any(Date) } }));
+        expect(released.where).toEqual({ tenantId: 'tenant-1', lockedBy: claim.data.lockedBy });
+    });
+
+    test('should count failures and back off', async () => {
+        prisma.syncSchedule.findUnique.mockResolvedValue({ ...due, consecutiveFailures: 2 });
+        executeSyncRun.mockResolvedValue({ id: 'run-1', status: 'failed', error: 'Shopify API authentication failed (401)' });
+
+        await expect(syncScheduledTenant(due)).resolves.toBe('failed');
+
+        expect(scheduleUpdate()).toEqual(expect.objectContaining({
+            consecutiveFailures: 3,
+            lastError: 'Shopify API authentication failed (401)',
+        }));
+        // 30 minutes doubled three times
+        expect(scheduleUpdate().nextRunAt - Date.now()).toBeGreaterThan(239 * MINUTE);
+    });
+
+    test('should count a sync that throws as a failure and still schedule the next run', async () => {
+        executeSyncRun.mockRejectedValue(new Error('Connection terminated unexpectedly'));
+
+        await expect(syncScheduledTenant(due)).rejects.toThrow('Connection terminated unexpectedly');
+
+        expect(release).toHaveBeenCalled();
+        expect(scheduleUpdate()).toEqual(expect.objectContaining({
+            consecutiveFailures: 1,
+            lastError: 'Connection terminated unexpectedly',
+            lockedBy: null,
+        }));
+        expect(scheduleUpdate().nextRunAt - Date.now()).toBeGreaterThan(59 * MINUTE);
+    });
+
+    test('should report the sync error even when scheduling the next run fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        executeSyncRun.mockRejectedValue(new Error('Connection terminated unexpectedly'));
+        prisma.syncSchedule.updateMany
+            .mockResolvedValueOnce({ count: 1 })
+            .mockRejectedValueOnce(new Error('Database unavailable'));
+
+        await expect(syncScheduledTenant(due)).rejects.toThrow('Connection terminated unexpectedly');
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('tenant-1'), 'Database unavailable');
+        console.error.mockRestore();
+    });
+
+    test('should skip the tenant while another instance holds its advisory lock', async () => {
+        prisma.$queryRaw.mockResolvedValue([{ locked: false }]);
+
+        await expect(syncScheduledTenant(due)).resolves.toBe('locked');
+        expect(prisma.syncSchedule.updateMany).not.toHaveBeenCalled();
+        expect(createSyncRun).not.toHaveBeenCalled();
+    });
+
+    test('should keep renewing the lease while a long sync runs', async () => {
+        jest.useFakeTimers();
+        try {
+            let finishSync;
+            executeSyncRun.mockReturnValue(new Promise((resolve) => {
+                finishSync = () => resolve({ id: 'run-1', status: 'succeeded', error: null });
+            }));
+
+            const syncing = syncScheduledTenant(due);
+            // Far longer than the lease, e.g. a bulk backfill
+            await jest.advanceTimersByTimeAsync(4 * 60 * MINUTE);
+
+            const renewals = prisma.syncSchedule.updateMany.mock.calls
+                .filter(([{ data }]) => Object.keys(data).join() === 'lockedUntil');
+            expect(renewals.length).toBeGreaterThanOrEqual(70);
+            expect(renewals[renewals.length - 1][0].data.lockedUntil - Date.now()).toBeGreaterThan(3 * MINUTE);
+
+            finishSync();
+            await expect(syncing).resolves.toBe('succeeded');
+            const calls = prisma.syncSchedule.updateMany.mock.calls.length;
+            await jest.advanceTimersByTimeAsync(60 * MINUTE);
+            expect(prisma.syncSchedule.updateMany).toHaveBeenCalledTimes(calls);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should skip the tenant while another instance holds its lease', async () => {
+        prisma.syncSchedule.updateMany.mockResolvedValue({ count: 0 });
+        prisma.syncSchedule.findUnique.mockResolvedValue({ ...due, lockedUntil: new Date(Date.now() + 3 * MINUTE) });
+
+        await expect(syncScheduledTenant(due)).resolves.toBe('locked');
+        expect(createSyncRun).not.toHaveBeenCalled();
+        expect(prisma.syncSchedule.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    test('should take over a lease that lapsed when its instance died', async () => {
+        executeSyncRun.mockResolvedValue({ id: 'run-1', status: 'succeeded', error: null });
+
+        await syncScheduledTenant(due);
+
+        const [[claim]] = prisma.syncSchedule.updateMany.mock.calls;
+        expect(claim.where.OR).toEqual([{ lockedUntil: null }, { lockedUntil: { lte: expect.any(Date) } }]);
+    });
+
+    test('should skip a tenant another instance synced since it was listed', async () => {
+        prisma.syncSchedule.updateMany.mockResolvedValue({ count: 0 });
+        prisma.syncSchedule.findUnique.mockResolvedValue({ ...due, nextRunAt: new Date(Date.now() + 30 * MINUTE), lockedUntil: null });
+
+        await expect(syncScheduledTenant(due)).resolves.toBe('not_due');
+        expect(createSyncRun).not.toHaveBeenCalled();
+    });
+
+    test('should retry later without counting a failure while a manual sync runs', async () => {
+        acquireSyncSlot.mockResolvedValue({ allowed: false, retryAfterSeconds: 60 });
+
+        await expect(syncScheduledTenant(due)).resolves.toBe('throttled');
+        expect(createSyncRun).not.toHaveBeenCalled();
+        expect(scheduleUpdate()).toEqual({ nextRunAt: expect.any(Date), lockedBy: null, lockedUntil: null });
+    });
+});
+
+describe('runDueSyncs', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        prisma.$queryRaw.mockResolvedValue([{ locked: true }]);
+        prisma.syncSchedule.updateMany.mockResolvedValue({ count: 1 });
+        acquireSyncSlot.mockResolvedValue({ allowed: true, release: jest.fn() });
+        createSyncRun.mockResolvedValue({ id: 'run-1' });
+    });
+
+    test('should create schedules for new tenants, spread over one interval', async () => {
+        prisma.tenant.findMany.mockResolvedValue([{ id: 'tenant-new' }]);
+        prisma.syncSchedule.createMany.mockResolvedValue({ count: 1 });
+        prisma.syncSchedule.findMany.mockResolvedValue([]);
+
+        await runDueSyncs();
+
+        const [{ data }] = prisma.syncSchedule.createMany.mock.calls[0];
+        expect(data[0].tenantId).toBe('tenant-new');
+        expect(data[0].nextRunAt - Date.now()).toBeLessThanOrEqual(10 * MINUTE);
+    });
+
+    test('should sync active due tenants at most two at a time', async () => {
+        prisma.tenant.findMany.mockResolvedValue([]);
+        const schedules = ['a', 'b', 'c', 'd'].map((id) => ({ ...due, tenantId: id }));
+        prisma.syncSchedule.findMany.mockResolvedValue(schedules);
+        prisma.syncSchedule.findUnique.mockImplementation(({ where }) => schedules.find((s) => s.tenantId === where.tenantId));
+
+        let inFlight = 0;
+        let maxInFlight = 0;
+        executeSyncRun.mockImplementation(async () => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            await new Promise((resolve) => setImmediate(resolve));
+            inFlight--;
+            return { status: 'succeeded', error: null };
+        });
+
+        await expect(runDueSyncs()).resolves.toEqual({ succeeded: 4 });
+        expect(maxInFlight).toBe(2);
+        expect(prisma.syncSchedule.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({ enabled: true, tenant: { status: 'active' } }),
+        }));
+    });
+});
@@ -0,0 +1,72 @@
+// Unit tests for server-side Shopify OAuth state
+const { createOAuthState, consumeOAuthState } = require('../src/lib/oauthStates');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    $transaction: jest.fn((operations) => Promise.all(operations)),
+    oAuthState: {
+        create: jest.fn(),
+        deleteMany: jest.fn(),
+        findUnique: jest.fn(),
+        updateMany: jest.fn(),
+    },
+}));
+
+const prisma = require('../src/prisma');
+
+describe('OAuth state', () => {
+    const install = {
+        id: 'state-1',
+        userId: 'user-1',
+        organizationId: 'org-1',
+        shop: 'mystore.myshopify.com',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 1000),
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should store only a hash bound to the user, organization and shop', async () => {
+        const state = await createOAuthState({ userId: 'user-1', organizationId: 'org-1', shop: 'mystore.myshopify.com' });
+
+        const { data } = prisma.oAuthState.create.mock.calls[0][0];
+        expect(state).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(data.stateHash).toHaveLength(64);
+        expect(data.stateHash).not.toBe(state);
+        expect(data).toEqual(expect.objectContaining({ userId: 'user-1', organizationId: 'org-1', shop: 'mystore.myshopify.com' }));
+        expect(data.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should redeem a valid state once', async () => {
+        prisma.oAuthState.findUnique.mockResolvedValue(install);
+        prisma.oAuthState.updateMany.mockResolvedValue({ count: 1 });
+
+        await expect(consumeOAuthState('state', 'mystore.myshopify.com')).resolves.toBe(install);
+        expect(prisma.oAuthState.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'state-1', usedAt: null },
+        }));
+
+        // A concurrent callback lost the race
+        prisma.oAuthState.updateMany.mockResolvedValue({ count: 0 });
+        await expect(consumeOAuthState('state', 'mystore.myshopify.com')).resolves.toBeNull();
+    });
+
+    test('should reject expired, used, unknown or mismatched states', async () => {
+        prisma.oAuthState.findUnique.mockResolvedValue({ ...install, expiresAt: new Date(Date.now() - 1000) });
+        await expect(consumeOAuthState('state', 'mystore.myshopify.com')).resolves.toBeNull();
+
+        prisma.oAuthState.findUnique.mockResolvedValue({ ...install, usedAt: new Date() });
+        await expect(consumeOAuthState('state', 'mystore.myshopify.com')).resolves.toBeNull();
+
+        prisma.oAuthState.findUnique.mockResolvedValue(install);
+        await expect(consumeOAuthState('state', 'otherstore.myshopify.com')).resolves.toBeNull();
+
+        prisma.oAuthState.findUnique.mockResolvedValue(null);
+        await expect(consumeOAuthState('state', 'mystore.myshopify.com')).resolves.toBeNull();
+        await expect(consumeOAuthState(undefined, 'mystore.myshopify.com')).resolves.toBeNull();
+
+        expect(prisma.oAuthState.updateMany).not.toHaveBeenCalled();
+    });
+});
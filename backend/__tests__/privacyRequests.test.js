@@ -0,0 +1,128 @@
+// Unit tests for Shopify's mandatory privacy webhooks
+const { handlePrivacyWebhook } = require('../src/lib/privacyRequests');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    $transaction: jest.fn((operations) => Promise.all(operations)),
+    tenant: {
+        findMany: jest.fn(),
+        deleteMany: jest.fn(),
+    },
+    customer: {
+        findFirst: jest.fn(),
+        deleteMany: jest.fn(),
+    },
+    order: {
+        findMany: jest.fn(),
+    },
+    webhookEvent: {
+        deleteMany: jest.fn(),
+    },
+    oAuthState: {
+        deleteMany: jest.fn(),
+    },
+    privacyRequest: {
+        upsert: jest.fn(),
+        update: jest.fn(),
+        updateMany: jest.fn(),
+    },
+}));
+
+const prisma = require('../src/prisma');
+
+const SHOP = 'mystore.myshopify.com';
+
+function completedUpdate() {
+    return prisma.privacyRequest.update.mock.calls[0][0].data;
+}
+
+describe('handlePrivacyWebhook', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.tenant.findMany.mockResolvedValue([{ id: 'tenant-1', name: 'My Store' }]);
+        prisma.privacyRequest.upsert.mockResolvedValue({ id: 'request-1' });
+        prisma.customer.deleteMany.mockResolvedValue({ count: 1 });
+        prisma.tenant.deleteMany.mockResolvedValue({ count: 1 });
+        prisma.webhookEvent.deleteMany.mockResolvedValue({ count: 3 });
+    });
+
+    test('should export the customer with their orders and line items', async () => {
+        prisma.customer.findFirst.mockResolvedValue({ id: 'cust-1', shopifyId: '191167', email: 'john@example.com' });
+        prisma.order.findMany.mockResolvedValue([
+            { id: 'order-1', shopifyId: '299938', totalPrice: '19.99', lineItems: [{ title: 'Mug', quantity: 1 }] },
+        ]);
+
+        await expect(handlePrivacyWebhook('customers/data_request', SHOP, {
+            shop_domain: SHOP,
+            customer: { id: 191167, email: 'john@example.com' },
+            orders_requested: [299938],
+            data_request: { id: 9999 },
+        })).resolves.toEqual({ handled: true });
+
+        expect(prisma.privacyRequest.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            create: expect.objectContaining({
+                topic: 'customers/data_request',
+                customerShopifyId: '191167',
+                shopifyRequestId: '9999',
+                ordersRequested: ['299938'],
+            }),
+        }));
+        expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { tenantId: 'tenant-1', OR: [{ customerId: 'cust-1' }, { shopifyId: { in: ['299938'] } }] },
+            include: { lineItems: true },
+        }));
+
+        const data = completedUpdate();
+        expect(data.status).toBe('completed');
+        expect(data.summary).toEqual({ customers: 1, orders: 1 });
+        expect(data.export.stores[0].customer.email).toBe('john@example.com');
+        expect(data.export.stores[0].orders[0].lineItems).toHaveLength(1);
+    });
+
+    test('should delete the customer on customers/redact', async () => {
+        await handlePrivacyWebhook('customers/redact', SHOP, {
+            shop_domain: SHOP,
+            customer: { id: 191167 },
+            orders_to_redact: [299938],
+        });
+
+        expect(prisma.customer.deleteMany).toHaveBeenCalledWith({
+            where: { tenantId: { in: ['tenant-1'] }, shopifyId: '191167' },
+        });
+        expect(prisma.webhookEvent.deleteMany).toHaveBeenCalled();
+        expect(completedUpdate().summary).toEqual({ customersDeleted: 1, webhookEventsDeleted: 3 });
+    });
+
+    test('should delete the shop\'s tenants on shop/redact', async () => {
+        await handlePrivacyWebhook('shop/redact', SHOP, { shop_id: 954889, shop_domain: SHOP });
+
+        expect(prisma.tenant.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['tenant-1'] } } });
+        expect(prisma.webhookEvent.deleteMany).toHaveBeenCalledWith({
+            where: { shopDomain: SHOP, topic: { not: 'shop/redact' } },
+        });
+        expect(completedUpdate()).toEqual(expect.objectContaining({
+            status: 'completed',
+            summary: { tenantsDeleted: 1, webhookEventsDeleted: 3 },
+        }));
+    });
+
+    test('should record the failure and rethrow so the inbox retries', async () => {
+        prisma.tenant.deleteMany.mockRejectedValue(new Error('deadlock detected'));
+
+        await expect(handlePrivacyWebhook('shop/redact', SHOP, { shop_domain: SHOP }))
+            .rejects.toThrow('deadlock detected');
+        expect(prisma.privacyRequest.update).toHaveBeenCalledWith({
+            where: { id: 'request-1' },
+            data: { status: 'failed', lastError: 'deadlock detected' },
+        });
+    });
+
+    test('should reuse one audit record for retries of the same request', async () => {
+        const payload = { shop_domain: SHOP };
+        await handlePrivacyWebhook('shop/redact', SHOP, payload);
+        await handlePrivacyWebhook('shop/redact', SHOP, payload);
+
+        const [first, second] = prisma.privacyRequest.upsert.mock.calls;
+        expect(first[0].where.requestKey).toBe(second[0].where.requestKey);
+    });
+});
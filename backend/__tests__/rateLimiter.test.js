@@ -0,0 +1,144 @@
+// Unit tests for rate limiting, login lockout and sync throttling
+const { createMemoryStore, setRateLimitStore } = require('../src/lib/rateLimitStore');
+const {
+    createRateLimiter,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+    acquireSyncSlot,
+} = require('../src/lib/rateLimiter');
+
+// Mock Prisma (the postgres store is not used in these tests)
+jest.mock('../src/prisma', () => ({}));
+
+function mockResponse() {
+    const res = { headers: {} };
+    res.set = jest.fn((name, value) => {
+        res.headers[name] = value;
+        return res;
+    });
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+});
+
+describe('createRateLimiter', () => {
+    test('should answer 429 with Retry-After once the limit is exceeded', async () => {
+        const limiter = createRateLimiter({ name: 'test', limit: 2, windowMs: 60 * 1000 });
+        const req = { ip: '10.0.0.1' };
+        const next = jest.fn();
+
+        await limiter(req, mockResponse(), next);
+        await limiter(req, mockResponse(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+
+        const res = mockResponse();
+        await limiter(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'RATE_LIMITED' }));
+    });
+
+    test('should count each client separately', async () => {
+        const limiter = createRateLimiter({ name: 'test', limit: 1, windowMs: 60 * 1000 });
+        const next = jest.fn();
+
+        await limiter({ ip: '10.0.0.1' }, mockResponse(), next);
+        await limiter({ ip: '10.0.0.2' }, mockResponse(), next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('login lockout', () => {
+    test('should lock an account after repeated failures', async () => {
+        for (let attempt = 1; attempt < 5; attempt++) {
+            expect(await recordLoginFailure('user@example.com')).toBeNull();
+        }
+
+        expect(await recordLoginFailure('User@Example.com')).toBeGreaterThan(0);
+        expect(await getLoginLockout('user@example.com')).toBeGreaterThan(0);
+    });
+
+    test('should forget failures after a successful login', async () => {
+        for (let attempt = 1; attempt < 5; attempt++) {
+            await recordLoginFailure('user@example.com');
+        }
+        await clearLoginFailures('user@example.com');
+
+        expect(await recordLoginFailure('user@example.com')).toBeNull();
+        expect(await getLoginLockout('user@example.com')).toBeNull();
+    });
+});
+
+describe('acquireSyncSlot', () => {
+    test('should reject a second sync while one is running', async () => {
+        const first = await acquireSyncSlot('tenant-1');
+        const second = await acquireSyncSlot('tenant-1');
+
+        expect(first.allowed).toBe(true);
+        expect(second.allowed).toBe(false);
+        expect(second.message).toContain('already running');
+    });
+
+    test('should enforce the minimum interval after a sync finishes', async () => {
+        const first = await acquireSyncSlot('tenant-1');
+        await first.release();
+
+        const again = await acquireSyncSlot('tenant-1');
+
+        expect(again.allowed).toBe(false);
+        expect(again.retryAfterSeconds).toBeGreaterThan(0);
+        expect((await acquireSyncSlot('tenant-2')).allowed).toBe(true);
+    });
+
+    test('should hold the slot for the whole sync, however long, across window boundaries', async () => {
+        jest.useFakeTimers();
+        try {
+            const first = await acquireSyncSlot('tenant-1');
+            await first.release();
+
+            // Past the minimum interval, but inside the first sync's slot window
+            await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+            const second = await acquireSyncSlot('tenant-1');
+            expect(second.allowed).toBe(true);
+
+            // Well past where the first acquire's window (and the slot TTL) would have ended
+            await jest.advanceTimersByTimeAsync(90 * 60 * 1000);
+            const overlapping = await acquireSyncSlot('tenant-1');
+            expect(overlapping.allowed).toBe(false);
+            expect(overlapping.message).toContain('already running');
+
+            await second.release();
+            await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+            const third = await acquireSyncSlot('tenant-1');
+            expect(third.allowed).toBe(true);
+            await third.release();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should free the slot of a sync that stopped renewing it', async () => {
+        jest.useFakeTimers();
+        try {
+            const crashed = await acquireSyncSlot('tenant-1');
+            expect(crashed.allowed).toBe(true);
+            // A crashed process renews nothing
+            jest.clearAllTimers();
+
+            await jest.advanceTimersByTimeAsync(11 * 60 * 1000);
+            const next = await acquireSyncSlot('tenant-1');
+            expect(next.allowed).toBe(true);
+            await next.release();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,230 @@
+// Unit tests for Shopify bulk operation exports
+const { Readable } = require('stream');
+const axios = require('axios');
+const {
+    startBulkQuery,
+    waitForBulkOperation,
+    notifyBulkOperationFinished,
+    streamBulkRecords,
+} = require('../src/lib/shopifyBulk');
+
+jest.mock('axios');
+
+jest.mock('../src/lib/shopifyGraphQL', () => ({
+    ...jest.requireActual('../src/lib/shopifyGraphQL'),
+    graphqlRequest: jest.fn(),
+}));
+
+const { graphqlRequest } = require('../src/lib/shopifyGraphQL');
+
+const SHOP = 'mystore.myshopify.com';
+const OPERATION_ID = 'gid://shopify/BulkOperation/720918';
+
+// Serve a JSONL body in chunks that split lines, as a real download would
+function respondWithJsonl(objects, chunkSize = 40) {
+    const body = objects.map((object) => JSON.stringify(object)).join('\n') + '\n';
+    const chunks = [];
+    for (let i = 0; i < body.length; i += chunkSize) {
+        chunks.push(Buffer.from(body.slice(i, i + chunkSize)));
+    }
+    axios.get.mockResolvedValue({ data: Readable.from(chunks) });
+}
+
+function order(id, createdAt = '2024-01-10T10:00:00Z') {
+    return { id: `gid://shopify/Order/${id}`, name: `#${id}`, createdAt, updatedAt: createdAt, totalPriceSet: { shopMoney: { amount: '30.00' } } };
+}
+
+function lineItem(id, orderId) {
+    return {
+        id: `gid://shopify/LineItem/${id}`,
+        title: `Item ${id}`,
+        quantity: 2,
+        sku: `SKU-${id}`,
+        product: { id: 'gid://shopify/Product/100' },
+        variant: { id: `gid://shopify/ProductVariant/${id}0` },
+        originalTotalSet: { shopMoney: { amount: '30.00' } },
+        __parentId: `gid://shopify/Order/${orderId}`,
+    };
+}
+
+describe('streamBulkRecords', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should attach line items to the order they follow', async () => {
+        respondWithJsonl([order(1), lineItem(11, 1), lineItem(12, 1), order(2), lineItem(21, 2)]);
+        const batches = [];
+
+        const total = await streamBulkRecords('https://storage.example/result.jsonl', 'orders', async (batch) => {
+            batches.push(batch);
+        });
+
+        expect(axios.get).toHaveBeenCalledWith('https://storage.example/result.jsonl', { responseType: 'stream' });
+        expect(total).toBe(2);
+        const [orders] = batches;
+        expect(orders.map((o) => o.shopifyId)).toEqual(['1', '2']);
+        expect(orders[0].lineItems).toEqual([
+            { shopifyId: '11', title: 'Item 11', quantity: 2, price: 15, sku: 'SKU-11', productShopifyId: '100', variantShopifyId: '110' },
+            { shopifyId: '12', title: 'Item 12', quantity: 2, price: 15, sku: 'SKU-12', productShopifyId: '100', variantShopifyId: '120' },
+        ]);
+        expect(orders[1].lineItems).toHaveLength(1);
+    });
+
+    test('should map order statuses and amounts like the REST API', async () => {
+        respondWithJsonl([{
+            ...order(3),
+            displayFinancialStatus: 'PARTIALLY_REFUNDED',
+            displayFulfillmentStatus: 'PARTIALLY_FULFILLED',
+            cancelReason: null,
+            currencyCode: 'USD',
+            subtotalPriceSet: { shopMoney: { amount: '28.00' } },
+            totalDiscountsSet: { shopMoney: { amount: '2.00' } },
+            totalTaxSet: { shopMoney: { amount: '0.0' } },
+            totalShippingPriceSet: { shopMoney: { amount: '4.00' } },
+            discountCodes: ['SPRING'],
+            sourceName: 'pos',
+            tags: ['vip'],
+        }]);
+        const batches = [];
+
+        await streamBulkRecords('https://storage.example/result.jsonl', 'orders', async (batch) => {
+            batches.push(batch);
+        });
+
+        expect(batches[0][0]).toEqual(expect.objectContaining({
+            financialStatus: 'partially_refunded',
+            fulfillmentStatus: 'partially_fulfilled',
+            cancelReason: null,
+            currency: 'USD',
+            subtotalPrice: 28,
+            totalDiscounts: 2,
+            totalTax: 0,
+            totalShipping: 4,
+            discountCodes: ['SPRING'],
+            sourceName: 'pos',
+            tags: ['vip'],
+        }));
+    });
+
+    test('should map customer consent, state and addresses like the REST API', async () => {
+        const defaultAddress = {
+            id: 'gid://shopify/MailingAddress/7?model_name=CustomerAddress',
+            city: 'Ottawa',
+            provinceCode: 'ON',
+            countryCodeV2: 'CA',
+        };
+        respondWithJsonl([{
+            id: 'gid://shopify/Customer/42',
+            displayName: 'Jane Doe',
+            defaultEmailAddress: { emailAddress: 'jane@example.com', marketingState: 'SUBSCRIBED', marketingUpdatedAt: '2024-02-01T00:00:00Z' },
+            defaultPhoneNumber: { phoneNumber: '+16135550100', marketingState: 'NOT_SUBSCRIBED' },
+            numberOfOrders: '3',
+            state: 'ENABLED',
+            tags: ['vip'],
+            amountSpent: { amount: '120.00' },
+            addresses: [defaultAddress, { id: 'gid://shopify/MailingAddress/8?model_name=CustomerAddress', city: 'Berlin', countryCodeV2: 'DE' }],
+            defaultAddress,
+            updatedAt: '2024-02-02T00:00:00Z',
+        }]);
+        const batches = [];
+
+        await streamBulkRecords('https://storage.example/result.jsonl', 'customers', async (batch) => {
+            batches.push(batch);
+        });
+
+        const [customer] = batches[0];
+        expect(customer).toEqual(expect.objectContaining({
+            shopifyId: '42',
+            phone: '+16135550100',
+            state: 'enabled',
+            tags: ['vip'],
+            ordersCount: 3,
+            emailMarketingState: 'subscribed',
+            emailMarketingUpdatedAt: new Date('2024-02-01T00:00:00Z'),
+            smsMarketingState: 'not_subscribed',
+        }));
+        expect(customer.addresses).toEqual([
+            expect.objectContaining({ shopifyId: '7', city: 'Ottawa', provinceCode: 'ON', countryCode: 'CA', isDefault: true }),
+            expect.objectContaining({ shopifyId: '8', city: 'Berlin', countryCode: 'DE', isDefault: false }),
+        ]);
+    });
+
+    test('should hand records over in batches of 1000', async () => {
+        const customers = Array.from({ length: 2500 }, (_, i) => ({
+            id: `gid://shopify/Customer/${i}`,
+            firstName: 'Ann',
+            lastName: 'Lee',
+            defaultEmailAddress: { emailAddress: `c${i}@example.com` },
+            amountSpent: { amount: '5.00' },
+        }));
+        respondWithJsonl(customers, 4096);
+        const sizes = [];
+
+        const total = await streamBulkRecords('https://storage.example/result.jsonl', 'customers', async (batch) => {
+            sizes.push(batch.length);
+        });
+
+        expect(total).toBe(2500);
+        expect(sizes).toEqual([1000, 1000, 500]);
+    });
+});
+
+describe('startBulkQuery', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should start an export filtered by updated_at', async () => {
+        graphqlRequest.mockResolvedValue({
+            bulkOperationRunQuery: { bulkOperation: { id: OPERATION_ID, status: 'CREATED' }, userErrors: [] },
+        });
+
+        await expect(startBulkQuery(SHOP, 'shpat_test', 'orders', { updatedAtMin: new Date('2024-03-01T12:00:00Z') }))
+            .resolves.toEqual({ id: OPERATION_ID, status: 'CREATED' });
+        const [, , , variables] = graphqlRequest.mock.calls[0];
+        expect(variables.query).toContain('orders(query: "updated_at:>=\'2024-03-01T12:00:00.000Z\'")');
+    });
+
+    test('should throw when Shopify refuses to start it', async () => {
+        graphqlRequest.mockResolvedValue({
+            bulkOperationRunQuery: {
+                bulkOperation: null,
+                userErrors: [{ field: null, message: 'A bulk query operation for this app and shop is already in progress' }],
+            },
+        });
+
+        await expect(startBulkQuery(SHOP, 'shpat_test', 'customers'))
+            .rejects.toThrow('Bulk operation could not start: A bulk query operation for this app and shop is already in progress');
+    });
+});
+
+describe('waitForBulkOperation', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should stop waiting when the finish webhook arrives', async () => {
+        graphqlRequest
+            .mockResolvedValueOnce({ node: { id: OPERATION_ID, status: 'RUNNING' } })
+            .mockResolvedValueOnce({ node: { id: OPERATION_ID, status: 'COMPLETED', url: 'https://storage.example/result.jsonl' } });
+
+        const waiting = waitForBulkOperation(SHOP, 'shpat_test', OPERATION_ID);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(notifyBulkOperationFinished(OPERATION_ID)).toBe(true);
+        await expect(waiting).resolves.toEqual(expect.objectContaining({ url: 'https://storage.example/result.jsonl' }));
+        expect(graphqlRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('should throw when the operation failed', async () => {
+        graphqlRequest.mockResolvedValue({ node: { id: OPERATION_ID, status: 'FAILED', errorCode: 'ACCESS_DENIED' } });
+
+        await expect(waitForBulkOperation(SHOP, 'shpat_test', OPERATION_ID))
+            .rejects.toThrow('Bulk operation failed (ACCESS_DENIED)');
+    });
+
+    test('should ignore finish webhooks nothing is waiting on', () => {
+        expect(notifyBulkOperationFinished('gid://shopify/BulkOperation/1')).toBe(false);
+    });
+});
@@ -106,4 +106,19 @@ describe('ShopifyClient Pagination', () => {
 
         expect(orders).toHaveLength(2);
     });
+
+    test('fetchOrders should only request orders updated since updatedAtMin', async () => {
+        axios.get.mockResolvedValueOnce({
+            data: { orders: [{ id: 1003, total_price: '70.00', created_at: '2024-01-03', updated_at: '2024-02-01T10:00:00-05:00' }] },
+            headers: {},
+        });
+
+        const orders = await fetchOrders(mockDomain, mockAccessToken, { updatedAtMin: new Date('2024-01-31T00:00:00Z') });
+
+        expect(axios.get).toHaveBeenCalledWith(
+            expect.stringContaining('updated_at_min=2024-01-31T00%3A00%3A00.000Z'),
+            expect.any(Object)
+        );
+        expect(orders[0].updatedAt).toEqual(new Date('2024-02-01T15:00:00Z'));
+    });
 });
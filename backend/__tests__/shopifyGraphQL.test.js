@@ -0,0 +1,200 @@
+// Unit tests for GraphQL query cost: every query the paged sync sends must stay under Shopify's limit
+const axios = require('axios');
+const {
+    fetchCustomersGraphQL,
+    fetchOrdersGraphQL,
+    fetchProductsGraphQL,
+    ORDERS_FIRST,
+    ORDER_LINE_ITEMS_FIRST,
+    ORDER_REFUNDS_FIRST,
+} = require('../src/lib/shopifyGraphQL');
+const { resetShopRateLimits } = require('../src/lib/shopifyRateLimiter');
+
+jest.mock('axios');
+
+const DOMAIN = 'mystore.myshopify.com';
+// Shopify rejects a query whose requested cost is over this with MAX_COST_EXCEEDED
+const MAX_QUERY_COST = 1000;
+
+/**
+ * Shopify's requested query cost: objects cost 1 and scalars 0, and a connection or list fetched
+ * with `first: n` costs 2 + n × one node's cost. edges, nodes and pageInfo only carry their contents
+ * @param {string} query
+ * @param {object} variables - Resolves `first: $first`
+ * @returns {number}
+ */
+function requestedCost(query, variables = {}) {
+    const tokens = query.match(/\.\.\.|\$?[A-Za-z_]\w*|-?\d+|[(){}:]/g);
+    let i = tokens.indexOf('{');
+
+    const value = (token) => (token.startsWith('$') ? variables[token.slice(1)] : Number(token));
+
+    // Cost of the selection set opening at tokens[i], and whether it is a connection's
+    function selection() {
+        let cost = 0;
+        let connection = false;
+        i++;
+        while (tokens[i] !== '}') {
+            if (tokens[i] === '...') {
+                // ... on Type { }
+                i += 3;
+                cost += selection().cost;
+                continue;
+            }
+            const name = tokens[i++];
+            let first = null;
+            if (tokens[i] === '(') {
+                for (; tokens[i] !== ')'; i++) {
+                    if (tokens[i] === 'first' && tokens[i + 1] === ':') first = value(tokens[i + 2]);
+                }
+                i++;
+            }
+            if (tokens[i] !== '{') continue;
+
+            const child = selection();
+            if (name === 'pageInfo') {
+                connection = true;
+            } else if (name === 'edges') {
+                connection = true;
+                cost += child.cost;
+            } else if (name === 'nodes') {
+                connection = true;
+                cost += 1 + child.cost;
+            } else if (first !== null) {
+                cost += 2 + first * (child.connection ? child.cost : 1 + child.cost);
+            } else {
+                cost += 1 + child.cost;
+            }
+        }
+        i++;
+        return { cost, connection };
+    }
+
+    return selection().cost;
+}
+
+function respond(data) {
+    return { data: { data } };
+}
+
+function page(nodes, hasNextPage = false) {
+    return { nodes, pageInfo: { hasNextPage, endCursor: hasNextPage ? 'next' : null } };
+}
+
+// Every request sent, with its cost
+function requestCosts() {
+    return axios.post.mock.calls.map(([, { query, variables }]) => ({
+        query: query.match(/query (\w+)/)[1],
+        cost: requestedCost(query, variables),
+    }));
+}
+
+describe('requestedCost', () => {
+    test('should multiply nested connections by their page sizes', () => {
+        const query = `
+            query getProducts($first: Int!) {
+                products(first: $first) {
+                    nodes {
+                        id
+                        variants(first: 3) {
+                            nodes { id selectedOptions { name } }
+                            pageInfo { hasNextPage }
+                        }
+                    }
+                }
+            }
+        `;
+        // 2 + 2 × (product 1 + variants (2 + 3 × (variant 1 + selectedOptions 1)))
+        expect(requestedCost(query, { first: 2 })).toBe(2 + 2 * (1 + 2 + 3 * 2));
+    });
+});
+
+describe('GraphQL query cost', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        resetShopRateLimits();
+    });
+
+    test('a page of customers with their addresses should stay under the limit', async () => {
+        axios.post.mockResolvedValueOnce(respond({ customers: page([]) }));
+
+        await fetchCustomersGraphQL(DOMAIN, 'token');
+
+        const [request] = requestCosts();
+        expect(request.query).toBe('getCustomers');
+        expect(request.cost).toBeLessThanOrEqual(MAX_QUERY_COST);
+    });
+
+    test('a page of orders with every nested list full should stay under the limit', async () => {
+        axios.post.mockResolvedValueOnce(respond({ orders: { edges: [], pageInfo: { hasNextPage: false, endCursor: null } } }));
+
+        await fetchOrdersGraphQL(DOMAIN, 'token');
+
+        const [, { query, variables }] = axios.post.mock.calls[0];
+        expect(variables.first).toBe(ORDERS_FIRST);
+        expect(query).toContain(`refunds(first: ${ORDER_REFUNDS_FIRST})`);
+        expect(query).toContain(`lineItems(first: ${ORDER_LINE_ITEMS_FIRST})`);
+
+        // The requested cost assumes every list comes back full: ORDERS_FIRST orders, each with
+        // ORDER_LINE_ITEMS_FIRST line items and ORDER_REFUNDS_FIRST refunds
+        const perOrder = requestedCost(query, { first: 1 }) - 2;
+        expect(requestedCost(query, variables)).toBe(2 + ORDERS_FIRST * perOrder);
+        expect(2 + ORDERS_FIRST * perOrder).toBeLessThanOrEqual(MAX_QUERY_COST);
+    });
+
+    test('orders, their line item pages, refund lists and refunded items should each stay under the limit', async () => {
+        const refunds = Array.from({ length: ORDER_REFUNDS_FIRST }, (_, i) => ({ id: `gid://shopify/Refund/${i}`, createdAt: '2024-03-03T08:00:00Z' }));
+        axios.post
+            .mockResolvedValueOnce(respond({
+                orders: {
+                    edges: [{
+                        node: {
+                            id: 'gid://shopify/Order/1',
+                            createdAt: '2024-03-02T08:00:00Z',
+                            refunds,
+                            lineItems: page([], true),
+                        },
+                        cursor: 'o1',
+                    }],
+                    pageInfo: { hasNextPage: false, endCursor: 'o1' },
+                },
+            }))
+            .mockResolvedValueOnce(respond({ order: { refunds } }));
+        for (let i = 0; i < ORDER_REFUNDS_FIRST; i++) {
+            axios.post.mockResolvedValueOnce(respond({ node: { refundLineItems: page([]) } }));
+        }
+        axios.post.mockResolvedValueOnce(respond({ order: { lineItems: page([]) } }));
+
+        await fetchOrdersGraphQL(DOMAIN, 'token');
+
+        const costs = requestCosts();
+        expect(costs.map((request) => request.query)).toEqual([
+            'getOrders',
+            'getOrderRefunds',
+            ...refunds.map(() => 'getRefundLineItems'),
+            'getOrderLineItems',
+        ]);
+        for (const request of costs) {
+            expect(request.cost).toBeLessThanOrEqual(MAX_QUERY_COST);
+        }
+    });
+
+    test('products and their variant pages should each stay under the limit', async () => {
+        axios.post
+            .mockResolvedValueOnce(respond({
+                products: {
+                    edges: [{ node: { id: 'gid://shopify/Product/1', title: 'Hat', variants: page([], true) }, cursor: 'p1' }],
+                    pageInfo: { hasNextPage: false, endCursor: 'p1' },
+                },
+            }))
+            .mockResolvedValueOnce(respond({ product: { variants: page([]) } }));
+
+        await fetchProductsGraphQL(DOMAIN, 'token');
+
+        const costs = requestCosts();
+        expect(costs.map((request) => request.query)).toEqual(['getProducts', 'getProductVariants']);
+        for (const request of costs) {
+            expect(request.cost).toBeLessThanOrEqual(MAX_QUERY_COST);
+        }
+    });
+});
@@ -0,0 +1,124 @@
+// Unit tests for per-shop Shopify API pacing
+const axios = require('axios');
+const {
+    reserveGraphqlCost,
+    recordGraphqlCost,
+    reserveRestCall,
+    recordRestCallLimit,
+    getShopApiMetrics,
+    resetShopRateLimits,
+} = require('../src/lib/shopifyRateLimiter');
+const { graphqlRequest } = require('../src/lib/shopifyGraphQL');
+
+jest.mock('axios');
+
+const SHOP = 'mystore.myshopify.com';
+const QUERY = 'query { shop { name } }';
+
+function costOf(currentlyAvailable, requestedQueryCost = 100) {
+    return {
+        requestedQueryCost,
+        actualQueryCost: requestedQueryCost,
+        throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate: 50 },
+    };
+}
+
+// Run timers until a promise settles, returning how long it waited
+async function settle(promise) {
+    const start = Date.now();
+    let done = false;
+    promise.then(() => { done = true; }, () => { done = true; });
+    await jest.advanceTimersByTimeAsync(0);
+    while (!done) {
+        await jest.advanceTimersByTimeAsync(100);
+    }
+    return Date.now() - start;
+}
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    resetShopRateLimits();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('GraphQL cost pacing', () => {
+    test('should not wait while the bucket can afford the query', async () => {
+        recordGraphqlCost(SHOP, QUERY, costOf(900));
+
+        expect(await settle(reserveGraphqlCost(SHOP, QUERY))).toBe(0);
+        expect(getShopApiMetrics(SHOP).graphql).toEqual(expect.objectContaining({ available: 800, requests: 1, waitedMs: 0 }));
+    });
+
+    test('should wait for the bucket to restore the query cost', async () => {
+        // 10 available, 100 needed, restoring 50/s: 1.8 seconds
+        recordGraphqlCost(SHOP, QUERY, costOf(10));
+
+        const waited = await settle(reserveGraphqlCost(SHOP, QUERY));
+
+        expect(waited).toBeGreaterThanOrEqual(1800);
+        expect(getShopApiMetrics(SHOP).graphql.waitedMs).toBe(1800);
+    });
+
+    test('should keep shops apart', async () => {
+        recordGraphqlCost(SHOP, QUERY, costOf(10));
+
+        expect(await settle(reserveGraphqlCost('other.myshopify.com', QUERY))).toBe(0);
+    });
+});
+
+describe('REST call pacing', () => {
+    test('should read the call limit header', () => {
+        recordRestCallLimit(SHOP, { 'x-shopify-shop-api-call-limit': '32/80' });
+
+        expect(getShopApiMetrics(SHOP).rest).toEqual(expect.objectContaining({ used: 32, capacity: 80 }));
+    });
+
+    test('should wait for a full bucket to leak a call', async () => {
+        // 40 calls leaking 2/s: one call frees up in half a second
+        recordRestCallLimit(SHOP, { 'x-shopify-shop-api-call-limit': '40/40' });
+
+        const waited = await settle(reserveRestCall(SHOP));
+
+        expect(waited).toBeGreaterThanOrEqual(500);
+        expect(getShopApiMetrics(SHOP).rest.waitedMs).toBe(500);
+    });
+});
+
+describe('graphqlRequest', () => {
+    test('should wait out a THROTTLED response and retry', async () => {
+        axios.post
+            .mockResolvedValueOnce({
+                data: {
+                    errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+                    extensions: { cost: { requestedQueryCost: 100, actualQueryCost: null, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 0, restoreRate: 50 } } },
+                },
+            })
+            .mockResolvedValueOnce({
+                data: { data: { shop: { name: 'My Store' } }, extensions: { cost: costOf(900) } },
+            });
+
+        const request = graphqlRequest(SHOP, 'shpat_test', QUERY);
+        const waited = await settle(request);
+
+        await expect(request).resolves.toEqual({ shop: { name: 'My Store' } });
+        expect(axios.post).toHaveBeenCalledTimes(2);
+        expect(waited).toBeGreaterThanOrEqual(2000);
+        expect(getShopApiMetrics(SHOP).graphql).toEqual(expect.objectContaining({ requests: 2, throttled: 1, costSpent: 100 }));
+    });
+
+    test('should give up once the retries are used', async () => {
+        axios.post.mockResolvedValue({
+            data: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] },
+        });
+
+        const request = graphqlRequest(SHOP, 'shpat_test', QUERY, {}, 1);
+        await settle(request);
+
+        await expect(request).rejects.toThrow('GraphQL errors: Throttled');
+        expect(axios.post).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,104 @@
+// Unit tests for set-based upserts
+const { sqltag } = jest.requireActual('@prisma/client/runtime/library');
+const { upsertRows } = require('../src/lib/sqlUpsert');
+
+// The SQL helpers the generated client re-exports as Prisma.sql, Prisma.join, ...
+jest.mock('@prisma/client', () => {
+    const runtime = jest.requireActual('@prisma/client/runtime/library');
+    return { Prisma: { sql: runtime.sqltag, join: runtime.join, raw: runtime.raw, empty: runtime.empty } };
+});
+
+jest.mock('../src/prisma', () => ({
+    $executeRaw: jest.fn(),
+}));
+
+const prisma = require('../src/prisma');
+
+// Each statement run, with whitespace collapsed
+function statements() {
+    return prisma.$executeRaw.mock.calls.map(([strings, ...values]) => {
+        const query = sqltag(strings, ...values);
+        return { text: query.text.replace(/\s+/g, ' ').trim(), values: query.values };
+    });
+}
+
+describe('upsertRows', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$executeRaw.mockResolvedValue(2);
+    });
+
+    test('should insert a batch in one statement and only rewrite changed rows', async () => {
+        const written = await upsertRows('customers', ['tenantId', 'shopifyId'], [
+            { tenantId: 't1', shopifyId: '1', email: 'a@example.com', tags: [] },
+            { tenantId: 't1', shopifyId: '2', email: 'b@example.com', tags: ['vip'] },
+        ], { timestamps: true });
+
+        expect(written).toBe(2);
+        const [statement] = statements();
+        expect(statement.text).toBe(
+            'INSERT INTO "customers" ("id","tenantId","shopifyId","email","tags","updatedAt") '
+            + 'VALUES (gen_random_uuid()::text, $1,$2,$3,$4, NOW()),(gen_random_uuid()::text, $5,$6,$7,$8, NOW()) '
+            + 'ON CONFLICT ("tenantId","shopifyId") DO UPDATE SET "email" = EXCLUDED."email","tags" = EXCLUDED."tags","updatedAt" = NOW() '
+            + 'WHERE ("customers"."email","customers"."tags") IS DISTINCT FROM (EXCLUDED."email",EXCLUDED."tags")'
+        );
+        expect(statement.values).toEqual(['t1', '1', 'a@example.com', [], 't1', '2', 'b@example.com', ['vip']]);
+    });
+
+    test('should leave out fields a record does not carry', async () => {
+        await upsertRows('customers', ['tenantId', 'shopifyId'], [
+            { tenantId: 't1', shopifyId: '1', email: 'a@example.com', phone: '+15550100' },
+            { tenantId: 't1', shopifyId: '2', email: 'b@example.com', phone: undefined },
+        ]);
+
+        const [withPhone, withoutPhone] = statements();
+        expect(withPhone.text).toContain('"phone" = EXCLUDED."phone"');
+        expect(withPhone.values).toEqual(['t1', '1', 'a@example.com', '+15550100']);
+        expect(withoutPhone.text).not.toContain('"phone"');
+        expect(withoutPhone.values).toEqual(['t1', '2', 'b@example.com']);
+    });
+
+    test('should keep the last record for a repeated key', async () => {
+        await upsertRows('order_line_items', ['orderId', 'shopifyId'], [
+            { orderId: 'o1', shopifyId: '11', quantity: 1 },
+            { orderId: 'o1', shopifyId: '11', quantity: 3 },
+        ]);
+
+        expect(statements()[0].values).toEqual(['o1', '11', 3]);
+    });
+
+    test('should pass Json columns as JSON text', async () => {
+        await upsertRows('product_variants', ['tenantId', 'shopifyId'], [
+            { tenantId: 't1', shopifyId: '1', options: [{ name: 'Size', value: 'M' }] },
+        ], { json: ['options'] });
+
+        const [statement] = statements();
+        expect(statement.text).toContain('VALUES (gen_random_uuid()::text, $1,$2,$3::jsonb)');
+        expect(statement.values).toEqual(['t1', '1', '[{"name":"Size","value":"M"}]']);
+    });
+
+    test('should split batches that would exceed the bind parameter limit', async () => {
+        // 10 columns: at most 3276 rows (32760 parameters) per statement
+        const rows = Array.from({ length: 7000 }, (_, i) => {
+            const row = { orderId: 'o1', shopifyId: String(i) };
+            for (let column = 0; column < 8; column++) {
+                row[`column${column}`] = i;
+            }
+            return row;
+        });
+
+        const written = await upsertRows('order_line_items', ['orderId', 'shopifyId'], rows);
+
+        const sent = statements();
+        expect(sent.map((statement) => statement.values.length)).toEqual([32760, 32760, 4480]);
+        expect(sent.flatMap((statement) => statement.values.filter((value, i) => i % 10 === 1)))
+            .toEqual(rows.map((row) => row.shopifyId));
+        expect(written).toBe(6);
+    });
+
+    test('should do nothing on conflict when only key columns are given', async () => {
+        await upsertRows('links', ['a', 'b'], [{ a: 1, b: 2 }]);
+
+        expect(statements()[0].text).toMatch(/ON CONFLICT \("a","b"\) DO NOTHING$/);
+    });
+});
@@ -0,0 +1,171 @@
+// Unit tests for background sync runs
+const { executeSyncRun, enqueueSyncRun, failStaleSyncRuns, startStaleRunSweeper, stopStaleRunSweeper } = require('../src/lib/syncRuns');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    syncRun: {
+        create: jest.fn(),
+        update: jest.fn(),
+        updateMany: jest.fn(),
+    },
+}));
+
+jest.mock('../src/lib/syncService', () => ({
+    syncAll: jest.fn(),
+}));
+
+const prisma = require('../src/prisma');
+const { syncAll } = require('../src/lib/syncService');
+
+const since = new Date('2024-03-01T12:00:00Z');
+const counts = {
+    customers: { fetched: 2, changed: 1, since },
+    orders: { fetched: 0, changed: 0, since },
+    products: { fetched: 5, changed: 5, since: null },
+};
+
+function updates() {
+    return prisma.syncRun.update.mock.calls.map(([args]) => args.data);
+}
+
+describe('executeSyncRun', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.syncRun.update.mockImplementation(async ({ data }) => ({ id: 'run-1', tenantId: 'tenant-1', fullResync: false, ...data }));
+    });
+
+    test('should mark the run running, record each phase, then succeed with the counts', async () => {
+        syncAll.mockImplementation(async (tenantId, { onProgress }) => {
+            await onProgress('customers', {});
+            await onProgress('orders', { customers: counts.customers });
+            return { fullResync: false, ...counts, customersUpserted: 2 };
+        });
+
+        const run = await executeSyncRun('run-1');
+
+        expect(syncAll).toHaveBeenCalledWith('tenant-1', expect.objectContaining({ fullResync: false }));
+        const [started, customersPhase, ordersPhase, finished] = updates();
+        expect(started).toEqual({ status: 'running', startedAt: expect.any(Date) });
+        expect(customersPhase).toEqual({ phase: 'customers', counts: {} });
+        expect(ordersPhase.phase).toBe('orders');
+        expect(ordersPhase.counts.customers.since).toBe('2024-03-01T12:00:00.000Z');
+        expect(finished).toEqual(expect.objectContaining({
+            status: 'succeeded',
+            phase: null,
+            finishedAt: expect.any(Date),
+        }));
+        expect(Object.keys(finished.counts)).toEqual(['customers', 'orders', 'products']);
+        expect(run.status).toBe('succeeded');
+    });
+
+    test('should keep touching the run while a long phase makes no progress', async () => {
+        jest.useFakeTimers();
+        try {
+            prisma.syncRun.updateMany.mockResolvedValue({ count: 1 });
+            let finishSync;
+            syncAll.mockReturnValue(new Promise((resolve) => {
+                finishSync = () => resolve({ fullResync: false, ...counts });
+            }));
+
+            const running = executeSyncRun('run-1');
+            // Longer than SYNC_RUN_STALE_MINUTES, e.g. a large first sync
+            await jest.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+
+            expect(prisma.syncRun.updateMany).toHaveBeenCalledWith({
+                where: { id: 'run-1', status: 'running' },
+                data: { updatedAt: expect.any(Date) },
+            });
+            expect(prisma.syncRun.updateMany.mock.calls.length).toBeGreaterThanOrEqual(8);
+
+            finishSync();
+            await running;
+            prisma.syncRun.updateMany.mockClear();
+            await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+            expect(prisma.syncRun.updateMany).not.toHaveBeenCalled();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should record the error when the sync fails', async () => {
+        syncAll.mockRejectedValue(new Error('Shopify API authentication failed (401)'));
+
+        const run = await executeSyncRun('run-1');
+
+        expect(run.status).toBe('failed');
+        expect(updates().pop()).toEqual({
+            status: 'failed',
+            error: 'Shopify API authentication failed (401)',
+            finishedAt: expect.any(Date),
+        });
+    });
+});
+
+describe('enqueueSyncRun', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.syncRun.create.mockResolvedValue({ id: 'run-1', status: 'queued' });
+        prisma.syncRun.update.mockImplementation(async ({ data }) => ({ id: 'run-1', tenantId: 'tenant-1', ...data }));
+    });
+
+    test('should return the queued run before the sync starts', async () => {
+        syncAll.mockResolvedValue(counts);
+
+        const run = await enqueueSyncRun({ tenantId: 'tenant-1', fullResync: true, triggeredById: 'user-1' });
+
+        expect(run).toEqual({ id: 'run-1', status: 'queued' });
+        expect(prisma.syncRun.create).toHaveBeenCalledWith(expect.objectContaining({
+            data: { tenantId: 'tenant-1', fullResync: true, trigger: 'manual', triggeredById: 'user-1' },
+        }));
+        expect(syncAll).not.toHaveBeenCalled();
+    });
+
+    test('should call onFinished once the run ends, even if it failed', async () => {
+        syncAll.mockRejectedValue(new Error('boom'));
+        const finished = new Promise((resolve) => {
+            enqueueSyncRun({ tenantId: 'tenant-1', onFinished: resolve });
+        });
+
+        await finished;
+        expect(updates().pop().status).toBe('failed');
+    });
+});
+
+describe('failStaleSyncRuns', () => {
+    test('should fail queued and running runs that stopped updating', async () => {
+        prisma.syncRun.updateMany.mockResolvedValue({ count: 2 });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(failStaleSyncRuns()).resolves.toBe(2);
+        expect(prisma.syncRun.updateMany).toHaveBeenCalledWith({
+            where: {
+                status: { in: ['queued', 'running'] },
+                updatedAt: { lt: expect.any(Date) },
+            },
+            data: expect.objectContaining({ status: 'failed' }),
+        });
+    });
+});
+
+describe('startStaleRunSweeper', () => {
+    test('should sweep at startup and then periodically until stopped', async () => {
+        jest.useFakeTimers();
+        try {
+            prisma.syncRun.updateMany.mockClear();
+            prisma.syncRun.updateMany.mockResolvedValue({ count: 0 });
+
+            startStaleRunSweeper();
+            expect(prisma.syncRun.updateMany).toHaveBeenCalledTimes(1);
+
+            // Every quarter of SYNC_RUN_STALE_MINUTES
+            await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+            expect(prisma.syncRun.updateMany).toHaveBeenCalledTimes(5);
+
+            stopStaleRunSweeper();
+            await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+            expect(prisma.syncRun.updateMany).toHaveBeenCalledTimes(5);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -1,25 +1,86 @@
 // Unit tests for syncService upsert logic
-const { upsertOrders } = require('../src/lib/syncService');
+const { upsertCustomers, upsertOrders, upsertProducts, syncAll } = require('../src/lib/syncService');
 
 // Mock Prisma
 jest.mock('../src/prisma', () => ({
+    $executeRaw: jest.fn(),
+    tenant: {
+        findUnique: jest.fn(),
+    },
+    syncCursor: {
+        findMany: jest.fn(),
+        upsert: jest.fn(),
+    },
     customer: {
         findUnique: jest.fn(),
         findMany: jest.fn(),
     },
-    order: {
-        upsert: jest.fn(),
+    customerAddress: {
+        deleteMany: jest.fn(),
         createMany: jest.fn(),
-        updateMany: jest.fn(),
+    },
+    product: {
+        findMany: jest.fn(),
+    },
+    productVariant: {
+        findMany: jest.fn(),
+        deleteMany: jest.fn(),
+    },
+    order: {
         findMany: jest.fn(),
     },
     orderLineItem: {
         deleteMany: jest.fn(),
+    },
+    refund: {
+        findMany: jest.fn(),
+    },
+    refundLineItem: {
+        deleteMany: jest.fn(),
         createMany: jest.fn(),
     },
 }));
 
+jest.mock('../src/lib/sqlUpsert', () => ({
+    upsertRows: jest.fn(async (table, key, rows) => rows.length),
+}));
+
+jest.mock('../src/lib/shopifyClient', () => ({
+    fetchResourceCount: jest.fn(),
+    fetchCustomers: jest.fn(),
+    fetchProducts: jest.fn(),
+    fetchOrders: jest.fn(),
+}));
+
+jest.mock('../src/lib/shopifyGraphQL', () => ({
+    fetchCustomersGraphQL: jest.fn(),
+    fetchOrdersGraphQL: jest.fn(),
+    fetchProductsGraphQL: jest.fn(),
+}));
+
+// Only the line item paging test calls the real GraphQL client
+jest.mock('axios');
+
+jest.mock('../src/lib/shopifyBulk', () => ({
+    startBulkQuery: jest.fn(),
+    fetchBulkResults: jest.fn(),
+}));
+
+jest.mock('../src/lib/tenantCredentials', () => ({
+    getTenantAccessToken: jest.fn(() => 'shpat_test'),
+}));
+
+const axios = require('axios');
 const prisma = require('../src/prisma');
+const { fetchResourceCount } = require('../src/lib/shopifyClient');
+const { fetchCustomersGraphQL, fetchOrdersGraphQL, fetchProductsGraphQL } = require('../src/lib/shopifyGraphQL');
+const { startBulkQuery, fetchBulkResults } = require('../src/lib/shopifyBulk');
+const { upsertRows } = require('../src/lib/sqlUpsert');
+
+// Rows upserted into a table, across all calls
+function upserted(table) {
+    return upsertRows.mock.calls.filter(([name]) => name === table).flatMap(([, , rows]) => rows);
+}
 
 describe('SyncService - upsertOrders', () => {
     const mockTenantId = 'tenant-123';
@@ -38,16 +99,11 @@ describe('SyncService - upsertOrders', () => {
             },
         ]);
 
-        // Mock batch operations
-        prisma.order.createMany.mockResolvedValue({ count: 1 });
-        prisma.order.updateMany.mockResolvedValue({ count: 1 });
-
         // Mock line item operations
         prisma.order.findMany.mockResolvedValue([
             { id: 'order-1', shopifyId: '1234567890' }
         ]);
         prisma.orderLineItem.deleteMany.mockResolvedValue({ count: 0 });
-        prisma.orderLineItem.createMany.mockResolvedValue({ count: 1 });
 
         const orders = [
             {
@@ -75,37 +131,31 @@ describe('SyncService - upsertOrders', () => {
                 shopifyId: true,
             },
         });
-        expect(prisma.order.createMany).toHaveBeenCalledWith({
-            data: expect.arrayContaining([
-                expect.objectContaining({
-                    tenantId: mockTenantId,
-                    shopifyId: '1234567890',
-                    customerId: mockCustomerId,
-                    orderNumber: '1001',
-                    totalPrice: 99.99,
-                }),
-            ]),
-            skipDuplicates: true,
-        });
-        expect(prisma.order.updateMany).toHaveBeenCalled();
+        expect(upsertRows).toHaveBeenCalledWith('orders', ['tenantId', 'shopifyId'], [
+            expect.objectContaining({
+                tenantId: mockTenantId,
+                shopifyId: '1234567890',
+                customerId: mockCustomerId,
+                orderNumber: '1001',
+                totalPrice: 99.99,
+            }),
+        ], { timestamps: true });
 
-        // Verify line item operations
+        // Verify line item operations: upserted by (orderId, shopifyId), items no longer on the order deleted
         expect(prisma.order.findMany).toHaveBeenCalled();
-        expect(prisma.orderLineItem.deleteMany).toHaveBeenCalled();
-        expect(prisma.orderLineItem.createMany).toHaveBeenCalled();
+        expect(upsertRows).toHaveBeenCalledWith('order_line_items', ['orderId', 'shopifyId'], [
+            expect.objectContaining({ orderId: 'order-1', shopifyId: 'li-1', title: 'Product 1', quantity: 1, price: 99.99 }),
+        ]);
+        expect(prisma.orderLineItem.deleteMany).toHaveBeenCalledWith({
+            where: { OR: [{ orderId: 'order-1', shopifyId: { notIn: ['li-1'] } }] },
+        });
     });
 
     test('should handle orders without customer (guest checkout)', async () => {
-        // Mock batch operations
-        prisma.order.createMany.mockResolvedValue({ count: 1 });
-        prisma.order.updateMany.mockResolvedValue({ count: 1 });
-
         // Mock line item operations
         prisma.order.findMany.mockResolvedValue([
             { id: 'order-2', shopifyId: '1111111111' }
         ]);
-        prisma.orderLineItem.deleteMany.mockResolvedValue({ count: 0 });
-        prisma.orderLineItem.createMany.mockResolvedValue({ count: 0 });
 
         const orders = [
             {
@@ -121,35 +171,25 @@ describe('SyncService - upsertOrders', () => {
 
         expect(count).toBe(1);
         expect(prisma.customer.findMany).not.toHaveBeenCalled();
-        expect(prisma.order.createMany).toHaveBeenCalledWith({
-            data: expect.arrayContaining([
-                expect.objectContaining({
-                    tenantId: mockTenantId,
-                    shopifyId: '1111111111',
-                    customerId: null,
-                    orderNumber: '1002',
-                    totalPrice: 49.99,
-                }),
-            ]),
-            skipDuplicates: true,
-        });
-        expect(prisma.order.updateMany).toHaveBeenCalled();
+        expect(upsertRows).toHaveBeenCalledWith('orders', ['tenantId', 'shopifyId'], [
+            expect.objectContaining({
+                tenantId: mockTenantId,
+                shopifyId: '1111111111',
+                customerId: null,
+                orderNumber: '1002',
+                totalPrice: 49.99,
+            }),
+        ], { timestamps: true });
+        // Fetched without line items: the stored ones are kept
+        expect(prisma.orderLineItem.deleteMany).not.toHaveBeenCalled();
     });
 
     test('should handle multiple orders in sequence', async () => {
-        // Mock batch operations for multiple orders
-        prisma.order.createMany.mockResolvedValue({ count: 2 });
-        prisma.order.updateMany
-            .mockResolvedValueOnce({ count: 1 })
-            .mockResolvedValueOnce({ count: 1 });
-
         // Mock line item operations
         prisma.order.findMany.mockResolvedValue([
             { id: 'order-3', shopifyId: '111' },
             { id: 'order-4', shopifyId: '222' }
         ]);
-        prisma.orderLineItem.deleteMany.mockResolvedValue({ count: 0 });
-        prisma.orderLineItem.createMany.mockResolvedValue({ count: 0 });
 
         const orders = [
             {
@@ -171,7 +211,550 @@ describe('SyncService - upsertOrders', () => {
         const count = await upsertOrders(mockTenantId, orders);
 
         expect(count).toBe(2);
-        expect(prisma.order.createMany).toHaveBeenCalledTimes(1); // Batch operation
-        expect(prisma.order.updateMany).toHaveBeenCalledTimes(2); // One update per order
+        expect(upsertRows).toHaveBeenCalledTimes(1); // One statement for the batch
+        expect(upserted('orders').map(order => order.shopifyId)).toEqual(['111', '222']);
+    });
+});
+
+describe('SyncService - upsertOrders refunds', () => {
+    const tenantId = 'tenant-123';
+
+    function order(refunds) {
+        return {
+            shopifyId: '1001',
+            orderNumber: '#1001',
+            totalPrice: 50,
+            orderDate: new Date('2024-01-15'),
+            financialStatus: 'partially_refunded',
+            refunds,
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.order.findMany.mockResolvedValue([{ id: 'order-1', shopifyId: '1001' }]);
+        prisma.refund.findMany.mockResolvedValue([{ id: 'refund-1', shopifyId: '77' }]);
+    });
+
+    test('should store an order\'s refunds with their refunded items', async () => {
+        await upsertOrders(tenantId, [order([{
+            shopifyId: '77',
+            amount: 20,
+            note: 'Damaged',
+            refundedAt: new Date('2024-01-20T10:00:00Z'),
+            lineItems: [{ lineItemShopifyId: 'li-1', quantity: 1, subtotal: 20, restockType: 'return', restocked: true }],
+        }])]);
+
+        expect(upsertRows).toHaveBeenCalledWith('refunds', ['tenantId', 'shopifyId'], [{
+            tenantId,
+            orderId: 'order-1',
+            shopifyId: '77',
+            amount: 20,
+            note: 'Damaged',
+            refundedAt: new Date('2024-01-20T10:00:00Z'),
+        }], { timestamps: true });
+        expect(prisma.refundLineItem.deleteMany).toHaveBeenCalledWith({ where: { refundId: { in: ['refund-1'] } } });
+        expect(prisma.refundLineItem.createMany).toHaveBeenCalledWith({
+            data: [{ refundId: 'refund-1', lineItemShopifyId: 'li-1', quantity: 1, subtotal: 20, restockType: 'return', restocked: true }],
+        });
+    });
+
+    test('should keep stored refunded items for refunds that came without them', async () => {
+        await upsertOrders(tenantId, [order([{ shopifyId: '77', amount: 20, note: null, refundedAt: new Date('2024-01-20T10:00:00Z') }])]);
+
+        expect(upserted('refunds')).toHaveLength(1);
+        expect(prisma.refundLineItem.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('should leave refunds alone for orders fetched without them', async () => {
+        await upsertOrders(tenantId, [order(undefined)]);
+
+        expect(upserted('refunds')).toHaveLength(0);
+    });
+});
+
+describe('SyncService - line item products', () => {
+    const tenantId = 'tenant-123';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.order.findMany.mockResolvedValue([{ id: 'order-1', shopifyId: '1001' }]);
+        prisma.product.findMany.mockResolvedValue([{ id: 'product-1', shopifyId: '100' }]);
+        prisma.productVariant.findMany.mockResolvedValue([{ id: 'variant-1', shopifyId: '1000' }]);
+    });
+
+    test('should link line items to stored products and keep the Shopify ids of the rest', async () => {
+        await upsertOrders(tenantId, [{
+            shopifyId: '1001',
+            orderNumber: '#1001',
+            totalPrice: 30,
+            orderDate: new Date('2024-01-15'),
+            lineItems: [
+                { shopifyId: 'li-1', title: 'T-shirt - M', quantity: 1, price: 10, sku: 'TS-M', productShopifyId: '100', variantShopifyId: '1000' },
+                { shopifyId: 'li-2', title: 'Mug', quantity: 2, price: 10, sku: null, productShopifyId: '200', variantShopifyId: '2000' },
+                { shopifyId: 'li-3', title: 'Gift wrap', quantity: 1, price: 0, sku: null, productShopifyId: null, variantShopifyId: null },
+            ],
+        }]);
+
+        expect(prisma.product.findMany).toHaveBeenCalledWith({
+            where: { tenantId, shopifyId: { in: ['100', '200'] } },
+            select: { id: true, shopifyId: true },
+        });
+        expect(upserted('order_line_items')).toEqual([
+            expect.objectContaining({ shopifyId: 'li-1', sku: 'TS-M', productShopifyId: '100', productId: 'product-1', variantId: 'variant-1' }),
+            expect.objectContaining({ shopifyId: 'li-2', productShopifyId: '200', variantShopifyId: '2000', productId: null, variantId: null }),
+            expect.objectContaining({ shopifyId: 'li-3', productShopifyId: null, productId: null }),
+        ]);
+    });
+
+    test('should link stored line items to products as they sync', async () => {
+        await upsertProducts(tenantId, [{ shopifyId: '200', title: 'Mug', price: 10, variants: [{ shopifyId: '2000', price: 10 }] }]);
+
+        expect(prisma.$executeRaw).toHaveBeenCalledTimes(2);
+        const [productLink, variantLink] = prisma.$executeRaw.mock.calls;
+        expect(productLink.join('?')).toContain('SET "productId" = p.id');
+        expect(productLink.slice(1)).toEqual([tenantId, ['200'], tenantId]);
+        expect(variantLink.join('?')).toContain('SET "variantId" = v.id');
+        expect(variantLink.slice(1)).toEqual([tenantId, ['2000'], tenantId]);
+    });
+});
+
+describe('SyncService - upsertCustomers profile', () => {
+    const tenantId = 'tenant-123';
+
+    function address(shopifyId, fields = {}) {
+        return {
+            shopifyId,
+            firstName: 'Jane',
+            lastName: 'Doe',
+            company: null,
+            address1: '1 Main St',
+            address2: null,
+            city: 'Ottawa',
+            province: 'Ontario',
+            provinceCode: 'ON',
+            country: 'Canada',
+            countryCode: 'CA',
+            zip: 'K1A 0A1',
+            phone: null,
+            isDefault: false,
+            ...fields,
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.customer.findMany.mockResolvedValue([{ id: 'customer-1', shopifyId: '42' }]);
+    });
+
+    test('should store the profile and replace the customer\'s addresses', async () => {
+        await upsertCustomers(tenantId, [{
+            shopifyId: '42',
+            email: 'jane@example.com',
+            firstName: 'Jane',
+            lastName: 'Doe',
+            phone: '+16135550100',
+            state: 'enabled',
+            tags: ['vip'],
+            ordersCount: 3,
+            totalSpent: 120,
+            emailMarketingState: 'subscribed',
+            emailMarketingUpdatedAt: new Date('2024-02-01T00:00:00Z'),
+            smsMarketingState: 'not_subscribed',
+            addresses: [address('7', { isDefault: true }), address('8', { city: 'Toronto' })],
+        }]);
+
+        expect(upsertRows).toHaveBeenCalledWith('customers', ['tenantId', 'shopifyId'], [expect.objectContaining({
+            tenantId,
+            shopifyId: '42',
+            phone: '+16135550100',
+            state: 'enabled',
+            tags: ['vip'],
+            ordersCount: 3,
+            emailMarketingState: 'subscribed',
+            emailMarketingUpdatedAt: new Date('2024-02-01T00:00:00Z'),
+            smsMarketingState: 'not_subscribed',
+        })], { timestamps: true });
+        expect(prisma.customerAddress.deleteMany).toHaveBeenCalledWith({ where: { customerId: { in: ['customer-1'] } } });
+        expect(prisma.customerAddress.createMany).toHaveBeenCalledWith({
+            data: [
+                expect.objectContaining({ tenantId, customerId: 'customer-1', shopifyId: '7', countryCode: 'CA', isDefault: true }),
+                expect.objectContaining({ tenantId, customerId: 'customer-1', shopifyId: '8', city: 'Toronto', isDefault: false }),
+            ],
+        });
+    });
+
+    test('should leave stored profile fields and addresses alone when they are missing', async () => {
+        await upsertCustomers(tenantId, [{ shopifyId: '42', email: 'jane@example.com', totalSpent: 120 }]);
+
+        expect(upserted('customers')).toEqual([
+            { tenantId, shopifyId: '42', email: 'jane@example.com', firstName: null, lastName: null, totalSpent: 120 },
+        ]);
+        expect(prisma.customerAddress.deleteMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('SyncService - upsertProducts variants', () => {
+    const tenantId = 'tenant-123';
+
+    function variant(shopifyId, fields = {}) {
+        return {
+            shopifyId,
+            title: `Variant ${shopifyId}`,
+            sku: `SKU-${shopifyId}`,
+            options: [{ name: 'Size', value: shopifyId }],
+            price: 10,
+            compareAtPrice: null,
+            inventoryQuantity: 5,
+            inventoryItemId: `item-${shopifyId}`,
+            position: 1,
+            ...fields,
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.product.findMany.mockResolvedValue([{ id: 'product-1', shopifyId: '100' }]);
+    });
+
+    test('should store each product\'s variants and delete the ones Shopify dropped', async () => {
+        await upsertProducts(tenantId, [{
+            shopifyId: '100',
+            title: 'T-shirt',
+            price: 10,
+            variants: [variant('1'), variant('2', { compareAtPrice: 15, inventoryQuantity: 0 })],
+        }]);
+
+        expect(upsertRows).toHaveBeenCalledWith('product_variants', ['tenantId', 'shopifyId'], [
+            expect.objectContaining({ tenantId, productId: 'product-1', shopifyId: '1', sku: 'SKU-1', inventoryItemId: 'item-1' }),
+            expect.objectContaining({
+                tenantId,
+                productId: 'product-1',
+                shopifyId: '2',
+                price: 10,
+                compareAtPrice: 15,
+                inventoryQuantity: 0,
+                options: [{ name: 'Size', value: '2' }],
+            }),
+        ], { json: ['options'], timestamps: true });
+        expect(prisma.productVariant.deleteMany).toHaveBeenCalledWith({
+            where: { productId: 'product-1', shopifyId: { notIn: ['1', '2'] } },
+        });
+    });
+
+    test('should leave stored variants alone for products without a variants list', async () => {
+        await upsertProducts(tenantId, [{ shopifyId: '100', title: 'T-shirt', price: 10 }]);
+
+        expect(upserted('product_variants')).toHaveLength(0);
+        expect(prisma.productVariant.deleteMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('SyncService - syncAll incremental sync', () => {
+    const tenantId = 'tenant-123';
+    const domain = 'mystore.myshopify.com';
+    const mark = new Date('2024-03-01T12:00:00Z');
+
+    const customers = [
+        { shopifyId: '1', email: 'same@example.com', firstName: 'Sam', lastName: 'Same', totalSpent: 10, updatedAt: new Date('2024-03-02T08:00:00Z') },
+        { shopifyId: '2', email: 'new@example.com', firstName: 'Nia', lastName: 'New', totalSpent: 0, updatedAt: new Date('2024-03-03T09:30:00Z') },
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.tenant.findUnique.mockResolvedValue({ id: tenantId, shopifyDomain: domain });
+        prisma.syncCursor.findMany.mockResolvedValue([]);
+        fetchCustomersGraphQL.mockResolvedValue(customers);
+        fetchOrdersGraphQL.mockResolvedValue([]);
+        fetchProductsGraphQL.mockResolvedValue([]);
+        // Customer 1 is stored unchanged (Decimal totals come back as strings), customer 2 is new
+        prisma.customer.findMany.mockResolvedValue([
+            { shopifyId: '1', email: 'same@example.com', firstName: 'Sam', lastName: 'Same', totalSpent: '10.00' },
+        ]);
+        prisma.product.findMany.mockResolvedValue([]);
+        prisma.order.findMany.mockResolvedValue([]);
+    });
+
+    test('should crawl everything on the first run and store the newest updated_at', async () => {
+        const result = await syncAll(tenantId);
+
+        expect(fetchCustomersGraphQL).toHaveBeenCalledWith(domain, 'shpat_test', { updatedAtMin: null });
+        expect(result.fullResync).toBe(true);
+        expect(prisma.syncCursor.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { tenantId_resource: { tenantId, resource: 'customers' } },
+            create: expect.objectContaining({
+                updatedAtMark: new Date('2024-03-03T09:30:00Z'),
+                lastFullSyncAt: expect.any(Date),
+            }),
+        }));
+    });
+
+    test('should only fetch records updated since the stored cursors', async () => {
+        prisma.syncCursor.findMany.mockResolvedValue([
+            { resource: 'customers', updatedAtMark: mark },
+            { resource: 'products', updatedAtMark: mark },
+            { resource: 'orders', updatedAtMark: mark },
+        ]);
+
+        const result = await syncAll(tenantId);
+
+        expect(fetchCustomersGraphQL).toHaveBeenCalledWith(domain, 'shpat_test', { updatedAtMin: mark });
+        expect(fetchOrdersGraphQL).toHaveBeenCalledWith(domain, 'shpat_test', { updatedAtMin: mark, storedRefundIds: expect.any(Function) });
+        expect(fetchProductsGraphQL).toHaveBeenCalledWith(domain, 'shpat_test', { updatedAtMin: mark });
+        expect(result.fullResync).toBe(false);
+
+        // Nothing new for products: the mark stays where it was
+        const productCursor = prisma.syncCursor.upsert.mock.calls
+            .map(([args]) => args)
+            .find((args) => args.where.tenantId_resource.resource === 'products');
+        expect(productCursor.update.updatedAtMark).toBe(mark);
+        expect(productCursor.update.lastFullSyncAt).toBeUndefined();
+    });
+
+    test('should report fetched and changed counts', async () => {
+        const result = await syncAll(tenantId);
+
+        expect(result.customers).toEqual(expect.objectContaining({ fetched: 2, changed: 1 }));
+        expect(result.products).toEqual(expect.objectContaining({ fetched: 0, changed: 0 }));
+        expect(result.customersUpserted).toBe(2);
+    });
+
+    test('should ignore the cursors for a full resync', async () => {
+        prisma.syncCursor.findMany.mockResolvedValue([
+            { resource: 'customers', updatedAtMark: mark },
+        ]);
+
+        const result = await syncAll(tenantId, { fullResync: true });
+
+        expect(fetchCustomersGraphQL).toHaveBeenCalledWith(domain, 'shpat_test', { updatedAtMin: null });
+        expect(result.fullResync).toBe(true);
+    });
+});
+
+describe('SyncService - syncAll bulk backfill', () => {
+    const tenantId = 'tenant-123';
+    const domain = 'mystore.myshopify.com';
+    const operation = { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' };
+
+    function customerBatch(from, size) {
+        return Array.from({ length: size }, (_, i) => ({
+            shopifyId: String(from + i),
+            email: `c${from + i}@example.com`,
+            totalSpent: 0,
+            updatedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, from + i)),
+        }));
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.tenant.findUnique.mockResolvedValue({ id: tenantId, shopifyDomain: domain });
+        prisma.syncCursor.findMany.mockResolvedValue([]);
+        prisma.customer.findMany.mockResolvedValue([]);
+        prisma.product.findMany.mockResolvedValue([]);
+        prisma.order.findMany.mockResolvedValue([]);
+        fetchResourceCount.mockImplementation(async (shop, token, resource) => (resource === 'customers' ? 250000 : 12));
+        fetchOrdersGraphQL.mockResolvedValue([]);
+        fetchProductsGraphQL.mockResolvedValue([]);
+        startBulkQuery.mockResolvedValue(operation);
+        fetchBulkResults.mockImplementation(async (shop, token, op, resource, onBatch) => {
+            await onBatch(customerBatch(0, 1000));
+            await onBatch(customerBatch(1000, 500));
+            return 1500;
+        });
+    });
+
+    test('should export large stores in bulk on the first sync and upsert each batch', async () => {
+        // counts is updated in place, so keep a copy per call
+        const progress = [];
+        const onProgress = async (phase, counts) => progress.push([phase, JSON.parse(JSON.stringify(counts))]);
+
+        const result = await syncAll(tenantId, { onProgress });
+
+        expect(startBulkQuery).toHaveBeenCalledWith(domain, 'shpat_test', 'customers', { updatedAtMin: null });
+        expect(fetchCustomersGraphQL).not.toHaveBeenCalled();
+        expect(upserted('customers')).toHaveLength(1500);
+        expect(result.customers).toEqual(expect.objectContaining({ fetched: 1500, changed: 1500, bulk: true }));
+        expect(progress).toContainEqual(['customers', {
+            customers: { fetched: 1000, changed: 1000, since: null, bulk: true },
+        }]);
+        expect(prisma.syncCursor.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            create: expect.objectContaining({ resource: 'customers', updatedAtMark: new Date(Date.UTC(2024, 0, 1, 0, 0, 1499)) }),
+        }));
+
+        // Small resources still page
+        expect(startBulkQuery).not.toHaveBeenCalledWith(domain, 'shpat_test', 'orders', expect.anything());
+        expect(fetchOrdersGraphQL).toHaveBeenCalled();
+        expect(result.orders.bulk).toBeUndefined();
+    });
+
+    test('should page through incremental syncs without counting', async () => {
+        prisma.syncCursor.findMany.mockResolvedValue([
+            { resource: 'customers', updatedAtMark: new Date('2024-03-01T12:00:00Z') },
+        ]);
+        fetchCustomersGraphQL.mockResolvedValue([]);
+
+        await syncAll(tenantId);
+
+        expect(fetchResourceCount).not.toHaveBeenCalledWith(domain, 'shpat_test', 'customers');
+        expect(startBulkQuery).not.toHaveBeenCalledWith(domain, 'shpat_test', 'customers', expect.anything());
+        expect(fetchCustomersGraphQL).toHaveBeenCalled();
+    });
+
+    test('should fall back to paging when the bulk export cannot start', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        startBulkQuery.mockRejectedValue(new Error('Bulk operation could not start: already in progress'));
+        fetchCustomersGraphQL.mockResolvedValue(customerBatch(0, 3));
+
+        const result = await syncAll(tenantId);
+
+        expect(fetchBulkResults).not.toHaveBeenCalled();
+        expect(result.customers).toEqual(expect.objectContaining({ fetched: 3 }));
+        expect(result.customers.bulk).toBeUndefined();
+    });
+});
+
+describe('SyncService - syncAll order line item paging', () => {
+    const tenantId = 'tenant-123';
+    const domain = 'mystore.myshopify.com';
+    const { fetchOrdersGraphQL: fetchOrdersGraphQLActual } = jest.requireActual('../src/lib/shopifyGraphQL');
+
+    function lineItems(from, count) {
+        return Array.from({ length: count }, (_, i) => ({
+            id: `gid://shopify/LineItem/${from + i}`,
+            title: `Item ${from + i}`,
+            quantity: 1,
+            originalTotalSet: { shopMoney: { amount: '5.00' } },
+        }));
+    }
+
+    function orderNode(id, items, hasNextPage) {
+        return {
+            id: `gid://shopify/Order/${id}`,
+            name: `#${id}`,
+            createdAt: '2024-03-02T08:00:00Z',
+            updatedAt: '2024-03-02T08:00:00Z',
+            totalPriceSet: { shopMoney: { amount: '300.00' } },
+            lineItems: { nodes: items, pageInfo: { hasNextPage, endCursor: `cursor-${id}-${items.length}` } },
+        };
+    }
+
+    function lineItemsPage(items, hasNextPage, endCursor) {
+        return { data: { data: { order: { lineItems: { nodes: items, pageInfo: { hasNextPage, endCursor } } } } } };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.tenant.findUnique.mockResolvedValue({ id: tenantId, shopifyDomain: domain });
+        prisma.syncCursor.findMany.mockResolvedValue([]);
+        prisma.order.findMany.mockResolvedValue([{ id: 'order-1', shopifyId: '1' }, { id: 'order-2', shopifyId: '2' }]);
+        fetchCustomersGraphQL.mockResolvedValue([]);
+        fetchProductsGraphQL.mockResolvedValue([]);
+        fetchOrdersGraphQL.mockImplementation(fetchOrdersGraphQLActual);
+    });
+
+    test('should page in the rest of a 60-item order', async () => {
+        axios.post
+            .mockResolvedValueOnce({
+                data: {
+                    data: {
+                        orders: {
+                            edges: [
+                                { node: orderNode(1, lineItems(1, 10), true), cursor: 'o1' },
+                                { node: orderNode(2, lineItems(100, 2), false), cursor: 'o2' },
+                            ],
+                            pageInfo: { hasNextPage: false, endCursor: 'o2' },
+                        },
+                    },
+                },
+            })
+            .mockResolvedValueOnce(lineItemsPage(lineItems(11, 35), true, 'cursor-1-45'))
+            .mockResolvedValueOnce(lineItemsPage(lineItems(46, 15), false, 'cursor-1-60'));
+
+        const result = await syncAll(tenantId);
+
+        expect(axios.post).toHaveBeenCalledTimes(3);
+        const [, followUp] = axios.post.mock.calls[1];
+        expect(followUp.variables).toEqual({ id: 'gid://shopify/Order/1', first: 100, after: 'cursor-1-10' });
+        expect(axios.post.mock.calls[2][1].variables.after).toBe('cursor-1-45');
+
+        const stored = upserted('order_line_items');
+        const firstOrderItems = stored.filter((item) => item.orderId === 'order-1');
+        expect(firstOrderItems).toHaveLength(60);
+        expect(new Set(firstOrderItems.map((item) => item.shopifyId)).size).toBe(60);
+        expect(stored.filter((item) => item.orderId === 'order-2')).toHaveLength(2);
+
+        expect(result.orders).toEqual(expect.objectContaining({ fetched: 2, lineItemsPaged: 1 }));
+    });
+
+    function refundNode(id) {
+        return { id: `gid://shopify/Refund/${id}`, createdAt: '2024-03-03T08:00:00Z', note: null, totalRefundedSet: { shopMoney: { amount: '5.00' } } };
+    }
+
+    test('should fetch each refund\'s refunded items with a follow-up query', async () => {
+        prisma.refund.findMany
+            .mockResolvedValueOnce([])
+            .mockResolvedValue([{ id: 'refund-1', shopifyId: '77' }]);
+        const refunded = {
+            ...orderNode(1, lineItems(1, 2), false),
+            refunds: [{ id: 'gid://shopify/Refund/77', createdAt: '2024-03-03T08:00:00Z', note: null, totalRefundedSet: { shopMoney: { amount: '5.00' } } }],
+        };
+        axios.post
+            .mockResolvedValueOnce({
+                data: { data: { orders: { edges: [{ node: refunded, cursor: 'o1' }], pageInfo: { hasNextPage: false, endCursor: 'o1' } } } },
+            })
+            .mockResolvedValueOnce({
+                data: {
+                    data: {
+                        node: {
+                            refundLineItems: {
+                                nodes: [{ quantity: 1, restockType: 'RETURN', restocked: true, subtotalSet: { shopMoney: { amount: '5.00' } }, lineItem: { id: 'gid://shopify/LineItem/1' } }],
+                                pageInfo: { hasNextPage: false, endCursor: 'r1' },
+                            },
+                        },
+                    },
+                },
+            });
+
+        await syncAll(tenantId);
+
+        expect(axios.post).toHaveBeenCalledTimes(2);
+        expect(axios.post.mock.calls[0][1].query).not.toContain('refundLineItems');
+        expect(axios.post.mock.calls[1][1].variables).toEqual({ id: 'gid://shopify/Refund/77', first: 100, after: null });
+        expect(prisma.refundLineItem.createMany).toHaveBeenCalledWith({
+            data: [{ refundId: 'refund-1', lineItemShopifyId: '1', quantity: 1, subtotal: 5, restockType: 'return', restocked: true }],
+        });
+    });
+
+    test('should not refetch the items of refunds already stored with them', async () => {
+        prisma.refund.findMany.mockResolvedValueOnce([{ shopifyId: '77' }]).mockResolvedValue([]);
+        const refunded = { ...orderNode(1, lineItems(1, 2), false), refunds: [refundNode(77)] };
+        axios.post.mockResolvedValueOnce({
+            data: { data: { orders: { edges: [{ node: refunded, cursor: 'o1' }], pageInfo: { hasNextPage: false, endCursor: 'o1' } } } },
+        });
+
+        await syncAll(tenantId);
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        expect(prisma.refund.findMany.mock.calls[0][0].where).toEqual({ tenantId, shopifyId: { in: ['77'] }, lineItems: { some: {} } });
+        expect(prisma.refundLineItem.deleteMany).not.toHaveBeenCalled();
+        expect(upserted('refunds')).toEqual([expect.objectContaining({ shopifyId: '77', orderId: 'order-1' })]);
+    });
+
+    test('should fetch the full refund list of an order with a full first page of refunds', async () => {
+        const ids = Array.from({ length: 12 }, (_, i) => 100 + i);
+        prisma.refund.findMany.mockResolvedValueOnce(ids.map((id) => ({ shopifyId: String(id) }))).mockResolvedValue([]);
+        const refunded = { ...orderNode(1, lineItems(1, 2), false), refunds: ids.slice(0, 10).map(refundNode) };
+        axios.post
+            .mockResolvedValueOnce({
+                data: { data: { orders: { edges: [{ node: refunded, cursor: 'o1' }], pageInfo: { hasNextPage: false, endCursor: 'o1' } } } },
+            })
+            .mockResolvedValueOnce({ data: { data: { order: { refunds: ids.map(refundNode) } } } });
+
+        await syncAll(tenantId);
+
+        expect(axios.post).toHaveBeenCalledTimes(2);
+        expect(axios.post.mock.calls[1][1].query).toContain('getOrderRefunds');
+        expect(axios.post.mock.calls[1][1].variables).toEqual({ id: 'gid://shopify/Order/1' });
+        expect(upserted('refunds').map((refund) => refund.shopifyId)).toEqual(ids.map(String));
     });
 });
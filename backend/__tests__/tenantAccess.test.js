@@ -0,0 +1,120 @@
+// Unit tests for organization role enforcement on tenants
+const { verifyTenantAccess } = require('../src/lib/tenantAccess');
+const { hasPermission, compareRoles } = require('../src/lib/permissions');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    tenant: {
+        findUnique: jest.fn(),
+    },
+    membership: {
+        findUnique: jest.fn(),
+    },
+}));
+
+const prisma = require('../src/prisma');
+
+describe('Role permissions', () => {
+    test('viewers can read metrics but not sync or see credentials', () => {
+        expect(hasPermission('viewer', 'metrics:read')).toBe(true);
+        expect(hasPermission('viewer', 'sync:run')).toBe(false);
+        expect(hasPermission('viewer', 'tenant:credentials')).toBe(false);
+    });
+
+    test('analysts can sync but not manage stores or members', () => {
+        expect(hasPermission('analyst', 'sync:run')).toBe(true);
+        expect(hasPermission('analyst', 'tenant:manage')).toBe(false);
+        expect(hasPermission('analyst', 'members:manage')).toBe(false);
+    });
+
+    test('only admins and owners see customer contact details', () => {
+        expect(hasPermission('owner', 'customers:contact')).toBe(true);
+        expect(hasPermission('admin', 'customers:contact')).toBe(true);
+        expect(hasPermission('analyst', 'customers:contact')).toBe(false);
+        expect(hasPermission('viewer', 'customers:contact')).toBe(false);
+    });
+
+    test('only owners can delete an organization', () => {
+        expect(hasPermission('owner', 'org:delete')).toBe(true);
+        expect(hasPermission('admin', 'org:delete')).toBe(false);
+        expect(compareRoles('admin', 'owner')).toBeLessThan(0);
+    });
+
+    test('unknown roles grant nothing', () => {
+        expect(hasPermission(null, 'metrics:read')).toBe(false);
+        expect(hasPermission('superuser', 'metrics:read')).toBe(false);
+    });
+});
+
+describe('verifyTenantAccess', () => {
+    const user = { id: 'user-1' };
+    const orgTenant = { id: 'tenant-1', organizationId: 'org-1', userId: 'someone-else' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should allow a viewer to read metrics', async () => {
+        prisma.tenant.findUnique.mockResolvedValue(orgTenant);
+        prisma.membership.findUnique.mockResolvedValue({ role: 'viewer' });
+
+        const result = await verifyTenantAccess('tenant-1', { user }, 'metrics:read');
+
+        expect(result).toEqual({ valid: true, tenant: orgTenant, role: 'viewer' });
+        expect(prisma.membership.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+            where: { organizationId_userId: { organizationId: 'org-1', userId: 'user-1' } },
+        }));
+    });
+
+    test('should block a viewer from triggering a sync', async () => {
+        prisma.tenant.findUnique.mockResolvedValue(orgTenant);
+        prisma.membership.findUnique.mockResolvedValue({ role: 'viewer' });
+
+        const result = await verifyTenantAccess('tenant-1', { user }, 'sync:run');
+
+        expect(result.valid).toBe(false);
+        expect(result.status).toBe(403);
+        expect(result.error).toContain('viewer');
+    });
+
+    test('should deny users outside the organization', async () => {
+        prisma.tenant.findUnique.mockResolvedValue(orgTenant);
+        prisma.membership.findUnique.mockResolvedValue(null);
+
+        const result = await verifyTenantAccess('tenant-1', { user }, 'metrics:read');
+
+        expect(result.valid).toBe(false);
+        expect(result.status).toBe(403);
+    });
+
+    test('should treat the creator of a legacy tenant without an organization as owner', async () => {
+        const legacyTenant = { id: 'tenant-2', organizationId: null, userId: 'user-1' };
+        prisma.tenant.findUnique.mockResolvedValue(legacyTenant);
+
+        const result = await verifyTenantAccess('tenant-2', { user }, 'sync:run');
+
+        expect(result).toEqual({ valid: true, tenant: legacyTenant, role: 'owner' });
+        expect(prisma.membership.findUnique).not.toHaveBeenCalled();
+    });
+
+    test('should block members without 2FA when the organization requires it', async () => {
+        prisma.tenant.findUnique.mockResolvedValue({ ...orgTenant, organization: { require2fa: true } });
+        prisma.membership.findUnique.mockResolvedValue({ role: 'owner' });
+
+        const blocked = await verifyTenantAccess('tenant-1', { user }, 'metrics:read');
+        expect(blocked).toEqual(expect.objectContaining({ valid: false, status: 403, code: 'TWO_FACTOR_REQUIRED' }));
+
+        const enrolled = await verifyTenantAccess('tenant-1', { user: { ...user, totpEnabledAt: new Date() } }, 'metrics:read');
+        expect(enrolled.valid).toBe(true);
+    });
+
+    test('should honour API key tenant restrictions before role checks', async () => {
+        const result = await verifyTenantAccess('tenant-1', {
+            user,
+            apiKey: { scopes: ['read'], tenantIds: ['tenant-9'] },
+        }, 'metrics:read');
+
+        expect(result.valid).toBe(false);
+        expect(prisma.tenant.findUnique).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,82 @@
+// Unit tests for access token encryption at rest
+const crypto = require('crypto');
+const {
+    encryptAccessToken,
+    getTenantAccessToken,
+    getAccessTokenHint,
+    needsReencryption,
+} = require('../src/lib/tenantCredentials');
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+describe('tenantCredentials', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `1:${KEY_1}`;
+        delete process.env.TOKEN_ENCRYPTION_KEY_VERSION;
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    test('should round-trip a token without storing the plaintext', () => {
+        const fields = encryptAccessToken('shpat_secret1234');
+        const tenant = { id: 'tenant-1', ...fields };
+
+        expect(fields.accessToken).toBeNull();
+        expect(fields.accessTokenKeyVersion).toBe(1);
+        expect(JSON.stringify(fields)).not.toContain('shpat_secret1234');
+        expect(getTenantAccessToken(tenant)).toBe('shpat_secret1234');
+        expect(getAccessTokenHint(tenant)).toBe('…1234');
+    });
+
+    test('should use a fresh data key for every encryption', () => {
+        const first = encryptAccessToken('shpat_same');
+        const second = encryptAccessToken('shpat_same');
+
+        expect(first.accessTokenCiphertext).not.toBe(second.accessTokenCiphertext);
+        expect(first.accessTokenDataKey).not.toBe(second.accessTokenDataKey);
+    });
+
+    test('should reject tampered ciphertext without leaking details', () => {
+        const fields = encryptAccessToken('shpat_secret1234');
+        const [iv, tag] = fields.accessTokenCiphertext.split('.');
+        const tampered = { id: 'tenant-1', ...fields, accessTokenCiphertext: `${iv}.${tag}.AAAA` };
+
+        expect(() => getTenantAccessToken(tampered)).toThrow('Could not decrypt access token for tenant tenant-1');
+    });
+
+    test('should keep reading old rows after a new key is added', () => {
+        const tenant = { id: 'tenant-1', ...encryptAccessToken('shpat_old') };
+
+        process.env.TOKEN_ENCRYPTION_KEYS = `1:${KEY_1},2:${KEY_2}`;
+
+        expect(needsReencryption(tenant)).toBe(true);
+        expect(getTenantAccessToken(tenant)).toBe('shpat_old');
+
+        const rotated = { id: 'tenant-1', ...encryptAccessToken(getTenantAccessToken(tenant)) };
+        expect(rotated.accessTokenKeyVersion).toBe(2);
+        expect(needsReencryption(rotated)).toBe(false);
+
+        // Once the old key is removed only rotated rows can be read
+        process.env.TOKEN_ENCRYPTION_KEYS = `2:${KEY_2}`;
+        expect(getTenantAccessToken(rotated)).toBe('shpat_old');
+        expect(() => getTenantAccessToken(tenant)).toThrow();
+    });
+
+    test('should fall back to the legacy plaintext column until migrated', () => {
+        const legacy = { id: 'tenant-1', accessToken: 'shpat_legacy', accessTokenCiphertext: null };
+
+        expect(getTenantAccessToken(legacy)).toBe('shpat_legacy');
+        expect(needsReencryption(legacy)).toBe(true);
+    });
+
+    test('should refuse to encrypt without a configured key', () => {
+        delete process.env.TOKEN_ENCRYPTION_KEYS;
+
+        expect(() => encryptAccessToken('shpat_secret')).toThrow('TOKEN_ENCRYPTION_KEYS is not configured');
+    });
+});
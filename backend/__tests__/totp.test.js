@@ -0,0 +1,121 @@
+// Unit tests for TOTP codes, recovery codes and the login second factor
+const {
+    base32Encode,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+} = require('../src/lib/totp');
+const { verifySecondFactor } = require('../src/lib/twoFactor');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    $queryRaw: jest.fn(),
+    user: {
+        updateMany: jest.fn(),
+    },
+}));
+
+const prisma = require('../src/prisma');
+
+// RFC 6238 appendix B test secret
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+    test('should match the RFC 6238 SHA-1 test vectors', () => {
+        expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+        expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+        expect(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+    });
+
+    test('should accept codes from the adjacent time step only', () => {
+        const now = 1234567890 * 1000;
+        const step = Math.floor(1234567890 / 30);
+
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), { now })).toBe(step);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 3), { now })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    });
+
+    test('should refuse to reuse a code at or before the last accepted step', () => {
+        const now = 1234567890 * 1000;
+        const step = Math.floor(1234567890 / 30);
+        const code = generateTotp(RFC_SECRET, step);
+
+        expect(verifyTotp(RFC_SECRET, code, { now, lastUsedStep: step })).toBeNull();
+    });
+
+    test('should build an otpauth URI for authenticator apps', () => {
+        const uri = buildOtpauthUri(RFC_SECRET, 'owner@test.com');
+
+        expect(uri).toMatch(/^otpauth:\/\/totp\/Xeno%3Aowner%40test\.com\?/);
+        expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+    });
+
+    test('should generate unique recovery codes and hash them ignoring formatting', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+
+        expect(new Set(codes).size).toBe(10);
+        expect(hashes[0]).toBe(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')));
+    });
+});
+
+describe('verifySecondFactor', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const user = {
+        id: 'user-1',
+        totpSecret: RFC_SECRET,
+        totpEnabledAt: new Date(),
+        totpLastUsedStep: null,
+        totpRecoveryCodes: hashes,
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should accept a current authenticator code and record its step', async () => {
+        prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+        const result = await verifySecondFactor(user, generateTotp(RFC_SECRET));
+
+        expect(result).toEqual({ valid: true, method: 'totp' });
+        const step = prisma.user.updateMany.mock.calls[0][0].data.totpLastUsedStep;
+        expect(prisma.user.updateMany).toHaveBeenCalledWith({
+            where: { id: 'user-1', OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }] },
+            data: { totpLastUsedStep: step },
+        });
+    });
+
+    test('should reject a code another login accepted first', async () => {
+        prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(verifySecondFactor(user, generateTotp(RFC_SECRET))).resolves.toEqual({ valid: false });
+    });
+
+    test('should burn a recovery code when it is used', async () => {
+        prisma.$queryRaw.mockResolvedValue([{ remaining: 9 }]);
+
+        const result = await verifySecondFactor(user, codes[0]);
+
+        expect(result).toEqual({ valid: true, method: 'recovery_code', recoveryCodesRemaining: 9 });
+        const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+        expect(strings.join('?')).toContain('array_remove("totpRecoveryCodes", ?)');
+        expect(strings.join('?')).toContain('? = ANY("totpRecoveryCodes")');
+        expect(values).toEqual([hashes[0], 'user-1', hashes[0]]);
+    });
+
+    test('should reject a recovery code spent by a concurrent login', async () => {
+        prisma.$queryRaw.mockResolvedValue([]);
+
+        await expect(verifySecondFactor(user, codes[1])).resolves.toEqual({ valid: false });
+    });
+
+    test('should reject unknown codes and users without 2FA', async () => {
+        await expect(verifySecondFactor(user, '00000-00000')).resolves.toEqual({ valid: false });
+        await expect(verifySecondFactor({ ...user, totpEnabledAt: null }, generateTotp(RFC_SECRET))).resolves.toEqual({ valid: false });
+        expect(prisma.user.updateMany).not.toHaveBeenCalled();
+    });
+});
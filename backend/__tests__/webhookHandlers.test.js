@@ -0,0 +1,390 @@
+// Unit tests for applying webhook payloads
+const { handleWebhook } = require('../src/lib/webhookHandlers');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    $transaction: jest.fn((operations) => Promise.all(operations)),
+    tenant: {
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        updateMany: jest.fn(),
+    },
+    webhookSubscription: {
+        deleteMany: jest.fn(),
+    },
+    customer: {
+        deleteMany: jest.fn(),
+    },
+    product: {
+        deleteMany: jest.fn(),
+    },
+    productVariant: {
+        count: jest.fn(),
+        updateMany: jest.fn(),
+    },
+    order: {
+        findUnique: jest.fn(),
+        deleteMany: jest.fn(),
+    },
+}));
+
+jest.mock('../src/lib/syncService', () => ({
+    upsertCustomers: jest.fn(),
+    upsertProducts: jest.fn(),
+    upsertOrders: jest.fn(),
+    upsertRefunds: jest.fn(),
+}));
+
+jest.mock('../src/lib/shopifyGraphQL', () => ({
+    fetchInventoryItemQuantity: jest.fn(),
+}));
+
+jest.mock('../src/lib/tenantCredentials', () => ({
+    getTenantAccessToken: jest.fn(() => 'shpat_test'),
+}));
+
+const prisma = require('../src/prisma');
+const { upsertCustomers, upsertProducts, upsertOrders, upsertRefunds } = require('../src/lib/syncService');
+const { fetchInventoryItemQuantity } = require('../src/lib/shopifyGraphQL');
+
+const SHOP = 'mystore.myshopify.com';
+const tenant = { id: 'tenant-1', name: 'My Store', shopifyDomain: SHOP };
+
+describe('handleWebhook', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.tenant.findMany.mockResolvedValue([tenant]);
+    });
+
+    test('should delete the order named by orders/delete', async () => {
+        await expect(handleWebhook('orders/delete', SHOP, { id: 820982911946154500 }))
+            .resolves.toEqual({ handled: true });
+
+        expect(prisma.order.deleteMany).toHaveBeenCalledWith({
+            where: { tenantId: 'tenant-1', shopifyId: '820982911946154500' },
+        });
+    });
+
+    test('should delete customers and products for their delete topics', async () => {
+        await handleWebhook('customers/delete', SHOP, { id: 1 });
+        await handleWebhook('products/delete', SHOP, { id: 2 });
+
+        expect(prisma.customer.deleteMany).toHaveBeenCalledWith({ where: { tenantId: 'tenant-1', shopifyId: '1' } });
+        expect(prisma.product.deleteMany).toHaveBeenCalledWith({ where: { tenantId: 'tenant-1', shopifyId: '2' } });
+    });
+
+    test('should store the profile and addresses from customers/update', async () => {
+        await handleWebhook('customers/update', SHOP, {
+            id: 207119551,
+            email: 'bob@example.com',
+            first_name: 'Bob',
+            last_name: 'Norman',
+            phone: '+16136120707',
+            state: 'enabled',
+            tags: 'vip, wholesale',
+            orders_count: 2,
+            total_spent: '199.65',
+            email_marketing_consent: {
+                state: 'subscribed',
+                opt_in_level: 'single_opt_in',
+                consent_updated_at: '2024-03-01T12:00:00-05:00',
+            },
+            sms_marketing_consent: { state: 'not_subscribed' },
+            addresses: [
+                { id: 1053317291, first_name: 'Bob', city: 'Ottawa', province_code: 'ON', country_code: 'CA', default: true },
+                { id: 1053317292, city: 'Berlin', country_code: 'DE', default: false },
+            ],
+            updated_at: '2024-03-02T10:00:00-05:00',
+        });
+
+        expect(upsertCustomers).toHaveBeenCalledWith('tenant-1', [{
+            shopifyId: '207119551',
+            email: 'bob@example.com',
+            firstName: 'Bob',
+            lastName: 'Norman',
+            phone: '+16136120707',
+            state: 'enabled',
+            tags: ['vip', 'wholesale'],
+            ordersCount: 2,
+            totalSpent: 199.65,
+            emailMarketingState: 'subscribed',
+            emailMarketingUpdatedAt: new Date('2024-03-01T17:00:00Z'),
+            smsMarketingState: 'not_subscribed',
+            addresses: [
+                expect.objectContaining({ shopifyId: '1053317291', city: 'Ottawa', provinceCode: 'ON', countryCode: 'CA', isDefault: true }),
+                expect.objectContaining({ shopifyId: '1053317292', city: 'Berlin', provinceCode: null, countryCode: 'DE', isDefault: false }),
+            ],
+        }]);
+    });
+
+    test('should store cancellation details from orders/cancelled', async () => {
+        await handleWebhook('orders/cancelled', SHOP, {
+            id: 450789469,
+            order_number: 1001,
+            total_price: '199.00',
+            created_at: '2024-01-10T10:00:00Z',
+            financial_status: 'voided',
+            cancelled_at: '2024-01-11T09:30:00Z',
+            cancel_reason: 'customer',
+        });
+
+        expect(upsertOrders).toHaveBeenCalledWith('tenant-1', [expect.objectContaining({
+            shopifyId: '450789469',
+            financialStatus: 'voided',
+            cancelledAt: new Date('2024-01-11T09:30:00Z'),
+            cancelReason: 'customer',
+        })]);
+    });
+
+    test('should store amounts, fulfillment, discounts, channel and tags from orders/create', async () => {
+        await handleWebhook('orders/create', SHOP, {
+            id: 450789470,
+            order_number: 1002,
+            total_price: '105.50',
+            created_at: '2024-01-12T10:00:00Z',
+            financial_status: 'paid',
+            fulfillment_status: null,
+            currency: 'EUR',
+            subtotal_price: '100.00',
+            total_discounts: '10.00',
+            total_tax: '8.50',
+            total_shipping_price_set: { shop_money: { amount: '7.00', currency_code: 'EUR' } },
+            discount_codes: [{ code: 'WELCOME10', amount: '10.00', type: 'fixed_amount' }],
+            source_name: 'web',
+            tags: 'wholesale, vip',
+        });
+
+        expect(upsertOrders).toHaveBeenCalledWith('tenant-1', [expect.objectContaining({
+            financialStatus: 'paid',
+            fulfillmentStatus: 'unfulfilled',
+            cancelledAt: null,
+            currency: 'EUR',
+            subtotalPrice: 100,
+            totalDiscounts: 10,
+            totalTax: 8.5,
+            totalShipping: 7,
+            discountCodes: ['WELCOME10'],
+            sourceName: 'web',
+            tags: ['wholesale', 'vip'],
+        })]);
+    });
+
+    test('should store line items with their product and variant from orders/create', async () => {
+        await handleWebhook('orders/create', SHOP, {
+            id: 450789471,
+            total_price: '204.00',
+            created_at: '2024-01-12T10:00:00Z',
+            line_items: [
+                { id: 466157049, title: 'IPod Nano - 8gb', quantity: 1, price: '199.00', sku: 'IPOD2008GREEN', product_id: 632910392, variant_id: 39072856 },
+                { id: 466157050, title: 'Custom engraving', quantity: 1, price: '5.00', sku: '', product_id: null, variant_id: null },
+            ],
+        });
+
+        expect(upsertOrders).toHaveBeenCalledWith('tenant-1', [expect.objectContaining({
+            lineItems: [
+                { shopifyId: '466157049', title: 'IPod Nano - 8gb', quantity: 1, price: 199, sku: 'IPOD2008GREEN', productShopifyId: '632910392', variantShopifyId: '39072856' },
+                { shopifyId: '466157050', title: 'Custom engraving', quantity: 1, price: 5, sku: null, productShopifyId: null, variantShopifyId: null },
+            ],
+        })]);
+    });
+
+    test('should store the financial status from orders/paid', async () => {
+        await handleWebhook('orders/paid', SHOP, {
+            id: 450789469,
+            total_price: '199.00',
+            created_at: '2024-01-10T10:00:00Z',
+            financial_status: 'paid',
+            cancelled_at: null,
+        });
+
+        expect(upsertOrders).toHaveBeenCalledWith('tenant-1', [expect.objectContaining({
+            financialStatus: 'paid',
+            cancelledAt: null,
+        })]);
+    });
+
+    test('should store every variant from products/update', async () => {
+        await handleWebhook('products/update', SHOP, {
+            id: 632910392,
+            title: 'T-shirt',
+            vendor: 'Acme',
+            product_type: 'Shirts',
+            options: [{ name: 'Color', position: 2 }, { name: 'Size', position: 1 }],
+            variants: [
+                { id: 1, title: 'M / Blue', sku: 'TS-M-BLU', option1: 'M', option2: 'Blue', option3: null, price: '19.00', compare_at_price: '25.00', inventory_quantity: 7, inventory_item_id: 808950810, position: 1 },
+                { id: 2, title: 'L / Blue', sku: 'TS-L-BLU', option1: 'L', option2: 'Blue', option3: null, price: '21.00', compare_at_price: null, inventory_quantity: 0, inventory_item_id: 808950811, position: 2 },
+            ],
+        });
+
+        const [[, [product]]] = upsertProducts.mock.calls;
+        expect(product).toEqual(expect.objectContaining({ shopifyId: '632910392', price: 19 }));
+        expect(product.variants).toEqual([
+            {
+                shopifyId: '1',
+                title: 'M / Blue',
+                sku: 'TS-M-BLU',
+                options: [{ name: 'Size', value: 'M' }, { name: 'Color', value: 'Blue' }],
+                price: 19,
+                compareAtPrice: 25,
+                inventoryQuantity: 7,
+                inventoryItemId: '808950810',
+                position: 1,
+            },
+            expect.objectContaining({ shopifyId: '2', compareAtPrice: null, inventoryQuantity: 0 }),
+        ]);
+    });
+
+    test('should store the inventory item\'s total from inventory_levels/update', async () => {
+        prisma.productVariant.count.mockResolvedValue(1);
+        prisma.tenant.findUnique.mockResolvedValue(tenant);
+        prisma.productVariant.updateMany.mockResolvedValue({ count: 1 });
+        // 3 at this location, 12 across all locations
+        fetchInventoryItemQuantity.mockResolvedValue(12);
+
+        await handleWebhook('inventory_levels/update', SHOP, { inventory_item_id: 808950810, location_id: 905684977, available: 3 });
+
+        expect(fetchInventoryItemQuantity).toHaveBeenCalledWith(SHOP, 'shpat_test', '808950810');
+        expect(prisma.productVariant.updateMany).toHaveBeenCalledWith({
+            where: { tenantId: 'tenant-1', inventoryItemId: '808950810' },
+            data: { inventoryQuantity: 12 },
+        });
+    });
+
+    test('should skip inventory_levels/update for items no synced variant tracks', async () => {
+        prisma.productVariant.count.mockResolvedValue(0);
+
+        await expect(handleWebhook('inventory_levels/update', SHOP, { inventory_item_id: 1, location_id: 2, available: 3 }))
+            .resolves.toEqual({ handled: true });
+
+        expect(fetchInventoryItemQuantity).not.toHaveBeenCalled();
+        expect(prisma.productVariant.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should attach refunds/create to its order', async () => {
+        prisma.order.findUnique.mockResolvedValue({ id: 'order-1' });
+
+        await handleWebhook('refunds/create', SHOP, {
+            id: 509562969,
+            order_id: 450789469,
+            created_at: '2024-01-12T10:00:00Z',
+            processed_at: '2024-01-12T10:00:05Z',
+            note: 'Wrong size',
+            refund_line_items: [
+                { id: 104689539, line_item_id: 703073504, quantity: 1, subtotal: 195.67, restock_type: 'return' },
+                { id: 104689540, line_item_id: 703073505, quantity: 2, subtotal: 10, restock_type: 'no_restock' },
+            ],
+            transactions: [
+                { kind: 'refund', status: 'success', amount: '205.67' },
+                { kind: 'refund', status: 'failure', amount: '205.67' },
+            ],
+        });
+
+        expect(prisma.order.findUnique).toHaveBeenCalledWith({
+            where: { tenantId_shopifyId: { tenantId: 'tenant-1', shopifyId: '450789469' } },
+            select: { id: true },
+        });
+        expect(upsertRefunds).toHaveBeenCalledWith('tenant-1', [{
+            orderId: 'order-1',
+            shopifyId: '509562969',
+            amount: 205.67,
+            note: 'Wrong size',
+            refundedAt: new Date('2024-01-12T10:00:05Z'),
+            lineItems: [
+                { lineItemShopifyId: '703073504', quantity: 1, subtotal: 195.67, restockType: 'return', restocked: true },
+                { lineItemShopifyId: '703073505', quantity: 2, subtotal: 10, restockType: 'no_restock', restocked: false },
+            ],
+        }]);
+    });
+
+    test('should skip refunds/create for orders not synced yet', async () => {
+        prisma.order.findUnique.mockResolvedValue(null);
+
+        await expect(handleWebhook('refunds/create', SHOP, { id: 1, order_id: 2, created_at: '2024-01-12T10:00:00Z' }))
+            .resolves.toEqual({ handled: true });
+        expect(upsertRefunds).not.toHaveBeenCalled();
+    });
+
+    test('should disconnect the shop\'s tenants on app/uninstalled', async () => {
+        prisma.tenant.findMany.mockResolvedValue([{ id: 'tenant-1' }, { id: 'tenant-2' }]);
+
+        await expect(handleWebhook('app/uninstalled', SHOP, { id: 1, domain: SHOP }))
+            .resolves.toEqual({ handled: true });
+
+        expect(prisma.tenant.updateMany).toHaveBeenCalledWith({
+            where: { id: { in: ['tenant-1', 'tenant-2'] } },
+            data: { status: 'disconnected', disconnectedAt: expect.any(Date) },
+        });
+        expect(prisma.webhookSubscription.deleteMany).toHaveBeenCalledWith({
+            where: { tenantId: { in: ['tenant-1', 'tenant-2'] } },
+        });
+    });
+
+    test('should report unknown shops as unhandled', async () => {
+        prisma.tenant.findMany.mockResolvedValue([]);
+
+        await expect(handleWebhook('orders/delete', 'unknown.myshopify.com', { id: 1 }))
+            .resolves.toEqual({ handled: false, reason: 'Tenant not found' });
+        expect(prisma.order.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('should acknowledge bulk_operations/finish without touching store data', async () => {
+        await expect(handleWebhook('bulk_operations/finish', SHOP, {
+            admin_graphql_api_id: 'gid://shopify/BulkOperation/1',
+            status: 'completed',
+        })).resolves.toEqual({ handled: true });
+        expect(prisma.tenant.findMany).not.toHaveBeenCalled();
+    });
+
+    test('should report unsupported topics without looking up tenants', async () => {
+        await expect(handleWebhook('themes/publish', SHOP, { id: 1 }))
+            .resolves.toEqual({ handled: false, reason: 'Unsupported topic themes/publish' });
+        expect(prisma.tenant.findMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('handleWebhook with a store connected by several organizations', () => {
+    const tenants = [
+        { id: 'tenant-a', name: 'Org A store' },
+        { id: 'tenant-b', name: 'Org B store' },
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.tenant.findMany.mockResolvedValue(tenants);
+    });
+
+    test('should look up every active tenant for the shop domain', async () => {
+        await handleWebhook('customers/create', SHOP, { id: 42, email: 'jane@example.com' });
+
+        expect(prisma.tenant.findMany).toHaveBeenCalledWith({
+            where: { shopifyDomain: SHOP, status: 'active' },
+            select: { id: true, name: true },
+        });
+    });
+
+    test('should apply one delivery to each tenant', async () => {
+        await expect(handleWebhook('customers/create', SHOP, { id: 42, email: 'jane@example.com' }))
+            .resolves.toEqual({ handled: true });
+
+        expect(upsertCustomers).toHaveBeenCalledTimes(2);
+        expect(upsertCustomers).toHaveBeenCalledWith('tenant-a', [expect.objectContaining({ shopifyId: '42' })]);
+        expect(upsertCustomers).toHaveBeenCalledWith('tenant-b', [expect.objectContaining({ shopifyId: '42' })]);
+    });
+
+    test('should delete from each tenant', async () => {
+        await handleWebhook('orders/delete', SHOP, { id: 7 });
+
+        expect(prisma.order.deleteMany).toHaveBeenCalledWith({ where: { tenantId: 'tenant-a', shopifyId: '7' } });
+        expect(prisma.order.deleteMany).toHaveBeenCalledWith({ where: { tenantId: 'tenant-b', shopifyId: '7' } });
+    });
+
+    test('should still apply to the other tenants when one fails, then throw for a retry', async () => {
+        upsertOrders
+            .mockRejectedValueOnce(new Error('deadlock detected'))
+            .mockResolvedValueOnce(1);
+
+        await expect(handleWebhook('orders/create', SHOP, { id: 9, created_at: '2024-01-10T10:00:00Z' }))
+            .rejects.toThrow('orders/create failed for 1 of 2 tenants (tenant-a: deadlock detected)');
+        expect(upsertOrders).toHaveBeenCalledWith('tenant-b', expect.any(Array));
+    });
+});
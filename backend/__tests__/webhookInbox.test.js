@@ -0,0 +1,122 @@
+// Unit tests for the durable webhook inbox
+const {
+    MAX_ATTEMPTS,
+    retryDelayMs,
+    recordWebhookEvent,
+    processWebhookEvent,
+    replayWebhookEvent,
+} = require('../src/lib/webhookInbox');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    webhookEvent: {
+        create: jest.fn(),
+        findUnique: jest.fn(),
+        update: jest.fn(),
+        updateMany: jest.fn(),
+    },
+}));
+
+jest.mock('../src/lib/webhookHandlers', () => ({
+    handleWebhook: jest.fn(),
+}));
+
+const prisma = require('../src/prisma');
+const { handleWebhook } = require('../src/lib/webhookHandlers');
+
+const metadata = {
+    topic: 'orders/create',
+    shopDomain: 'mystore.myshopify.com',
+    apiVersion: '2024-01',
+    webhookId: 'b54557e4-bdd9-4b37-8a5f-bf7d70bcd043',
+    triggeredAt: '2024-01-15T17:00:00.000Z',
+};
+
+describe('recordWebhookEvent', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should store the delivery keyed by the webhook id', async () => {
+        prisma.webhookEvent.create.mockResolvedValue({ id: 'event-1' });
+
+        const result = await recordWebhookEvent(metadata, { id: 1 }, '{"id":1}');
+
+        expect(result).toEqual({ event: { id: 'event-1' }, duplicate: false });
+        expect(prisma.webhookEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ webhookId: metadata.webhookId, topic: 'orders/create', payload: { id: 1 } }),
+        });
+    });
+
+    test('should treat a repeated webhook id as a duplicate', async () => {
+        prisma.webhookEvent.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+        await expect(recordWebhookEvent(metadata, {}, '{}')).resolves.toEqual({ event: null, duplicate: true });
+    });
+
+    test('should surface database errors so Shopify retries', async () => {
+        prisma.webhookEvent.create.mockRejectedValue(new Error('connection lost'));
+
+        await expect(recordWebhookEvent(metadata, {}, '{}')).rejects.toThrow('connection lost');
+    });
+});
+
+describe('processWebhookEvent', () => {
+    const stored = { id: 'event-1', webhookId: metadata.webhookId, topic: 'orders/create', shopDomain: metadata.shopDomain, payload: { id: 1 } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.webhookEvent.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    test('should mark the event processed on success', async () => {
+        prisma.webhookEvent.findUnique.mockResolvedValue({ ...stored, attempts: 1 });
+        handleWebhook.mockResolvedValue({ handled: true });
+
+        await expect(processWebhookEvent('event-1')).resolves.toBe('processed');
+        expect(handleWebhook).toHaveBeenCalledWith('orders/create', metadata.shopDomain, { id: 1 });
+        expect(prisma.webhookEvent.update).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ status: 'processed' }),
+        }));
+    });
+
+    test('should schedule a retry with exponential backoff on failure', async () => {
+        prisma.webhookEvent.findUnique.mockResolvedValue({ ...stored, attempts: 3 });
+        handleWebhook.mockRejectedValue(new Error('deadlock detected'));
+
+        const before = Date.now();
+        await expect(processWebhookEvent('event-1')).resolves.toBe('failed');
+
+        const { data } = prisma.webhookEvent.update.mock.calls[0][0];
+        expect(data.status).toBe('failed');
+        expect(data.lastError).toBe('deadlock detected');
+        expect(data.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + retryDelayMs(3));
+        expect(retryDelayMs(3)).toBe(retryDelayMs(1) * 4);
+    });
+
+    test('should dead-letter the event after the last attempt', async () => {
+        prisma.webhookEvent.findUnique.mockResolvedValue({ ...stored, attempts: MAX_ATTEMPTS });
+        handleWebhook.mockRejectedValue(new Error('still broken'));
+
+        await expect(processWebhookEvent('event-1')).resolves.toBe('dead');
+    });
+
+    test('should skip events another worker already claimed', async () => {
+        prisma.webhookEvent.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(processWebhookEvent('event-1')).resolves.toBeNull();
+        expect(handleWebhook).not.toHaveBeenCalled();
+    });
+});
+
+describe('replayWebhookEvent', () => {
+    test('should only replay failed or dead events, with a fresh attempt budget', async () => {
+        prisma.webhookEvent.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(replayWebhookEvent('event-1')).resolves.toBe(false);
+        expect(prisma.webhookEvent.updateMany).toHaveBeenCalledWith({
+            where: { id: 'event-1', status: { in: ['failed', 'dead'] } },
+            data: expect.objectContaining({ status: 'pending', attempts: 0 }),
+        });
+    });
+});
@@ -0,0 +1,126 @@
+// Unit tests for Shopify webhook subscription reconciliation
+const {
+    WEBHOOK_TOPICS,
+    reconcileWebhookSubscriptions,
+    getWebhookStatus,
+} = require('../src/lib/webhookSubscriptions');
+
+// Mock Prisma
+jest.mock('../src/prisma', () => ({
+    webhookSubscription: {
+        upsert: jest.fn(),
+        deleteMany: jest.fn(),
+        findMany: jest.fn(),
+    },
+}));
+
+jest.mock('../src/lib/shopifyGraphQL', () => ({
+    graphqlRequest: jest.fn(),
+}));
+
+jest.mock('../src/lib/tenantCredentials', () => ({
+    getTenantAccessToken: jest.fn(() => 'shpat_test'),
+}));
+
+const prisma = require('../src/prisma');
+const { graphqlRequest } = require('../src/lib/shopifyGraphQL');
+
+const BASE_URL = 'https://api.example.com';
+const tenant = { id: 'tenant-1', shopifyDomain: 'mystore.myshopify.com' };
+
+function remoteSubscription(id, topic, callbackUrl) {
+    return { node: { id, topic, endpoint: { __typename: 'WebhookHttpEndpoint', callbackUrl } } };
+}
+
+// Answer the list query with `edges`, and mutations via the given handlers
+function mockShopify(edges, { onCreate, onDelete } = {}) {
+    graphqlRequest.mockImplementation(async (shop, token, query, variables) => {
+        if (query.includes('webhookSubscriptionCreate')) {
+            return { webhookSubscriptionCreate: onCreate(variables) };
+        }
+        if (query.includes('webhookSubscriptionDelete')) {
+            return { webhookSubscriptionDelete: onDelete(variables) };
+        }
+        return { webhookSubscriptions: { edges, pageInfo: { hasNextPage: false, endCursor: null } } };
+    });
+}
+
+describe('reconcileWebhookSubscriptions', () => {
+    const originalBaseUrl = process.env.WEBHOOK_BASE_URL;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.WEBHOOK_BASE_URL = BASE_URL;
+    });
+
+    afterAll(() => {
+        process.env.WEBHOOK_BASE_URL = originalBaseUrl;
+    });
+
+    test('should create every subscription for a new store', async () => {
+        const onCreate = jest.fn(({ topic }) => ({ webhookSubscription: { id: `gid://${topic}` }, userErrors: [] }));
+        mockShopify([], { onCreate });
+
+        const summary = await reconcileWebhookSubscriptions(tenant);
+
+        expect(summary).toEqual({ kept: 0, created: WEBHOOK_TOPICS.length, deleted: 0, failed: 0 });
+        expect(onCreate).toHaveBeenCalledWith({
+            topic: 'ORDERS_CREATE',
+            webhookSubscription: { callbackUrl: `${BASE_URL}/webhooks/shopify/orders/create`, format: 'JSON' },
+        });
+        expect(prisma.webhookSubscription.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { tenantId_topic: { tenantId: 'tenant-1', topic: 'orders/create' } },
+        }));
+    });
+
+    test('should keep matching subscriptions and delete stale ones', async () => {
+        const current = WEBHOOK_TOPICS.map((topic, i) => remoteSubscription(
+            `gid://${i}`,
+            topic.replace('/', '_').toUpperCase(),
+            `${BASE_URL}/webhooks/shopify/${topic}`
+        ));
+        const stale = [
+            remoteSubscription('gid://old-host', 'ORDERS_CREATE', 'https://old.example.com/webhooks/shopify/orders/create'),
+            remoteSubscription('gid://unused', 'CARTS_CREATE', `${BASE_URL}/webhooks/shopify/carts/create`),
+        ];
+        const onCreate = jest.fn();
+        const onDelete = jest.fn(({ id }) => ({ deletedWebhookSubscriptionId: id, userErrors: [] }));
+        mockShopify([...current, ...stale], { onCreate, onDelete });
+
+        const summary = await reconcileWebhookSubscriptions(tenant);
+
+        expect(summary).toEqual({ kept: WEBHOOK_TOPICS.length, created: 0, deleted: 2, failed: 0 });
+        expect(onCreate).not.toHaveBeenCalled();
+        expect(onDelete.mock.calls.map(([variables]) => variables.id)).toEqual(['gid://old-host', 'gid://unused']);
+    });
+
+    test('should record topics Shopify refuses as failed', async () => {
+        mockShopify([], {
+            onCreate: ({ topic }) => (topic === 'ORDERS_UPDATED'
+                ? { webhookSubscription: null, userErrors: [{ field: ['topic'], message: 'Access denied' }] }
+                : { webhookSubscription: { id: `gid://${topic}` }, userErrors: [] }),
+        });
+
+        const summary = await reconcileWebhookSubscriptions(tenant);
+
+        expect(summary.failed).toBe(1);
+        expect(prisma.webhookSubscription.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { tenantId_topic: { tenantId: 'tenant-1', topic: 'orders/updated' } },
+            update: expect.objectContaining({ status: 'failed', lastError: 'Access denied' }),
+        }));
+    });
+});
+
+describe('getWebhookStatus', () => {
+    test('should report topics without a recorded subscription as missing', async () => {
+        prisma.webhookSubscription.findMany.mockResolvedValue([
+            { topic: 'orders/create', status: 'active', callbackUrl: `${BASE_URL}/webhooks/shopify/orders/create` },
+        ]);
+
+        const status = await getWebhookStatus('tenant-1');
+
+        expect(status).toHaveLength(WEBHOOK_TOPICS.length);
+        expect(status.find((sub) => sub.topic === 'orders/create').status).toBe('active');
+        expect(status.find((sub) => sub.topic === 'customers/create').status).toBe('missing');
+    });
+});
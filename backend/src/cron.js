@@ -1,177 +1,316 @@
 /**
- * Automated Tenant Synchronization Cron Job
- * 
- * This module provides automated scheduled synchronization of all active tenants
- * with their Shopify stores. Runs every 10 minutes using node-cron.
- * 
- * Enable by setting ENABLE_CRON=true in environment variables.
+ * Scheduled Tenant Synchronization
+ *
+ * Syncs every active tenant with its Shopify store on its own schedule (sync_schedules): every
+ * SYNC_INTERVAL_MINUTES by default, or the tenant's intervalMinutes, plus random jitter so stores
+ * don't all sync at once. Failing tenants back off exponentially. Syncs run in-process through
+ * syncAll and are recorded as SyncRuns with trigger "cron".
+ *
+ * Several instances can run the scheduler: a Postgres advisory lock serializes claiming a tenant,
+ * and the claim is a lease on its schedule row, renewed while the sync runs, so only one of them
+ * syncs a given tenant at a time. The tenant's sync slot keeps it from overlapping a manual sync.
+ *
+ * Start it in the API process with ENABLE_CRON=true, or as a separate worker with `npm run worker` (src/worker.js).
  */
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const { createSyncRun, executeSyncRun } = require('./lib/syncRuns');
+const { acquireSyncSlot } = require('./lib/rateLimiter');
 
-const cron = require('node-cron');
-const { PrismaClient } = require('@prisma/client');
-const axios = require('axios');
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const DEFAULT_INTERVAL_MINUTES = intFromEnv('SYNC_INTERVAL_MINUTES', 10);
+const JITTER_PERCENT = intFromEnv('SYNC_JITTER_PERCENT', 10);
+const MAX_BACKOFF_MINUTES = intFromEnv('SYNC_MAX_BACKOFF_MINUTES', 24 * 60);
+const CONCURRENCY = intFromEnv('SYNC_SCHEDULER_CONCURRENCY', 2);
+const POLL_INTERVAL_MS = intFromEnv('SYNC_SCHEDULER_POLL_SECONDS', 60) * 1000;
+// A scheduled sync renews its tenant lease every third of this; a crashed instance's lease lapses after it
+const LEASE_MS = intFromEnv('SYNC_SCHEDULER_LEASE_MINUTES', 5) * 60 * 1000;
+const LEASE_RENEW_MS = Math.ceil(LEASE_MS / 3);
 
-const prisma = new PrismaClient();
+function intervalMsFor(schedule) {
+    return (schedule.intervalMinutes || DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+}
 
 /**
- * Sync a single tenant with Shopify
- * @param {Object} tenant - Tenant object from database
- * @returns {Promise<Object>} - Sync result
+ * When a tenant should sync next: its interval after a success, doubling with each consecutive
+ * failure (capped at SYNC_MAX_BACKOFF_MINUTES), plus up to SYNC_JITTER_PERCENT random jitter
+ * @param {{intervalMinutes?: number}} schedule
+ * @param {number} consecutiveFailures
+ * @param {Date} now
+ * @returns {Date}
  */
-async function syncTenant(tenant) {
-    try {
-        console.log(`[CRON] Starting sync for tenant: ${tenant.shopifyDomain}`);
-
-        // Call the sync API endpoint internally
-        const apiUrl = process.env.API_BASE_URL || 'http://localhost:3000';
-        const response = await axios.post(
-            `${apiUrl}/api/tenants/${tenant.id}/sync`,
-            {},
-            {
-                timeout: 120000, // 2 minute timeout for sync
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-            }
-        );
-
-        console.log(`[CRON] ✓ Sync completed for ${tenant.shopifyDomain}:`, {
-            customers: response.data.customersImported || 0,
-            orders: response.data.ordersImported || 0,
-            products: response.data.productsImported || 0,
-        });
+function nextRunAt(schedule, consecutiveFailures = 0, now = new Date()) {
+    const backoffMs = Math.min(
+        intervalMsFor(schedule) * 2 ** consecutiveFailures,
+        Math.max(MAX_BACKOFF_MINUTES * 60 * 1000, intervalMsFor(schedule))
+    );
+    const jitterMs = backoffMs * (JITTER_PERCENT / 100) * Math.random();
+    return new Date(now.getTime() + backoffMs + jitterMs);
+}
 
-        return {
-            success: true,
-            tenantId: tenant.id,
-            domain: tenant.shopifyDomain,
-            ...response.data,
-        };
-    } catch (error) {
-        console.error(`[CRON] ✗ Sync failed for ${tenant.shopifyDomain}:`, {
-            error: error.message,
-            status: error.response?.status,
-            data: error.response?.data,
-        });
+/**
+ * Create schedules for active tenants that don't have one yet
+ * First runs are spread over one interval rather than all starting at once
+ * @returns {Promise<number>} - Schedules created
+ */
+async function ensureSyncSchedules() {
+    const tenants = await prisma.tenant.findMany({
+        where: { status: 'active', syncSchedule: { is: null } },
+        select: { id: true },
+    });
+    if (tenants.length === 0) return 0;
 
-        return {
-            success: false,
+    const now = Date.now();
+    const { count } = await prisma.syncSchedule.createMany({
+        data: tenants.map((tenant) => ({
             tenantId: tenant.id,
-            domain: tenant.shopifyDomain,
-            error: error.message,
-        };
-    }
+            nextRunAt: new Date(now + Math.random() * DEFAULT_INTERVAL_MINUTES * 60 * 1000),
+        })),
+        skipDuplicates: true,
+    });
+    return count;
 }
 
 /**
- * Sync all active tenants sequentially
+ * Claim a due tenant's schedule row for this instance
+ * The claim runs under the tenant's transaction-scoped advisory lock, so instances never race
+ * for it; the lock is released as soon as the claim commits, and the lease itself (LEASE_MS,
+ * renewed while the sync runs) keeps other instances off the tenant during the sync. A crashed
+ * instance's lease simply lapses
+ * @param {string} tenantId
+ * @returns {Promise<{token?: string, locked: boolean}>} - locked is false if another instance holds
+ *          the advisory lock; token is missing if the tenant is leased or no longer due
  */
-async function syncAllTenants() {
-    const startTime = Date.now();
-    console.log(`[CRON] ======== Starting tenant sync job at ${new Date().toISOString()} ========`);
+function claimTenantLease(tenantId) {
+    return prisma.$transaction(async (tx) => {
+        const [{ locked }] = await tx.$queryRaw`
+            SELECT pg_try_advisory_xact_lock(hashtextextended(${`sync:${tenantId}`}, 0)) AS locked
+        `;
+        if (!locked) {
+            return { locked: false };
+        }
 
-    try {
-        // Fetch all active tenants from database
-        const tenants = await prisma.tenant.findMany({
+        const now = new Date();
+        const token = crypto.randomUUID();
+        const { count } = await tx.syncSchedule.updateMany({
             where: {
-                // Add any filtering criteria here (e.g., active status)
-                // isActive: true,
-            },
-            select: {
-                id: true,
-                shopifyDomain: true,
-                shopName: true,
+                tenantId,
+                enabled: true,
+                nextRunAt: { lte: now },
+                OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
             },
+            data: { lockedBy: token, lockedUntil: new Date(now.getTime() + LEASE_MS) },
         });
 
-        console.log(`[CRON] Found ${tenants.length} tenant(s) to sync`);
+        return count === 1 ? { locked: true, token } : { locked: true };
+    });
+}
+
+/**
+ * Keep renewing a tenant lease until the returned function is called
+ * @returns {function} - Stops renewing
+ */
+function renewTenantLease(tenantId, token) {
+    const timer = setInterval(() => {
+        prisma.syncSchedule.updateMany({
+            where: { tenantId, lockedBy: token },
+            data: { lockedUntil: new Date(Date.now() + LEASE_MS) },
+        }).catch((error) => console.error(`[CRON] Error renewing lease for tenant ${tenantId}:`, error.message));
+    }, LEASE_RENEW_MS);
+    timer.unref();
 
-        if (tenants.length === 0) {
-            console.log('[CRON] No tenants to sync, skipping job');
-            return;
-        }
+    return () => clearInterval(timer);
+}
 
-        // Sync each tenant sequentially to avoid overwhelming the system
-        const results = [];
-        for (const tenant of tenants) {
-            const result = await syncTenant(tenant);
-            results.push(result);
+/**
+ * Schedule a tenant's next run from the outcome of this one and give up its lease
+ * Only applies while this instance still holds the lease
+ * @param {object} schedule - The schedule as claimed (intervalMinutes, consecutiveFailures)
+ * @param {string} token - Lease token
+ * @param {{status: string, error?: string, retryAfterSeconds?: number}} outcome
+ */
+async function finishTenantLease(schedule, token, { status, error, retryAfterSeconds }) {
+    const now = new Date();
+    let data;
 
-            // Small delay between syncs to prevent rate limiting
-            await new Promise((resolve) => setTimeout(resolve, 2000));
-        }
+    if (status === 'throttled') {
+        // Not a failure: try again once the manual sync's interval has passed
+        data = { nextRunAt: new Date(now.getTime() + retryAfterSeconds * 1000) };
+    } else if (status === 'succeeded') {
+        data = { lastRunAt: now, nextRunAt: nextRunAt(schedule, 0, now), consecutiveFailures: 0, lastError: null };
+    } else {
+        const failures = schedule.consecutiveFailures + 1;
+        data = {
+            lastRunAt: now,
+            nextRunAt: nextRunAt(schedule, failures, now),
+            consecutiveFailures: failures,
+            lastError: error,
+        };
+    }
+
+    await prisma.syncSchedule.updateMany({
+        where: { tenantId: schedule.tenantId, lockedBy: token },
+        data: { ...data, lockedBy: null, lockedUntil: null },
+    });
+}
 
-        // Summary
-        const successful = results.filter((r) => r.success).length;
-        const failed = results.filter((r) => !r.success).length;
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+/**
+ * Sync one due tenant and schedule its next run
+ * The next run is scheduled whatever happens, so a sync that throws counts as a failure and
+ * backs off rather than staying due
+ * @param {{tenantId: string, intervalMinutes?: number, consecutiveFailures: number}} schedule
+ * @returns {Promise<string>} - succeeded, failed, throttled (a manual sync holds the slot),
+ *          locked (another instance is syncing it) or not_due (another instance just did)
+ */
+async function syncScheduledTenant(schedule) {
+    const { tenantId } = schedule;
 
-        console.log(`[CRON] ======== Sync job completed in ${duration}s ========`);
-        console.log(`[CRON] Summary: ${successful} successful, ${failed} failed`);
+    const { locked, token } = await claimTenantLease(tenantId);
+    if (!locked) {
+        return 'locked';
+    }
+    if (!token) {
+        const current = await prisma.syncSchedule.findUnique({ where: { tenantId } });
+        return current && current.lockedUntil > new Date() ? 'locked' : 'not_due';
+    }
 
-        if (failed > 0) {
-            console.warn('[CRON] Failed tenants:', results.filter((r) => !r.success).map((r) => r.domain));
+    const stopRenewing = renewTenantLease(tenantId, token);
+    let current = schedule;
+    let outcome = { status: 'failed', error: 'Scheduled sync did not finish' };
+
+    try {
+        // Another instance may have finished this tenant since we listed it
+        current = (await prisma.syncSchedule.findUnique({ where: { tenantId } })) || schedule;
+
+        const slot = await acquireSyncSlot(tenantId);
+        if (!slot.allowed) {
+            outcome = { status: 'throttled', retryAfterSeconds: slot.retryAfterSeconds };
+            return outcome.status;
         }
+
+        try {
+            const run = await createSyncRun({ tenantId, trigger: 'cron' });
+            const finished = await executeSyncRun(run.id);
+            outcome = { status: finished.status, error: finished.error };
+        } finally {
+            await slot.release();
+        }
+        return outcome.status;
     } catch (error) {
-        console.error('[CRON] Fatal error during sync job:', error);
+        outcome = { status: 'failed', error: error.message };
+        throw error;
+    } finally {
+        stopRenewing();
+        // Don't let a failed schedule update hide the sync's own error; the lease lapses anyway
+        try {
+            await finishTenantLease(current, token, outcome);
+        } catch (error) {
+            console.error(`[CRON] Error scheduling the next sync for tenant ${tenantId}:`, error.message);
+        }
     }
 }
 
 /**
- * Initialize cron job
- * Schedule: Every 10 minutes (* /10 * * * *)
+ * Run fn over items with at most `limit` in flight
  */
-function initializeCronJobs() {
-    const isEnabled = process.env.ENABLE_CRON === 'true';
-
-    if (!isEnabled) {
-        console.log('[CRON] Cron jobs are DISABLED. Set ENABLE_CRON=true to enable.');
-        return;
-    }
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
 
-    console.log('[CRON] Initializing cron jobs...');
-
-    // Schedule: Every 10 minutes
-    const job = cron.schedule('*/10 * * * *', async () => {
-        await syncAllTenants();
-    }, {
-        scheduled: true,
-        timezone: 'UTC', // Use UTC for consistency across deployments
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
     });
 
-    console.log('[CRON] ✓ Cron job scheduled: Tenant sync every 10 minutes');
+    await Promise.all(workers);
+    return results;
+}
 
-    // Run initial sync on startup (optional - uncomment if desired)
-    // console.log('[CRON] Running initial sync on startup...');
-    // syncAllTenants();
+/**
+ * Sync every tenant whose schedule is due, SYNC_SCHEDULER_CONCURRENCY at a time
+ * @returns {Promise<Object>} - Tenants per outcome, e.g. { succeeded: 3, failed: 1 }
+ */
+async function runDueSyncs() {
+    await ensureSyncSchedules();
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
-        console.log('[CRON] SIGTERM received, stopping cron jobs...');
-        job.stop();
-        prisma.$disconnect();
-        process.exit(0);
+    const now = new Date();
+    const due = await prisma.syncSchedule.findMany({
+        where: {
+            enabled: true,
+            nextRunAt: { lte: now },
+            // Skip stores another sync still holds
+            OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
+            // Uninstalled stores have no valid token until they are reconnected
+            tenant: { status: 'active' },
+        },
+        orderBy: { nextRunAt: 'asc' },
+        // One batch per poll; the rest stay due for the next one
+        take: CONCURRENCY * 5,
     });
 
-    process.on('SIGINT', () => {
-        console.log('[CRON] SIGINT received, stopping cron jobs...');
-        job.stop();
-        prisma.$disconnect();
-        process.exit(0);
+    const outcomes = await mapWithConcurrency(due, CONCURRENCY, async (schedule) => {
+        try {
+            return await syncScheduledTenant(schedule);
+        } catch (error) {
+            console.error(`[CRON] Error syncing tenant ${schedule.tenantId}:`, error.message);
+            return 'error';
+        }
     });
 
-    return job;
+    const summary = {};
+    for (const outcome of outcomes) {
+        summary[outcome] = (summary[outcome] || 0) + 1;
+    }
+    if (due.length > 0) {
+        console.log(`[CRON] Synced ${due.length} due tenant(s):`, summary);
+    }
+    return summary;
+}
+
+let pollTimer = null;
+
+/**
+ * Start polling for due tenants
+ */
+function startSyncScheduler() {
+    if (pollTimer) return;
+
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runDueSyncs();
+        } catch (error) {
+            console.error('[CRON] Error running scheduled syncs:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+    tick();
+
+    console.log(`[CRON] Sync scheduler started (polling every ${POLL_INTERVAL_MS / 1000}s, ${CONCURRENCY} at a time)`);
+}
+
+function stopSyncScheduler() {
+    clearInterval(pollTimer);
+    pollTimer = null;
 }
 
-// Export for use in main application
 module.exports = {
-    initializeCronJobs,
-    syncAllTenants, // For manual triggering
-    syncTenant, // For testing individual tenants
+    nextRunAt,
+    ensureSyncSchedules,
+    syncScheduledTenant,
+    runDueSyncs,
+    startSyncScheduler,
+    stopSyncScheduler,
 };
 
-// If running this file directly (for testing)
-if (require.main === module) {
-    console.log('[CRON] Running in standalone mode for testing...');
-    initializeCronJobs();
-}
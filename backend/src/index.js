@@ -11,19 +11,36 @@ const webhooksRouter = require('./routes/webhooks');
 const metricsRouter = require('./routes/metrics');
 const authRouter = require('./routes/auth');
 const shopifyAuthRouter = require('./routes/shopify-auth');
+const apiKeysRouter = require('./routes/apiKeys');
+const organizationsRouter = require('./routes/organizations');
+const twoFactorRouter = require('./routes/twoFactor');
+const webhookEventsRouter = require('./routes/webhookEvents');
+const privacyRequestsRouter = require('./routes/privacyRequests');
+const productsRouter = require('./routes/products');
+const customersRouter = require('./routes/customers');
+const { startWebhookWorker } = require('./lib/webhookInbox');
+const { startStaleRunSweeper, stopStaleRunSweeper } = require('./lib/syncRuns');
+const { startSyncScheduler } = require('./cron');
+const { checkMailTransport } = require('./lib/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Behind a load balancer req.ip must come from X-Forwarded-For, or every client shares one rate limit
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // CORS middleware - allow requests from frontend
 
 
 app.use(cors({
   origin: true,            // reflect request origin (works with credentials)
   credentials: true,
-  methods: ['GET','POST','PUT','DELETE','OPTIONS'],
+  methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
   // include your custom header(s) here (case-insensitive)
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Email', 'x-user-email'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
 // Middleware for parsing JSON (except for webhooks which need raw body)
@@ -55,12 +72,19 @@ app.get('/health', (req, res) => {
 });
 
 // Mount routes
+app.use('/api/tenants/:tenantId/webhook-events', webhookEventsRouter);
+app.use('/api/tenants/:tenantId/privacy-requests', privacyRequestsRouter);
+app.use('/api/tenants/:tenantId/products', productsRouter);
+app.use('/api/tenants/:tenantId/customers', customersRouter);
 app.use('/api/tenants', tenantsRouter);
 app.use('/api/ingest', ingestRouter);
 app.use('/webhooks/shopify', webhooksRouter);
 app.use('/api/metrics', metricsRouter);
+app.use('/api/auth/2fa', twoFactorRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/shopify', shopifyAuthRouter);
+app.use('/api/api-keys', apiKeysRouter);
+app.use('/api/organizations', organizationsRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -83,17 +107,32 @@ app.listen(PORT, async () => {
     } catch (error) {
         console.error('❌ Database connection failed:', error.message);
     }
+
+    checkMailTransport();
+
+    // Retry webhook deliveries that failed or were interrupted
+    startWebhookWorker();
+
+    // Syncs run in-process, so runs left running by a crashed process will never finish
+    startStaleRunSweeper();
+
+    // Scheduled syncs, unless they run in a separate worker (npm run worker)
+    if (process.env.ENABLE_CRON === 'true') {
+        startSyncScheduler();
+    }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    stopStaleRunSweeper();
     await prisma.$disconnect();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    stopStaleRunSweeper();
     await prisma.$disconnect();
     process.exit(0);
 });
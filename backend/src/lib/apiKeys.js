@@ -0,0 +1,110 @@
+// Personal API key generation and verification
+// Keys look like "xeno_<prefix>_<secret>"; only a SHA-256 hash is stored
+const crypto = require('crypto');
+const prisma = require('../prisma');
+
+const API_KEY_PREFIX = 'xeno_';
+
+// "read": metrics and tenant listing, "sync": trigger ingestion, "contacts": customer contact
+// details and addresses (with "read", for owners and admins)
+const API_KEY_SCOPES = ['read', 'sync', 'contacts'];
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {{key: string, prefix: string, keyHash: string}} - key is only ever returned once
+ */
+function generateApiKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+
+    return {
+        key,
+        prefix,
+        keyHash: hashApiKey(key),
+    };
+}
+
+/**
+ * Check whether a bearer token looks like an API key (as opposed to a JWT)
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Look up and validate an API key
+ * @param {string} key - Full API key as presented by the client
+ * @returns {Promise<object|null>} - ApiKey record with its user, or null if invalid/expired/revoked
+ */
+async function verifyApiKey(key) {
+    const match = key.match(/^xeno_([a-f0-9]+)_/);
+    if (!match) {
+        return null;
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { prefix: match[1] },
+        include: {
+            user: {
+                select: {
+                    id: true,
+                    email: true,
+                    name: true,
+                    totpEnabledAt: true,
+                },
+            },
+        },
+    });
+
+    if (!apiKey) {
+        return null;
+    }
+
+    // Timing-safe comparison of the stored hash
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(hashApiKey(key), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    if (apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return null;
+    }
+
+    // Best-effort usage tracking, never blocks the request
+    prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date() },
+    }).catch(error => console.warn('Failed to record API key usage:', error.message));
+
+    return apiKey;
+}
+
+/**
+ * Check whether an API key may access a tenant
+ * @param {object} apiKey - ApiKey record (or null for interactive sessions)
+ * @param {string} tenantId
+ * @returns {boolean}
+ */
+function apiKeyAllowsTenant(apiKey, tenantId) {
+    if (!apiKey || !apiKey.tenantIds || apiKey.tenantIds.length === 0) {
+        return true;
+    }
+    return apiKey.tenantIds.includes(tenantId);
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    generateApiKey,
+    hashApiKey,
+    isApiKey,
+    verifyApiKey,
+    apiKeyAllowsTenant,
+};
@@ -0,0 +1,80 @@
+// Access/refresh token issuing and verification (signed JWTs)
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60; // 7 days
+const ISSUER = 'xeno-shopify-backend';
+
+function getSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return secret;
+}
+
+/**
+ * Issue a short-lived access token and a long-lived refresh token for a user
+ * @param {object} user - User record (id, email, tokenVersion)
+ * @returns {{accessToken: string, refreshToken: string, expiresIn: number}}
+ */
+function issueTokenPair(user) {
+    const secret = getSecret();
+
+    // The token version lets us revoke every outstanding token for a user
+    // (logout, password change) by bumping User.tokenVersion
+    const accessToken = jwt.sign(
+        { typ: 'access', email: user.email, ver: user.tokenVersion || 0 },
+        secret,
+        { subject: user.id, issuer: ISSUER, expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+
+    const refreshToken = jwt.sign(
+        { typ: 'refresh', ver: user.tokenVersion || 0 },
+        secret,
+        { subject: user.id, issuer: ISSUER, expiresIn: REFRESH_TOKEN_TTL_SECONDS }
+    );
+
+    return {
+        accessToken,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    };
+}
+
+function verifyToken(token, expectedType) {
+    const payload = jwt.verify(token, getSecret(), { issuer: ISSUER });
+
+    if (payload.typ !== expectedType) {
+        throw new Error(`Expected ${expectedType} token`);
+    }
+
+    return payload;
+}
+
+/**
+ * Verify an access token
+ * @param {string} token
+ * @returns {object} - Decoded payload (sub = user id, ver = token version)
+ * @throws if the token is invalid, expired or not an access token
+ */
+function verifyAccessToken(token) {
+    return verifyToken(token, 'access');
+}
+
+/**
+ * Verify a refresh token
+ * @param {string} token
+ * @returns {object} - Decoded payload (sub = user id, ver = token version)
+ * @throws if the token is invalid, expired or not a refresh token
+ */
+function verifyRefreshToken(token) {
+    return verifyToken(token, 'refresh');
+}
+
+module.exports = {
+    issueTokenPair,
+    verifyAccessToken,
+    verifyRefreshToken,
+    ACCESS_TOKEN_TTL_SECONDS,
+};
@@ -0,0 +1,105 @@
+// Pluggable outgoing email
+// Transports receive a normalized message and deliver it; the active one is
+// chosen with MAIL_TRANSPORT (default "console"). Production deployments can
+// register their own provider transport with registerTransport().
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Links in account emails carry live single-use tokens (?token=...)
+function redactTokens(text) {
+    return text.replace(/([?&]token=)[^&\s]+/g, '$1[redacted]');
+}
+
+/**
+ * Log the message to stdout (local development default)
+ * In production the tokens in links are redacted, so logs never hold a usable reset or
+ * verification link
+ */
+async function consoleTransport(message) {
+    const text = process.env.NODE_ENV === 'production' ? redactTokens(message.text) : message.text;
+
+    console.log([
+        '📧 Email (console transport)',
+        `To: ${message.to}`,
+        `From: ${message.from}`,
+        `Subject: ${message.subject}`,
+        '',
+        text,
+    ].join('\n'));
+}
+
+/**
+ * Write each message as a JSON file under MAIL_FILE_DIR (default ./mail-outbox)
+ * Handy for inspecting links in development or asserting on them in smoke tests
+ */
+async function fileTransport(message) {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+}
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport,
+};
+
+/**
+ * Register (or replace) a named transport
+ * @param {string} name - Value to select it with via MAIL_TRANSPORT
+ * @param {function(object): Promise<void>} transport
+ */
+function registerTransport(name, transport) {
+    transports[name] = transport;
+}
+
+function getTransport() {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Available: ${Object.keys(transports).join(', ')}`);
+    }
+
+    return transport;
+}
+
+/**
+ * Warn when production would send account emails nowhere a user can read them
+ * Call once at startup
+ */
+function checkMailTransport() {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (process.env.NODE_ENV === 'production' && (name === 'console' || name === 'file')) {
+        console.warn(`⚠️  MAIL_TRANSPORT is "${name}" in production: password reset and verification emails are not delivered. Register a provider with registerTransport().`);
+    }
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html? }
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text, html }) {
+    if (!to || !subject || !text) {
+        throw new Error('sendMail requires to, subject and text');
+    }
+
+    await getTransport()({
+        from: process.env.MAIL_FROM || 'Xeno <no-reply@xeno.local>',
+        to,
+        subject,
+        text,
+        html,
+        sentAt: new Date().toISOString(),
+    });
+}
+
+module.exports = {
+    sendMail,
+    registerTransport,
+    checkMailTransport,
+    consoleTransport,
+};
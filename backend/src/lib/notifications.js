@@ -0,0 +1,83 @@
+// Transactional emails sent to users
+const { sendMail } = require('./mailer');
+const { issueUserToken } = require('./userTokens');
+
+/**
+ * Build a link to a frontend page
+ * @param {string} pathname - e.g. "/auth/reset-password"
+ * @param {object} params - Query parameters
+ * @returns {string}
+ */
+function frontendUrl(pathname, params = {}) {
+    const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+}
+
+/**
+ * Email a fresh verification link to a user
+ * @param {object} user - { id, email, name }
+ */
+async function sendVerificationEmail(user) {
+    const { token } = await issueUserToken(user.id, 'email_verification');
+    const link = frontendUrl('/auth/verify-email', { token });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your Xeno email address',
+        text: [
+            `Hi ${user.name || user.email},`,
+            '',
+            'Confirm your email address by opening the link below:',
+            link,
+            '',
+            'If you did not create a Xeno account you can ignore this email.',
+        ].join('\n'),
+    });
+}
+
+/**
+ * Email a password reset link to a user
+ * @param {object} user - { id, email, name }
+ */
+async function sendPasswordResetEmail(user) {
+    const { token, expiresAt } = await issueUserToken(user.id, 'password_reset');
+    const link = frontendUrl('/auth/reset-password', { token });
+    const minutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your Xeno password',
+        text: [
+            `Hi ${user.name || user.email},`,
+            '',
+            `Someone asked to reset the password for your account. This link works once and expires in ${minutes} minutes:`,
+            link,
+            '',
+            'If this was not you, you can ignore this email - your password has not changed.',
+        ].join('\n'),
+    });
+}
+
+/**
+ * Email an organization invitation link
+ * @param {object} invitation - { email, role, inviteUrl, organizationName, invitedBy }
+ */
+async function sendInvitationEmail({ email, role, inviteUrl, organizationName, invitedBy }) {
+    await sendMail({
+        to: email,
+        subject: `You've been invited to ${organizationName} on Xeno`,
+        text: [
+            `${invitedBy.name || invitedBy.email} invited you to join ${organizationName} as ${role}.`,
+            '',
+            'Accept the invitation here:',
+            inviteUrl,
+        ].join('\n'),
+    });
+}
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendInvitationEmail,
+};
@@ -0,0 +1,74 @@
+// Server-side OAuth `state` for Shopify installs
+// The state is bound to the user and organization that started the install and
+// expires quickly; only a SHA-256 hash is stored
+const crypto = require('crypto');
+const prisma = require('../prisma');
+
+const OAUTH_STATE_TTL_MINUTES = parseInt(process.env.OAUTH_STATE_TTL_MINUTES, 10) || 10;
+
+function hashState(state) {
+    return crypto.createHash('sha256').update(state, 'utf8').digest('hex');
+}
+
+/**
+ * Create and store a state for a new install
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.organizationId
+ * @param {string} params.shop - Normalized shop domain
+ * @returns {Promise<string>} - State to send to Shopify
+ */
+async function createOAuthState({ userId, organizationId, shop }) {
+    const state = crypto.randomBytes(32).toString('base64url');
+
+    await prisma.$transaction([
+        // Housekeeping: drop this user's stale installs
+        prisma.oAuthState.deleteMany({
+            where: { userId, expiresAt: { lte: new Date() } },
+        }),
+        prisma.oAuthState.create({
+            data: {
+                stateHash: hashState(state),
+                userId,
+                organizationId,
+                shop,
+                expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000),
+            },
+        }),
+    ]);
+
+    return state;
+}
+
+/**
+ * Redeem a state exactly once
+ * @param {string} state - State returned by Shopify on the callback
+ * @param {string} shop - Normalized shop domain from the callback
+ * @returns {Promise<object|null>} - The stored install (userId, organizationId, shop), or null if invalid
+ */
+async function consumeOAuthState(state, shop) {
+    if (!state || typeof state !== 'string') {
+        return null;
+    }
+
+    const stored = await prisma.oAuthState.findUnique({
+        where: { stateHash: hashState(state) },
+    });
+
+    if (!stored || stored.usedAt || stored.expiresAt <= new Date() || stored.shop !== shop) {
+        return null;
+    }
+
+    // Conditional update so a replayed callback cannot use it twice
+    const { count } = await prisma.oAuthState.updateMany({
+        where: { id: stored.id, usedAt: null },
+        data: { usedAt: new Date() },
+    });
+
+    return count === 1 ? stored : null;
+}
+
+module.exports = {
+    createOAuthState,
+    consumeOAuthState,
+};
@@ -0,0 +1,146 @@
+// Organization membership and invitation helpers
+const crypto = require('crypto');
+const prisma = require('../prisma');
+const { hasPermission } = require('./permissions');
+const { TWO_FACTOR_REQUIRED_MESSAGE, isBlockedByTwoFactorPolicy } = require('./twoFactor');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+function personalOrganizationName(user) {
+    return `${user.name || user.email}'s Workspace`;
+}
+
+/**
+ * Get a user's role in an organization
+ * @param {string} organizationId
+ * @param {string} userId
+ * @returns {Promise<string|null>} - Role, or null if the user is not a member
+ */
+async function getMembershipRole(organizationId, userId) {
+    const membership = await prisma.membership.findUnique({
+        where: {
+            organizationId_userId: { organizationId, userId },
+        },
+        select: { role: true },
+    });
+
+    return membership ? membership.role : null;
+}
+
+/**
+ * Verify that a user may perform an action within an organization
+ * @param {string} organizationId
+ * @param {object} user - { id, totpEnabledAt }
+ * @param {string} permission - e.g. "members:manage"
+ * @returns {Promise<{valid: boolean, status?: number, error?: string, code?: string, role?: string}>}
+ */
+async function verifyOrganizationAccess(organizationId, user, permission) {
+    const membership = await prisma.membership.findUnique({
+        where: {
+            organizationId_userId: { organizationId, userId: user.id },
+        },
+        select: {
+            role: true,
+            organization: { select: { require2fa: true } },
+        },
+    });
+
+    if (!membership) {
+        return { valid: false, status: 404, error: 'Organization not found' };
+    }
+
+    const { role } = membership;
+
+    if (isBlockedByTwoFactorPolicy(membership.organization, user)) {
+        return {
+            valid: false,
+            status: 403,
+            error: TWO_FACTOR_REQUIRED_MESSAGE,
+            code: 'TWO_FACTOR_REQUIRED',
+            role,
+        };
+    }
+
+    if (!hasPermission(role, permission)) {
+        return {
+            valid: false,
+            status: 403,
+            error: `Access denied - your ${role} role does not allow this action`,
+            role,
+        };
+    }
+
+    return { valid: true, role };
+}
+
+/**
+ * Resolve the organization new stores are connected to when none is specified:
+ * the oldest organization the user owns, creating a personal one if needed
+ * @param {object} user - { id, email, name }
+ * @returns {Promise<string>} - Organization id
+ */
+async function getDefaultOrganizationId(user) {
+    const membership = await prisma.membership.findFirst({
+        where: {
+            userId: user.id,
+            role: 'owner',
+        },
+        orderBy: { createdAt: 'asc' },
+        select: { organizationId: true },
+    });
+
+    if (membership) {
+        return membership.organizationId;
+    }
+
+    const organization = await prisma.organization.create({
+        data: {
+            name: personalOrganizationName(user),
+            memberships: {
+                create: { userId: user.id, role: 'owner' },
+            },
+        },
+    });
+
+    return organization.id;
+}
+
+function hashInvitationToken(token) {
+    return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+/**
+ * Generate a single-use invitation token
+ * @returns {{token: string, tokenHash: string, expiresAt: Date}} - token is only ever returned once
+ */
+function generateInvitationToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    return {
+        token,
+        tokenHash: hashInvitationToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    };
+}
+
+/**
+ * Build the frontend link an invitee follows to accept an invitation
+ * @param {string} token
+ * @returns {string}
+ */
+function buildInvitationUrl(token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const url = new URL(`${frontendUrl}/invitations/accept`);
+    url.searchParams.set('token', token);
+    return url.toString();
+}
+
+module.exports = {
+    personalOrganizationName,
+    getMembershipRole,
+    verifyOrganizationAccess,
+    getDefaultOrganizationId,
+    generateInvitationToken,
+    hashInvitationToken,
+    buildInvitationUrl,
+};
@@ -0,0 +1,72 @@
+// Organization roles and the permissions they grant
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'analyst', 'admin', 'owner'];
+
+const ROLE_PERMISSIONS = {
+    owner: [
+        'metrics:read',
+        'customers:contact',
+        'sync:run',
+        'tenant:manage',
+        'tenant:credentials',
+        'members:manage',
+        'org:manage',
+        'org:delete',
+    ],
+    admin: [
+        'metrics:read',
+        'customers:contact',
+        'sync:run',
+        'tenant:manage',
+        'tenant:credentials',
+        'members:manage',
+        'org:manage',
+    ],
+    analyst: [
+        'metrics:read',
+        'sync:run',
+    ],
+    viewer: [
+        'metrics:read',
+    ],
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - owner | admin | analyst | viewer
+ * @param {string} permission - e.g. "sync:run"
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+}
+
+/**
+ * List every permission granted by a role
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+/**
+ * Compare two roles by privilege
+ * @returns {number} - negative if a < b, 0 if equal, positive if a > b
+ */
+function compareRoles(a, b) {
+    return ROLES.indexOf(a) - ROLES.indexOf(b);
+}
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+module.exports = {
+    ROLES,
+    hasPermission,
+    permissionsFor,
+    compareRoles,
+    isValidRole,
+};
@@ -0,0 +1,204 @@
+// Shopify's mandatory privacy webhooks
+// customers/data_request assembles an export of everything we store about a customer and queues it
+// for the merchant; customers/redact removes the customer; shop/redact (sent 48 hours after the app
+// is uninstalled) purges the store. Each request is recorded in privacy_requests with its outcome.
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+
+const PRIVACY_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+
+/**
+ * Stable key for a request, so inbox retries and duplicate deliveries update one audit record
+ */
+function requestKeyFor(topic, shopDomain, payload) {
+    return crypto.createHash('sha256').update(`${topic}:${shopDomain}:${JSON.stringify(payload)}`).digest('hex');
+}
+
+async function findShopTenants(shopDomain) {
+    return prisma.tenant.findMany({
+        where: { shopifyDomain: shopDomain },
+        select: { id: true, name: true },
+    });
+}
+
+/**
+ * Collect the customer row with their addresses, their orders and the requested orders, with line items, for every
+ * tenant of the shop
+ * @param {string} shopDomain
+ * @param {string|null} customerShopifyId
+ * @param {string[]} orderIds - Shopify order ids named in the request
+ * @returns {Promise<{export: object, summary: object}>}
+ */
+async function exportCustomerData(shopDomain, customerShopifyId, orderIds) {
+    const tenants = await findShopTenants(shopDomain);
+    const stores = [];
+
+    for (const tenant of tenants) {
+        const customer = customerShopifyId
+            ? await prisma.customer.findFirst({
+                where: { tenantId: tenant.id, shopifyId: customerShopifyId },
+                include: { addresses: true },
+            })
+            : null;
+
+        const orderMatch = [
+            ...(customer ? [{ customerId: customer.id }] : []),
+            ...(orderIds.length ? [{ shopifyId: { in: orderIds } }] : []),
+        ];
+        const orders = orderMatch.length
+            ? await prisma.order.findMany({
+                where: { tenantId: tenant.id, OR: orderMatch },
+                include: { lineItems: true },
+                orderBy: { orderDate: 'asc' },
+            })
+            : [];
+
+        if (customer || orders.length) {
+            stores.push({ tenantId: tenant.id, storeName: tenant.name, customer, orders });
+        }
+    }
+
+    const data = {
+        shopDomain,
+        customerShopifyId,
+        generatedAt: new Date().toISOString(),
+        stores,
+    };
+
+    return {
+        // Decimals and dates as JSON strings
+        export: JSON.parse(JSON.stringify(data)),
+        summary: {
+            customers: stores.filter((store) => store.customer).length,
+            orders: stores.reduce((sum, store) => sum + store.orders.length, 0),
+        },
+    };
+}
+
+/**
+ * Delete the customer (and their addresses) from every tenant of the shop, along with stored webhook
+ * payloads and earlier exports that identify them. Their orders are kept for analytics without the
+ * customer link.
+ */
+async function redactCustomer(shopDomain, customerShopifyId) {
+    const tenantIds = (await findShopTenants(shopDomain)).map((tenant) => tenant.id);
+    const numericId = Number(customerShopifyId);
+
+    const [customers, webhookEvents] = await prisma.$transaction([
+        prisma.customer.deleteMany({
+            where: { tenantId: { in: tenantIds }, shopifyId: customerShopifyId },
+        }),
+        prisma.webhookEvent.deleteMany({
+            where: {
+                shopDomain,
+                NOT: { topic: { in: PRIVACY_TOPICS } },
+                OR: [
+                    { topic: { startsWith: 'customers/' }, payload: { path: ['id'], equals: numericId } },
+                    { topic: { startsWith: 'orders/' }, payload: { path: ['customer', 'id'], equals: numericId } },
+                ],
+            },
+        }),
+        prisma.privacyRequest.updateMany({
+            where: { shopDomain, topic: 'customers/data_request', customerShopifyId },
+            data: { export: Prisma.DbNull },
+        }),
+    ]);
+
+    return {
+        summary: { customersDeleted: customers.count, webhookEventsDeleted: webhookEvents.count },
+    };
+}
+
+/**
+ * Delete every tenant of the shop (customers, products, orders and subscriptions cascade),
+ * its stored webhooks and pending installs, and clear earlier exports; audit records stay
+ */
+async function redactShop(shopDomain) {
+    const tenantIds = (await findShopTenants(shopDomain)).map((tenant) => tenant.id);
+
+    const [tenants, webhookEvents] = await prisma.$transaction([
+        prisma.tenant.deleteMany({
+            where: { id: { in: tenantIds } },
+        }),
+        prisma.webhookEvent.deleteMany({
+            // Keep the shop/redact delivery being processed
+            where: { shopDomain, topic: { not: 'shop/redact' } },
+        }),
+        prisma.oAuthState.deleteMany({
+            where: { shop: shopDomain },
+        }),
+        prisma.privacyRequest.updateMany({
+            where: { shopDomain },
+            data: { export: Prisma.DbNull },
+        }),
+    ]);
+
+    return {
+        summary: { tenantsDeleted: tenants.count, webhookEventsDeleted: webhookEvents.count },
+    };
+}
+
+/**
+ * Record and carry out a privacy request; throws (after recording the failure) so the inbox retries
+ * @param {string} topic - One of PRIVACY_TOPICS
+ * @param {string} shopDomain
+ * @param {object} payload - Webhook body
+ * @returns {Promise<{handled: boolean}>}
+ */
+async function handlePrivacyWebhook(topic, shopDomain, payload) {
+    const customerShopifyId = payload.customer?.id ? String(payload.customer.id) : null;
+    const ordersRequested = (payload.orders_requested || payload.orders_to_redact || []).map(String);
+    const requestKey = requestKeyFor(topic, shopDomain, payload);
+
+    const request = await prisma.privacyRequest.upsert({
+        where: { requestKey },
+        create: {
+            requestKey,
+            topic,
+            shopDomain,
+            customerShopifyId,
+            shopifyRequestId: payload.data_request?.id ? String(payload.data_request.id) : null,
+            ordersRequested,
+        },
+        update: { status: 'pending', lastError: null },
+    });
+
+    try {
+        let result;
+        if (topic === 'customers/data_request') {
+            result = await exportCustomerData(shopDomain, customerShopifyId, ordersRequested);
+        } else if (topic === 'customers/redact') {
+            if (!customerShopifyId) {
+                throw new Error('customers/redact payload is missing customer.id');
+            }
+            result = await redactCustomer(shopDomain, customerShopifyId);
+        } else {
+            result = await redactShop(shopDomain);
+        }
+
+        await prisma.privacyRequest.update({
+            where: { id: request.id },
+            data: {
+                status: 'completed',
+                completedAt: new Date(),
+                summary: result.summary,
+                ...(result.export && { export: result.export }),
+            },
+        });
+    } catch (error) {
+        await prisma.privacyRequest.update({
+            where: { id: request.id },
+            data: { status: 'failed', lastError: error.message },
+        });
+        throw error;
+    }
+
+    console.log(`Privacy request ${topic} for ${shopDomain} completed (${request.id})`);
+    return { handled: true };
+}
+
+module.exports = {
+    PRIVACY_TOPICS,
+    handlePrivacyWebhook,
+};
@@ -0,0 +1,169 @@
+// Counter storage for rate limiting
+// Both stores implement fixed-window counters:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a new window once the old one has expired)
+//   decrement(key)           -> void                (never below zero, keeps the window)
+//   extend(key, windowMs)    -> void                (restarts a live window from now)
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)               -> void
+// Select with RATE_LIMIT_STORE=memory|postgres. Defaults to postgres in production so limits
+// are shared between instances, and to memory elsewhere so local development needs no setup.
+const prisma = require('../prisma');
+
+// Expired entries are swept every N increments
+const SWEEP_EVERY = 500;
+
+function createMemoryStore() {
+    const buckets = new Map();
+    let increments = 0;
+
+    function sweep(now) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt.getTime() <= now) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    function live(key, now = Date.now()) {
+        const bucket = buckets.get(key);
+        if (!bucket || bucket.resetAt.getTime() <= now) {
+            return null;
+        }
+        return bucket;
+    }
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            if (++increments % SWEEP_EVERY === 0) {
+                sweep(now);
+            }
+
+            const bucket = live(key, now) || { count: 0, resetAt: new Date(now + windowMs) };
+            bucket.count += 1;
+            buckets.set(key, bucket);
+
+            return { count: bucket.count, resetAt: bucket.resetAt };
+        },
+
+        async decrement(key) {
+            const bucket = live(key);
+            if (bucket) {
+                bucket.count = Math.max(bucket.count - 1, 0);
+            }
+        },
+
+        async extend(key, windowMs) {
+            const bucket = live(key);
+            if (bucket) {
+                bucket.resetAt = new Date(Date.now() + windowMs);
+            }
+        },
+
+        async get(key) {
+            const bucket = live(key);
+            return bucket ? { count: bucket.count, resetAt: bucket.resetAt } : null;
+        },
+
+        async reset(key) {
+            buckets.delete(key);
+        },
+    };
+}
+
+function createPostgresStore() {
+    let increments = 0;
+
+    return {
+        async increment(key, windowMs) {
+            const now = new Date();
+            const resetAt = new Date(now.getTime() + windowMs);
+
+            // Single statement so concurrent requests cannot lose updates
+            const [bucket] = await prisma.$queryRaw`
+                INSERT INTO rate_limit_buckets ("key", "count", "resetAt")
+                VALUES (${key}, 1, ${resetAt})
+                ON CONFLICT ("key") DO UPDATE SET
+                    "count" = CASE WHEN rate_limit_buckets."resetAt" <= ${now} THEN 1 ELSE rate_limit_buckets."count" + 1 END,
+                    "resetAt" = CASE WHEN rate_limit_buckets."resetAt" <= ${now} THEN EXCLUDED."resetAt" ELSE rate_limit_buckets."resetAt" END
+                RETURNING "count", "resetAt"
+            `;
+
+            if (++increments % SWEEP_EVERY === 0) {
+                prisma.rateLimitBucket.deleteMany({ where: { resetAt: { lte: now } } })
+                    .catch((error) => console.error('Error sweeping rate limit buckets:', error));
+            }
+
+            return { count: Number(bucket.count), resetAt: new Date(bucket.resetAt) };
+        },
+
+        async decrement(key) {
+            await prisma.$executeRaw`
+                UPDATE rate_limit_buckets SET "count" = GREATEST("count" - 1, 0) WHERE "key" = ${key}
+            `;
+        },
+
+        async extend(key, windowMs) {
+            const now = new Date();
+            await prisma.$executeRaw`
+                UPDATE rate_limit_buckets SET "resetAt" = ${new Date(now.getTime() + windowMs)}
+                WHERE "key" = ${key} AND "resetAt" > ${now}
+            `;
+        },
+
+        async get(key) {
+            const bucket = await prisma.rateLimitBucket.findUnique({
+                where: { key },
+            });
+
+            if (!bucket || bucket.resetAt <= new Date()) {
+                return null;
+            }
+            return { count: bucket.count, resetAt: bucket.resetAt };
+        },
+
+        async reset(key) {
+            await prisma.rateLimitBucket.deleteMany({
+                where: { key },
+            });
+        },
+    };
+}
+
+let store = null;
+
+/**
+ * Get the process-wide rate limit store
+ * @returns {object}
+ */
+function getRateLimitStore() {
+    if (!store) {
+        const defaultStore = process.env.NODE_ENV === 'production' ? 'postgres' : 'memory';
+        const name = process.env.RATE_LIMIT_STORE || defaultStore;
+
+        if (name === 'postgres') {
+            store = createPostgresStore();
+        } else if (name === 'memory') {
+            store = createMemoryStore();
+        } else {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use "memory" or "postgres".`);
+        }
+    }
+
+    return store;
+}
+
+/**
+ * Replace the process-wide store (tests)
+ * @param {object|null} replacement
+ */
+function setRateLimitStore(replacement) {
+    store = replacement;
+}
+
+module.exports = {
+    createMemoryStore,
+    createPostgresStore,
+    getRateLimitStore,
+    setRateLimitStore,
+};
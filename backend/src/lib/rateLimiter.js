@@ -0,0 +1,194 @@
+// Rate limiting for auth and sync routes
+const { getRateLimitStore } = require('./rateLimitStore');
+
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const LOGIN_IP_LIMIT = intFromEnv('LOGIN_IP_LIMIT', 20);
+const LOGIN_IP_WINDOW_MS = intFromEnv('LOGIN_IP_WINDOW_MINUTES', 15) * 60 * 1000;
+const LOGIN_MAX_FAILURES = intFromEnv('LOGIN_MAX_FAILURES', 5);
+const LOGIN_FAILURE_WINDOW_MS = intFromEnv('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000;
+const LOGIN_LOCKOUT_MS = intFromEnv('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000;
+const EMAIL_IP_LIMIT = intFromEnv('EMAIL_IP_LIMIT', 5);
+const EMAIL_IP_WINDOW_MS = intFromEnv('EMAIL_IP_WINDOW_MINUTES', 15) * 60 * 1000;
+const SYNC_MIN_INTERVAL_MS = intFromEnv('SYNC_MIN_INTERVAL_SECONDS', 60) * 1000;
+const SYNC_MAX_CONCURRENT_PER_TENANT = intFromEnv('SYNC_MAX_CONCURRENT_PER_TENANT', 1);
+// Safety net: a crashed sync frees its slot after this long; running syncs keep renewing it
+const SYNC_SLOT_TTL_MS = intFromEnv('SYNC_SLOT_TTL_MINUTES', 10) * 60 * 1000;
+const SYNC_SLOT_RENEW_MS = Math.ceil(SYNC_SLOT_TTL_MS / 3);
+
+function secondsUntil(date) {
+    return Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+}
+
+/**
+ * Send a 429 with Retry-After
+ * @param {object} res - Express response
+ * @param {number} retryAfterSeconds
+ * @param {string} message
+ * @param {string} [code]
+ */
+function sendTooManyRequests(res, retryAfterSeconds, message, code) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+        error: 'Too many requests',
+        message,
+        code,
+        retryAfter: retryAfterSeconds,
+    });
+}
+
+/**
+ * Create fixed-window rate limiting middleware
+ * @param {object} options
+ * @param {string} options.name - Namespace for counter keys
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs
+ * @param {function(object): string} [options.key] - Derive the client key from the request (default: IP)
+ * @param {string} [options.message]
+ * @returns {function} - Express middleware
+ */
+function createRateLimiter({ name, limit, windowMs, key = (req) => req.ip, message = 'Too many requests, please try again later' }) {
+    return async (req, res, next) => {
+        try {
+            const { count, resetAt } = await getRateLimitStore().increment(`${name}:${key(req)}`, windowMs);
+
+            res.set('RateLimit-Limit', String(limit));
+            res.set('RateLimit-Remaining', String(Math.max(limit - count, 0)));
+            res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+
+            if (count > limit) {
+                return sendTooManyRequests(res, secondsUntil(resetAt), message, 'RATE_LIMITED');
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Every login attempt from one IP, successful or not
+const loginIpLimiter = createRateLimiter({
+    name: 'login:ip',
+    limit: LOGIN_IP_LIMIT,
+    windowMs: LOGIN_IP_WINDOW_MS,
+    message: 'Too many login attempts from this network. Please try again later.',
+});
+
+// Endpoints that send email (password reset, verification)
+const emailIpLimiter = createRateLimiter({
+    name: 'email:ip',
+    limit: EMAIL_IP_LIMIT,
+    windowMs: EMAIL_IP_WINDOW_MS,
+    message: 'Too many email requests. Please try again later.',
+});
+
+function accountKey(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Check whether an account is temporarily locked after repeated failed logins
+ * @param {string} email
+ * @returns {Promise<number|null>} - Seconds until the lock expires, or null if not locked
+ */
+async function getLoginLockout(email) {
+    const lock = await getRateLimitStore().get(`login:lock:${accountKey(email)}`);
+    return lock ? secondsUntil(lock.resetAt) : null;
+}
+
+/**
+ * Record a failed login (bad password or 2FA code) and lock the account once the limit is reached
+ * @param {string} email
+ * @returns {Promise<number|null>} - Lockout seconds if this failure triggered a lock
+ */
+async function recordLoginFailure(email) {
+    const store = getRateLimitStore();
+    const key = accountKey(email);
+    const { count } = await store.increment(`login:fail:${key}`, LOGIN_FAILURE_WINDOW_MS);
+
+    if (count < LOGIN_MAX_FAILURES) {
+        return null;
+    }
+
+    await store.reset(`login:fail:${key}`);
+    const lock = await store.increment(`login:lock:${key}`, LOGIN_LOCKOUT_MS);
+    return secondsUntil(lock.resetAt);
+}
+
+async function clearLoginFailures(email) {
+    await getRateLimitStore().reset(`login:fail:${accountKey(email)}`);
+}
+
+/**
+ * Take one of the tenant's sync slots as a lease of its own
+ * Each slot is a counter that is 1 while held; its window starts at this acquire
+ * @returns {Promise<string|null>} - The slot's key, or null if all are taken
+ */
+async function leaseSyncSlot(store, tenantId) {
+    for (let slot = 0; slot < SYNC_MAX_CONCURRENT_PER_TENANT; slot++) {
+        const key = `sync:active:${tenantId}:${slot}`;
+        const { count } = await store.increment(key, SYNC_SLOT_TTL_MS);
+        if (count === 1) {
+            return key;
+        }
+        await store.decrement(key);
+    }
+    return null;
+}
+
+/**
+ * Claim a slot to sync a tenant, enforcing per-tenant concurrency and minimum interval
+ * The slot is renewed every SYNC_SLOT_TTL_MINUTES / 3 until released, so long syncs keep it
+ * @param {string} tenantId
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number, message?: string, release?: function}>}
+ */
+async function acquireSyncSlot(tenantId) {
+    const store = getRateLimitStore();
+
+    const leaseKey = await leaseSyncSlot(store, tenantId);
+    if (!leaseKey) {
+        return {
+            allowed: false,
+            retryAfterSeconds: Math.ceil(SYNC_MIN_INTERVAL_MS / 1000),
+            message: 'A sync is already running for this store',
+        };
+    }
+
+    const recent = await store.increment(`sync:recent:${tenantId}`, SYNC_MIN_INTERVAL_MS);
+    if (recent.count > 1) {
+        await store.reset(leaseKey);
+        return {
+            allowed: false,
+            retryAfterSeconds: secondsUntil(recent.resetAt),
+            message: 'This store was synced recently. Please wait before syncing again.',
+        };
+    }
+
+    const renewal = setInterval(() => {
+        store.extend(leaseKey, SYNC_SLOT_TTL_MS)
+            .catch((error) => console.error(`Error renewing sync slot for tenant ${tenantId}:`, error));
+    }, SYNC_SLOT_RENEW_MS);
+    renewal.unref();
+
+    return {
+        allowed: true,
+        release: async () => {
+            clearInterval(renewal);
+            await store.reset(leaseKey);
+        },
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    sendTooManyRequests,
+    loginIpLimiter,
+    emailIpLimiter,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+    acquireSyncSlot,
+};
@@ -0,0 +1,280 @@
+// Shopify GraphQL bulk operations
+// Used for the initial sync of large stores: Shopify runs the query on its side and publishes the
+// results as a JSONL file, which is streamed and handed over in batches instead of paging through
+// the API 250 records at a time.
+const axios = require('axios');
+const { CUSTOMER_FIELDS, ORDER_FIELDS, LINE_ITEM_FIELDS, REFUND_FIELDS, graphqlRequest, updatedSinceQuery, mapCustomerNode, mapOrderNode } = require('./shopifyGraphQL');
+
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const POLL_INTERVAL_MS = intFromEnv('SHOPIFY_BULK_POLL_SECONDS', 10) * 1000;
+const TIMEOUT_MS = intFromEnv('SHOPIFY_BULK_TIMEOUT_MINUTES', 240) * 60 * 1000;
+const BATCH_SIZE = 1000;
+
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+// Search argument for the bulk query; bulk queries take no variables, so it is inlined
+function searchArgument(updatedAtMin) {
+    const search = updatedSinceQuery(updatedAtMin);
+    return search ? `(query: ${JSON.stringify(search)})` : '';
+}
+
+// Same fields as the paged queries in shopifyGraphQL.js, so the same mappers apply
+const BULK_QUERIES = {
+    customers: (updatedAtMin) => `
+        {
+            customers${searchArgument(updatedAtMin)} {
+                edges {
+                    node {
+                        ${CUSTOMER_FIELDS}
+                    }
+                }
+            }
+        }
+    `,
+    // Line items come back as separate JSONL lines with __parentId. Refunds come without their
+    // line items, which bulk queries can't select inside a list; paged syncs and webhooks add them
+    orders: (updatedAtMin) => `
+        {
+            orders${searchArgument(updatedAtMin)} {
+                edges {
+                    node {
+                        ${ORDER_FIELDS}
+                        refunds {
+                            ${REFUND_FIELDS}
+                        }
+                        lineItems {
+                            edges {
+                                node {
+                                    ${LINE_ITEM_FIELDS}
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    `,
+};
+
+const RUN_QUERY_MUTATION = `
+    mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+            bulkOperation {
+                id
+                status
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`;
+
+const BULK_OPERATION_QUERY = `
+    query bulkOperation($id: ID!) {
+        node(id: $id) {
+            ... on BulkOperation {
+                id
+                status
+                errorCode
+                objectCount
+                url
+            }
+        }
+    }
+`;
+
+/**
+ * Start a bulk export of a shop's customers or orders
+ * Shopify runs one bulk query per app and shop at a time; starting another throws
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {string} resource - customers or orders
+ * @param {{updatedAtMin?: Date}} options - Only records updated since updatedAtMin
+ * @returns {Promise<{id: string, status: string}>} - The bulk operation
+ */
+async function startBulkQuery(shopDomain, accessToken, resource, { updatedAtMin } = {}) {
+    const data = await graphqlRequest(shopDomain, accessToken, RUN_QUERY_MUTATION, {
+        query: BULK_QUERIES[resource](updatedAtMin),
+    });
+
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+    if (userErrors?.length) {
+        throw new Error(`Bulk operation could not start: ${userErrors.map((e) => e.message).join(', ')}`);
+    }
+    return bulkOperation;
+}
+
+// Operation id -> function that ends the current poll wait early (bulk_operations/finish webhook)
+const waiters = new Map();
+
+function sleepUntilPollOrFinish(operationId, ms) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(wake, ms);
+        function wake() {
+            clearTimeout(timer);
+            waiters.delete(operationId);
+            resolve();
+        }
+        waiters.set(operationId, wake);
+    });
+}
+
+/**
+ * Wake the sync waiting on a bulk operation (bulk_operations/finish webhook)
+ * Polling still finds the result if the webhook went to another instance
+ * @param {string} operationId - gid://shopify/BulkOperation/...
+ * @returns {boolean} - Whether a sync in this process was waiting on it
+ */
+function notifyBulkOperationFinished(operationId) {
+    const wake = waiters.get(operationId);
+    if (wake) {
+        wake();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Poll a bulk operation until it has finished
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {string} operationId
+ * @returns {Promise<{status: string, url: string|null, objectCount: string}>} - url is null when nothing matched
+ */
+async function waitForBulkOperation(shopDomain, accessToken, operationId) {
+    const deadline = Date.now() + TIMEOUT_MS;
+
+    for (;;) {
+        const { node: operation } = await graphqlRequest(shopDomain, accessToken, BULK_OPERATION_QUERY, { id: operationId });
+
+        if (operation.status === 'COMPLETED') {
+            return operation;
+        }
+        if (FINISHED_STATUSES.includes(operation.status)) {
+            throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Bulk operation did not finish within ${TIMEOUT_MS / 60000} minutes`);
+        }
+
+        await sleepUntilPollOrFinish(operationId, POLL_INTERVAL_MS);
+    }
+}
+
+/**
+ * Stream a JSONL file, one parsed object per line
+ * Reading the response as a stream keeps memory flat however large the file is
+ * @param {string} url
+ * @param {function} onObject - Awaited for each object
+ */
+async function streamJsonl(url, onObject) {
+    const response = await axios.get(url, { responseType: 'stream' });
+    const stream = response.data;
+    stream.setEncoding('utf8');
+
+    let partial = '';
+    for await (const chunk of stream) {
+        const lines = (partial + chunk).split('\n');
+        partial = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) {
+                await onObject(JSON.parse(line));
+            }
+        }
+    }
+    if (partial.trim()) {
+        await onObject(JSON.parse(partial));
+    }
+}
+
+/**
+ * Stream a finished bulk operation's results as mapped records, in batches
+ * Orders are held until the next order starts, since Shopify writes each order's line items
+ * (lines with __parentId) after the order itself
+ * @param {string} url - The operation's result URL
+ * @param {string} resource - customers or orders
+ * @param {function} onBatch - Awaited with each batch of up to 1000 records
+ * @returns {Promise<number>} - Records streamed
+ */
+async function streamBulkRecords(url, resource, onBatch) {
+    let batch = [];
+    let current = null;
+    let total = 0;
+    let orphans = 0;
+
+    const flush = async () => {
+        if (batch.length > 0) {
+            total += batch.length;
+            await onBatch(batch);
+            batch = [];
+        }
+    };
+
+    const pushCurrentOrder = async () => {
+        if (current) {
+            batch.push(mapOrderNode(current.order, current.lineItems));
+            current = null;
+            if (batch.length >= BATCH_SIZE) await flush();
+        }
+    };
+
+    await streamJsonl(url, async (object) => {
+        if (resource === 'customers') {
+            batch.push(mapCustomerNode(object));
+            if (batch.length >= BATCH_SIZE) await flush();
+            return;
+        }
+
+        if (object.__parentId) {
+            if (current && current.order.id === object.__parentId) {
+                current.lineItems.push(object);
+            } else {
+                orphans++;
+            }
+            return;
+        }
+
+        await pushCurrentOrder();
+        current = { order: object, lineItems: [] };
+    });
+
+    await pushCurrentOrder();
+    await flush();
+
+    if (orphans > 0) {
+        console.warn(`Bulk ${resource} export had ${orphans} line item(s) separated from their order; they were skipped`);
+    }
+    return total;
+}
+
+/**
+ * Wait for a started bulk operation and stream its results in batches
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {{id: string}} operation - From startBulkQuery
+ * @param {string} resource - customers or orders
+ * @param {function} onBatch - Awaited with each batch of mapped records
+ * @returns {Promise<number>} - Records streamed
+ */
+async function fetchBulkResults(shopDomain, accessToken, operation, resource, onBatch) {
+    const finished = await waitForBulkOperation(shopDomain, accessToken, operation.id);
+    if (!finished.url) {
+        return 0;
+    }
+    return streamBulkRecords(finished.url, resource, onBatch);
+}
+
+module.exports = {
+    BULK_QUERIES,
+    startBulkQuery,
+    waitForBulkOperation,
+    notifyBulkOperationFinished,
+    streamBulkRecords,
+    fetchBulkResults,
+};
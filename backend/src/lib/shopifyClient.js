@@ -1,22 +1,37 @@
 // Shopify REST Admin API client wrapper
 // Based on Shopify App Template best practices
 const axios = require('axios');
+const { MAX_RETRIES, reserveRestCall, recordRestCallLimit, waitForRestThrottle } = require('./shopifyRateLimiter');
 
 const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
 
-async function wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Only records updated at or after this time (incremental sync)
+function withUpdatedAtMin(url, updatedAtMin) {
+    return updatedAtMin ? `${url}&updated_at_min=${encodeURIComponent(updatedAtMin.toISOString())}` : url;
 }
 
-async function requestWithRetry(url, options, retries = 3) {
+function parseUpdatedAt(value) {
+    return value ? new Date(value) : null;
+}
+
+/**
+ * GET with per-shop pacing (see shopifyRateLimiter.js), retrying 429s
+ * @param {string} url
+ * @param {object} options - axios options
+ * @param {number} retries - 429s to wait out before giving up
+ */
+async function requestWithRetry(url, options, retries = MAX_RETRIES) {
+    const shop = new URL(url).hostname;
+    await reserveRestCall(shop);
+
     try {
-        return await axios.get(url, options);
+        const response = await axios.get(url, options);
+        recordRestCallLimit(shop, response.headers);
+        return response;
     } catch (error) {
         if (error.response && error.response.status === 429 && retries > 0) {
-            const retryAfter = error.response.headers['retry-after'];
-            const waitTime = retryAfter ? parseFloat(retryAfter) * 1000 : 2000;
-            console.log(`Rate limited. Waiting ${waitTime}ms...`);
-            await wait(waitTime + 500); // Add a small buffer
+            console.log(`Rate limited by ${shop}, waiting before retrying...`);
+            await waitForRestThrottle(shop, error.response.headers);
             return requestWithRetry(url, options, retries - 1);
         }
         throw error;
@@ -200,18 +215,20 @@ async function fetchAllResources(initialUrl, accessToken, resourceKey) {
  * Fetch all customers from Shopify store
  * @param {string} shopifyDomain - e.g., "mystore.myshopify.com"
  * @param {string} accessToken - Shopify access token
+ * @param {{updatedAtMin?: Date}} options - Only fetch customers updated since updatedAtMin
  * @returns {Promise<Array>} - Array of customer objects
  */
-async function fetchCustomers(shopifyDomain, accessToken) {
+async function fetchCustomers(shopifyDomain, accessToken, { updatedAtMin } = {}) {
     // Fetch all customers - get full objects to ensure we have all data
     // Don't use fields parameter to get complete customer data including nested addresses
-    const url = `https://${shopifyDomain}/admin/api/${SHOPIFY_API_VERSION}/customers.json?limit=250`;
+    const url = withUpdatedAtMin(`https://${shopifyDomain}/admin/api/${SHOPIFY_API_VERSION}/customers.json?limit=250`, updatedAtMin);
 
     const customers = await fetchAllResources(url, accessToken, 'customers');
 
     // ALWAYS fetch individual customer details to ensure we get complete data
     // The list endpoint may not return all fields
-    const BATCH_SIZE = 5; // Reduced from 10 to avoid rate limits
+    // requestWithRetry paces the calls to the shop's call limit
+    const BATCH_SIZE = 5;
 
     for (let i = 0; i < customers.length; i += BATCH_SIZE) {
         const batch = customers.slice(i, i + BATCH_SIZE);
@@ -243,109 +260,284 @@ async function fetchCustomers(shopifyDomain, accessToken) {
                 }
             }
         });
-
-        // Delay between batches to avoid rate limits
-        if (i + BATCH_SIZE < customers.length) {
-            await wait(1000); // Increased from 500ms
-        }
     }
 
     return customers.map((customer, index) => {
-        if (!customer || typeof customer !== 'object') {
-            return {
-                shopifyId: null,
-                email: null,
-                firstName: null,
-                lastName: null,
-                totalSpent: 0,
-            };
-        }
-
         // Log first customer to see what properties are available
-        if (index === 0) {
+        if (index === 0 && customer && typeof customer === 'object') {
             console.log('=== CUSTOMER OBJECT PROPERTIES ===');
             console.log('All keys:', Object.keys(customer));
             console.log('Customer object:', JSON.stringify(customer, null, 2));
             console.log('=== END CUSTOMER OBJECT ===');
         }
 
-        // Extract email - only use properties that exist
-        let email = null;
-        if ('email' in customer && customer.email) {
-            email = customer.email;
-        } else if (customer.default_address && typeof customer.default_address === 'object' && 'email' in customer.default_address && customer.default_address.email) {
-            email = customer.default_address.email;
-        }
-
-        const { firstName, lastName } = deriveNameParts(customer);
-
-        // Extract totalSpent - only use properties that exist
-        let totalSpent = 0;
-        if ('total_spent' in customer && customer.total_spent) {
-            totalSpent = parseFloat(customer.total_spent) || 0;
-        } else if ('totalSpent' in customer && customer.totalSpent) {
-            totalSpent = parseFloat(customer.totalSpent) || 0;
-        }
+        return mapRestCustomer(customer);
+    });
+}
 
-        // Extract shopifyId - only if id exists
-        let shopifyId = null;
-        if ('id' in customer && customer.id) {
-            shopifyId = String(customer.id);
-        }
+function mapRestAddress(address) {
+    return {
+        shopifyId: String(address.id),
+        firstName: address.first_name || null,
+        lastName: address.last_name || null,
+        company: address.company || null,
+        address1: address.address1 || null,
+        address2: address.address2 || null,
+        city: address.city || null,
+        province: address.province || null,
+        provinceCode: address.province_code || null,
+        country: address.country || null,
+        countryCode: address.country_code || null,
+        zip: address.zip || null,
+        phone: address.phone || null,
+        isDefault: Boolean(address.default),
+    };
+}
 
+/**
+ * Map a REST customer (API response or customers/* webhook payload) and its addresses to the
+ * record shape upsertCustomers expects
+ * @param {object} customer
+ * @returns {object}
+ */
+function mapRestCustomer(customer) {
+    if (!customer || typeof customer !== 'object') {
         return {
-            shopifyId,
-            email,
-            firstName,
-            lastName,
-            totalSpent,
+            shopifyId: null,
+            email: null,
+            firstName: null,
+            lastName: null,
+            totalSpent: 0,
+            updatedAt: null,
         };
-    });
+    }
+
+    // Extract email - only use properties that exist
+    let email = null;
+    if ('email' in customer && customer.email) {
+        email = customer.email;
+    } else if (customer.default_address && typeof customer.default_address === 'object' && 'email' in customer.default_address && customer.default_address.email) {
+        email = customer.default_address.email;
+    }
+
+    const { firstName, lastName } = deriveNameParts(customer);
+
+    // Extract totalSpent - only use properties that exist
+    let totalSpent = 0;
+    if ('total_spent' in customer && customer.total_spent) {
+        totalSpent = parseFloat(customer.total_spent) || 0;
+    } else if ('totalSpent' in customer && customer.totalSpent) {
+        totalSpent = parseFloat(customer.totalSpent) || 0;
+    }
+
+    // Extract shopifyId - only if id exists
+    let shopifyId = null;
+    if ('id' in customer && customer.id) {
+        shopifyId = String(customer.id);
+    }
+
+    const emailConsent = customer.email_marketing_consent;
+    const ordersCount = parseInt(customer.orders_count, 10);
+
+    return {
+        shopifyId,
+        email,
+        firstName,
+        lastName,
+        phone: customer.phone || null,
+        state: customer.state || null,
+        tags: customer.tags ? customer.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        ordersCount: Number.isFinite(ordersCount) ? ordersCount : null,
+        totalSpent,
+        emailMarketingState: emailConsent?.state || null,
+        emailMarketingUpdatedAt: emailConsent?.consent_updated_at ? new Date(emailConsent.consent_updated_at) : null,
+        smsMarketingState: customer.sms_marketing_consent?.state || null,
+        addresses: Array.isArray(customer.addresses) ? customer.addresses.map(mapRestAddress) : undefined,
+        updatedAt: parseUpdatedAt(customer.updated_at),
+    };
 }
 
 /**
- * Fetch all products from Shopify store
- * @param {string} shopifyDomain
- * @param {string} accessToken
- * @returns {Promise<Array>} - Array of product objects
+ * Map a REST product (API response or products/* webhook payload) and its variants to the
+ * record shape upsertProducts expects
+ * @param {object} product
+ * @returns {object}
  */
-async function fetchProducts(shopifyDomain, accessToken) {
-    const url = `https://${shopifyDomain}/admin/api/${SHOPIFY_API_VERSION}/products.json?limit=250`;
-
-    const products = await fetchAllResources(url, accessToken, 'products');
+function mapRestProduct(product) {
+    // REST variants carry option values as option1..option3; the names are on the product
+    const optionNames = (product.options || [])
+        .slice()
+        .sort((a, b) => a.position - b.position)
+        .map(option => option.name);
+
+    const variants = (product.variants || []).map(variant => ({
+        shopifyId: String(variant.id),
+        title: variant.title || null,
+        sku: variant.sku || null,
+        options: [variant.option1, variant.option2, variant.option3]
+            .map((value, index) => ({ name: optionNames[index] || `Option ${index + 1}`, value }))
+            .filter(option => option.value),
+        price: parseFloat(variant.price) || 0,
+        compareAtPrice: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
+        inventoryQuantity: variant.inventory_quantity ?? null,
+        inventoryItemId: variant.inventory_item_id ? String(variant.inventory_item_id) : null,
+        position: variant.position ?? null,
+    }));
 
-    return products.map(product => ({
+    return {
         shopifyId: String(product.id),
         title: product.title,
         vendor: product.vendor,
         productType: product.product_type,
         // Use first variant price or 0
-        price: product.variants?.[0]?.price ? parseFloat(product.variants[0].price) : 0,
-    }));
+        price: variants[0]?.price || 0,
+        updatedAt: parseUpdatedAt(product.updated_at),
+        variants,
+    };
 }
 
 /**
- * Fetch all orders from Shopify store
+ * Fetch all products from Shopify store
  * @param {string} shopifyDomain
  * @param {string} accessToken
- * @returns {Promise<Array>} - Array of order objects
+ * @param {{updatedAtMin?: Date}} options - Only fetch products updated since updatedAtMin
+ * @returns {Promise<Array>} - Array of product objects
  */
-async function fetchOrders(shopifyDomain, accessToken) {
-    const url = `https://${shopifyDomain}/admin/api/${SHOPIFY_API_VERSION}/orders.json?status=any&limit=250`;
+async function fetchProducts(shopifyDomain, accessToken, { updatedAtMin } = {}) {
+    const url = withUpdatedAtMin(`https://${shopifyDomain}/admin/api/${SHOPIFY_API_VERSION}/products.json?limit=250`, updatedAtMin);
 
-    const orders = await fetchAllResources(url, accessToken, 'orders');
+    const products = await fetchAllResources(url, accessToken, 'products');
+
+    return products.map(mapRestProduct);
+}
+
+function parseAmount(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+// REST reports unfulfilled orders as null and partly fulfilled ones as "partial"; store the
+// GraphQL names so both paths agree
+function fulfillmentStatusFromRest(status) {
+    if (!status) return 'unfulfilled';
+    return status === 'partial' ? 'partially_fulfilled' : status;
+}
+
+// Restock types that put the refunded items back in stock
+const RESTOCKING_TYPES = ['return', 'cancel', 'legacy_restock'];
+
+/**
+ * Map a REST refund (part of an order, or a refunds/create webhook payload) to the record shape
+ * upsertRefunds expects
+ * @param {object} refund
+ * @returns {object}
+ */
+function mapRestRefund(refund) {
+    const amount = (refund.transactions || [])
+        .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+        .reduce((sum, transaction) => sum + (parseFloat(transaction.amount) || 0), 0);
+
+    return {
+        shopifyId: String(refund.id),
+        amount: Math.round(amount * 100) / 100,
+        note: refund.note || null,
+        refundedAt: new Date(refund.processed_at || refund.created_at),
+        lineItems: (refund.refund_line_items || []).map(item => ({
+            lineItemShopifyId: item.line_item_id ? String(item.line_item_id) : null,
+            quantity: item.quantity,
+            subtotal: parseFloat(item.subtotal) || 0,
+            restockType: item.restock_type || null,
+            restocked: RESTOCKING_TYPES.includes(item.restock_type),
+        })),
+    };
+}
+
+function mapRestLineItem(item) {
+    return {
+        shopifyId: String(item.id),
+        title: item.title,
+        quantity: item.quantity,
+        price: parseFloat(item.price) || 0,
+        sku: item.sku || null,
+        productShopifyId: item.product_id ? String(item.product_id) : null,
+        variantShopifyId: item.variant_id ? String(item.variant_id) : null,
+    };
+}
 
-    return orders.map(order => ({
+/**
+ * Map a REST order (API response or orders/* webhook payload) and its line items to the record shape
+ * upsertOrders expects
+ * @param {object} order
+ * @returns {object}
+ */
+function mapRestOrder(order) {
+    return {
         shopifyId: String(order.id),
         customerId: order.customer?.id ? String(order.customer.id) : null,
         orderNumber: order.order_number ? String(order.order_number) : null,
         totalPrice: parseFloat(order.total_price) || 0,
         orderDate: new Date(order.created_at),
-    }));
+        updatedAt: parseUpdatedAt(order.updated_at),
+        financialStatus: order.financial_status || null,
+        fulfillmentStatus: fulfillmentStatusFromRest(order.fulfillment_status),
+        cancelledAt: order.cancelled_at ? new Date(order.cancelled_at) : null,
+        cancelReason: order.cancel_reason || null,
+        currency: order.currency || null,
+        subtotalPrice: parseAmount(order.subtotal_price),
+        totalDiscounts: parseAmount(order.total_discounts),
+        totalTax: parseAmount(order.total_tax),
+        totalShipping: parseAmount(order.total_shipping_price_set?.shop_money?.amount),
+        discountCodes: (order.discount_codes || []).map(discount => discount.code),
+        sourceName: order.source_name || null,
+        tags: order.tags ? order.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        refunds: order.refunds ? order.refunds.map(mapRestRefund) : undefined,
+        lineItems: order.line_items ? order.line_items.map(mapRestLineItem) : undefined,
+    };
+}
+
+/**
+ * Fetch all orders from Shopify store
+ * @param {string} shopifyDomain
+ * @param {string} accessToken
+ * @param {{updatedAtMin?: Date}} options - Only fetch orders updated since updatedAtMin
+ * @returns {Promise<Array>} - Array of order objects
+ */
+async function fetchOrders(shopifyDomain, accessToken, { updatedAtMin } = {}) {
+    const url = withUpdatedAtMin(`https://${shopifyDomain}/admin/api/${SHOPIFY_API_VERSION}/orders.json?status=any&limit=250`, updatedAtMin);
+
+    const orders = await fetchAllResources(url, accessToken, 'orders');
+
+    return orders.map(mapRestOrder);
+}
+
+/**
+ * Count a store's customers or orders (decides whether an initial sync uses a bulk operation)
+ * @param {string} shopifyDomain
+ * @param {string} accessToken
+ * @param {string} resource - customers or orders
+ * @returns {Promise<number>}
+ */
+async function fetchResourceCount(shopifyDomain, accessToken, resource) {
+    const query = resource === 'orders' ? '?status=any' : '';
+    const response = await requestWithRetry(
+        `https://${shopifyDomain}/admin/api/${SHOPIFY_API_VERSION}/${resource}/count.json${query}`,
+        {
+            headers: {
+                'X-Shopify-Access-Token': accessToken,
+                'Content-Type': 'application/json',
+            },
+        }
+    );
+    return response.data.count;
 }
 
 module.exports = {
+    fetchResourceCount,
     fetchCustomers,
     fetchProducts,
     fetchOrders,
+    mapRestCustomer,
+    mapRestProduct,
+    mapRestOrder,
+    mapRestRefund,
 };
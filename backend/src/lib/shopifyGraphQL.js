@@ -1,6 +1,7 @@
 // Shopify GraphQL Admin API client
 // Based on Shopify App Template best practices
 const axios = require('axios');
+const { MAX_RETRIES, reserveGraphqlCost, recordGraphqlCost, waitForGraphqlThrottle } = require('./shopifyRateLimiter');
 
 const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
 
@@ -18,15 +19,368 @@ function splitName(displayName) {
     return { firstName, lastName: lastName || null };
 }
 
+// Search query for records updated at or after updatedAtMin (incremental sync); null fetches everything
+function updatedSinceQuery(updatedAtMin) {
+    return updatedAtMin ? `updated_at:>='${updatedAtMin.toISOString()}'` : null;
+}
+
+const MAILING_ADDRESS_FIELDS = `
+    id
+    firstName
+    lastName
+    company
+    address1
+    address2
+    city
+    province
+    provinceCode
+    country
+    countryCodeV2
+    zip
+    phone
+`;
+
+// Customer fields read by mapCustomerNode, shared by the paged and bulk queries
+const CUSTOMER_FIELDS = `
+    id
+    firstName
+    lastName
+    displayName
+    defaultEmailAddress {
+        emailAddress
+        marketingState
+        marketingUpdatedAt
+    }
+    defaultPhoneNumber {
+        phoneNumber
+        marketingState
+    }
+    createdAt
+    updatedAt
+    numberOfOrders
+    state
+    amountSpent {
+        amount
+        currencyCode
+    }
+    tags
+    addresses {
+        ${MAILING_ADDRESS_FIELDS}
+    }
+    defaultAddress {
+        ${MAILING_ADDRESS_FIELDS}
+    }
+`;
+
+// MailingAddress ids look like gid://shopify/MailingAddress/123?model_name=CustomerAddress
+function mailingAddressId(id) {
+    return id.replace('gid://shopify/MailingAddress/', '').split('?')[0];
+}
+
+function mapMailingAddress(address, defaultAddressId) {
+    return {
+        shopifyId: mailingAddressId(address.id),
+        firstName: address.firstName || null,
+        lastName: address.lastName || null,
+        company: address.company || null,
+        address1: address.address1 || null,
+        address2: address.address2 || null,
+        city: address.city || null,
+        province: address.province || null,
+        provinceCode: address.provinceCode || null,
+        country: address.country || null,
+        countryCode: address.countryCodeV2 || null,
+        zip: address.zip || null,
+        phone: address.phone || null,
+        isDefault: address.id === defaultAddressId,
+    };
+}
+
+/**
+ * Map a GraphQL Customer node to the record shape upsertCustomers expects
+ * State and marketing enums are lowercased to match the REST API (NOT_SUBSCRIBED -> not_subscribed)
+ * @param {object} customer - Customer node
+ * @returns {object}
+ */
+function mapCustomerNode(customer) {
+    // Extract firstName and lastName - check multiple sources
+    let firstName = customer.firstName || null;
+    let lastName = customer.lastName || null;
+
+    // If not found at top level, check defaultAddress
+    if (!firstName && customer.defaultAddress?.firstName) {
+        firstName = customer.defaultAddress.firstName;
+    }
+    if (!lastName && customer.defaultAddress?.lastName) {
+        lastName = customer.defaultAddress.lastName;
+    }
+
+    // If still not found, check addresses array
+    if ((!firstName || !lastName) && Array.isArray(customer.addresses) && customer.addresses.length > 0) {
+        // Try to find default address in list, or use first one
+        const defaultAddr = customer.addresses.find(addr => addr.id === customer.defaultAddress?.id) || customer.addresses[0];
+        if (defaultAddr) {
+            if (!firstName && defaultAddr.firstName) {
+                firstName = defaultAddr.firstName;
+            }
+            if (!lastName && defaultAddr.lastName) {
+                lastName = defaultAddr.lastName;
+            }
+        }
+    }
+
+    // Fallback to displayName if still missing
+    if (!firstName || !lastName) {
+        const displayName = customer.displayName;
+        if (displayName) {
+            const parts = displayName.trim().split(/\s+/).filter(p => p.length > 0);
+            if (parts.length === 1) {
+                if (!firstName) firstName = parts[0];
+            } else if (parts.length > 1) {
+                if (!firstName) firstName = parts.slice(0, -1).join(' ').trim();
+                if (!lastName) lastName = parts[parts.length - 1];
+            }
+        }
+    }
+
+    // Extract email from defaultEmailAddress
+    let email = null;
+    if (customer.defaultEmailAddress?.emailAddress) {
+        email = customer.defaultEmailAddress.emailAddress;
+    }
+
+    // Extract totalSpent from amountSpent
+    let totalSpent = 0;
+    if (customer.amountSpent?.amount) {
+        totalSpent = parseFloat(customer.amountSpent.amount) || 0;
+    }
+
+    return {
+        shopifyId: customer.id ? customer.id.replace('gid://shopify/Customer/', '') : null,
+        email: email || null,
+        firstName: firstName || null,
+        lastName: lastName || null,
+        phone: customer.defaultPhoneNumber?.phoneNumber || null,
+        state: customer.state?.toLowerCase() || null,
+        tags: customer.tags || [],
+        ordersCount: customer.numberOfOrders === undefined ? null : parseInt(customer.numberOfOrders, 10),
+        totalSpent: totalSpent,
+        emailMarketingState: customer.defaultEmailAddress?.marketingState?.toLowerCase() || null,
+        emailMarketingUpdatedAt: customer.defaultEmailAddress?.marketingUpdatedAt
+            ? new Date(customer.defaultEmailAddress.marketingUpdatedAt)
+            : null,
+        smsMarketingState: customer.defaultPhoneNumber?.marketingState?.toLowerCase() || null,
+        addresses: Array.isArray(customer.addresses)
+            ? customer.addresses.map(address => mapMailingAddress(address, customer.defaultAddress?.id))
+            : undefined,
+        updatedAt: customer.updatedAt ? new Date(customer.updatedAt) : null,
+    };
+}
+
+// Order fields read by mapOrderNode, shared by the paged and bulk queries
+const ORDER_FIELDS = `
+    id
+    name
+    createdAt
+    updatedAt
+    customer {
+        id
+    }
+    currencyCode
+    totalPriceSet {
+        shopMoney {
+            amount
+        }
+    }
+    subtotalPriceSet {
+        shopMoney {
+            amount
+        }
+    }
+    totalDiscountsSet {
+        shopMoney {
+            amount
+        }
+    }
+    totalTaxSet {
+        shopMoney {
+            amount
+        }
+    }
+    totalShippingPriceSet {
+        shopMoney {
+            amount
+        }
+    }
+    displayFinancialStatus
+    displayFulfillmentStatus
+    cancelledAt
+    cancelReason
+    discountCodes
+    sourceName
+    tags
+`;
+
+// Refund fields read by mapRefundNode; refundLineItems is fetched per refund (see
+// REFUND_LINE_ITEMS_QUERY), since nesting it in a list of orders multiplies the query's cost
+const REFUND_FIELDS = `
+    id
+    createdAt
+    note
+    totalRefundedSet {
+        shopMoney {
+            amount
+        }
+    }
+`;
+
+// Line item fields read by mapOrderNode, shared by the paged and bulk queries
+const LINE_ITEM_FIELDS = `
+    id
+    title
+    quantity
+    sku
+    product {
+        id
+    }
+    variant {
+        id
+    }
+    originalTotalSet {
+        shopMoney {
+            amount
+        }
+    }
+`;
+
+const REFUND_LINE_ITEM_FIELDS = `
+    quantity
+    restockType
+    restocked
+    subtotalSet {
+        shopMoney {
+            amount
+        }
+    }
+    lineItem {
+        id
+    }
+`;
+
+function shopMoneyAmount(moneyBag) {
+    const amount = parseFloat(moneyBag?.shopMoney?.amount);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Map a GraphQL Refund to the record shape upsertRefunds expects
+ * lineItems is left out when the query did not select refundLineItems
+ * @param {object} refund - Refund
+ * @returns {object}
+ */
+function mapRefundNode(refund) {
+    return {
+        shopifyId: refund.id.replace('gid://shopify/Refund/', ''),
+        amount: shopMoneyAmount(refund.totalRefundedSet) || 0,
+        note: refund.note || null,
+        refundedAt: new Date(refund.createdAt),
+        lineItems: refund.refundLineItems
+            ? refund.refundLineItems.nodes.map(item => ({
+                lineItemShopifyId: item.lineItem?.id?.replace('gid://shopify/LineItem/', '') || null,
+                quantity: item.quantity,
+                subtotal: shopMoneyAmount(item.subtotalSet) || 0,
+                restockType: item.restockType?.toLowerCase() || null,
+                restocked: Boolean(item.restocked),
+            }))
+            : undefined,
+    };
+}
+
+/**
+ * Map a GraphQL Order node and its LineItem nodes to the record shape upsertOrders expects
+ * Status enums are lowercased to match the REST API (PARTIALLY_REFUNDED -> partially_refunded)
+ * @param {object} order - Order node
+ * @param {Array} lineItemNodes - LineItem nodes
+ * @returns {object}
+ */
+function mapOrderNode(order, lineItemNodes = []) {
+    const lineItems = (lineItemNodes || []).map(item => ({
+        shopifyId: item.id.replace('gid://shopify/LineItem/', ''),
+        title: item.title,
+        quantity: item.quantity,
+        price: parseFloat(item.originalTotalSet?.shopMoney?.amount || '0') / (item.quantity || 1),
+        sku: item.sku || null,
+        productShopifyId: item.product?.id?.replace('gid://shopify/Product/', '') || null,
+        variantShopifyId: item.variant?.id?.replace('gid://shopify/ProductVariant/', '') || null,
+    }));
+
+    return {
+        shopifyId: order.id.replace('gid://shopify/Order/', ''),
+        customerId: order.customer?.id?.replace('gid://shopify/Customer/', '') || null,
+        orderNumber: order.name || null,
+        totalPrice: parseFloat(order.totalPriceSet?.shopMoney?.amount || '0') || 0,
+        orderDate: new Date(order.createdAt),
+        updatedAt: order.updatedAt ? new Date(order.updatedAt) : null,
+        financialStatus: order.displayFinancialStatus?.toLowerCase() || null,
+        fulfillmentStatus: order.displayFulfillmentStatus?.toLowerCase() || null,
+        cancelledAt: order.cancelledAt ? new Date(order.cancelledAt) : null,
+        cancelReason: order.cancelReason?.toLowerCase() || null,
+        currency: order.currencyCode || null,
+        subtotalPrice: shopMoneyAmount(order.subtotalPriceSet),
+        totalDiscounts: shopMoneyAmount(order.totalDiscountsSet),
+        totalTax: shopMoneyAmount(order.totalTaxSet),
+        totalShipping: shopMoneyAmount(order.totalShippingPriceSet),
+        discountCodes: order.discountCodes || [],
+        sourceName: order.sourceName || null,
+        tags: order.tags || [],
+        refunds: order.refunds ? order.refunds.map(mapRefundNode) : undefined,
+        lineItems,
+    };
+}
+
+/**
+ * Map a GraphQL Product node and its ProductVariant nodes to the record shape upsertProducts expects
+ * @param {object} product - Product node
+ * @param {Array} variantNodes - ProductVariant nodes
+ * @returns {object}
+ */
+function mapProductNode(product, variantNodes = []) {
+    const variants = (variantNodes || []).map(variant => ({
+        shopifyId: variant.id.replace('gid://shopify/ProductVariant/', ''),
+        title: variant.title || null,
+        sku: variant.sku || null,
+        options: (variant.selectedOptions || []).map(({ name, value }) => ({ name, value })),
+        price: parseFloat(variant.price) || 0,
+        compareAtPrice: variant.compareAtPrice ? parseFloat(variant.compareAtPrice) : null,
+        inventoryQuantity: variant.inventoryQuantity ?? null,
+        inventoryItemId: variant.inventoryItem?.id?.replace('gid://shopify/InventoryItem/', '') || null,
+        position: variant.position ?? null,
+    }));
+
+    return {
+        shopifyId: product.id.replace('gid://shopify/Product/', ''),
+        title: product.title,
+        vendor: product.vendor,
+        productType: product.productType,
+        // Use first variant price or 0
+        price: variants[0]?.price || 0,
+        updatedAt: product.updatedAt ? new Date(product.updatedAt) : null,
+        variants,
+    };
+}
+
 /**
  * Execute GraphQL query against Shopify Admin API
+ * Paced by the shop's query cost budget (see shopifyRateLimiter.js); THROTTLED responses are retried
+ * once enough of the budget has been restored
  * @param {string} shopDomain - Shopify shop domain
  * @param {string} accessToken - Access token
  * @param {string} query - GraphQL query string
  * @param {object} variables - GraphQL variables (optional)
+ * @param {number} retries - Throttled responses to wait out before giving up
  * @returns {Promise<object>} - GraphQL response
  */
-async function graphqlRequest(shopDomain, accessToken, query, variables = {}) {
+async function graphqlRequest(shopDomain, accessToken, query, variables = {}, retries = MAX_RETRIES) {
     const normalizedShop = shopDomain.replace(/^https?:\/\//, '').replace(/\/$/, '');
     const shop = normalizedShop.includes('.myshopify.com')
         ? normalizedShop
@@ -34,8 +388,11 @@ async function graphqlRequest(shopDomain, accessToken, query, variables = {}) {
 
     const url = `https://${shop}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
 
+    await reserveGraphqlCost(shop, query);
+
+    let response;
     try {
-        const response = await axios.post(
+        response = await axios.post(
             url,
             {
                 query,
@@ -48,20 +405,15 @@ async function graphqlRequest(shopDomain, accessToken, query, variables = {}) {
                 },
             }
         );
-
-        // Check for GraphQL errors first
-        if (response.data.errors) {
-            const errorMessages = response.data.errors.map(e => e.message).join(', ');
-            throw new Error(`GraphQL errors: ${errorMessages}`);
-        }
-
-        return response.data.data;
     } catch (error) {
         if (error.response) {
             const status = error.response.status;
             const errorData = error.response.data;
 
-            if (status === 401) {
+            if (status === 429 && retries > 0) {
+                await waitForGraphqlThrottle(shop, query, null);
+                return graphqlRequest(shopDomain, accessToken, query, variables, retries - 1);
+            } else if (status === 401) {
                 throw new Error('Shopify API authentication failed (401). Please check your access token.');
             } else if (status === 403) {
                 throw new Error('Shopify API permission denied (403). Your access token may not have the required scopes.');
@@ -74,16 +426,36 @@ async function graphqlRequest(shopDomain, accessToken, query, variables = {}) {
         }
         throw error;
     }
+
+    const cost = response.data.extensions?.cost;
+    recordGraphqlCost(shop, query, cost);
+
+    // Check for GraphQL errors first
+    if (response.data.errors) {
+        // Throttled queries are answered 200 with a THROTTLED error
+        if (retries > 0 && response.data.errors.some(e => e.extensions?.code === 'THROTTLED')) {
+            await waitForGraphqlThrottle(shop, query, cost);
+            return graphqlRequest(shopDomain, accessToken, query, variables, retries - 1);
+        }
+        const errorMessages = response.data.errors.map(e => e.message).join(', ');
+        throw new Error(`GraphQL errors: ${errorMessages}`);
+    }
+
+    return response.data.data;
 }
 
+// Customers per page; with their addresses and contact objects each costs about 6, so a page
+// stays well under Shopify's 1000 query cost limit
+const CUSTOMERS_FIRST = 100;
+
 /**
  * Fetch customers using GraphQL (more efficient pagination)
  * @param {string} shopDomain - Shopify shop domain
  * @param {string} accessToken - Access token
- * @param {number} limit - Number of customers per page (max 250)
+ * @param {{updatedAtMin?: Date, limit?: number}} options - Only customers updated since updatedAtMin; page size
  * @returns {Promise<Array>} - Array of customer objects
  */
-async function fetchCustomersGraphQL(shopDomain, accessToken, limit = 250) {
+async function fetchCustomersGraphQL(shopDomain, accessToken, { updatedAtMin, limit = CUSTOMERS_FIRST } = {}) {
     const customers = [];
     let cursor = null;
     let hasNextPage = true;
@@ -91,61 +463,10 @@ async function fetchCustomersGraphQL(shopDomain, accessToken, limit = 250) {
     while (hasNextPage) {
         // Use correct GraphQL query structure with nodes and proper field names
         const query = `#graphql
-            query getCustomers($first: Int!, $after: String) {
-                customers(first: $first, after: $after) {
+            query getCustomers($first: Int!, $after: String, $query: String) {
+                customers(first: $first, after: $after, query: $query) {
                     nodes {
-                        id
-                        firstName
-                        lastName
-                        displayName
-                        defaultEmailAddress {
-                            emailAddress
-                            marketingState
-                        }
-                        defaultPhoneNumber {
-                            phoneNumber
-                            marketingState
-                            marketingCollectedFrom
-                        }
-                        createdAt
-                        updatedAt
-                        numberOfOrders
-                        state
-                        amountSpent {
-                            amount
-                            currencyCode
-                        }
-                        verifiedEmail
-                        taxExempt
-                        tags
-                        addresses {
-                            id
-                            firstName
-                            lastName
-                            address1
-                            city
-                            province
-                            country
-                            zip
-                            phone
-                            name
-                            provinceCode
-                            countryCodeV2
-                        }
-                        defaultAddress {
-                            id
-                            firstName
-                            lastName
-                            address1
-                            city
-                            province
-                            country
-                            zip
-                            phone
-                            name
-                            provinceCode
-                            countryCodeV2
-                        }
+                        ${CUSTOMER_FIELDS}
                     }
                     pageInfo {
                         hasNextPage
@@ -158,124 +479,197 @@ async function fetchCustomersGraphQL(shopDomain, accessToken, limit = 250) {
         const variables = {
             first: limit,
             after: cursor,
+            query: updatedSinceQuery(updatedAtMin),
         };
 
         const data = await graphqlRequest(shopDomain, accessToken, query, variables);
 
         if (data && data.customers && data.customers.nodes) {
             for (const customer of data.customers.nodes) {
-                // Extract firstName and lastName - check multiple sources
-                let firstName = customer.firstName || null;
-                let lastName = customer.lastName || null;
+                customers.push(mapCustomerNode(customer));
+            }
 
-                // If not found at top level, check defaultAddress
-                if (!firstName && customer.defaultAddress?.firstName) {
-                    firstName = customer.defaultAddress.firstName;
-                }
-                if (!lastName && customer.defaultAddress?.lastName) {
-                    lastName = customer.defaultAddress.lastName;
-                }
+            hasNextPage = data.customers.pageInfo.hasNextPage;
+            cursor = data.customers.pageInfo.endCursor;
+        } else {
+            hasNextPage = false;
+        }
+    }
 
-                // If still not found, check addresses array
-                if ((!firstName || !lastName) && Array.isArray(customer.addresses) && customer.addresses.length > 0) {
-                    // Try to find default address in list, or use first one
-                    const defaultAddr = customer.addresses.find(addr => addr.id === customer.defaultAddress?.id) || customer.addresses[0];
-                    if (defaultAddr) {
-                        if (!firstName && defaultAddr.firstName) {
-                            firstName = defaultAddr.firstName;
-                        }
-                        if (!lastName && defaultAddr.lastName) {
-                            lastName = defaultAddr.lastName;
-                        }
-                    }
-                }
+    return customers;
+}
 
-                // Fallback to displayName if still missing
-                if (!firstName || !lastName) {
-                    const displayName = customer.displayName;
-                    if (displayName) {
-                        const parts = displayName.trim().split(/\s+/).filter(p => p.length > 0);
-                        if (parts.length === 1) {
-                            if (!firstName) firstName = parts[0];
-                        } else if (parts.length > 1) {
-                            if (!firstName) firstName = parts.slice(0, -1).join(' ').trim();
-                            if (!lastName) lastName = parts[parts.length - 1];
-                        }
-                    }
-                }
+// Shopify rejects queries whose requested cost is over 1000: 2 + first × (cost of one node) for
+// each connection, so nested connections multiply. A page of orders costs about
+// 2 + ORDERS_FIRST × (12 + 2 + 5 × ORDER_LINE_ITEMS_FIRST + 2 + 3 × ORDER_REFUNDS_FIRST) = 770
+const ORDERS_FIRST = 8;
+// Line items fetched with each page of orders; orders with more are paged separately
+const ORDER_LINE_ITEMS_FIRST = 10;
+// Refunds fetched with each order, without their refunded items; orders with this many have their
+// full list fetched separately (Order.refunds is a plain list, so it can't be paged)
+const ORDER_REFUNDS_FIRST = 10;
+// Page size for those follow-up queries (about 500 for line items)
+const NESTED_PAGE_SIZE = 100;
 
-                // Extract email from defaultEmailAddress
-                let email = null;
-                if (customer.defaultEmailAddress?.emailAddress) {
-                    email = customer.defaultEmailAddress.emailAddress;
-                }
+/**
+ * Page through the rest of a nested connection, after the first page fetched with its parent
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {string} query - Takes $id, $first and $after and selects the connection's nodes and pageInfo
+ * @param {string} id - Parent gid
+ * @param {string|null} after - endCursor of the nodes already fetched, or null to fetch them all
+ * @param {function} connectionOf - Picks the connection out of the response data
+ * @returns {Promise<Array>} - The remaining nodes
+ */
+async function fetchRemainingNodes(shopDomain, accessToken, query, id, after, connectionOf) {
+    const nodes = [];
+    let cursor = after;
+    let hasNextPage = true;
 
-                // Extract totalSpent from amountSpent
-                let totalSpent = 0;
-                if (customer.amountSpent?.amount) {
-                    totalSpent = parseFloat(customer.amountSpent.amount) || 0;
+    while (hasNextPage) {
+        const data = await graphqlRequest(shopDomain, accessToken, query, {
+            id,
+            first: NESTED_PAGE_SIZE,
+            after: cursor,
+        });
+        const connection = connectionOf(data);
+        if (!connection) break;
+
+        nodes.push(...connection.nodes);
+        hasNextPage = connection.pageInfo.hasNextPage;
+        cursor = connection.pageInfo.endCursor;
+    }
+
+    return nodes;
+}
+
+const ORDER_LINE_ITEMS_QUERY = `
+    query getOrderLineItems($id: ID!, $first: Int!, $after: String) {
+        order(id: $id) {
+            lineItems(first: $first, after: $after) {
+                nodes {
+                    ${LINE_ITEM_FIELDS}
+                }
+                pageInfo {
+                    hasNextPage
+                    endCursor
                 }
+            }
+        }
+    }
+`;
 
-                const mappedCustomer = {
-                    shopifyId: customer.id ? customer.id.replace('gid://shopify/Customer/', '') : null,
-                    email: email || null,
-                    firstName: firstName || null,
-                    lastName: lastName || null,
-                    totalSpent: totalSpent,
-                };
+const ORDER_REFUNDS_QUERY = `
+    query getOrderRefunds($id: ID!) {
+        order(id: $id) {
+            refunds {
+                ${REFUND_FIELDS}
+            }
+        }
+    }
+`;
 
-                customers.push(mappedCustomer);
+const REFUND_LINE_ITEMS_QUERY = `
+    query getRefundLineItems($id: ID!, $first: Int!, $after: String) {
+        node(id: $id) {
+            ... on Refund {
+                refundLineItems(first: $first, after: $after) {
+                    nodes {
+                        ${REFUND_LINE_ITEM_FIELDS}
+                    }
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
+                }
             }
+        }
+    }
+`;
 
-            hasNextPage = data.customers.pageInfo.hasNextPage;
-            cursor = data.customers.pageInfo.endCursor;
-        } else {
-            hasNextPage = false;
+/**
+ * Add the refunded items of the refunds that need them, with one follow-up query per refund
+ * Refunds left out keep the items already stored (see upsertRefunds)
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {Array|undefined} refunds - Refund nodes from the orders query
+ * @param {Set<string>} skipIds - Refund gids whose items are already stored
+ * @returns {Promise<Array|undefined>}
+ */
+async function withRefundLineItems(shopDomain, accessToken, refunds, skipIds) {
+    if (!refunds) return refunds;
+
+    const withItems = [];
+    for (const refund of refunds) {
+        if (skipIds.has(refund.id)) {
+            withItems.push(refund);
+            continue;
         }
+        const nodes = await fetchRemainingNodes(
+            shopDomain,
+            accessToken,
+            REFUND_LINE_ITEMS_QUERY,
+            refund.id,
+            null,
+            (response) => response.node?.refundLineItems
+        );
+        withItems.push({ ...refund, refundLineItems: { nodes } });
     }
+    return withItems;
+}
 
-    return customers;
+/**
+ * All of an order's refunds, fetching the full list when the orders query may have cut it short
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {object} order - Order node from the orders query
+ * @returns {Promise<Array|undefined>}
+ */
+async function allOrderRefunds(shopDomain, accessToken, order) {
+    if (!order.refunds || order.refunds.length < ORDER_REFUNDS_FIRST) {
+        return order.refunds;
+    }
+    const data = await graphqlRequest(shopDomain, accessToken, ORDER_REFUNDS_QUERY, { id: order.id });
+    if (!data.order?.refunds) {
+        throw new Error(`Could not fetch the refunds of order ${order.id}`);
+    }
+    return data.order.refunds;
 }
 
 /**
  * Fetch orders using GraphQL
+ * Each page brings the first 10 line items of its orders; larger orders have the rest paged in
+ * with follow-up queries and are marked lineItemsPaginated. Refunded items are fetched per refund,
+ * except for refunds storedRefundIds reports as already stored with them: they never change once
+ * a refund is created
  * @param {string} shopDomain - Shopify shop domain
  * @param {string} accessToken - Access token
- * @param {number} limit - Number of orders per page
+ * @param {{updatedAtMin?: Date, limit?: number, storedRefundIds?: function(Array<string>): Promise<Set<string>>}} options -
+ *        Only orders updated since updatedAtMin; page size; which of the given refund ids (numeric) already have their items
  * @returns {Promise<Array>} - Array of order objects
  */
-async function fetchOrdersGraphQL(shopDomain, accessToken, limit = 250) {
+async function fetchOrdersGraphQL(shopDomain, accessToken, { updatedAtMin, limit = ORDERS_FIRST, storedRefundIds } = {}) {
     const orders = [];
     let cursor = null;
     let hasNextPage = true;
 
     while (hasNextPage) {
         const query = `
-            query getOrders($first: Int!, $after: String) {
-                orders(first: $first, after: $after, reverse: true) {
+            query getOrders($first: Int!, $after: String, $query: String) {
+                orders(first: $first, after: $after, reverse: true, query: $query) {
                     edges {
                         node {
-                            id
-                            name
-                            customer {
-                                id
-                            }
-                            totalPriceSet {
-                                shopMoney {
-                                    amount
-                                }
+                            ${ORDER_FIELDS}
+                            refunds(first: ${ORDER_REFUNDS_FIRST}) {
+                                ${REFUND_FIELDS}
                             }
-                            createdAt
-                            lineItems(first: 20) {
+                            lineItems(first: ${ORDER_LINE_ITEMS_FIRST}) {
                                 nodes {
-                                    id
-                                    title
-                                    quantity
-                                    originalTotalSet {
-                                        shopMoney {
-                                            amount
-                                        }
-                                    }
+                                    ${LINE_ITEM_FIELDS}
+                                }
+                                pageInfo {
+                                    hasNextPage
+                                    endCursor
                                 }
                             }
                         }
@@ -292,28 +686,44 @@ async function fetchOrdersGraphQL(shopDomain, accessToken, limit = 250) {
         const variables = {
             first: limit,
             after: cursor,
+            query: updatedSinceQuery(updatedAtMin),
         };
 
         const data = await graphqlRequest(shopDomain, accessToken, query, variables);
 
         if (data.orders?.edges) {
+            const refundsByOrder = new Map();
             for (const edge of data.orders.edges) {
-                const order = edge.node;
-                const lineItems = order.lineItems?.nodes?.map(item => ({
-                    shopifyId: item.id.replace('gid://shopify/LineItem/', ''),
-                    title: item.title,
-                    quantity: item.quantity,
-                    price: parseFloat(item.originalTotalSet?.shopMoney?.amount || '0') / (item.quantity || 1),
-                })) || [];
-
-                orders.push({
-                    shopifyId: order.id.replace('gid://shopify/Order/', ''),
-                    customerId: order.customer?.id?.replace('gid://shopify/Customer/', '') || null,
-                    orderNumber: order.name || null,
-                    totalPrice: parseFloat(order.totalPriceSet?.shopMoney?.amount || '0') || 0,
-                    orderDate: new Date(order.createdAt),
-                    lineItems,
-                });
+                refundsByOrder.set(edge.node.id, await allOrderRefunds(shopDomain, accessToken, edge.node));
+            }
+            const refundIds = [...refundsByOrder.values()].flatMap((refunds) => (refunds || []).map((refund) => refund.id));
+            const stored = storedRefundIds && refundIds.length > 0
+                ? await storedRefundIds(refundIds.map((id) => id.replace('gid://shopify/Refund/', '')))
+                : new Set();
+            const skipIds = new Set([...stored].map((id) => `gid://shopify/Refund/${id}`));
+
+            for (const edge of data.orders.edges) {
+                const order = {
+                    ...edge.node,
+                    refunds: await withRefundLineItems(shopDomain, accessToken, refundsByOrder.get(edge.node.id), skipIds),
+                };
+                const lineItems = order.lineItems;
+                if (lineItems?.pageInfo?.hasNextPage) {
+                    const rest = await fetchRemainingNodes(
+                        shopDomain,
+                        accessToken,
+                        ORDER_LINE_ITEMS_QUERY,
+                        order.id,
+                        lineItems.pageInfo.endCursor,
+                        (response) => response.order?.lineItems
+                    );
+                    orders.push({
+                        ...mapOrderNode(order, [...lineItems.nodes, ...rest]),
+                        lineItemsPaginated: true,
+                    });
+                } else {
+                    orders.push(mapOrderNode(order, lineItems?.nodes));
+                }
             }
 
             hasNextPage = data.orders.pageInfo.hasNextPage;
@@ -326,33 +736,73 @@ async function fetchOrdersGraphQL(shopDomain, accessToken, limit = 250) {
     return orders;
 }
 
+const VARIANT_FIELDS = `
+    id
+    title
+    sku
+    price
+    compareAtPrice
+    inventoryQuantity
+    position
+    selectedOptions {
+        name
+        value
+    }
+    inventoryItem {
+        id
+    }
+`;
+
+// Variants fetched with each page of products; keeps a page's query cost well under Shopify's 1000 limit
+const PRODUCT_VARIANTS_FIRST = 10;
+
+const PRODUCT_VARIANTS_QUERY = `
+    query getProductVariants($id: ID!, $first: Int!, $after: String) {
+        product(id: $id) {
+            variants(first: $first, after: $after) {
+                nodes {
+                    ${VARIANT_FIELDS}
+                }
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+            }
+        }
+    }
+`;
+
 /**
- * Fetch products using GraphQL
+ * Fetch products and their variants using GraphQL
+ * Products with more than 10 variants have the rest paged in with follow-up queries
  * @param {string} shopDomain - Shopify shop domain
  * @param {string} accessToken - Access token
- * @param {number} limit - Number of products per page
+ * @param {{updatedAtMin?: Date, limit?: number}} options - Only products updated since updatedAtMin; page size
  * @returns {Promise<Array>} - Array of product objects
  */
-async function fetchProductsGraphQL(shopDomain, accessToken, limit = 250) {
+async function fetchProductsGraphQL(shopDomain, accessToken, { updatedAtMin, limit = 25 } = {}) {
     const products = [];
     let cursor = null;
     let hasNextPage = true;
 
     while (hasNextPage) {
         const query = `
-            query getProducts($first: Int!, $after: String) {
-                products(first: $first, after: $after) {
+            query getProducts($first: Int!, $after: String, $query: String) {
+                products(first: $first, after: $after, query: $query) {
                     edges {
                         node {
                             id
                             title
                             vendor
                             productType
-                            variants(first: 1) {
-                                edges {
-                                    node {
-                                        price
-                                    }
+                            updatedAt
+                            variants(first: ${PRODUCT_VARIANTS_FIRST}) {
+                                nodes {
+                                    ${VARIANT_FIELDS}
+                                }
+                                pageInfo {
+                                    hasNextPage
+                                    endCursor
                                 }
                             }
                         }
@@ -369,22 +819,25 @@ async function fetchProductsGraphQL(shopDomain, accessToken, limit = 250) {
         const variables = {
             first: limit,
             after: cursor,
+            query: updatedSinceQuery(updatedAtMin),
         };
 
         const data = await graphqlRequest(shopDomain, accessToken, query, variables);
 
         if (data.products?.edges) {
             for (const edge of data.products.edges) {
-                const product = edge.node;
-                const price = product.variants?.edges?.[0]?.node?.price || '0';
-
-                products.push({
-                    shopifyId: product.id.replace('gid://shopify/Product/', ''),
-                    title: product.title,
-                    vendor: product.vendor,
-                    productType: product.productType,
-                    price: parseFloat(price) || 0,
-                });
+                const variants = edge.node.variants;
+                const rest = variants?.pageInfo?.hasNextPage
+                    ? await fetchRemainingNodes(
+                        shopDomain,
+                        accessToken,
+                        PRODUCT_VARIANTS_QUERY,
+                        edge.node.id,
+                        variants.pageInfo.endCursor,
+                        (response) => response.product?.variants
+                    )
+                    : [];
+                products.push(mapProductNode(edge.node, [...(variants?.nodes || []), ...rest]));
             }
 
             hasNextPage = data.products.pageInfo.hasNextPage;
@@ -397,9 +850,45 @@ async function fetchProductsGraphQL(shopDomain, accessToken, limit = 250) {
     return products;
 }
 
+/**
+ * Total available quantity of an inventory item across all locations
+ * @param {string} shopDomain
+ * @param {string} accessToken
+ * @param {string} inventoryItemId - Numeric id, as sent by inventory_levels webhooks
+ * @returns {Promise<number|null>} - null if the item or its variant no longer exists
+ */
+async function fetchInventoryItemQuantity(shopDomain, accessToken, inventoryItemId) {
+    const query = `
+        query getInventoryItem($id: ID!) {
+            inventoryItem(id: $id) {
+                variant {
+                    inventoryQuantity
+                }
+            }
+        }
+    `;
+
+    const data = await graphqlRequest(shopDomain, accessToken, query, {
+        id: `gid://shopify/InventoryItem/${inventoryItemId}`,
+    });
+    return data.inventoryItem?.variant?.inventoryQuantity ?? null;
+}
+
 module.exports = {
+    CUSTOMER_FIELDS,
+    ORDER_FIELDS,
+    LINE_ITEM_FIELDS,
+    REFUND_FIELDS,
+    updatedSinceQuery,
+    mapCustomerNode,
+    mapOrderNode,
+    mapProductNode,
     graphqlRequest,
     fetchCustomersGraphQL,
     fetchOrdersGraphQL,
     fetchProductsGraphQL,
+    fetchInventoryItemQuantity,
+    ORDERS_FIRST,
+    ORDER_LINE_ITEMS_FIRST,
+    ORDER_REFUNDS_FIRST,
 };
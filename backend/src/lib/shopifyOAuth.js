@@ -23,6 +23,7 @@ function generateAuthUrl(shopDomain, apiKey, redirectUri, scopes, state = null)
         'read_customers',
         'read_orders',
         'read_products',
+        'read_inventory',
     ];
 
     const scopeString = requiredScopes.join(',');
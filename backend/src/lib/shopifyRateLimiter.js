@@ -0,0 +1,237 @@
+// Per-shop pacing for Shopify Admin API calls
+// Shopify rate limits per store, not per access token, so every sync, webhook reconcile and bulk
+// poll for a shop draws from the same buckets; tracking them here (one state per shop, shared by
+// all tenants in this process) keeps parallel work from tripping the limits.
+//
+// GraphQL: a cost bucket (e.g. 1000 points restoring 50/s), reported in extensions.cost.throttleStatus.
+// REST: a leaky bucket of calls (e.g. 40 leaking 2/s), reported as X-Shopify-Shop-Api-Call-Limit: 32/40.
+//
+// Before each call we take its expected cost from our copy of the bucket, waiting until it has
+// refilled enough; every response then replaces our copy with what Shopify reports.
+
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const MAX_RETRIES = intFromEnv('SHOPIFY_MAX_RETRIES', 5);
+
+// Until a shop's first response tells us otherwise (standard plan limits)
+const DEFAULT_GRAPHQL_MAXIMUM = 1000;
+const DEFAULT_GRAPHQL_RESTORE_RATE = 50;
+const DEFAULT_QUERY_COST = 50;
+const DEFAULT_REST_CAPACITY = 40;
+// REST buckets empty in 20 seconds (40 calls leak 2/s, 400 leak 20/s on Plus)
+const REST_DRAIN_SECONDS = 20;
+
+const shops = new Map();
+
+// Requested cost last reported for each query, used as the estimate for its next call
+const queryCosts = new Map();
+
+function normalizeShop(shopDomain) {
+    return shopDomain.replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+}
+
+function shopState(shopDomain) {
+    const shop = normalizeShop(shopDomain);
+    if (!shops.has(shop)) {
+        const now = Date.now();
+        shops.set(shop, {
+            graphql: {
+                available: DEFAULT_GRAPHQL_MAXIMUM,
+                maximum: DEFAULT_GRAPHQL_MAXIMUM,
+                restoreRate: DEFAULT_GRAPHQL_RESTORE_RATE,
+                updatedAt: now,
+                requests: 0,
+                throttled: 0,
+                waitedMs: 0,
+                costSpent: 0,
+            },
+            rest: {
+                used: 0,
+                capacity: DEFAULT_REST_CAPACITY,
+                updatedAt: now,
+                requests: 0,
+                throttled: 0,
+                waitedMs: 0,
+            },
+        });
+    }
+    return shops.get(shop);
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Bring a bucket up to date with the time that has passed since we last heard from Shopify
+function refillGraphql(bucket, now) {
+    const restored = ((now - bucket.updatedAt) / 1000) * bucket.restoreRate;
+    bucket.available = Math.min(bucket.maximum, bucket.available + restored);
+    bucket.updatedAt = now;
+}
+
+function drainRest(bucket, now) {
+    const leaked = ((now - bucket.updatedAt) / 1000) * (bucket.capacity / REST_DRAIN_SECONDS);
+    bucket.used = Math.max(0, bucket.used - leaked);
+    bucket.updatedAt = now;
+}
+
+async function pace(bucket, waitMs) {
+    if (waitMs > 0) {
+        bucket.waitedMs += waitMs;
+        await wait(waitMs);
+    }
+}
+
+/**
+ * Wait until the shop's GraphQL bucket can afford the query, then take its expected cost
+ * @param {string} shopDomain
+ * @param {string} query
+ */
+async function reserveGraphqlCost(shopDomain, query) {
+    const bucket = shopState(shopDomain).graphql;
+    const cost = Math.min(queryCosts.get(query) || DEFAULT_QUERY_COST, bucket.maximum);
+
+    refillGraphql(bucket, Date.now());
+    bucket.available -= cost;
+    bucket.requests++;
+
+    await pace(bucket, bucket.available < 0 ? (-bucket.available / bucket.restoreRate) * 1000 : 0);
+}
+
+/**
+ * Record the cost Shopify reported for a GraphQL response
+ * @param {string} shopDomain
+ * @param {string} query
+ * @param {object} cost - extensions.cost: requestedQueryCost, actualQueryCost, throttleStatus
+ */
+function recordGraphqlCost(shopDomain, query, cost) {
+    if (!cost) return;
+
+    const bucket = shopState(shopDomain).graphql;
+    if (cost.requestedQueryCost) {
+        queryCosts.set(query, cost.requestedQueryCost);
+    }
+    bucket.costSpent += cost.actualQueryCost || 0;
+
+    const status = cost.throttleStatus;
+    if (status) {
+        bucket.available = status.currentlyAvailable;
+        bucket.maximum = status.maximumAvailable;
+        bucket.restoreRate = status.restoreRate;
+        bucket.updatedAt = Date.now();
+    }
+}
+
+/**
+ * Wait out a THROTTLED GraphQL response: long enough for the bucket to restore the query's cost
+ * @param {string} shopDomain
+ * @param {string} query
+ * @param {object} cost - extensions.cost of the throttled response, if any
+ */
+async function waitForGraphqlThrottle(shopDomain, query, cost) {
+    const bucket = shopState(shopDomain).graphql;
+    bucket.throttled++;
+
+    const needed = (cost?.requestedQueryCost || queryCosts.get(query) || DEFAULT_QUERY_COST) - bucket.available;
+    // At least one second, in case our view of the bucket is stale
+    await pace(bucket, Math.max(1000, (needed / bucket.restoreRate) * 1000));
+}
+
+/**
+ * Wait until the shop's REST bucket has room for a call, then take it
+ * @param {string} shopDomain
+ */
+async function reserveRestCall(shopDomain) {
+    const bucket = shopState(shopDomain).rest;
+    const leakRate = bucket.capacity / REST_DRAIN_SECONDS;
+
+    drainRest(bucket, Date.now());
+    bucket.used += 1;
+    bucket.requests++;
+
+    await pace(bucket, bucket.used > bucket.capacity ? ((bucket.used - bucket.capacity) / leakRate) * 1000 : 0);
+}
+
+/**
+ * Record the X-Shopify-Shop-Api-Call-Limit header of a REST response ("32/40")
+ * @param {string} shopDomain
+ * @param {object} headers - Response headers
+ */
+function recordRestCallLimit(shopDomain, headers) {
+    const match = /^(\d+)\/(\d+)$/.exec(headers?.['x-shopify-shop-api-call-limit'] || '');
+    if (!match) return;
+
+    const bucket = shopState(shopDomain).rest;
+    bucket.used = Number(match[1]);
+    bucket.capacity = Number(match[2]);
+    bucket.updatedAt = Date.now();
+}
+
+/**
+ * Wait out a REST 429: the Retry-After header if there is one, else until the bucket has drained a call
+ * @param {string} shopDomain
+ * @param {object} headers - Headers of the 429 response
+ */
+async function waitForRestThrottle(shopDomain, headers) {
+    const bucket = shopState(shopDomain).rest;
+    bucket.throttled++;
+    recordRestCallLimit(shopDomain, headers);
+
+    const retryAfter = parseFloat(headers?.['retry-after']);
+    const waitMs = Number.isFinite(retryAfter)
+        ? retryAfter * 1000
+        : (REST_DRAIN_SECONDS / bucket.capacity) * 1000;
+    await pace(bucket, waitMs);
+}
+
+/**
+ * Current limits and usage for one shop, as seen by this process
+ * @param {string} shopDomain
+ * @returns {{graphql: object, rest: object}}
+ */
+function getShopApiMetrics(shopDomain) {
+    const { graphql, rest } = shopState(shopDomain);
+    const now = Date.now();
+    refillGraphql(graphql, now);
+    drainRest(rest, now);
+
+    return {
+        graphql: {
+            available: Math.floor(graphql.available),
+            maximum: graphql.maximum,
+            restoreRate: graphql.restoreRate,
+            requests: graphql.requests,
+            throttled: graphql.throttled,
+            waitedMs: Math.round(graphql.waitedMs),
+            costSpent: graphql.costSpent,
+        },
+        rest: {
+            used: Math.ceil(rest.used),
+            capacity: rest.capacity,
+            requests: rest.requests,
+            throttled: rest.throttled,
+            waitedMs: Math.round(rest.waitedMs),
+        },
+    };
+}
+
+// Forget every shop's state (tests)
+function resetShopRateLimits() {
+    shops.clear();
+    queryCosts.clear();
+}
+
+module.exports = {
+    MAX_RETRIES,
+    reserveGraphqlCost,
+    recordGraphqlCost,
+    waitForGraphqlThrottle,
+    reserveRestCall,
+    recordRestCallLimit,
+    waitForRestThrottle,
+    getShopApiMetrics,
+    resetShopRateLimits,
+};
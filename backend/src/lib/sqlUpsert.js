@@ -0,0 +1,94 @@
+// Set-based upserts for the sync: one INSERT ... ON CONFLICT DO UPDATE per batch, instead of a
+// createMany followed by an updateMany for every row
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+
+// Postgres takes at most this many bind parameters in one statement
+const MAX_BIND_PARAMETERS = 32767;
+
+function identifier(name) {
+    return Prisma.raw(`"${name}"`);
+}
+
+// A statement can't update the same row twice, so the last record for a key wins
+function lastPerKey(rows, key) {
+    const byKey = new Map();
+    for (const row of rows) {
+        byKey.set(JSON.stringify(key.map(column => row[column])), row);
+    }
+    return Array.from(byKey.values());
+}
+
+// Split rows by the columns they carry, so a field one record leaves out keeps its stored value
+function groupByColumns(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const columns = Object.keys(row).filter(column => row[column] !== undefined);
+        const signature = columns.join(',');
+        if (!groups.has(signature)) {
+            groups.set(signature, { columns, rows: [] });
+        }
+        groups.get(signature).rows.push(row);
+    }
+    return Array.from(groups.values());
+}
+
+function chunks(rows, size) {
+    const result = [];
+    for (let i = 0; i < rows.length; i += size) {
+        result.push(rows.slice(i, i + size));
+    }
+    return result;
+}
+
+/**
+ * Insert rows, updating the ones that conflict on a unique key, with one statement per column set
+ * (split further so no statement exceeds Postgres' bind parameter limit)
+ * Existing rows are only rewritten when one of their values changes
+ * Ids are generated like @default(uuid())
+ * @param {string} table - Table name (the model's @@map)
+ * @param {string[]} key - Columns of the unique constraint to upsert on
+ * @param {object[]} rows - Column -> value; undefined values are left out
+ * @param {{json?: string[], timestamps?: boolean}} options - json: Json columns, passed as JSON text;
+ *   timestamps: set "updatedAt", which raw SQL doesn't maintain for @updatedAt
+ * @returns {Promise<number>} - Count of rows inserted or changed
+ */
+async function upsertRows(table, key, rows, { json = [], timestamps = false } = {}) {
+    const value = (row, column) => (json.includes(column)
+        ? Prisma.sql`${JSON.stringify(row[column])}::jsonb`
+        : row[column]);
+
+    let written = 0;
+
+    for (const group of groupByColumns(lastPerKey(rows, key))) {
+        const updatedColumns = group.columns.filter(column => !key.includes(column));
+        const insertColumns = ['id', ...group.columns, ...(timestamps ? ['updatedAt'] : [])];
+
+        const onConflict = updatedColumns.length > 0
+            ? Prisma.sql`DO UPDATE SET ${Prisma.join([
+                ...updatedColumns.map(column => Prisma.sql`${identifier(column)} = EXCLUDED.${identifier(column)}`),
+                ...(timestamps ? [Prisma.sql`"updatedAt" = NOW()`] : []),
+            ])}
+                WHERE (${Prisma.join(updatedColumns.map(column => Prisma.sql`${identifier(table)}.${identifier(column)}`))})
+                    IS DISTINCT FROM (${Prisma.join(updatedColumns.map(column => Prisma.sql`EXCLUDED.${identifier(column)}`))})`
+            : Prisma.sql`DO NOTHING`;
+
+        for (const chunk of chunks(group.rows, Math.floor(MAX_BIND_PARAMETERS / group.columns.length))) {
+            const values = chunk.map(row => Prisma.sql`(gen_random_uuid()::text, ${Prisma.join(
+                group.columns.map(column => value(row, column))
+            )}${timestamps ? Prisma.sql`, NOW()` : Prisma.empty})`);
+
+            written += await prisma.$executeRaw`
+                INSERT INTO ${identifier(table)} (${Prisma.join(insertColumns.map(identifier))})
+                VALUES ${Prisma.join(values)}
+                ON CONFLICT (${Prisma.join(key.map(identifier))}) ${onConflict}
+            `;
+        }
+    }
+
+    return written;
+}
+
+module.exports = {
+    upsertRows,
+};
@@ -0,0 +1,185 @@
+// Background sync jobs
+// A sync is recorded as a SyncRun (queued -> running -> succeeded/failed) and executed in-process
+// after the request that queued it has been answered. The run is updated as each phase starts, so
+// clients can poll GET /api/ingest/runs/:id for progress.
+const prisma = require('../prisma');
+const { syncAll } = require('./syncService');
+
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// A run still queued/running after this long was lost (e.g. the process restarted)
+const STALE_RUN_MS = intFromEnv('SYNC_RUN_STALE_MINUTES', 60) * 60 * 1000;
+// Running runs touch updatedAt this often, so long phases never look lost
+const HEARTBEAT_MS = Math.ceil(STALE_RUN_MS / 4);
+
+// Counts hold Dates (each resource's cursor); store them as plain JSON
+function countsJson(counts) {
+    return JSON.parse(JSON.stringify(counts));
+}
+
+const RUN_SELECT = {
+    id: true,
+    tenantId: true,
+    status: true,
+    phase: true,
+    fullResync: true,
+    trigger: true,
+    triggeredById: true,
+    counts: true,
+    error: true,
+    queuedAt: true,
+    startedAt: true,
+    finishedAt: true,
+};
+
+/**
+ * Execute a queued run to completion, recording progress and the outcome
+ * @param {string} runId
+ * @returns {Promise<object>} - The finished run
+ */
+async function executeSyncRun(runId) {
+    const run = await prisma.syncRun.update({
+        where: { id: runId },
+        data: { status: 'running', startedAt: new Date() },
+    });
+
+    const heartbeat = setInterval(() => {
+        prisma.syncRun.updateMany({
+            where: { id: runId, status: 'running' },
+            data: { updatedAt: new Date() },
+        }).catch((error) => console.error(`Error recording heartbeat for sync run ${runId}:`, error.message));
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    try {
+        const result = await syncAll(run.tenantId, {
+            fullResync: run.fullResync,
+            onProgress: (phase, counts) => prisma.syncRun.update({
+                where: { id: runId },
+                data: { phase, counts: countsJson(counts) },
+            }),
+        });
+
+        const { customers, orders, products } = result;
+        return await prisma.syncRun.update({
+            where: { id: runId },
+            data: {
+                status: 'succeeded',
+                phase: null,
+                counts: countsJson({ customers, orders, products }),
+                finishedAt: new Date(),
+            },
+            select: RUN_SELECT,
+        });
+    } catch (error) {
+        console.error(`Sync run ${runId} failed for tenant ${run.tenantId}:`, error.message);
+        return prisma.syncRun.update({
+            where: { id: runId },
+            data: {
+                status: 'failed',
+                error: error.message,
+                finishedAt: new Date(),
+            },
+            select: RUN_SELECT,
+        });
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+/**
+ * Record a queued sync
+ * @param {{tenantId: string, fullResync?: boolean, trigger?: string, triggeredById?: string}} options
+ * @returns {Promise<object>} - The queued run
+ */
+function createSyncRun({ tenantId, fullResync = false, trigger = 'manual', triggeredById = null }) {
+    return prisma.syncRun.create({
+        data: { tenantId, fullResync, trigger, triggeredById },
+        select: RUN_SELECT,
+    });
+}
+
+/**
+ * Record a sync and start it in the background
+ * @param {{tenantId: string, fullResync?: boolean, trigger?: string, triggeredById?: string, onFinished?: function}} options
+ *        onFinished is called once the run has ended, whatever the outcome (e.g. to release a sync slot)
+ * @returns {Promise<object>} - The queued run
+ */
+async function enqueueSyncRun({ onFinished, ...options }) {
+    const run = await createSyncRun(options);
+
+    setImmediate(async () => {
+        try {
+            await executeSyncRun(run.id);
+        } catch (error) {
+            console.error(`Error executing sync run ${run.id}:`, error.message);
+        } finally {
+            if (onFinished) {
+                await Promise.resolve(onFinished()).catch((error) => {
+                    console.error(`Error finishing sync run ${run.id}:`, error.message);
+                });
+            }
+        }
+    });
+
+    return run;
+}
+
+/**
+ * Mark runs that stopped making progress as failed, so they don't show as running forever
+ * @returns {Promise<number>} - Runs marked failed
+ */
+async function failStaleSyncRuns() {
+    const { count } = await prisma.syncRun.updateMany({
+        where: {
+            status: { in: ['queued', 'running'] },
+            updatedAt: { lt: new Date(Date.now() - STALE_RUN_MS) },
+        },
+        data: {
+            status: 'failed',
+            error: 'Sync was interrupted before it finished',
+            finishedAt: new Date(),
+        },
+    });
+
+    if (count > 0) {
+        console.warn(`Marked ${count} interrupted sync run(s) as failed`);
+    }
+    return count;
+}
+
+let sweepTimer = null;
+
+/**
+ * Fail stale runs now and every HEARTBEAT_MS, so runs lost in a crash are cleared even when they
+ * were not stale yet when this process started
+ */
+function startStaleRunSweeper() {
+    if (sweepTimer) return;
+
+    const sweep = () => failStaleSyncRuns().catch((error) => {
+        console.error('Error failing interrupted sync runs:', error.message);
+    });
+
+    sweepTimer = setInterval(sweep, HEARTBEAT_MS);
+    sweepTimer.unref();
+    sweep();
+}
+
+function stopStaleRunSweeper() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+}
+
+module.exports = {
+    RUN_SELECT,
+    createSyncRun,
+    executeSyncRun,
+    enqueueSyncRun,
+    failStaleSyncRuns,
+    startStaleRunSweeper,
+    stopStaleRunSweeper,
+};
@@ -1,11 +1,36 @@
 // Sync service with idempotent upsert logic
 const prisma = require('../prisma');
-const { fetchCustomers, fetchProducts, fetchOrders } = require('./shopifyClient');
-const { fetchCustomersGraphQL, fetchOrdersGraphQL } = require('./shopifyGraphQL');
+const { fetchCustomers, fetchProducts, fetchOrders, fetchResourceCount } = require('./shopifyClient');
+const { fetchCustomersGraphQL, fetchOrdersGraphQL, fetchProductsGraphQL } = require('./shopifyGraphQL');
+const { startBulkQuery, fetchBulkResults } = require('./shopifyBulk');
+const { getTenantAccessToken } = require('./tenantCredentials');
+const { upsertRows } = require('./sqlUpsert');
+
+// Profile and marketing consent fields stored with each customer
+const CUSTOMER_PROFILE_FIELDS = [
+    'phone',
+    'state',
+    'tags',
+    'ordersCount',
+    'emailMarketingState',
+    'emailMarketingUpdatedAt',
+    'smsMarketingState',
+];
+
+// Profile fields are optional on incoming customers; leave the stored values alone when they are missing
+function customerProfileFields(customer) {
+    const fields = {};
+    for (const key of CUSTOMER_PROFILE_FIELDS) {
+        if (customer[key] !== undefined) {
+            fields[key] = customer[key];
+        }
+    }
+    return fields;
+}
 
 /**
  * Upsert customers for a tenant (idempotent)
- * Uses batch operations for better performance
+ * One INSERT ... ON CONFLICT per batch; each customer's addresses are stored with it
  * @param {string} tenantId
  * @param {Array} customers - Array of customer objects from Shopify
  * @returns {Promise<number>} - Count of upserted customers
@@ -20,39 +45,18 @@ async function upsertCustomers(tenantId, customers) {
     for (let i = 0; i < customers.length; i += BATCH_SIZE) {
         const batch = customers.slice(i, i + BATCH_SIZE);
 
-        // Use createMany with skipDuplicates for better performance
-        // First, try to create new records
-        const batchData = batch.map(customer => ({
+        // Insert new customers and update changed ones in one statement
+        await upsertRows('customers', ['tenantId', 'shopifyId'], batch.map(customer => ({
             tenantId,
             shopifyId: customer.shopifyId,
             email: customer.email || null,
             firstName: customer.firstName || null,
             lastName: customer.lastName || null,
             totalSpent: customer.totalSpent || 0,
-        }));
+            ...customerProfileFields(customer),
+        })), { timestamps: true });
 
-        await prisma.customer.createMany({
-            data: batchData,
-            skipDuplicates: true,
-        });
-
-        // Then update existing records
-        await Promise.all(
-            batch.map(customer =>
-                prisma.customer.updateMany({
-                    where: {
-                        tenantId,
-                        shopifyId: customer.shopifyId,
-                    },
-                    data: {
-                        email: customer.email || null,
-                        firstName: customer.firstName || null,
-                        lastName: customer.lastName || null,
-                        totalSpent: customer.totalSpent || 0,
-                    },
-                })
-            )
-        );
+        await upsertCustomerAddresses(tenantId, batch);
 
         count += batch.length;
     }
@@ -60,9 +64,46 @@ async function upsertCustomers(tenantId, customers) {
     return count;
 }
 
+/**
+ * Replace the stored addresses of a batch of customers
+ * Customers without an addresses list keep the addresses already stored
+ * @param {string} tenantId
+ * @param {Array} customers - Customer records with addresses
+ */
+async function upsertCustomerAddresses(tenantId, customers) {
+    const withAddresses = customers.filter(customer => Array.isArray(customer.addresses));
+    if (withAddresses.length === 0) return;
+
+    const savedCustomers = await prisma.customer.findMany({
+        where: {
+            tenantId,
+            shopifyId: { in: withAddresses.map(c => c.shopifyId) },
+        },
+        select: { id: true, shopifyId: true },
+    });
+    const customerIdMap = new Map(savedCustomers.map(c => [c.shopifyId, c.id]));
+
+    const addressesData = withAddresses.flatMap(customer =>
+        customer.addresses.map(address => ({
+            tenantId,
+            customerId: customerIdMap.get(customer.shopifyId),
+            ...address,
+        }))
+    ).filter(address => address.customerId);
+
+    await prisma.customerAddress.deleteMany({
+        where: { customerId: { in: Array.from(customerIdMap.values()) } },
+    });
+    if (addressesData.length > 0) {
+        await prisma.customerAddress.createMany({
+            data: addressesData,
+        });
+    }
+}
+
 /**
  * Upsert products for a tenant (idempotent)
- * Uses batch operations for better performance
+ * One INSERT ... ON CONFLICT per batch; each product's variants are stored with it
  * @param {string} tenantId
  * @param {Array} products - Array of product objects from Shopify
  * @returns {Promise<number>} - Count of upserted products
@@ -77,47 +118,177 @@ async function upsertProducts(tenantId, products) {
     for (let i = 0; i < products.length; i += BATCH_SIZE) {
         const batch = products.slice(i, i + BATCH_SIZE);
 
-        // Use createMany with skipDuplicates for better performance
-        await prisma.product.createMany({
-            data: batch.map(product => ({
+        // Insert new products and update changed ones in one statement
+        await upsertRows('products', ['tenantId', 'shopifyId'], batch.map(product => ({
+            tenantId,
+            shopifyId: product.shopifyId,
+            title: product.title,
+            vendor: product.vendor || null,
+            productType: product.productType || null,
+            price: product.price || 0,
+        })), { timestamps: true });
+
+        await upsertProductVariants(tenantId, batch);
+        await linkLineItemsToProducts(tenantId, batch);
+
+        count += batch.length;
+    }
+
+    return count;
+}
+
+/**
+ * Upsert the variants of a batch of stored products, and delete variants Shopify no longer has
+ * Products without a variants list (e.g. from an older client) keep the variants already stored
+ * @param {string} tenantId
+ * @param {Array} products - Product records with variants
+ */
+async function upsertProductVariants(tenantId, products) {
+    const withVariants = products.filter(product => Array.isArray(product.variants));
+    if (withVariants.length === 0) return;
+
+    const savedProducts = await prisma.product.findMany({
+        where: {
+            tenantId,
+            shopifyId: { in: withVariants.map(p => p.shopifyId) },
+        },
+        select: { id: true, shopifyId: true },
+    });
+    const productIdMap = new Map(savedProducts.map(p => [p.shopifyId, p.id]));
+
+    const variantsData = [];
+    for (const product of withVariants) {
+        const productId = productIdMap.get(product.shopifyId);
+        if (!productId) continue;
+        for (const variant of product.variants) {
+            variantsData.push({
                 tenantId,
-                shopifyId: product.shopifyId,
-                title: product.title,
-                vendor: product.vendor,
-                productType: product.productType,
-                price: product.price,
-            })),
-            skipDuplicates: true,
-        });
+                productId,
+                shopifyId: variant.shopifyId,
+                title: variant.title || null,
+                sku: variant.sku || null,
+                options: variant.options || [],
+                price: variant.price || 0,
+                compareAtPrice: variant.compareAtPrice ?? null,
+                inventoryQuantity: variant.inventoryQuantity ?? null,
+                inventoryItemId: variant.inventoryItemId || null,
+                position: variant.position ?? null,
+            });
+        }
+    }
+
+    if (variantsData.length > 0) {
+        await upsertRows('product_variants', ['tenantId', 'shopifyId'], variantsData, { json: ['options'], timestamps: true });
+    }
 
-        // Then update existing records
-        await Promise.all(
-            batch.map(product =>
-                prisma.product.updateMany({
+    // Variants deleted on Shopify
+    await Promise.all(
+        withVariants
+            .filter(product => productIdMap.has(product.shopifyId))
+            .map(product =>
+                prisma.productVariant.deleteMany({
                     where: {
-                        tenantId,
-                        shopifyId: product.shopifyId,
-                    },
-                    data: {
-                        title: product.title,
-                        vendor: product.vendor,
-                        productType: product.productType,
-                        price: product.price,
+                        productId: productIdMap.get(product.shopifyId),
+                        shopifyId: { notIn: product.variants.map(v => v.shopifyId) },
                     },
                 })
             )
-        );
+    );
+}
 
-        count += batch.length;
+/**
+ * Point line items already stored for a batch of products (and their variants) at them
+ * Orders usually sync before the products they sell, and webhooks arrive in any order, so line items
+ * stored before their product keep the Shopify ids until it shows up here
+ * @param {string} tenantId
+ * @param {Array} products - Product records, with variants when fetched
+ */
+async function linkLineItemsToProducts(tenantId, products) {
+    const productShopifyIds = products.map(product => product.shopifyId);
+    const variantShopifyIds = products.flatMap(product => (product.variants || []).map(variant => variant.shopifyId));
+
+    await prisma.$executeRaw`
+        UPDATE order_line_items AS li SET "productId" = p.id
+        FROM products AS p, orders AS o
+        WHERE p."tenantId" = ${tenantId} AND p."shopifyId" = ANY(${productShopifyIds})
+            AND li."productShopifyId" = p."shopifyId" AND li."productId" IS NULL
+            AND o.id = li."orderId" AND o."tenantId" = ${tenantId}
+    `;
+
+    if (variantShopifyIds.length > 0) {
+        await prisma.$executeRaw`
+            UPDATE order_line_items AS li SET "variantId" = v.id
+            FROM product_variants AS v, orders AS o
+            WHERE v."tenantId" = ${tenantId} AND v."shopifyId" = ANY(${variantShopifyIds})
+                AND li."variantShopifyId" = v."shopifyId" AND li."variantId" IS NULL
+                AND o.id = li."orderId" AND o."tenantId" = ${tenantId}
+        `;
     }
+}
 
-    return count;
+/**
+ * Look up the stored products and variants sold by a batch of orders' line items
+ * @param {string} tenantId
+ * @param {Array} orders - Order records with lineItems
+ * @returns {Promise<{productIds: Map<string, string>, variantIds: Map<string, string>}>} - Shopify id -> internal id
+ */
+async function findLineItemProducts(tenantId, orders) {
+    const lineItems = orders.flatMap(order => order.lineItems || []);
+    const productShopifyIds = [...new Set(lineItems.map(item => item.productShopifyId).filter(Boolean))];
+    const variantShopifyIds = [...new Set(lineItems.map(item => item.variantShopifyId).filter(Boolean))];
+
+    const [products, variants] = await Promise.all([
+        productShopifyIds.length > 0
+            ? prisma.product.findMany({
+                where: { tenantId, shopifyId: { in: productShopifyIds } },
+                select: { id: true, shopifyId: true },
+            })
+            : [],
+        variantShopifyIds.length > 0
+            ? prisma.productVariant.findMany({
+                where: { tenantId, shopifyId: { in: variantShopifyIds } },
+                select: { id: true, shopifyId: true },
+            })
+            : [],
+    ]);
+
+    return {
+        productIds: new Map(products.map(p => [p.shopifyId, p.id])),
+        variantIds: new Map(variants.map(v => [v.shopifyId, v.id])),
+    };
+}
+
+// Status, amount and channel details stored with each order
+const ORDER_DETAIL_FIELDS = [
+    'financialStatus',
+    'fulfillmentStatus',
+    'cancelledAt',
+    'cancelReason',
+    'currency',
+    'subtotalPrice',
+    'totalDiscounts',
+    'totalTax',
+    'totalShipping',
+    'discountCodes',
+    'sourceName',
+    'tags',
+];
+
+// Detail fields are optional on incoming orders; leave the stored values alone when they are missing
+function orderDetailFields(order) {
+    const fields = {};
+    for (const key of ORDER_DETAIL_FIELDS) {
+        if (order[key] !== undefined) {
+            fields[key] = order[key];
+        }
+    }
+    return fields;
 }
 
 /**
  * Upsert orders for a tenant (idempotent)
  * Handles customer linking by shopifyId
- * Uses batch operations for better performance
+ * One INSERT ... ON CONFLICT per batch for the orders and one for their line items
  * @param {string} tenantId
  * @param {Array} orders - Array of order objects from Shopify
  * @returns {Promise<number>} - Count of upserted orders
@@ -151,40 +322,16 @@ async function upsertOrders(tenantId, orders) {
     for (let i = 0; i < orders.length; i += BATCH_SIZE) {
         const batch = orders.slice(i, i + BATCH_SIZE);
 
-        // Prepare batch data with customer IDs
-        const batchData = batch.map(order => ({
+        // 1. Upsert Orders, with customer IDs, in one statement
+        await upsertRows('orders', ['tenantId', 'shopifyId'], batch.map(order => ({
             tenantId,
             shopifyId: order.shopifyId,
             customerId: order.customerId ? customersMap.get(order.customerId) || null : null,
-            orderNumber: order.orderNumber,
-            totalPrice: order.totalPrice,
+            orderNumber: order.orderNumber || null,
+            totalPrice: order.totalPrice || 0,
             orderDate: order.orderDate,
-        }));
-
-        // 1. Upsert Orders
-        await prisma.order.createMany({
-            data: batchData,
-            skipDuplicates: true,
-        });
-
-        // Update existing records
-        await Promise.all(
-            batch.map(order => {
-                const customerId = order.customerId ? customersMap.get(order.customerId) || null : null;
-                return prisma.order.updateMany({
-                    where: {
-                        tenantId,
-                        shopifyId: order.shopifyId,
-                    },
-                    data: {
-                        customerId,
-                        orderNumber: order.orderNumber,
-                        totalPrice: order.totalPrice,
-                        orderDate: order.orderDate,
-                    },
-                });
-            })
-        );
+            ...orderDetailFields(order),
+        })), { timestamps: true });
 
         // 2. Handle Line Items
         // Fetch the internal IDs of the orders we just upserted
@@ -199,37 +346,49 @@ async function upsertOrders(tenantId, orders) {
 
         const orderIdMap = new Map(savedOrders.map(o => [o.shopifyId, o.id]));
 
-        // Prepare line items
-        const lineItemsData = [];
-        for (const order of batch) {
-            const orderId = orderIdMap.get(order.shopifyId);
-            if (orderId && order.lineItems && Array.isArray(order.lineItems)) {
-                for (const item of order.lineItems) {
-                    lineItemsData.push({
-                        orderId,
-                        shopifyId: item.shopifyId,
-                        title: item.title,
-                        quantity: item.quantity,
-                        price: item.price,
-                    });
-                }
-            }
-        }
+        // Line items, linked to the products and variants already stored. Only changed items are
+        // rewritten and items no longer on the order are deleted; orders without line items (not
+        // fetched with them) keep the stored ones
+        const withLineItems = batch.filter(order =>
+            orderIdMap.has(order.shopifyId) && Array.isArray(order.lineItems) && order.lineItems.length > 0
+        );
+        if (withLineItems.length > 0) {
+            const { productIds, variantIds } = await findLineItemProducts(tenantId, withLineItems);
+
+            await upsertRows('order_line_items', ['orderId', 'shopifyId'], withLineItems.flatMap(order =>
+                order.lineItems.map(item => ({
+                    orderId: orderIdMap.get(order.shopifyId),
+                    shopifyId: item.shopifyId,
+                    title: item.title,
+                    quantity: item.quantity,
+                    price: item.price || 0,
+                    sku: item.sku || null,
+                    productShopifyId: item.productShopifyId || null,
+                    variantShopifyId: item.variantShopifyId || null,
+                    productId: productIds.get(item.productShopifyId) || null,
+                    variantId: variantIds.get(item.variantShopifyId) || null,
+                }))
+            ));
 
-        if (lineItemsData.length > 0) {
-            // Delete existing line items for these orders to avoid duplicates/stale data
-            // (Simpler than upserting individual line items)
             await prisma.orderLineItem.deleteMany({
                 where: {
-                    orderId: { in: Array.from(orderIdMap.values()) },
+                    OR: withLineItems.map(order => ({
+                        orderId: orderIdMap.get(order.shopifyId),
+                        shopifyId: { notIn: order.lineItems.map(item => item.shopifyId) },
+                    })),
                 },
             });
+        }
 
-            // Insert new line items
-            await prisma.orderLineItem.createMany({
-                data: lineItemsData,
-            });
+        // 3. Refunds, for orders that came with them
+        const refunds = [];
+        for (const order of batch) {
+            const orderId = orderIdMap.get(order.shopifyId);
+            if (orderId && Array.isArray(order.refunds)) {
+                refunds.push(...order.refunds.map(refund => ({ ...refund, orderId })));
+            }
         }
+        await upsertRefunds(tenantId, refunds);
 
         count += batch.length;
     }
@@ -238,61 +397,333 @@ async function upsertOrders(tenantId, orders) {
 }
 
 /**
- * Orchestrate full sync for a tenant
- * Fetches and upserts customers, products, and orders
+ * Upsert refunds for a tenant (idempotent)
+ * Refunds that carry a lineItems list have their refunded items replaced; others (e.g. from a bulk
+ * export) keep the items already stored
  * @param {string} tenantId
- * @returns {Promise<Object>} - Summary with counts
+ * @param {Array} refunds - Refund records with the internal orderId they belong to
+ * @returns {Promise<number>} - Count of upserted refunds
  */
-async function syncAll(tenantId) {
-    // Get tenant info
-    const tenant = await prisma.tenant.findUnique({
-        where: { id: tenantId },
+async function upsertRefunds(tenantId, refunds) {
+    if (refunds.length === 0) return 0;
+
+    await upsertRows('refunds', ['tenantId', 'shopifyId'], refunds.map(({ lineItems, ...refund }) => ({
+        tenantId,
+        ...refund,
+    })), { timestamps: true });
+
+    const withLineItems = refunds.filter(refund => Array.isArray(refund.lineItems));
+    if (withLineItems.length > 0) {
+        const savedRefunds = await prisma.refund.findMany({
+            where: {
+                tenantId,
+                shopifyId: { in: withLineItems.map(refund => refund.shopifyId) },
+            },
+            select: { id: true, shopifyId: true },
+        });
+        const refundIdMap = new Map(savedRefunds.map(refund => [refund.shopifyId, refund.id]));
+
+        const lineItemsData = withLineItems.flatMap(refund =>
+            refund.lineItems.map(item => ({ refundId: refundIdMap.get(refund.shopifyId), ...item }))
+        ).filter(item => item.refundId);
+
+        await prisma.refundLineItem.deleteMany({
+            where: { refundId: { in: Array.from(refundIdMap.values()) } },
+        });
+        if (lineItemsData.length > 0) {
+            await prisma.refundLineItem.createMany({
+                data: lineItemsData,
+            });
+        }
+    }
+
+    return refunds.length;
+}
+
+/**
+ * Which of these refunds are already stored with their refunded items
+ * @param {string} tenantId
+ * @param {Array<string>} shopifyIds
+ * @returns {Promise<Set<string>>}
+ */
+async function refundsWithLineItems(tenantId, shopifyIds) {
+    const refunds = await prisma.refund.findMany({
+        where: { tenantId, shopifyId: { in: shopifyIds }, lineItems: { some: {} } },
+        select: { shopifyId: true },
     });
+    return new Set(refunds.map((refund) => refund.shopifyId));
+}
 
-    if (!tenant) {
-        throw new Error('Tenant not found');
+// Columns compared to decide whether a fetched record changes what we store
+const CHANGE_FIELDS = {
+    customers: ['email', 'firstName', 'lastName', 'phone', 'state', 'ordersCount', 'totalSpent', 'emailMarketingState', 'smsMarketingState'],
+    products: ['title', 'vendor', 'productType', 'price'],
+    orders: ['orderNumber', 'totalPrice', 'orderDate', 'financialStatus', 'fulfillmentStatus', 'cancelledAt'],
+};
+
+const RESOURCE_MODELS = {
+    customers: 'customer',
+    products: 'product',
+    orders: 'order',
+};
+
+function valuesDiffer(stored, incoming) {
+    if (incoming instanceof Date) {
+        return !(stored instanceof Date) || stored.getTime() !== incoming.getTime();
+    }
+    if (typeof incoming === 'number') {
+        // Decimals come back from Prisma as Decimal objects
+        return stored === null || stored === undefined || Number(stored) !== incoming;
     }
+    return (stored || null) !== (incoming || null);
+}
 
-    // Use GraphQL API first for better performance (avoids N+1 problem)
-    // Fallback to REST API if GraphQL fails
-    let customers;
-    try {
-        customers = await fetchCustomersGraphQL(tenant.shopifyDomain, tenant.accessToken);
-    } catch (graphqlError) {
-        console.warn(`GraphQL fetch failed, falling back to REST: ${graphqlError.message}`);
+/**
+ * Count fetched records that are new or differ from the stored row
+ * @param {string} tenantId
+ * @param {string} resource - customers, products or orders
+ * @param {Array} records - Mapped records from the Shopify client
+ * @returns {Promise<number>}
+ */
+async function countChanged(tenantId, resource, records) {
+    const fields = CHANGE_FIELDS[resource];
+    const ids = records.map((record) => record.shopifyId).filter(Boolean);
+    const stored = new Map();
+
+    const CHUNK_SIZE = 1000;
+    for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+        const rows = await prisma[RESOURCE_MODELS[resource]].findMany({
+            where: {
+                tenantId,
+                shopifyId: { in: ids.slice(i, i + CHUNK_SIZE) },
+            },
+            select: {
+                shopifyId: true,
+                ...Object.fromEntries(fields.map((field) => [field, true])),
+            },
+        });
+        rows.forEach((row) => stored.set(row.shopifyId, row));
+    }
+
+    return records.filter((record) => {
+        const row = stored.get(record.shopifyId);
+        return !row || fields.some((field) => valuesDiffer(row[field], record[field]));
+    }).length;
+}
+
+// Newest Shopify updated_at among the records, or the current mark if none is newer
+function newestUpdatedAt(records, currentMark) {
+    return records.reduce(
+        (mark, record) => (record.updatedAt && (!mark || record.updatedAt > mark) ? record.updatedAt : mark),
+        currentMark || null
+    );
+}
+
+async function saveSyncCursor(tenantId, resource, updatedAtMark, fullSync) {
+    const now = new Date();
+    await prisma.syncCursor.upsert({
+        where: { tenantId_resource: { tenantId, resource } },
+        create: {
+            tenantId,
+            resource,
+            updatedAtMark,
+            lastSyncedAt: now,
+            lastFullSyncAt: fullSync ? now : null,
+        },
+        update: {
+            updatedAtMark,
+            lastSyncedAt: now,
+            ...(fullSync && { lastFullSyncAt: now }),
+        },
+    });
+}
+
+// Fetch one resource: GraphQL first for better performance (avoids N+1 problem), REST as fallback
+const FETCHERS = {
+    async customers(shopDomain, accessToken, options) {
+        try {
+            return await fetchCustomersGraphQL(shopDomain, accessToken, options);
+        } catch (graphqlError) {
+            console.warn(`GraphQL fetch failed, falling back to REST: ${graphqlError.message}`);
+            try {
+                return await fetchCustomers(shopDomain, accessToken, options);
+            } catch (restError) {
+                throw new Error(`Failed to fetch customers: ${restError.message} (GraphQL error: ${graphqlError.message})`);
+            }
+        }
+    },
+    // GraphQL gets line items efficiently
+    async orders(shopDomain, accessToken, options) {
+        try {
+            return await fetchOrdersGraphQL(shopDomain, accessToken, options);
+        } catch (e) {
+            console.warn('GraphQL orders fetch failed, falling back to REST', e);
+            return fetchOrders(shopDomain, accessToken, options);
+        }
+    },
+    async products(shopDomain, accessToken, options) {
         try {
-            customers = await fetchCustomers(tenant.shopifyDomain, tenant.accessToken);
-        } catch (restError) {
-            throw new Error(`Failed to fetch customers: ${restError.message} (GraphQL error: ${graphqlError.message})`);
+            return await fetchProductsGraphQL(shopDomain, accessToken, options);
+        } catch (e) {
+            console.warn('GraphQL products fetch failed, falling back to REST', e);
+            return fetchProducts(shopDomain, accessToken, options);
         }
+    },
+};
+
+const UPSERTERS = {
+    customers: upsertCustomers,
+    orders: upsertOrders,
+    products: upsertProducts,
+};
+
+// Customers first, so orders can be linked to them
+const SYNC_PHASES = ['customers', 'orders', 'products'];
+
+// Initial syncs of stores with at least this many customers/orders use a bulk operation
+const BULK_THRESHOLD = parseInt(process.env.SYNC_BULK_THRESHOLD, 10) || 10000;
+const BULK_RESOURCES = ['customers', 'orders'];
+
+/**
+ * Fetch, compare and upsert one resource in a single pass
+ * For orders, lineItemsPaged counts orders whose line items needed follow-up pages
+ * @returns {Promise<{fetched: number, changed: number, upserted: number, mark: Date|null, lineItemsPaged?: number}>}
+ */
+async function syncResourcePaged(tenantId, tenant, accessToken, resource, since) {
+    const records = await FETCHERS[resource](tenant.shopifyDomain, accessToken, {
+        updatedAtMin: since,
+        ...(resource === 'orders' && { storedRefundIds: (shopifyIds) => refundsWithLineItems(tenantId, shopifyIds) }),
+    });
+
+    const changed = await countChanged(tenantId, resource, records);
+    const upserted = await UPSERTERS[resource](tenantId, records);
+
+    return {
+        fetched: records.length,
+        changed,
+        upserted,
+        mark: newestUpdatedAt(records, since),
+        ...(resource === 'orders' && { lineItemsPaged: records.filter((record) => record.lineItemsPaginated).length }),
+    };
+}
+
+// Whether an initial sync of this resource is large enough for a bulk operation
+async function shouldUseBulk(tenant, accessToken, resource, since) {
+    if (since || !BULK_RESOURCES.includes(resource)) {
+        return false;
+    }
+    try {
+        return await fetchResourceCount(tenant.shopifyDomain, accessToken, resource) >= BULK_THRESHOLD;
+    } catch (error) {
+        console.warn(`Could not count ${resource} for ${tenant.shopifyDomain}, syncing page by page: ${error.message}`);
+        return false;
     }
+}
 
-    // Use GraphQL for orders to get line items efficiently
-    let orders;
+/**
+ * Sync one resource through a bulk operation, upserting the exported records batch by batch
+ * onBatch is awaited after each batch with the running totals
+ * @returns {Promise<Object|null>} - Totals as for syncResourcePaged plus bulk: true, or null if the operation could not start
+ */
+async function syncResourceInBulk(tenantId, tenant, accessToken, resource, since, onBatch) {
+    let operation;
     try {
-        orders = await fetchOrdersGraphQL(tenant.shopifyDomain, tenant.accessToken);
-    } catch (e) {
-        console.warn('GraphQL orders fetch failed, falling back to REST', e);
-        orders = await fetchOrders(tenant.shopifyDomain, tenant.accessToken);
+        operation = await startBulkQuery(tenant.shopifyDomain, accessToken, resource, { updatedAtMin: since });
+    } catch (error) {
+        // e.g. another bulk query is already running for the shop
+        console.warn(`Bulk ${resource} export for ${tenant.shopifyDomain} failed to start, syncing page by page: ${error.message}`);
+        return null;
+    }
+
+    const totals = { fetched: 0, changed: 0, upserted: 0, mark: since, bulk: true };
+    await fetchBulkResults(tenant.shopifyDomain, accessToken, operation, resource, async (records) => {
+        totals.changed += await countChanged(tenantId, resource, records);
+        totals.upserted += await UPSERTERS[resource](tenantId, records);
+        totals.fetched += records.length;
+        totals.mark = newestUpdatedAt(records, totals.mark);
+        await onBatch(totals);
+    });
+    return totals;
+}
+
+/**
+ * Orchestrate a sync for a tenant
+ * Runs one phase per resource (customers, orders, products): fetch, upsert, advance the cursor.
+ * Each resource only fetches records updated since its stored high-water mark (inclusive, so
+ * same-second edits are not missed); the first run for a resource, or fullResync, crawls everything.
+ * A crawl of at least SYNC_BULK_THRESHOLD customers or orders is exported with a bulk operation
+ * and upserted as it streams in. A resource's mark only advances after its records are stored.
+ * @param {string} tenantId
+ * @param {{fullResync?: boolean, onProgress?: function}} options - fullResync ignores the stored cursors;
+ *        onProgress(phase, counts) is awaited when a phase starts, after each bulk batch, and with the
+ *        final counts (phase null)
+ * @returns {Promise<Object>} - Per resource: fetched (from Shopify) and changed (new or different from what we stored);
+ *          orders also report lineItemsPaged when synced page by page
+ */
+async function syncAll(tenantId, { fullResync = false, onProgress } = {}) {
+    // Get tenant info
+    const tenant = await prisma.tenant.findUnique({
+        where: { id: tenantId },
+    });
+
+    if (!tenant) {
+        throw new Error('Tenant not found');
     }
 
-    const products = await fetchProducts(tenant.shopifyDomain, tenant.accessToken);
+    const accessToken = getTenantAccessToken(tenant);
+    const report = onProgress || (async () => {});
+
+    const cursors = new Map(
+        (await prisma.syncCursor.findMany({ where: { tenantId } })).map((cursor) => [cursor.resource, cursor])
+    );
+
+    const counts = {};
+    const upserted = {};
+    let crawledEverything = true;
+
+    for (const resource of SYNC_PHASES) {
+        await report(resource, counts);
+
+        const since = fullResync ? null : cursors.get(resource)?.updatedAtMark || null;
+
+        const reportBatch = ({ fetched, changed }) => {
+            counts[resource] = { fetched, changed, since, bulk: true };
+            return report(resource, counts);
+        };
+        const totals = (await shouldUseBulk(tenant, accessToken, resource, since)
+            && await syncResourceInBulk(tenantId, tenant, accessToken, resource, since, reportBatch))
+            || await syncResourcePaged(tenantId, tenant, accessToken, resource, since);
+
+        upserted[resource] = totals.upserted;
+        await saveSyncCursor(tenantId, resource, totals.mark, !since);
+
+        counts[resource] = {
+            fetched: totals.fetched,
+            changed: totals.changed,
+            since,
+            ...(totals.bulk && { bulk: true }),
+            ...(totals.lineItemsPaged !== undefined && { lineItemsPaged: totals.lineItemsPaged }),
+        };
+        crawledEverything = crawledEverything && !since;
+    }
 
-    // Upsert in order: customers first (for order-customer linking)
-    const customersUpserted = await upsertCustomers(tenantId, customers);
-    const productsUpserted = await upsertProducts(tenantId, products);
-    const ordersUpserted = await upsertOrders(tenantId, orders);
+    await report(null, counts);
 
     return {
-        customersUpserted,
-        productsUpserted,
-        ordersUpserted,
+        fullResync: crawledEverything,
+        ...counts,
+        // Kept for existing clients
+        customersUpserted: upserted.customers,
+        productsUpserted: upserted.products,
+        ordersUpserted: upserted.orders,
     };
 }
 
 module.exports = {
+    SYNC_PHASES,
     upsertCustomers,
     upsertProducts,
     upsertOrders,
+    upsertRefunds,
     syncAll,
 };
@@ -0,0 +1,86 @@
+// Role-based access checks for tenants (Shopify stores) shared through organizations
+const prisma = require('../prisma');
+const { hasPermission } = require('./permissions');
+const { apiKeyAllowsTenant } = require('./apiKeys');
+const { getMembershipRole } = require('./organizations');
+const { TWO_FACTOR_REQUIRED_MESSAGE, isBlockedByTwoFactorPolicy } = require('./twoFactor');
+
+const ACCESS_DENIED = 'Access denied - tenant does not belong to user';
+
+/**
+ * Prisma where-clause matching every tenant a user can see
+ * Tenants created before organizations existed fall back to their creator
+ * @param {string} userId
+ * @returns {object}
+ */
+function accessibleTenantsWhere(userId) {
+    return {
+        OR: [
+            { organization: { memberships: { some: { userId } } } },
+            { organizationId: null, userId },
+        ],
+    };
+}
+
+/**
+ * Resolve a user's role for a tenant
+ * @param {object} tenant - Tenant record (organizationId, userId)
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+async function getTenantRole(tenant, userId) {
+    if (!tenant.organizationId) {
+        return tenant.userId === userId ? 'owner' : null;
+    }
+    return getMembershipRole(tenant.organizationId, userId);
+}
+
+/**
+ * Verify that the authenticated user (and API key, if any) may perform an action on a tenant
+ * @param {string} tenantId
+ * @param {{user: object, apiKey?: object}} auth - Typically the Express request
+ * @param {string} permission - Permission required, e.g. "metrics:read" or "sync:run"
+ * @returns {Promise<{valid: boolean, status?: number, error?: string, code?: string, tenant?: object, role?: string}>}
+ */
+async function verifyTenantAccess(tenantId, { user, apiKey }, permission = 'metrics:read') {
+    if (!apiKeyAllowsTenant(apiKey, tenantId)) {
+        return { valid: false, status: 403, error: 'Access denied - API key is not permitted for this tenant' };
+    }
+
+    const tenant = await prisma.tenant.findUnique({
+        where: { id: tenantId },
+        include: {
+            organization: { select: { require2fa: true } },
+        },
+    });
+
+    if (!tenant) {
+        return { valid: false, status: 403, error: ACCESS_DENIED };
+    }
+
+    const role = await getTenantRole(tenant, user.id);
+
+    if (!role) {
+        return { valid: false, status: 403, error: ACCESS_DENIED };
+    }
+
+    if (isBlockedByTwoFactorPolicy(tenant.organization, user)) {
+        return { valid: false, status: 403, error: TWO_FACTOR_REQUIRED_MESSAGE, code: 'TWO_FACTOR_REQUIRED' };
+    }
+
+    if (!hasPermission(role, permission)) {
+        return {
+            valid: false,
+            status: 403,
+            error: `Access denied - your ${role} role does not allow this action`,
+        };
+    }
+
+    return { valid: true, tenant, role };
+}
+
+module.exports = {
+    accessibleTenantsWhere,
+    getTenantRole,
+    verifyTenantAccess,
+};
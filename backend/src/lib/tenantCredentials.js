@@ -0,0 +1,145 @@
+// Encryption at rest for Shopify access tokens (envelope encryption, AES-256-GCM)
+// Each tenant's token is encrypted with its own random data key, and the data key is
+// wrapped with a master key from TOKEN_ENCRYPTION_KEYS. The master key version is stored
+// per row so keys can be rotated (see src/scripts/rotate-token-key.js).
+//
+// TOKEN_ENCRYPTION_KEYS="1:<base64 32-byte key>,2:<base64 32-byte key>"
+// TOKEN_ENCRYPTION_KEY_VERSION=2   (version used for new encryption; defaults to the highest)
+//
+// Always read tokens through getTenantAccessToken() so plaintext stays in memory only.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+function loadMasterKeys() {
+    const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+    if (!raw) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+    }
+
+    const keys = new Map();
+    for (const entry of raw.split(',').map((part) => part.trim()).filter(Boolean)) {
+        const [versionText, encodedKey] = entry.split(':');
+        const version = parseInt(versionText, 10);
+        const key = Buffer.from(encodedKey || '', 'base64');
+
+        if (!Number.isInteger(version) || version < 1 || key.length !== KEY_BYTES) {
+            throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like "<version>:<base64 32-byte key>"');
+        }
+        keys.set(version, key);
+    }
+
+    return keys;
+}
+
+/**
+ * Master key version used for new encryption
+ * @returns {number}
+ */
+function getCurrentKeyVersion() {
+    const keys = loadMasterKeys();
+    const configured = parseInt(process.env.TOKEN_ENCRYPTION_KEY_VERSION, 10);
+    const version = Number.isInteger(configured) ? configured : Math.max(...keys.keys());
+
+    if (!keys.has(version)) {
+        throw new Error(`TOKEN_ENCRYPTION_KEY_VERSION ${version} is not in TOKEN_ENCRYPTION_KEYS`);
+    }
+    return version;
+}
+
+function getMasterKey(version) {
+    const key = loadMasterKeys().get(version);
+    if (!key) {
+        throw new Error(`No token encryption key configured for version ${version}`);
+    }
+    return key;
+}
+
+// Serialized as "<iv>.<auth tag>.<ciphertext>", each base64
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+}
+
+function unseal(key, sealed) {
+    const [iv, tag, ciphertext] = String(sealed).split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Encrypt an access token for storage
+ * @param {string} accessToken - Plaintext Shopify access token
+ * @returns {object} - Tenant fields to spread into a prisma create/update `data`
+ */
+function encryptAccessToken(accessToken) {
+    const version = getCurrentKeyVersion();
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+
+    return {
+        accessToken: null,
+        accessTokenCiphertext: seal(dataKey, Buffer.from(accessToken, 'utf8')),
+        accessTokenDataKey: seal(getMasterKey(version), dataKey),
+        accessTokenKeyVersion: version,
+    };
+}
+
+/**
+ * Get the plaintext Shopify access token for a tenant
+ * Falls back to the legacy plaintext column for rows not yet migrated
+ * @param {object} tenant - Tenant record including the accessToken* fields
+ * @returns {string}
+ */
+function getTenantAccessToken(tenant) {
+    if (tenant.accessTokenCiphertext) {
+        try {
+            const dataKey = unseal(getMasterKey(tenant.accessTokenKeyVersion), tenant.accessTokenDataKey);
+            return unseal(dataKey, tenant.accessTokenCiphertext).toString('utf8');
+        } catch (error) {
+            // Keep crypto internals (and anything token-shaped) out of the message
+            throw new Error(`Could not decrypt access token for tenant ${tenant.id} (key version ${tenant.accessTokenKeyVersion})`);
+        }
+    }
+
+    if (tenant.accessToken) {
+        return tenant.accessToken;
+    }
+
+    throw new Error(`Tenant ${tenant.id} has no access token`);
+}
+
+/**
+ * Last characters of the token, enough to tell which one is configured
+ * @param {object} tenant
+ * @returns {string}
+ */
+function getAccessTokenHint(tenant) {
+    return `…${getTenantAccessToken(tenant).slice(-4)}`;
+}
+
+/**
+ * Whether a tenant's token is plaintext or wrapped with a key other than the current one
+ * @param {object} tenant
+ * @returns {boolean}
+ */
+function needsReencryption(tenant) {
+    if (!tenant.accessTokenCiphertext) {
+        return Boolean(tenant.accessToken);
+    }
+    return tenant.accessTokenKeyVersion !== getCurrentKeyVersion();
+}
+
+module.exports = {
+    encryptAccessToken,
+    getTenantAccessToken,
+    getAccessTokenHint,
+    needsReencryption,
+    getCurrentKeyVersion,
+};
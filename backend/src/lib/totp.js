@@ -0,0 +1,168 @@
+// Time-based one-time passwords (RFC 6238) and recovery codes for two-factor login
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Xeno';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32-encoded TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {string}
+ */
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Number of 30-second steps since the Unix epoch
+ * @returns {string} - Zero-padded 6-digit code
+ */
+function generateTotp(secret, step = currentTotpStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentTotpStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Check a code against the current step, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options - { lastUsedStep, now }
+ * @returns {number|null} - The matching step (store it to block replays), or null
+ */
+function verifyTotp(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const step = currentTotpStep(now);
+    for (const candidate of [step - 1, step, step + 1]) {
+        // A code can only be used once
+        if (lastUsedStep !== null && candidate <= lastUsedStep) {
+            continue;
+        }
+        const expected = generateTotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps scan
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+function buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').replace(/[\s-]+/g, '').toLowerCase();
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code), 'utf8').digest('hex');
+}
+
+/**
+ * Generate single-use recovery codes
+ * @returns {{codes: string[], hashes: string[]}} - codes are only ever shown once
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Heuristic used by login to tell recovery codes apart from authenticator codes
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isRecoveryCode(code) {
+    return /^[0-9a-f]{10}$/.test(normalizeRecoveryCode(code));
+}
+
+module.exports = {
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    isRecoveryCode,
+    base32Encode,
+    base32Decode,
+};
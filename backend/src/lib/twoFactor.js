@@ -0,0 +1,78 @@
+// Second-factor checks shared by login and 2FA management
+const prisma = require('../prisma');
+const { verifyTotp, hashRecoveryCode, isRecoveryCode } = require('./totp');
+
+const TWO_FACTOR_REQUIRED_MESSAGE = 'This organization requires two-factor authentication. Enable it in your security settings to continue.';
+
+function isTwoFactorEnabled(user) {
+    return Boolean(user && user.totpEnabledAt);
+}
+
+/**
+ * Check an authenticator or recovery code for a user with 2FA enabled
+ * Successful codes are burned: the TOTP step is recorded and recovery codes are removed
+ * @param {object} user - User record including totp fields
+ * @param {string} code
+ * @returns {Promise<{valid: boolean, method?: string, recoveryCodesRemaining?: number}>}
+ */
+async function verifySecondFactor(user, code) {
+    if (!isTwoFactorEnabled(user) || !code) {
+        return { valid: false };
+    }
+
+    if (isRecoveryCode(code)) {
+        const hash = hashRecoveryCode(code);
+        if (!user.totpRecoveryCodes.includes(hash)) {
+            return { valid: false };
+        }
+
+        // Remove the code in the statement that checks it is still there, so concurrent logins
+        // can't both spend it or write back a list another request has already changed
+        const [burned] = await prisma.$queryRaw`
+            UPDATE users
+            SET "totpRecoveryCodes" = array_remove("totpRecoveryCodes", ${hash})
+            WHERE "id" = ${user.id} AND ${hash} = ANY("totpRecoveryCodes")
+            RETURNING cardinality("totpRecoveryCodes") AS remaining
+        `;
+
+        return burned
+            ? { valid: true, method: 'recovery_code', recoveryCodesRemaining: Number(burned.remaining) }
+            : { valid: false };
+    }
+
+    const step = verifyTotp(user.totpSecret, code, { lastUsedStep: user.totpLastUsedStep });
+    if (step === null) {
+        return { valid: false };
+    }
+
+    // Only one login can move the last used step forward to this one
+    const { count } = await prisma.user.updateMany({
+        where: {
+            id: user.id,
+            OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+        },
+        data: { totpLastUsedStep: step },
+    });
+    if (count === 0) {
+        return { valid: false };
+    }
+
+    return { valid: true, method: 'totp' };
+}
+
+/**
+ * Whether an organization's 2FA requirement blocks this user
+ * @param {object|null} organization - { require2fa }
+ * @param {object} user - req.user (includes totpEnabledAt)
+ * @returns {boolean}
+ */
+function isBlockedByTwoFactorPolicy(organization, user) {
+    return Boolean(organization && organization.require2fa && !isTwoFactorEnabled(user));
+}
+
+module.exports = {
+    TWO_FACTOR_REQUIRED_MESSAGE,
+    isTwoFactorEnabled,
+    verifySecondFactor,
+    isBlockedByTwoFactorPolicy,
+};
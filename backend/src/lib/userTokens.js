@@ -0,0 +1,74 @@
+// Single-use, expiring tokens for email verification and password resets
+// Only a SHA-256 hash is stored; the plaintext token travels in the emailed link
+const crypto = require('crypto');
+const prisma = require('../prisma');
+
+const TOKEN_TTL_MINUTES = {
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 48 * 60,
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+};
+
+function hashUserToken(token) {
+    return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+/**
+ * Issue a new token, invalidating any unused ones for the same purpose
+ * @param {string} userId
+ * @param {string} purpose - "email_verification" | "password_reset"
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+async function issueUserToken(userId, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+    await prisma.$transaction([
+        prisma.userToken.deleteMany({
+            where: { userId, purpose, usedAt: null },
+        }),
+        prisma.userToken.create({
+            data: {
+                userId,
+                purpose,
+                tokenHash: hashUserToken(token),
+                expiresAt,
+            },
+        }),
+    ]);
+
+    return { token, expiresAt };
+}
+
+/**
+ * Redeem a token exactly once
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {Promise<string|null>} - The token's user id, or null if invalid, expired or already used
+ */
+async function consumeUserToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const stored = await prisma.userToken.findUnique({
+        where: { tokenHash: hashUserToken(token) },
+    });
+
+    if (!stored || stored.purpose !== purpose || stored.usedAt || stored.expiresAt <= new Date()) {
+        return null;
+    }
+
+    // Conditional update so two concurrent requests cannot both redeem it
+    const { count } = await prisma.userToken.updateMany({
+        where: { id: stored.id, usedAt: null },
+        data: { usedAt: new Date() },
+    });
+
+    return count === 1 ? stored.userId : null;
+}
+
+module.exports = {
+    issueUserToken,
+    consumeUserToken,
+    hashUserToken,
+};
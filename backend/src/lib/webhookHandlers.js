@@ -0,0 +1,179 @@
+// Apply a Shopify webhook payload to the database
+// Called by the webhook inbox (lib/webhookInbox.js); throwing marks the event for retry
+const prisma = require('../prisma');
+const { upsertCustomers, upsertProducts, upsertOrders, upsertRefunds } = require('./syncService');
+const { PRIVACY_TOPICS, handlePrivacyWebhook } = require('./privacyRequests');
+const { notifyBulkOperationFinished } = require('./shopifyBulk');
+const { mapRestCustomer, mapRestProduct, mapRestOrder, mapRestRefund } = require('./shopifyClient');
+const { fetchInventoryItemQuantity } = require('./shopifyGraphQL');
+const { getTenantAccessToken } = require('./tenantCredentials');
+
+/**
+ * app/uninstalled: Shopify has revoked our token and removed our webhook subscriptions
+ * Mark every tenant for the shop disconnected so syncs stop until it is reconnected
+ */
+async function handleAppUninstalled(shopDomain) {
+    const tenants = await prisma.tenant.findMany({
+        where: { shopifyDomain: shopDomain, status: 'active' },
+        select: { id: true },
+    });
+    const tenantIds = tenants.map((tenant) => tenant.id);
+
+    await prisma.$transaction([
+        prisma.tenant.updateMany({
+            where: { id: { in: tenantIds } },
+            data: { status: 'disconnected', disconnectedAt: new Date() },
+        }),
+        prisma.webhookSubscription.deleteMany({
+            where: { tenantId: { in: tenantIds } },
+        }),
+    ]);
+
+    console.log(`App uninstalled from ${shopDomain}: ${tenantIds.length} tenant(s) disconnected`);
+    return { handled: true };
+}
+
+// customers/create and customers/update carry the customer with all their addresses
+function customerFromWebhook(webhookData) {
+    const { updatedAt, ...customer } = mapRestCustomer(webhookData);
+    return customer;
+}
+
+// products/create and products/update carry the product with all its variants
+function productFromWebhook(webhookData) {
+    const { updatedAt, ...product } = mapRestProduct(webhookData);
+    return product;
+}
+
+/**
+ * inventory_levels/update: stock changed at one location
+ * The payload only has that location's count and we store the total across locations, so the
+ * total is read back from Shopify for the variant(s) tracking the inventory item
+ */
+async function updateInventoryLevel(tenantId, webhookData) {
+    const inventoryItemId = String(webhookData.inventory_item_id);
+    const tracked = await prisma.productVariant.count({
+        where: { tenantId, inventoryItemId },
+    });
+    // Not synced yet; the next product sync brings the variant in with its stock
+    if (tracked === 0) return 0;
+
+    const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+    const inventoryQuantity = await fetchInventoryItemQuantity(
+        tenant.shopifyDomain,
+        getTenantAccessToken(tenant),
+        inventoryItemId
+    );
+    if (inventoryQuantity === null) return 0;
+
+    const { count } = await prisma.productVariant.updateMany({
+        where: { tenantId, inventoryItemId },
+        data: { inventoryQuantity },
+    });
+    return count;
+}
+
+// orders/create, orders/updated, orders/cancelled and orders/paid all carry the full order
+function orderFromWebhook(webhookData) {
+    const { updatedAt, ...order } = mapRestOrder(webhookData);
+    return order;
+}
+
+// refunds/create: attach the refund to its order
+async function createRefund(tenantId, webhookData) {
+    const order = await prisma.order.findUnique({
+        where: { tenantId_shopifyId: { tenantId, shopifyId: String(webhookData.order_id) } },
+        select: { id: true },
+    });
+    // The order isn't synced yet; it brings its refunds along when it is
+    if (!order) return 0;
+
+    return upsertRefunds(tenantId, [{ ...mapRestRefund(webhookData), orderId: order.id }]);
+}
+
+// Delete topics only carry the id. Deleting an order removes its line items, deleting a product
+// its variants; deleting a customer removes their addresses and unlinks their orders.
+function deleteByShopifyId(model) {
+    return (tenantId, webhookData) => prisma[model].deleteMany({
+        where: { tenantId, shopifyId: String(webhookData.id) },
+    });
+}
+
+// Per-tenant handlers for store data topics
+const TENANT_HANDLERS = {
+    'customers/create': (tenantId, webhookData) => upsertCustomers(tenantId, [customerFromWebhook(webhookData)]),
+    'customers/update': (tenantId, webhookData) => upsertCustomers(tenantId, [customerFromWebhook(webhookData)]),
+    'customers/delete': deleteByShopifyId('customer'),
+    'products/create': (tenantId, webhookData) => upsertProducts(tenantId, [productFromWebhook(webhookData)]),
+    'products/update': (tenantId, webhookData) => upsertProducts(tenantId, [productFromWebhook(webhookData)]),
+    'products/delete': deleteByShopifyId('product'),
+    'inventory_levels/update': updateInventoryLevel,
+    'orders/create': (tenantId, webhookData) => upsertOrders(tenantId, [orderFromWebhook(webhookData)]),
+    'orders/updated': (tenantId, webhookData) => upsertOrders(tenantId, [orderFromWebhook(webhookData)]),
+    'orders/cancelled': (tenantId, webhookData) => upsertOrders(tenantId, [orderFromWebhook(webhookData)]),
+    'orders/paid': (tenantId, webhookData) => upsertOrders(tenantId, [orderFromWebhook(webhookData)]),
+    'orders/delete': deleteByShopifyId('order'),
+    'refunds/create': createRefund,
+};
+
+/**
+ * Process one webhook delivery
+ * A store can be connected by several organizations (one tenant each), so store data topics are
+ * applied to every active tenant for the shop domain. If any tenant fails the error is rethrown
+ * after the others are done, and the inbox retries the whole delivery (the handlers are idempotent).
+ * @param {string} topic - e.g. "orders/create"
+ * @param {string} shopDomain - X-Shopify-Shop-Domain
+ * @param {object} webhookData - Parsed payload
+ * @returns {Promise<{handled: boolean, reason?: string}>}
+ */
+async function handleWebhook(topic, shopDomain, webhookData) {
+    if (topic === 'app/uninstalled') {
+        return handleAppUninstalled(shopDomain);
+    }
+
+    if (PRIVACY_TOPICS.includes(topic)) {
+        return handlePrivacyWebhook(topic, shopDomain, webhookData);
+    }
+
+    // Wakes a sync in this process waiting on the export; others find out by polling
+    if (topic === 'bulk_operations/finish') {
+        notifyBulkOperationFinished(webhookData.admin_graphql_api_id);
+        return { handled: true };
+    }
+
+    const handler = TENANT_HANDLERS[topic];
+    if (!handler) {
+        return { handled: false, reason: `Unsupported topic ${topic}` };
+    }
+
+    const tenants = await prisma.tenant.findMany({
+        where: { shopifyDomain: shopDomain, status: 'active' },
+        select: { id: true, name: true },
+    });
+
+    if (tenants.length === 0) {
+        console.warn(`Tenant not found for domain: ${shopDomain}`);
+        return { handled: false, reason: 'Tenant not found' };
+    }
+
+    const failures = [];
+    for (const tenant of tenants) {
+        try {
+            await handler(tenant.id, webhookData);
+            console.log(`Processed webhook: ${topic} for tenant ${tenant.name}`);
+        } catch (error) {
+            console.error(`Webhook ${topic} failed for tenant ${tenant.name}:`, error.message);
+            failures.push(`${tenant.id}: ${error.message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`${topic} failed for ${failures.length} of ${tenants.length} tenants (${failures.join('; ')})`);
+    }
+
+    return { handled: true };
+}
+
+module.exports = {
+    handleWebhook,
+};
@@ -0,0 +1,221 @@
+// Durable inbox for Shopify webhooks
+// Deliveries are stored in webhook_events before we acknowledge them, deduplicated by
+// X-Shopify-Webhook-Id, and processed asynchronously. Failures are retried with
+// exponential backoff; after WEBHOOK_MAX_ATTEMPTS an event is dead-lettered ("dead")
+// until someone replays it.
+const crypto = require('crypto');
+const prisma = require('../prisma');
+const { handleWebhook } = require('./webhookHandlers');
+
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const MAX_ATTEMPTS = intFromEnv('WEBHOOK_MAX_ATTEMPTS', 8);
+const RETRY_BASE_MS = intFromEnv('WEBHOOK_RETRY_BASE_SECONDS', 30) * 1000;
+const RETRY_MAX_MS = intFromEnv('WEBHOOK_RETRY_MAX_SECONDS', 60 * 60) * 1000;
+const POLL_INTERVAL_MS = intFromEnv('WEBHOOK_POLL_INTERVAL_SECONDS', 15) * 1000;
+// An event stuck in "processing" this long (crashed worker) is picked up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 25;
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} - Milliseconds
+ */
+function retryDelayMs(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Store a delivery, ignoring Shopify retries of one we already have
+ * @param {object} metadata - From extractWebhookMetadata (topic, shopDomain, apiVersion, webhookId, triggeredAt)
+ * @param {object} payload - Parsed body
+ * @param {string} rawBody - Used to derive an id when X-Shopify-Webhook-Id is missing
+ * @returns {Promise<{event: object|null, duplicate: boolean}>}
+ */
+async function recordWebhookEvent(metadata, payload, rawBody) {
+    const webhookId = metadata.webhookId
+        || crypto.createHash('sha256').update(`${metadata.topic}:${metadata.shopDomain}:${rawBody}`).digest('hex');
+
+    try {
+        const event = await prisma.webhookEvent.create({
+            data: {
+                webhookId,
+                topic: metadata.topic,
+                shopDomain: metadata.shopDomain,
+                apiVersion: metadata.apiVersion || null,
+                triggeredAt: metadata.triggeredAt ? new Date(metadata.triggeredAt) : null,
+                payload,
+            },
+        });
+        return { event, duplicate: false };
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return { event: null, duplicate: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Claim and process one event; safe to call concurrently for the same id
+ * @param {string} eventId
+ * @returns {Promise<string|null>} - Resulting status, or null if the event was not claimable
+ */
+async function processWebhookEvent(eventId) {
+    const now = new Date();
+
+    // Claim: only one worker moves an event into "processing"
+    const { count } = await prisma.webhookEvent.updateMany({
+        where: {
+            id: eventId,
+            OR: [
+                { status: { in: ['pending', 'failed'] }, nextAttemptAt: { lte: now } },
+                { status: 'processing', lockedAt: { lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+            ],
+        },
+        data: {
+            status: 'processing',
+            lockedAt: now,
+            attempts: { increment: 1 },
+        },
+    });
+
+    if (count === 0) {
+        return null;
+    }
+
+    const event = await prisma.webhookEvent.findUnique({ where: { id: eventId } });
+
+    try {
+        const result = await handleWebhook(event.topic, event.shopDomain, event.payload);
+
+        await prisma.webhookEvent.update({
+            where: { id: eventId },
+            data: {
+                status: 'processed',
+                processedAt: new Date(),
+                lockedAt: null,
+                lastError: result.handled ? null : result.reason,
+            },
+        });
+        return 'processed';
+    } catch (error) {
+        const dead = event.attempts >= MAX_ATTEMPTS;
+        console.error(`Webhook ${event.topic} (${event.webhookId}) attempt ${event.attempts} failed${dead ? ', dead-lettered' : ''}:`, error.message);
+
+        await prisma.webhookEvent.update({
+            where: { id: eventId },
+            data: {
+                status: dead ? 'dead' : 'failed',
+                lockedAt: null,
+                lastError: error.message,
+                nextAttemptAt: new Date(Date.now() + retryDelayMs(event.attempts)),
+            },
+        });
+        return dead ? 'dead' : 'failed';
+    }
+}
+
+/**
+ * Process events that are due (new, retry time reached, or abandoned by a crashed worker)
+ * @returns {Promise<number>} - Number of events attempted
+ */
+async function processDueWebhookEvents() {
+    const now = new Date();
+    const due = await prisma.webhookEvent.findMany({
+        where: {
+            OR: [
+                { status: { in: ['pending', 'failed'] }, nextAttemptAt: { lte: now } },
+                { status: 'processing', lockedAt: { lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+            ],
+        },
+        select: { id: true },
+        orderBy: { receivedAt: 'asc' },
+        take: BATCH_SIZE,
+    });
+
+    for (const { id } of due) {
+        await processWebhookEvent(id);
+    }
+    return due.length;
+}
+
+/**
+ * Process an event right after it was stored, without holding up the HTTP response
+ * The poller retries it if this attempt fails or the process dies
+ * @param {string} eventId
+ */
+function processWebhookEventInBackground(eventId) {
+    setImmediate(() => {
+        processWebhookEvent(eventId).catch((error) => {
+            console.error(`Error processing webhook event ${eventId}:`, error.message);
+        });
+    });
+}
+
+/**
+ * Queue a failed or dead event for another full set of attempts
+ * @param {string} eventId
+ * @returns {Promise<boolean>} - False if the event is not failed/dead
+ */
+async function replayWebhookEvent(eventId) {
+    const { count } = await prisma.webhookEvent.updateMany({
+        where: { id: eventId, status: { in: ['failed', 'dead'] } },
+        data: {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date(),
+        },
+    });
+
+    if (count === 1) {
+        processWebhookEventInBackground(eventId);
+    }
+    return count === 1;
+}
+
+let pollTimer = null;
+
+/**
+ * Start polling for due events (retries and anything missed on the fast path)
+ */
+function startWebhookWorker() {
+    if (pollTimer) return;
+
+    let running = false;
+    pollTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueWebhookEvents();
+        } catch (error) {
+            console.error('Error polling webhook events:', error.message);
+        } finally {
+            running = false;
+        }
+    }, POLL_INTERVAL_MS);
+    pollTimer.unref();
+
+    console.log(`Webhook worker started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+function stopWebhookWorker() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    retryDelayMs,
+    recordWebhookEvent,
+    processWebhookEvent,
+    processDueWebhookEvents,
+    processWebhookEventInBackground,
+    replayWebhookEvent,
+    startWebhookWorker,
+    stopWebhookWorker,
+};
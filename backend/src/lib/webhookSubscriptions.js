@@ -0,0 +1,286 @@
+// Shopify webhook subscription management
+// Every tenant should be subscribed to WEBHOOK_TOPICS, delivered to
+// <WEBHOOK_BASE_URL or API_BASE_URL>/webhooks/shopify/<topic>. Subscriptions are created with
+// the Admin GraphQL API and recorded in the webhook_subscriptions table.
+const prisma = require('../prisma');
+const { graphqlRequest } = require('./shopifyGraphQL');
+const { getTenantAccessToken } = require('./tenantCredentials');
+
+// Topics handled by routes/webhooks.js
+const WEBHOOK_TOPICS = [
+    'customers/create',
+    'customers/update',
+    'customers/delete',
+    'products/create',
+    'products/update',
+    'products/delete',
+    'inventory_levels/update',
+    'orders/create',
+    'orders/updated',
+    'orders/cancelled',
+    'orders/paid',
+    'orders/delete',
+    'refunds/create',
+    'app/uninstalled',
+    'bulk_operations/finish',
+];
+
+const LIST_SUBSCRIPTIONS_QUERY = `
+    query webhookSubscriptions($after: String) {
+        webhookSubscriptions(first: 100, after: $after) {
+            edges {
+                node {
+                    id
+                    topic
+                    endpoint {
+                        __typename
+                        ... on WebhookHttpEndpoint {
+                            callbackUrl
+                        }
+                    }
+                }
+            }
+            pageInfo {
+                hasNextPage
+                endCursor
+            }
+        }
+    }
+`;
+
+const CREATE_SUBSCRIPTION_MUTATION = `
+    mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+        webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+            webhookSubscription {
+                id
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`;
+
+const DELETE_SUBSCRIPTION_MUTATION = `
+    mutation webhookSubscriptionDelete($id: ID!) {
+        webhookSubscriptionDelete(id: $id) {
+            deletedWebhookSubscriptionId
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`;
+
+// "orders/create" <-> "ORDERS_CREATE"
+function toGraphQLTopic(topic) {
+    return topic.replace('/', '_').toUpperCase();
+}
+
+function fromGraphQLTopic(graphqlTopic) {
+    const known = WEBHOOK_TOPICS.find((topic) => toGraphQLTopic(topic) === graphqlTopic);
+    if (known) return known;
+
+    const lower = graphqlTopic.toLowerCase();
+    const split = lower.lastIndexOf('_');
+    return split === -1 ? lower : `${lower.slice(0, split)}/${lower.slice(split + 1)}`;
+}
+
+/**
+ * Public URL Shopify should deliver a topic to
+ * @param {string} topic - e.g. "orders/create"
+ * @returns {string}
+ */
+function getWebhookCallbackUrl(topic) {
+    const baseUrl = process.env.WEBHOOK_BASE_URL || process.env.API_BASE_URL;
+    if (!baseUrl) {
+        throw new Error('WEBHOOK_BASE_URL (or API_BASE_URL) is not configured');
+    }
+    return `${baseUrl.replace(/\/$/, '')}/webhooks/shopify/${topic}`;
+}
+
+function userErrorMessage(userErrors) {
+    return userErrors.map((e) => e.message).join(', ');
+}
+
+/**
+ * List the subscriptions Shopify has for this app on a store
+ * @param {object} tenant
+ * @returns {Promise<Array<{id: string, topic: string, callbackUrl: string|null}>>}
+ */
+async function listRemoteSubscriptions(tenant) {
+    const accessToken = getTenantAccessToken(tenant);
+    const subscriptions = [];
+    let after = null;
+
+    do {
+        const data = await graphqlRequest(tenant.shopifyDomain, accessToken, LIST_SUBSCRIPTIONS_QUERY, { after });
+        const page = data.webhookSubscriptions;
+
+        for (const { node } of page.edges) {
+            subscriptions.push({
+                id: node.id,
+                topic: fromGraphQLTopic(node.topic),
+                callbackUrl: node.endpoint?.callbackUrl || null,
+            });
+        }
+
+        after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return subscriptions;
+}
+
+async function createRemoteSubscription(tenant, topic, callbackUrl) {
+    const data = await graphqlRequest(tenant.shopifyDomain, getTenantAccessToken(tenant), CREATE_SUBSCRIPTION_MUTATION, {
+        topic: toGraphQLTopic(topic),
+        webhookSubscription: { callbackUrl, format: 'JSON' },
+    });
+
+    const { webhookSubscription, userErrors } = data.webhookSubscriptionCreate;
+    if (userErrors.length > 0) {
+        throw new Error(userErrorMessage(userErrors));
+    }
+    return webhookSubscription.id;
+}
+
+async function deleteRemoteSubscription(tenant, id) {
+    const data = await graphqlRequest(tenant.shopifyDomain, getTenantAccessToken(tenant), DELETE_SUBSCRIPTION_MUTATION, { id });
+
+    const { userErrors } = data.webhookSubscriptionDelete;
+    if (userErrors.length > 0) {
+        throw new Error(userErrorMessage(userErrors));
+    }
+}
+
+async function recordSubscription(tenantId, topic, fields) {
+    return prisma.webhookSubscription.upsert({
+        where: { tenantId_topic: { tenantId, topic } },
+        create: { tenantId, topic, ...fields },
+        update: fields,
+    });
+}
+
+/**
+ * Bring a store's subscriptions in line with WEBHOOK_TOPICS
+ * Creates missing subscriptions, deletes stale ones (unknown topics, old callback URLs,
+ * duplicates) and records the outcome per topic
+ * @param {object} tenant - Tenant record including credentials
+ * @returns {Promise<{kept: number, created: number, deleted: number, failed: number}>}
+ */
+async function reconcileWebhookSubscriptions(tenant) {
+    const remote = await listRemoteSubscriptions(tenant);
+    const summary = { kept: 0, created: 0, deleted: 0, failed: 0 };
+    const keep = new Set();
+
+    for (const topic of WEBHOOK_TOPICS) {
+        const callbackUrl = getWebhookCallbackUrl(topic);
+        const existing = remote.find((sub) => sub.topic === topic && sub.callbackUrl === callbackUrl);
+
+        if (existing) {
+            keep.add(existing.id);
+            await recordSubscription(tenant.id, topic, {
+                shopifyId: existing.id,
+                callbackUrl,
+                status: 'active',
+                lastError: null,
+                verifiedAt: new Date(),
+            });
+            summary.kept++;
+            continue;
+        }
+
+        try {
+            const shopifyId = await createRemoteSubscription(tenant, topic, callbackUrl);
+            keep.add(shopifyId);
+            await recordSubscription(tenant.id, topic, {
+                shopifyId,
+                callbackUrl,
+                status: 'active',
+                lastError: null,
+                verifiedAt: new Date(),
+            });
+            summary.created++;
+        } catch (error) {
+            console.error(`Failed to subscribe ${tenant.shopifyDomain} to ${topic}:`, error.message);
+            await recordSubscription(tenant.id, topic, {
+                shopifyId: null,
+                callbackUrl,
+                status: 'failed',
+                lastError: error.message,
+                verifiedAt: new Date(),
+            });
+            summary.failed++;
+        }
+    }
+
+    for (const sub of remote) {
+        if (keep.has(sub.id)) continue;
+
+        try {
+            await deleteRemoteSubscription(tenant, sub.id);
+            summary.deleted++;
+        } catch (error) {
+            console.error(`Failed to delete stale webhook ${sub.id} on ${tenant.shopifyDomain}:`, error.message);
+            summary.failed++;
+        }
+    }
+
+    // Rows for topics we no longer subscribe to
+    await prisma.webhookSubscription.deleteMany({
+        where: { tenantId: tenant.id, topic: { notIn: WEBHOOK_TOPICS } },
+    });
+
+    return summary;
+}
+
+/**
+ * Subscribe a newly connected store; never throws so onboarding still succeeds
+ * (the status view shows failures and reconcile can repair them)
+ * @param {object} tenant
+ * @returns {Promise<object|null>} - Reconcile summary, or null if it could not run
+ */
+async function registerTenantWebhooks(tenant) {
+    try {
+        return await reconcileWebhookSubscriptions(tenant);
+    } catch (error) {
+        console.error(`Failed to register webhooks for ${tenant.shopifyDomain}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Recorded subscription state for a tenant, including topics that were never recorded
+ * @param {string} tenantId
+ * @returns {Promise<Array<object>>}
+ */
+async function getWebhookStatus(tenantId) {
+    const recorded = await prisma.webhookSubscription.findMany({
+        where: { tenantId },
+        orderBy: { topic: 'asc' },
+    });
+
+    return WEBHOOK_TOPICS.map((topic) => {
+        const row = recorded.find((sub) => sub.topic === topic);
+        return row
+            ? {
+                topic,
+                status: row.status,
+                callbackUrl: row.callbackUrl,
+                lastError: row.lastError,
+                verifiedAt: row.verifiedAt,
+            }
+            : { topic, status: 'missing', callbackUrl: null, lastError: null, verifiedAt: null };
+    });
+}
+
+module.exports = {
+    WEBHOOK_TOPICS,
+    getWebhookCallbackUrl,
+    listRemoteSubscriptions,
+    reconcileWebhookSubscriptions,
+    registerTenantWebhooks,
+    getWebhookStatus,
+};
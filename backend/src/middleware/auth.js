@@ -1,42 +1,145 @@
-// Middleware to extract user email from request headers
-// Frontend should send user email in X-User-Email header
-
-function getUserEmail(req) {
-    // Try to get from header (sent by frontend)
-    const userEmail = req.headers['x-user-email'];
-    
-    if (userEmail) {
-        return userEmail;
+// Middleware to authenticate requests with a backend-issued access token or personal API key
+// Frontend should send the token in the Authorization header: "Bearer <token>"
+const prisma = require('../prisma');
+const { verifyAccessToken } = require('../lib/authTokens');
+const { isApiKey, verifyApiKey } = require('../lib/apiKeys');
+
+/**
+ * Extract bearer token from the Authorization header
+ * @param {object} req - Express request object
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization;
+
+    if (!header) {
+        return null;
     }
-    
-    // Fallback: try to get from body (for onboarding)
-    if (req.body && req.body.userEmail) {
-        return req.body.userEmail;
+
+    const [scheme, token] = header.split(' ');
+    if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+        return null;
     }
-    
-    return null;
+
+    return token.trim();
 }
 
 /**
- * Middleware to require user email
- * Returns 401 if user email is not provided
+ * Middleware to require an authenticated user
+ * Accepts either an access token (dashboard login) or a personal API key
+ * Sets req.user = { id, email, name, totpEnabledAt }, and req.apiKey when authenticated with a key
+ * Returns 401 if the credential is missing, invalid, expired or revoked
  */
-function requireUserEmail(req, res, next) {
-    const userEmail = getUserEmail(req);
-    
-    if (!userEmail) {
+async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+
+    if (!token) {
         return res.status(401).json({
             error: 'Unauthorized',
-            message: 'User email is required. Please ensure you are logged in.',
+            message: 'Access token is required. Please ensure you are logged in.',
+        });
+    }
+
+    try {
+        if (isApiKey(token)) {
+            const apiKey = await verifyApiKey(token);
+
+            if (!apiKey) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Invalid, expired or revoked API key',
+                });
+            }
+
+            req.user = apiKey.user;
+            req.apiKey = {
+                id: apiKey.id,
+                scopes: apiKey.scopes,
+                tenantIds: apiKey.tenantIds,
+            };
+            return next();
+        }
+
+        let payload;
+        try {
+            payload = verifyAccessToken(token);
+        } catch (error) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid or expired access token',
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: payload.sub },
+            select: {
+                id: true,
+                email: true,
+                name: true,
+                totpEnabledAt: true,
+                tokenVersion: true,
+            },
+        });
+
+        if (!user) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'User no longer exists',
+            });
+        }
+
+        // Reject tokens issued before the last logout/password change
+        const { tokenVersion, ...sessionUser } = user;
+        if (tokenVersion !== payload.ver) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid or expired access token',
+            });
+        }
+
+        req.user = sessionUser;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Middleware factory to require an API key scope
+ * Interactive (access token) sessions have every scope
+ * Must run after requireAuth
+ * @param {string} scope - "read" or "sync"
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `This API key does not have the "${scope}" permission`,
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Middleware to reject API keys on endpoints reserved for interactive logins
+ * (key management, store onboarding, OAuth)
+ * Must run after requireAuth
+ */
+function requireSession(req, res, next) {
+    if (req.apiKey) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'This endpoint is not available to API keys',
         });
     }
-    
-    req.userEmail = userEmail;
     next();
 }
 
 module.exports = {
-    getUserEmail,
-    requireUserEmail,
+    getBearerToken,
+    requireAuth,
+    requireScope,
+    requireSession,
 };
-
@@ -0,0 +1,239 @@
+// Personal API key management routes
+const express = require('express');
+const router = express.Router();
+const prisma = require('../prisma');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { API_KEY_SCOPES, generateApiKey } = require('../lib/apiKeys');
+const { accessibleTenantsWhere } = require('../lib/tenantAccess');
+
+// Fields that are safe to return (never the hash)
+const API_KEY_SELECT = {
+    id: true,
+    name: true,
+    prefix: true,
+    scopes: true,
+    tenantIds: true,
+    expiresAt: true,
+    revokedAt: true,
+    lastUsedAt: true,
+    createdAt: true,
+};
+
+// Key management is only available to interactive logins
+router.use(requireAuth, requireSession);
+
+/**
+ * Validate an optional expiry value from the request body
+ * @returns {{value: Date|null|undefined, error: string|null}}
+ */
+function parseExpiresAt(expiresAt) {
+    if (expiresAt === undefined) {
+        return { value: undefined, error: null };
+    }
+    if (expiresAt === null) {
+        return { value: null, error: null };
+    }
+
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+        return { value: undefined, error: 'Invalid expiresAt date' };
+    }
+    if (date <= new Date()) {
+        return { value: undefined, error: 'expiresAt must be in the future' };
+    }
+
+    return { value: date, error: null };
+}
+
+/**
+ * GET /api/api-keys
+ * List the current user's API keys (secrets are never returned)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const apiKeys = await prisma.apiKey.findMany({
+            where: { userId: req.user.id },
+            select: API_KEY_SELECT,
+            orderBy: { createdAt: 'desc' },
+        });
+
+        res.json(apiKeys);
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({
+            error: 'Failed to fetch API keys',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/api-keys
+ * Create a new API key
+ * Body: { name, scopes?: ["read", "sync", "contacts"], tenantIds?: [], expiresAt?: ISO date }
+ * The plaintext key is only included in this response
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes = ['read'], tenantIds = [], expiresAt } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                error: 'Missing required field: name',
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({
+                error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`,
+            });
+        }
+
+        if (!Array.isArray(tenantIds)) {
+            return res.status(400).json({
+                error: 'tenantIds must be a list of tenant ids',
+            });
+        }
+
+        const expiry = parseExpiresAt(expiresAt);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: expiry.error,
+            });
+        }
+
+        // Keys can only be limited to tenants the user can actually access
+        if (tenantIds.length > 0) {
+            const accessibleCount = await prisma.tenant.count({
+                where: {
+                    id: { in: tenantIds },
+                    ...accessibleTenantsWhere(req.user.id),
+                },
+            });
+
+            if (accessibleCount !== new Set(tenantIds).size) {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'One or more tenants do not belong to you',
+                });
+            }
+        }
+
+        const { key, prefix, keyHash } = generateApiKey();
+
+        const apiKey = await prisma.apiKey.create({
+            data: {
+                userId: req.user.id,
+                name: name.trim(),
+                prefix,
+                keyHash,
+                scopes: [...new Set(scopes)],
+                tenantIds: [...new Set(tenantIds)],
+                expiresAt: expiry.value || null,
+            },
+            select: API_KEY_SELECT,
+        });
+
+        res.status(201).json({
+            ...apiKey,
+            key,
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+            error: 'Failed to create API key',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * PATCH /api/api-keys/:id
+ * Update an API key's label or expiry
+ * Body: { name?, expiresAt?: ISO date | null }
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { name, expiresAt } = req.body;
+
+        const expiry = parseExpiresAt(expiresAt);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: expiry.error,
+            });
+        }
+
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({
+                error: 'name cannot be empty',
+            });
+        }
+
+        const existing = await prisma.apiKey.findFirst({
+            where: {
+                id: req.params.id,
+                userId: req.user.id,
+            },
+        });
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'API key not found',
+            });
+        }
+
+        const apiKey = await prisma.apiKey.update({
+            where: { id: existing.id },
+            data: {
+                ...(name !== undefined && { name: String(name).trim() }),
+                ...(expiry.value !== undefined && { expiresAt: expiry.value }),
+            },
+            select: API_KEY_SELECT,
+        });
+
+        res.json(apiKey);
+    } catch (error) {
+        console.error('Error updating API key:', error);
+        res.status(500).json({
+            error: 'Failed to update API key',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke an API key (kept for audit, can no longer authenticate)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const existing = await prisma.apiKey.findFirst({
+            where: {
+                id: req.params.id,
+                userId: req.user.id,
+            },
+        });
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'API key not found',
+            });
+        }
+
+        const apiKey = await prisma.apiKey.update({
+            where: { id: existing.id },
+            data: { revokedAt: existing.revokedAt || new Date() },
+            select: API_KEY_SELECT,
+        });
+
+        res.json(apiKey);
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            error: 'Failed to revoke API key',
+            message: error.message,
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,27 @@ const express = require('express');
 const router = express.Router();
 const prisma = require('../prisma');
 const bcrypt = require('bcryptjs');
+const { issueTokenPair, verifyRefreshToken } = require('../lib/authTokens');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { personalOrganizationName } = require('../lib/organizations');
+const { consumeUserToken } = require('../lib/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../lib/notifications');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../lib/twoFactor');
+const {
+    loginIpLimiter,
+    emailIpLimiter,
+    sendTooManyRequests,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+} = require('../lib/rateLimiter');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// When enabled, accounts must verify their email address before they can log in
+function isEmailVerificationRequired() {
+    return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+}
 
 /**
  * POST /api/auth/register
@@ -28,9 +49,9 @@ router.post('/register', async (req, res) => {
         }
 
         // Validate password length
-        if (password.length < 6) {
+        if (password.length < MIN_PASSWORD_LENGTH) {
             return res.status(400).json({
-                error: 'Password must be at least 6 characters',
+                error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
             });
         }
 
@@ -48,12 +69,20 @@ router.post('/register', async (req, res) => {
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Create user
+        // Create user along with a personal organization they own
         const user = await prisma.user.create({
             data: {
                 email,
                 password: hashedPassword,
                 name: name || null,
+                memberships: {
+                    create: {
+                        role: 'owner',
+                        organization: {
+                            create: { name: personalOrganizationName({ email, name }) },
+                        },
+                    },
+                },
             },
             select: {
                 id: true,
@@ -63,9 +92,17 @@ router.post('/register', async (req, res) => {
             },
         });
 
+        // Delivery problems should not fail the sign-up; the link can be resent
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Error sending verification email:', mailError);
+        }
+
         res.status(201).json({
             message: 'User created successfully',
             user,
+            emailVerificationRequired: isEmailVerificationRequired(),
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -76,13 +113,30 @@ router.post('/register', async (req, res) => {
     }
 });
 
+const ACCOUNT_LOCKED_MESSAGE = 'Too many failed login attempts. This account is temporarily locked.';
+
+/**
+ * Count a failed login and reject it, switching to 429 once the account gets locked
+ */
+async function rejectLogin(res, email, body) {
+    const lockoutSeconds = await recordLoginFailure(email);
+    if (lockoutSeconds) {
+        return sendTooManyRequests(res, lockoutSeconds, ACCOUNT_LOCKED_MESSAGE, 'ACCOUNT_LOCKED');
+    }
+    return res.status(401).json(body);
+}
+
 /**
  * POST /api/auth/login
- * Authenticate user and return user data
+ * Authenticate user and return user data with an access/refresh token pair
+ * Body: { email, password, otp? }
+ * Accounts with two-factor authentication also need `otp` (authenticator or recovery code);
+ * without it the response is 401 with code TOTP_REQUIRED
+ * Throttled per IP, and accounts are locked for a while after repeated failures (429 + Retry-After)
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimiter, async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, otp } = req.body;
 
         // Validation
         if (!email || !password) {
@@ -91,13 +145,18 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        const lockoutSeconds = await getLoginLockout(email);
+        if (lockoutSeconds) {
+            return sendTooManyRequests(res, lockoutSeconds, ACCOUNT_LOCKED_MESSAGE, 'ACCOUNT_LOCKED');
+        }
+
         // Find user
         const user = await prisma.user.findUnique({
             where: { email },
         });
 
         if (!user) {
-            return res.status(401).json({
+            return rejectLogin(res, email, {
                 error: 'Invalid email or password',
             });
         }
@@ -106,16 +165,45 @@ router.post('/login', async (req, res) => {
         const isValidPassword = await bcrypt.compare(password, user.password);
 
         if (!isValidPassword) {
-            return res.status(401).json({
+            return rejectLogin(res, email, {
                 error: 'Invalid email or password',
             });
         }
 
-        // Return user data (without password)
+        if (isEmailVerificationRequired() && !user.emailVerifiedAt) {
+            return res.status(403).json({
+                error: 'Email address not verified',
+                code: 'EMAIL_NOT_VERIFIED',
+                message: 'Follow the link in your verification email, or request a new one',
+            });
+        }
+
+        // Second step for accounts with two-factor authentication
+        if (isTwoFactorEnabled(user)) {
+            if (!otp) {
+                return res.status(401).json({
+                    error: 'Two-factor authentication code required',
+                    code: 'TOTP_REQUIRED',
+                });
+            }
+
+            const secondFactor = await verifySecondFactor(user, otp);
+            if (!secondFactor.valid) {
+                return rejectLogin(res, email, {
+                    error: 'Invalid two-factor authentication code',
+                    code: 'TOTP_INVALID',
+                });
+            }
+        }
+
+        await clearLoginFailures(email);
+
+        // Return user data (without password) and session tokens
         res.json({
             id: user.id,
             email: user.email,
             name: user.name,
+            ...issueTokenPair(user),
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -126,5 +214,241 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: 'Refresh token is required',
+            });
+        }
+
+        let payload;
+        try {
+            payload = verifyRefreshToken(refreshToken);
+        } catch (error) {
+            return res.status(401).json({
+                error: 'Invalid or expired refresh token',
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: payload.sub },
+        });
+
+        // Reject tokens issued before the last logout/password change
+        if (!user || user.tokenVersion !== payload.ver) {
+            return res.status(401).json({
+                error: 'Invalid or expired refresh token',
+            });
+        }
+
+        res.json({
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            ...issueTokenPair(user),
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            error: 'Failed to refresh session',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke all outstanding access and refresh tokens for the current user
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.post('/logout', requireAuth, requireSession, async (req, res) => {
+    try {
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { tokenVersion: { increment: 1 } },
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            error: 'Failed to log out',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Mark the user's email address as verified
+ * Body: { token }
+ */
+router.post('/verify-email', async (req, res) => {
+    try {
+        const userId = await consumeUserToken(req.body.token, 'email_verification');
+
+        if (!userId) {
+            return res.status(400).json({
+                error: 'Invalid or expired verification link',
+            });
+        }
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: { emailVerifiedAt: new Date() },
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({
+            error: 'Failed to verify email',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link
+ * Body: { email }
+ * Always responds the same way so it cannot be used to discover accounts
+ */
+router.post('/resend-verification', emailIpLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                error: 'Email is required',
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { email },
+        });
+
+        if (user && !user.emailVerifiedAt) {
+            await sendVerificationEmail(user);
+        }
+
+        res.json({
+            message: 'If that account exists and is unverified, a new verification link has been sent',
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            error: 'Failed to send verification email',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ * Body: { email }
+ * Always responds the same way so it cannot be used to discover accounts
+ */
+router.post('/forgot-password', emailIpLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                error: 'Email is required',
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { email },
+        });
+
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        res.json({
+            message: 'If an account exists for that email, a password reset link has been sent',
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            error: 'Failed to send password reset email',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset link, signing out every existing session
+ * Body: { token, password }
+ */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                error: 'Token and password are required',
+            });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+            });
+        }
+
+        const userId = await consumeUserToken(token, 'password_reset');
+
+        if (!userId) {
+            return res.status(400).json({
+                error: 'Invalid or expired reset link',
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+        });
+
+        // Following the emailed link also proves ownership of the address
+        await prisma.user.update({
+            where: { id: userId },
+            data: {
+                password: await bcrypt.hash(password, 10),
+                tokenVersion: { increment: 1 },
+                emailVerifiedAt: user.emailVerifiedAt || new Date(),
+            },
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            error: 'Failed to reset password',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Return the authenticated user
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json(req.user);
+});
+
 module.exports = router;
 
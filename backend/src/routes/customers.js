@@ -0,0 +1,284 @@
+// Synced customer profiles for a tenant's store: contact details, addresses and marketing consent
+// Names, contact details and street addresses are only returned to roles with customers:contact
+// (and API keys with the "contacts" scope); everyone else gets locations and consent states
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../prisma');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { verifyTenantAccess } = require('../lib/tenantAccess');
+const { hasPermission } = require('../lib/permissions');
+
+const CUSTOMER_SELECT = {
+    id: true,
+    shopifyId: true,
+    state: true,
+    tags: true,
+    ordersCount: true,
+    totalSpent: true,
+    emailMarketingState: true,
+    emailMarketingUpdatedAt: true,
+    smsMarketingState: true,
+    updatedAt: true,
+};
+
+const CONTACT_SELECT = {
+    email: true,
+    firstName: true,
+    lastName: true,
+    phone: true,
+};
+
+// Where a customer is, from their default address
+const LOCATION_SELECT = {
+    city: true,
+    province: true,
+    provinceCode: true,
+    country: true,
+    countryCode: true,
+};
+
+const ADDRESS_SELECT = {
+    id: true,
+    shopifyId: true,
+    ...LOCATION_SELECT,
+    isDefault: true,
+};
+
+const STREET_ADDRESS_SELECT = {
+    firstName: true,
+    lastName: true,
+    company: true,
+    address1: true,
+    address2: true,
+    zip: true,
+    phone: true,
+};
+
+// Customer filters: query param -> Prisma condition for its comma-separated values
+// country and province match the default address by ISO code
+const CUSTOMER_FILTERS = {
+    country: (values) => ({ addresses: { some: { isDefault: true, countryCode: { in: values.map((value) => value.toUpperCase()) } } } }),
+    province: (values) => ({ addresses: { some: { isDefault: true, provinceCode: { in: values.map((value) => value.toUpperCase()) } } } }),
+    state: (values) => ({ state: { in: values } }),
+    emailMarketingState: (values) => ({ emailMarketingState: { in: values } }),
+    smsMarketingState: (values) => ({ smsMarketingState: { in: values } }),
+    tag: (values) => ({ tags: { hasSome: values } }),
+};
+
+/**
+ * Build the customer filter from the request's filter params
+ * @param {object} query - req.query
+ * @returns {{where: object[], filters: object}} - conditions to AND together
+ */
+function customerFiltersFromQuery(query) {
+    const where = [];
+    const filters = {};
+
+    for (const [param, condition] of Object.entries(CUSTOMER_FILTERS)) {
+        if (typeof query[param] !== 'string') continue;
+        const values = query[param].split(',').map((value) => value.trim()).filter(Boolean);
+        if (values.length > 0) {
+            where.push(condition(values));
+            filters[param] = values;
+        }
+    }
+
+    return { where, filters };
+}
+
+function formatCustomer(customer) {
+    return {
+        ...customer,
+        totalSpent: parseFloat(customer.totalSpent || 0),
+    };
+}
+
+/**
+ * Resolve the tenant for the request, answering 4xx when the user cannot read it
+ * @returns {Promise<{contacts: boolean}|null>} - Whether contact details may be returned; null if
+ *          a response was already sent
+ */
+async function checkReadAccess(req, res) {
+    const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'metrics:read');
+    if (!accessCheck.valid) {
+        res.status(accessCheck.status).json({
+            error: accessCheck.error,
+            code: accessCheck.code,
+        });
+        return null;
+    }
+    return {
+        contacts: hasPermission(accessCheck.role, 'customers:contact')
+            && (!req.apiKey || req.apiKey.scopes.includes('contacts')),
+    };
+}
+
+/**
+ * GET /api/tenants/:tenantId/customers?limit=50&offset=0&country=US,CA&emailMarketingState=subscribed
+ * The store's customers by total spent, with their default address location
+ * Filters (optional, comma-separated values match any): country, province (default address ISO
+ * codes), state, emailMarketingState, smsMarketingState, tag
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        const access = await checkReadAccess(req, res);
+        if (!access) return;
+
+        const { tenantId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const { where: conditions, filters } = customerFiltersFromQuery(req.query);
+        const where = { tenantId, AND: conditions };
+
+        const [customers, total] = await Promise.all([
+            prisma.customer.findMany({
+                where,
+                select: {
+                    ...CUSTOMER_SELECT,
+                    ...(access.contacts && CONTACT_SELECT),
+                    addresses: {
+                        where: { isDefault: true },
+                        select: LOCATION_SELECT,
+                        take: 1,
+                    },
+                },
+                orderBy: [{ totalSpent: 'desc' }, { id: 'asc' }],
+                skip: offset,
+                take: limit,
+            }),
+            prisma.customer.count({ where }),
+        ]);
+
+        res.json({
+            tenantId,
+            customers: customers.map(({ addresses, ...customer }) => ({
+                ...formatCustomer(customer),
+                location: addresses[0] || null,
+            })),
+            total,
+            filters,
+        });
+    } catch (error) {
+        console.error('Error listing customers:', error);
+        res.status(500).json({
+            error: 'Failed to list customers',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/tenants/:tenantId/customers/breakdown?emailMarketingState=subscribed
+ * Customer counts by default address country (and province within each country) and by email
+ * and SMS marketing consent; takes the same filters as the list
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/breakdown', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        if (!(await checkReadAccess(req, res))) return;
+
+        const { tenantId } = req.params;
+        const { where: conditions, filters } = customerFiltersFromQuery(req.query);
+        const where = { tenantId, AND: conditions };
+
+        const [total, locations, emailConsent, smsConsent] = await Promise.all([
+            prisma.customer.count({ where }),
+            prisma.customerAddress.groupBy({
+                by: ['countryCode', 'provinceCode'],
+                where: { tenantId, isDefault: true, customer: where },
+                _count: { _all: true },
+            }),
+            prisma.customer.groupBy({
+                by: ['emailMarketingState'],
+                where,
+                _count: { _all: true },
+            }),
+            prisma.customer.groupBy({
+                by: ['smsMarketingState'],
+                where,
+                _count: { _all: true },
+            }),
+        ]);
+
+        const countries = new Map();
+        for (const row of locations) {
+            const country = countries.get(row.countryCode) || { countryCode: row.countryCode, customers: 0, provinces: [] };
+            country.customers += row._count._all;
+            country.provinces.push({ provinceCode: row.provinceCode, customers: row._count._all });
+            countries.set(row.countryCode, country);
+        }
+        const byCountry = Array.from(countries.values())
+            .map((country) => ({
+                ...country,
+                provinces: country.provinces.sort((a, b) => b.customers - a.customers),
+            }))
+            .sort((a, b) => b.customers - a.customers);
+        const located = byCountry.reduce((sum, country) => sum + country.customers, 0);
+
+        const consentCounts = (rows, field) => rows
+            .map((row) => ({ state: row[field], customers: row._count._all }))
+            .sort((a, b) => b.customers - a.customers);
+
+        res.json({
+            tenantId,
+            total,
+            filters,
+            byCountry,
+            // Customers without a default address
+            unlocated: total - located,
+            byEmailMarketingState: consentCounts(emailConsent, 'emailMarketingState'),
+            bySmsMarketingState: consentCounts(smsConsent, 'smsMarketingState'),
+        });
+    } catch (error) {
+        console.error('Error fetching customer breakdown:', error);
+        res.status(500).json({
+            error: 'Failed to fetch customer breakdown',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/tenants/:tenantId/customers/:customerId
+ * One customer's profile: contact details, account state, tags, order count, marketing consent
+ * and all their addresses (default first)
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/:customerId', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        const access = await checkReadAccess(req, res);
+        if (!access) return;
+
+        const customer = await prisma.customer.findFirst({
+            where: { id: req.params.customerId, tenantId: req.params.tenantId },
+            select: {
+                ...CUSTOMER_SELECT,
+                ...(access.contacts && CONTACT_SELECT),
+                addresses: {
+                    select: { ...ADDRESS_SELECT, ...(access.contacts && STREET_ADDRESS_SELECT) },
+                    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+                },
+            },
+        });
+
+        if (!customer) {
+            return res.status(404).json({
+                error: 'Customer not found',
+            });
+        }
+
+        res.json({
+            tenantId: req.params.tenantId,
+            customer: formatCustomer(customer),
+        });
+    } catch (error) {
+        console.error('Error fetching customer:', error);
+        res.status(500).json({
+            error: 'Failed to fetch customer',
+            message: error.message,
+        });
+    }
+});
+
+module.exports = router;
@@ -2,19 +2,24 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../prisma');
-const { syncAll } = require('../lib/syncService');
-const { requireUserEmail } = require('../middleware/auth');
+const { enqueueSyncRun, RUN_SELECT } = require('../lib/syncRuns');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { verifyTenantAccess } = require('../lib/tenantAccess');
+const { acquireSyncSlot, sendTooManyRequests } = require('../lib/rateLimiter');
 
 /**
- * POST /api/ingest/sync?tenantId=<id>
- * Trigger manual sync for a tenant
- * Fetches customers, products, orders from Shopify and upserts to DB
- * Requires X-User-Email header - verifies tenant belongs to user
+ * POST /api/ingest/sync?tenantId=<id>&full=true
+ * Queue a manual sync for a tenant and return 202 with the SyncRun to poll (Location header)
+ * The sync fetches customers, orders, products changed since the last sync from Shopify and upserts to DB;
+ * full=true crawls everything. The finished run reports fetched and changed counts per resource
+ * Requires Authorization: Bearer <accessToken> (or an API key with the "sync" scope)
+ * Verifies the user's role in the tenant's organization allows syncing (viewers cannot)
+ * Returns 409 (TENANT_DISCONNECTED) if the app was uninstalled from the store
+ * Returns 429 with Retry-After while a sync is running or if the store was synced too recently
  */
-router.post('/sync', requireUserEmail, async (req, res) => {
+router.post('/sync', requireAuth, requireScope('sync'), async (req, res) => {
     try {
         const { tenantId } = req.query;
-        const userEmail = req.userEmail;
 
         if (!tenantId) {
             return res.status(400).json({
@@ -22,44 +27,138 @@ router.post('/sync', requireUserEmail, async (req, res) => {
             });
         }
 
-        // Verify tenant belongs to user
-        const user = await prisma.user.findUnique({
-            where: { email: userEmail },
-        });
+        // Verify the user's role in the tenant's organization allows syncing
+        const accessCheck = await verifyTenantAccess(tenantId, req, 'sync:run');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: 'Access denied',
+                message: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
 
-        if (!user) {
-            return res.status(404).json({
-                error: 'User not found',
+        if (accessCheck.tenant.status === 'disconnected') {
+            return res.status(409).json({
+                error: 'Store disconnected',
+                message: 'The app was uninstalled from this store. Reconnect it to resume syncing.',
+                code: 'TENANT_DISCONNECTED',
             });
         }
 
-        const tenant = await prisma.tenant.findFirst({
-            where: {
-                id: tenantId,
-                userId: user.id,
-            },
+        const slot = await acquireSyncSlot(tenantId);
+        if (!slot.allowed) {
+            return sendTooManyRequests(res, slot.retryAfterSeconds, slot.message, 'SYNC_THROTTLED');
+        }
+
+        // The slot is held until the run finishes in the background
+        let run;
+        try {
+            run = await enqueueSyncRun({
+                tenantId,
+                fullResync: req.query.full === 'true',
+                trigger: req.apiKey ? 'api_key' : 'manual',
+                triggeredById: req.user.id,
+                onFinished: slot.release,
+            });
+        } catch (error) {
+            await slot.release();
+            throw error;
+        }
+
+        res.status(202)
+            .location(`/api/ingest/runs/${run.id}`)
+            .json({
+                success: true,
+                tenantId,
+                run,
+            });
+    } catch (error) {
+        console.error('Error during sync:', error);
+
+        res.status(500).json({
+            error: 'Sync failed',
+            message: error.message,
         });
+    }
+});
 
-        if (!tenant) {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'This store does not belong to you',
+/**
+ * GET /api/ingest/runs?tenantId=<id>&limit=20
+ * List a tenant's sync runs, newest first (limit defaults to 20, max 100)
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/runs', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        const { tenantId } = req.query;
+
+        if (!tenantId) {
+            return res.status(400).json({
+                error: 'Missing required query parameter: tenantId',
             });
         }
 
-        // Run sync
-        const result = await syncAll(tenantId);
+        const accessCheck = await verifyTenantAccess(tenantId, req, 'metrics:read');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const runs = await prisma.syncRun.findMany({
+            where: { tenantId },
+            select: RUN_SELECT,
+            orderBy: { queuedAt: 'desc' },
+            take: limit,
+        });
 
         res.json({
-            success: true,
             tenantId,
-            ...result,
+            runs,
+            count: runs.length,
         });
     } catch (error) {
-        console.error('Error during sync:', error);
+        console.error('Error fetching sync runs:', error);
+        res.status(500).json({
+            error: 'Failed to fetch sync runs',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/ingest/runs/:runId
+ * Get one sync run: status (queued, running, succeeded, failed), current phase, counts and error
+ * Poll this after POST /api/ingest/sync to follow progress
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/runs/:runId', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        const run = await prisma.syncRun.findUnique({
+            where: { id: req.params.runId },
+            select: RUN_SELECT,
+        });
 
+        if (!run) {
+            return res.status(404).json({
+                error: 'Sync run not found',
+            });
+        }
+
+        const accessCheck = await verifyTenantAccess(run.tenantId, req, 'metrics:read');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        res.json(run);
+    } catch (error) {
+        console.error('Error fetching sync run:', error);
         res.status(500).json({
-            error: 'Sync failed',
+            error: 'Failed to fetch sync run',
             message: error.message,
         });
     }
@@ -2,44 +2,60 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../prisma');
-const { requireUserEmail } = require('../middleware/auth');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { verifyTenantAccess } = require('../lib/tenantAccess');
+
+// Order filters for GET /api/metrics: query param -> Prisma condition for its comma-separated values
+const ORDER_FILTERS = {
+    financialStatus: (values) => ({ financialStatus: { in: values } }),
+    fulfillmentStatus: (values) => ({ fulfillmentStatus: { in: values } }),
+    currency: (values) => ({ currency: { in: values.map((value) => value.toUpperCase()) } }),
+    sourceName: (values) => ({ sourceName: { in: values } }),
+    tag: (values) => ({ tags: { hasSome: values } }),
+    discountCode: (values) => ({ discountCodes: { hasSome: values } }),
+};
 
 /**
- * Helper to verify tenant belongs to user
+ * Build the order filter from the request's filter params
+ * @param {object} query - req.query
+ * @returns {{where: object, filters: object, error?: string}}
  */
-async function verifyTenantAccess(tenantId, userEmail) {
-    const user = await prisma.user.findUnique({
-        where: { email: userEmail },
-    });
-
-    if (!user) {
-        return { valid: false, error: 'User not found' };
+function orderFiltersFromQuery(query) {
+    const where = {};
+    const filters = {};
+
+    for (const [param, condition] of Object.entries(ORDER_FILTERS)) {
+        if (typeof query[param] !== 'string') continue;
+        const values = query[param].split(',').map((value) => value.trim()).filter(Boolean);
+        if (values.length > 0) {
+            Object.assign(where, condition(values));
+            filters[param] = values;
+        }
     }
 
-    const tenant = await prisma.tenant.findFirst({
-        where: {
-            id: tenantId,
-            userId: user.id,
-        },
-    });
-
-    if (!tenant) {
-        return { valid: false, error: 'Access denied - tenant does not belong to user' };
+    if (query.cancelled !== undefined) {
+        if (query.cancelled !== 'true' && query.cancelled !== 'false') {
+            return { where, filters, error: 'cancelled must be true or false' };
+        }
+        where.cancelledAt = query.cancelled === 'true' ? { not: null } : null;
+        filters.cancelled = query.cancelled === 'true';
     }
 
-    return { valid: true };
+    return { where, filters };
 }
 
 /**
- * GET /api/metrics?tenantId=<id>&start=<date>&end=<date>
- * Get analytics metrics for a tenant
+ * GET /api/metrics?tenantId=<id>&start=<date>&end=<date>&financialStatus=paid,partially_refunded&cancelled=false
+ * Get analytics metrics for a tenant: counts, gross sales, refunds issued in the range, net sales
+ * and refund rate (refunds / gross sales)
  * Query params: tenantId (required), start (optional), end (optional)
- * Requires X-User-Email header
+ * Order filters (optional, comma-separated values match any): financialStatus, fulfillmentStatus,
+ * currency, sourceName, tag, discountCode; cancelled=true|false
+ * Requires Authorization: Bearer <accessToken>
  */
-router.get('/', requireUserEmail, async (req, res) => {
+router.get('/', requireAuth, requireScope('read'), async (req, res) => {
     try {
         const { tenantId, start, end } = req.query;
-        const userEmail = req.userEmail;
 
         if (!tenantId) {
             return res.status(400).json({
@@ -48,10 +64,18 @@ router.get('/', requireUserEmail, async (req, res) => {
         }
 
         // Verify tenant access
-        const accessCheck = await verifyTenantAccess(tenantId, userEmail);
+        const accessCheck = await verifyTenantAccess(tenantId, req, 'metrics:read');
         if (!accessCheck.valid) {
-            return res.status(403).json({
+            return res.status(accessCheck.status).json({
                 error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const { where: detailFilter, filters, error: filterError } = orderFiltersFromQuery(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                error: filterError,
             });
         }
 
@@ -62,6 +86,7 @@ router.get('/', requireUserEmail, async (req, res) => {
 
         const orderFilter = {
             tenantId,
+            ...detailFilter,
             ...(Object.keys(dateFilter).length > 0 && { orderDate: dateFilter }),
         };
 
@@ -112,7 +137,7 @@ router.get('/', requireUserEmail, async (req, res) => {
         } else {
             // If no date range, calculate revenue efficiently using aggregation
             const revenueResult = await prisma.order.aggregate({
-                where: { tenantId },
+                where: orderFilter,
                 _sum: {
                     totalPrice: true,
                 },
@@ -120,15 +145,34 @@ router.get('/', requireUserEmail, async (req, res) => {
             totalRevenue = parseFloat(revenueResult._sum.totalPrice || 0);
         }
 
+        // Refunds count in the period they were issued, for orders matching the filters
+        const refundsResult = await prisma.refund.aggregate({
+            where: {
+                tenantId,
+                ...(Object.keys(dateFilter).length > 0 && { refundedAt: dateFilter }),
+                ...(Object.keys(detailFilter).length > 0 && { order: detailFilter }),
+            },
+            _sum: {
+                amount: true,
+            },
+        });
+        const refunds = parseFloat(refundsResult._sum.amount || 0);
+
         res.json({
             tenantId,
             dateRange: {
                 start: start || null,
                 end: end || null,
             },
+            filters,
             totalCustomers: customersCount,
             totalOrders: ordersCount,
+            // Gross: order totals, refunded or not
             totalRevenue,
+            grossSales: totalRevenue,
+            refunds,
+            netSales: Math.round((totalRevenue - refunds) * 100) / 100,
+            refundRate: totalRevenue > 0 ? Math.round((refunds / totalRevenue) * 10000) / 10000 : 0,
             ordersByDate,
         });
 
@@ -145,12 +189,11 @@ router.get('/', requireUserEmail, async (req, res) => {
 /**
  * GET /api/metrics/customers?tenantId=<id>
  * Get list of all customers for a tenant
- * Requires X-User-Email header
+ * Requires Authorization: Bearer <accessToken>
  */
-router.get('/customers', requireUserEmail, async (req, res) => {
+router.get('/customers', requireAuth, requireScope('read'), async (req, res) => {
     try {
         const { tenantId } = req.query;
-        const userEmail = req.userEmail;
 
         if (!tenantId) {
             return res.status(400).json({
@@ -159,10 +202,11 @@ router.get('/customers', requireUserEmail, async (req, res) => {
         }
 
         // Verify tenant access
-        const accessCheck = await verifyTenantAccess(tenantId, userEmail);
+        const accessCheck = await verifyTenantAccess(tenantId, req, 'metrics:read');
         if (!accessCheck.valid) {
-            return res.status(403).json({
+            return res.status(accessCheck.status).json({
                 error: accessCheck.error,
+                code: accessCheck.code,
             });
         }
 
@@ -198,15 +242,16 @@ router.get('/customers', requireUserEmail, async (req, res) => {
     }
 });
 
+const TOP_PRODUCTS_LIMIT = 5;
+
 /**
  * GET /api/metrics/top-products?tenantId=<id>
- * Get top 5 most bought products for a tenant
- * Requires X-User-Email header
+ * Get top 5 most bought products for a tenant, with their stored product id, vendor and type
+ * Requires Authorization: Bearer <accessToken>
  */
-router.get('/top-products', requireUserEmail, async (req, res) => {
+router.get('/top-products', requireAuth, requireScope('read'), async (req, res) => {
     try {
         const { tenantId } = req.query;
-        const userEmail = req.userEmail;
 
         if (!tenantId) {
             return res.status(400).json({
@@ -215,42 +260,87 @@ router.get('/top-products', requireUserEmail, async (req, res) => {
         }
 
         // Verify tenant access
-        const accessCheck = await verifyTenantAccess(tenantId, userEmail);
+        const accessCheck = await verifyTenantAccess(tenantId, req, 'metrics:read');
         if (!accessCheck.valid) {
-            return res.status(403).json({
+            return res.status(accessCheck.status).json({
                 error: accessCheck.error,
+                code: accessCheck.code,
             });
         }
 
-        // Aggregate line items to find most bought products (by order frequency)
-        const topProducts = await prisma.orderLineItem.groupBy({
-            by: ['title'],
-            where: {
-                order: {
-                    tenantId: tenantId
-                }
-            },
-            _count: {
-                title: true, // Count number of times this product title appears (approx number of orders)
-            },
+        // Aggregate line items to find most bought products (by order frequency), by Shopify product
+        // so renamed products stay one row. Items sold without a product (custom items, line items
+        // stored before product ids were) are grouped by title.
+        const lineItemTotals = {
             _sum: {
                 quantity: true,
                 price: true,
             },
-            orderBy: {
-                _count: {
-                    title: 'desc',
-                },
-            },
-            take: 5,
-        });
+            take: TOP_PRODUCTS_LIMIT,
+        };
+        const [byProduct, byTitle] = await Promise.all([
+            prisma.orderLineItem.groupBy({
+                by: ['productShopifyId'],
+                where: { order: { tenantId }, productShopifyId: { not: null } },
+                _count: { productShopifyId: true },
+                orderBy: { _count: { productShopifyId: 'desc' } },
+                ...lineItemTotals,
+            }),
+            prisma.orderLineItem.groupBy({
+                by: ['title'],
+                where: { order: { tenantId }, productShopifyId: null },
+                _count: { title: true },
+                orderBy: { _count: { title: 'desc' } },
+                ...lineItemTotals,
+            }),
+        ]);
 
-        const formattedProducts = topProducts.map(p => ({
-            title: p.title,
-            orderCount: p._count.title || 0,
+        const productShopifyIds = byProduct.map(p => p.productShopifyId);
+        const products = await prisma.product.findMany({
+            where: { tenantId, shopifyId: { in: productShopifyIds } },
+            select: { id: true, shopifyId: true, title: true, vendor: true, productType: true },
+        });
+        const productsByShopifyId = new Map(products.map(p => [p.shopifyId, p]));
+
+        // Products not synced (or deleted since) are named as they were sold
+        const unsynced = productShopifyIds.filter(id => !productsByShopifyId.has(id));
+        const soldAs = unsynced.length > 0
+            ? await prisma.orderLineItem.findMany({
+                where: { order: { tenantId }, productShopifyId: { in: unsynced } },
+                distinct: ['productShopifyId'],
+                select: { productShopifyId: true, title: true },
+            })
+            : [];
+        const soldTitles = new Map(soldAs.map(item => [item.productShopifyId, item.title]));
+
+        const totals = (p, count) => ({
+            orderCount: count || 0,
             quantity: p._sum.quantity || 0,
             revenue: parseFloat(p._sum.price || 0),
-        }));
+        });
+        const formattedProducts = [
+            ...byProduct.map(p => {
+                const product = productsByShopifyId.get(p.productShopifyId);
+                return {
+                    productId: product?.id || null,
+                    productShopifyId: p.productShopifyId,
+                    title: product?.title || soldTitles.get(p.productShopifyId) || null,
+                    vendor: product?.vendor || null,
+                    productType: product?.productType || null,
+                    ...totals(p, p._count.productShopifyId),
+                };
+            }),
+            ...byTitle.map(p => ({
+                productId: null,
+                productShopifyId: null,
+                title: p.title,
+                vendor: null,
+                productType: null,
+                ...totals(p, p._count.title),
+            })),
+        ]
+            .sort((a, b) => b.orderCount - a.orderCount)
+            .slice(0, TOP_PRODUCTS_LIMIT);
 
         res.json({
             tenantId,
@@ -268,12 +358,11 @@ router.get('/top-products', requireUserEmail, async (req, res) => {
 /**
  * GET /api/metrics/orders?tenantId=<id>
  * Get list of all orders for a tenant
- * Requires X-User-Email header
+ * Requires Authorization: Bearer <accessToken>
  */
-router.get('/orders', requireUserEmail, async (req, res) => {
+router.get('/orders', requireAuth, requireScope('read'), async (req, res) => {
     try {
         const { tenantId } = req.query;
-        const userEmail = req.userEmail;
 
         if (!tenantId) {
             return res.status(400).json({
@@ -282,10 +371,11 @@ router.get('/orders', requireUserEmail, async (req, res) => {
         }
 
         // Verify tenant access
-        const accessCheck = await verifyTenantAccess(tenantId, userEmail);
+        const accessCheck = await verifyTenantAccess(tenantId, req, 'metrics:read');
         if (!accessCheck.valid) {
-            return res.status(403).json({
+            return res.status(accessCheck.status).json({
                 error: accessCheck.error,
+                code: accessCheck.code,
             });
         }
 
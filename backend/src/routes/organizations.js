@@ -0,0 +1,628 @@
+// Organization, membership and invitation routes
+const express = require('express');
+const router = express.Router();
+const prisma = require('../prisma');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { ROLES, compareRoles, isValidRole, permissionsFor } = require('../lib/permissions');
+const {
+    getMembershipRole,
+    verifyOrganizationAccess,
+    generateInvitationToken,
+    hashInvitationToken,
+    buildInvitationUrl,
+} = require('../lib/organizations');
+const { sendInvitationEmail } = require('../lib/notifications');
+const { isTwoFactorEnabled } = require('../lib/twoFactor');
+
+// Fields that are safe to return (never the token hash)
+const INVITATION_SELECT = {
+    id: true,
+    email: true,
+    role: true,
+    expiresAt: true,
+    acceptedAt: true,
+    revokedAt: true,
+    createdAt: true,
+    invitedBy: {
+        select: { id: true, email: true, name: true },
+    },
+};
+
+// Organization management is only available to interactive logins
+router.use(requireAuth, requireSession);
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Count the owners left in an organization
+ * @param {string} organizationId
+ * @returns {Promise<number>}
+ */
+function countOwners(organizationId) {
+    return prisma.membership.count({
+        where: { organizationId, role: 'owner' },
+    });
+}
+
+/**
+ * POST /api/organizations/invitations/accept
+ * Accept an invitation for the signed-in user
+ * Body: { token }
+ */
+router.post('/invitations/accept', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                error: 'token is required',
+            });
+        }
+
+        const invitation = await prisma.invitation.findUnique({
+            where: { tokenHash: hashInvitationToken(token) },
+            include: {
+                organization: { select: { id: true, name: true } },
+            },
+        });
+
+        if (!invitation || invitation.revokedAt) {
+            return res.status(404).json({
+                error: 'Invitation not found',
+            });
+        }
+
+        if (invitation.acceptedAt) {
+            return res.status(409).json({
+                error: 'Invitation has already been accepted',
+            });
+        }
+
+        if (invitation.expiresAt <= new Date()) {
+            return res.status(410).json({
+                error: 'Invitation has expired',
+                message: 'Ask an organization admin to send a new invitation',
+            });
+        }
+
+        if (normalizeEmail(invitation.email) !== normalizeEmail(req.user.email)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`,
+            });
+        }
+
+        const existingRole = await getMembershipRole(invitation.organizationId, req.user.id);
+
+        // Existing members keep their current role
+        await prisma.$transaction([
+            ...(existingRole ? [] : [
+                prisma.membership.create({
+                    data: {
+                        organizationId: invitation.organizationId,
+                        userId: req.user.id,
+                        role: invitation.role,
+                    },
+                }),
+            ]),
+            prisma.invitation.update({
+                where: { id: invitation.id },
+                data: { acceptedAt: new Date() },
+            }),
+        ]);
+
+        res.json({
+            message: `Joined ${invitation.organization.name}`,
+            organization: invitation.organization,
+            role: existingRole || invitation.role,
+        });
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        res.status(500).json({
+            error: 'Failed to accept invitation',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/organizations
+ * List organizations the current user belongs to, with their role in each
+ */
+router.get('/', async (req, res) => {
+    try {
+        const memberships = await prisma.membership.findMany({
+            where: { userId: req.user.id },
+            include: {
+                organization: {
+                    include: {
+                        _count: {
+                            select: { memberships: true, tenants: true },
+                        },
+                    },
+                },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+
+        res.json(memberships.map(({ organization, role }) => ({
+            id: organization.id,
+            name: organization.name,
+            require2fa: organization.require2fa,
+            createdAt: organization.createdAt,
+            memberCount: organization._count.memberships,
+            tenantCount: organization._count.tenants,
+            role,
+            permissions: permissionsFor(role),
+        })));
+    } catch (error) {
+        console.error('Error fetching organizations:', error);
+        res.status(500).json({
+            error: 'Failed to fetch organizations',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/organizations
+ * Create an organization owned by the current user
+ * Body: { name }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'name is required',
+            });
+        }
+
+        const organization = await prisma.organization.create({
+            data: {
+                name,
+                memberships: {
+                    create: { userId: req.user.id, role: 'owner' },
+                },
+            },
+        });
+
+        res.status(201).json({
+            ...organization,
+            role: 'owner',
+            permissions: permissionsFor('owner'),
+        });
+    } catch (error) {
+        console.error('Error creating organization:', error);
+        res.status(500).json({
+            error: 'Failed to create organization',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * PATCH /api/organizations/:orgId
+ * Rename an organization or change its two-factor policy (owners and admins)
+ * Body: { name?, require2fa? }
+ */
+router.patch('/:orgId', async (req, res) => {
+    try {
+        const { name, require2fa } = req.body;
+
+        const accessCheck = await verifyOrganizationAccess(req.params.orgId, req.user, 'org:manage');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({
+                error: 'name cannot be empty',
+            });
+        }
+
+        if (require2fa !== undefined && typeof require2fa !== 'boolean') {
+            return res.status(400).json({
+                error: 'require2fa must be a boolean',
+            });
+        }
+
+        // Stop admins from locking themselves out
+        if (require2fa === true && !isTwoFactorEnabled(req.user)) {
+            return res.status(400).json({
+                error: 'Enable two-factor authentication on your own account before requiring it for members',
+            });
+        }
+
+        const organization = await prisma.organization.update({
+            where: { id: req.params.orgId },
+            data: {
+                ...(name !== undefined && { name: String(name).trim() }),
+                ...(require2fa !== undefined && { require2fa }),
+            },
+        });
+
+        res.json(organization);
+    } catch (error) {
+        console.error('Error updating organization:', error);
+        res.status(500).json({
+            error: 'Failed to update organization',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * DELETE /api/organizations/:orgId
+ * Delete an organization and every store connected to it (owners only)
+ */
+router.delete('/:orgId', async (req, res) => {
+    try {
+        const accessCheck = await verifyOrganizationAccess(req.params.orgId, req.user, 'org:delete');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        await prisma.organization.delete({
+            where: { id: req.params.orgId },
+        });
+
+        res.json({ message: 'Organization deleted' });
+    } catch (error) {
+        console.error('Error deleting organization:', error);
+        res.status(500).json({
+            error: 'Failed to delete organization',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/organizations/:orgId/members
+ * List members of an organization (any member)
+ */
+router.get('/:orgId/members', async (req, res) => {
+    try {
+        const accessCheck = await verifyOrganizationAccess(req.params.orgId, req.user, 'metrics:read');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const memberships = await prisma.membership.findMany({
+            where: { organizationId: req.params.orgId },
+            include: {
+                user: { select: { id: true, email: true, name: true } },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+
+        res.json(memberships.map(({ user, role, createdAt }) => ({
+            userId: user.id,
+            email: user.email,
+            name: user.name,
+            role,
+            joinedAt: createdAt,
+        })));
+    } catch (error) {
+        console.error('Error fetching members:', error);
+        res.status(500).json({
+            error: 'Failed to fetch members',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * PATCH /api/organizations/:orgId/members/:userId
+ * Change a member's role (owners and admins, never above their own role)
+ * Body: { role }
+ */
+router.patch('/:orgId/members/:userId', async (req, res) => {
+    try {
+        const { orgId, userId } = req.params;
+        const { role } = req.body;
+
+        const accessCheck = await verifyOrganizationAccess(orgId, req.user, 'members:manage');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        if (!isValidRole(role)) {
+            return res.status(400).json({
+                error: `role must be one of: ${ROLES.join(', ')}`,
+            });
+        }
+
+        const currentRole = await getMembershipRole(orgId, userId);
+        if (!currentRole) {
+            return res.status(404).json({
+                error: 'Member not found',
+            });
+        }
+
+        if (compareRoles(currentRole, accessCheck.role) > 0 || compareRoles(role, accessCheck.role) > 0) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: `A ${accessCheck.role} cannot manage ${currentRole} members or grant the ${role} role`,
+            });
+        }
+
+        if (currentRole === 'owner' && role !== 'owner' && await countOwners(orgId) <= 1) {
+            return res.status(400).json({
+                error: 'An organization must keep at least one owner',
+            });
+        }
+
+        const membership = await prisma.membership.update({
+            where: {
+                organizationId_userId: { organizationId: orgId, userId },
+            },
+            data: { role },
+        });
+
+        res.json({
+            userId: membership.userId,
+            role: membership.role,
+        });
+    } catch (error) {
+        console.error('Error updating member role:', error);
+        res.status(500).json({
+            error: 'Failed to update member role',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/members/:userId
+ * Remove a member (owners and admins), or leave the organization (own user id)
+ */
+router.delete('/:orgId/members/:userId', async (req, res) => {
+    try {
+        const { orgId, userId } = req.params;
+        const leaving = userId === req.user.id;
+
+        // Members can always leave, even if they fall short of the 2FA policy
+        const accessCheck = leaving
+            ? { valid: true, role: await getMembershipRole(orgId, userId) }
+            : await verifyOrganizationAccess(orgId, req.user, 'members:manage');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const currentRole = leaving ? accessCheck.role : await getMembershipRole(orgId, userId);
+        if (!currentRole) {
+            return res.status(404).json({
+                error: 'Member not found',
+            });
+        }
+
+        if (!leaving && compareRoles(currentRole, accessCheck.role) > 0) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: `A ${accessCheck.role} cannot remove ${currentRole} members`,
+            });
+        }
+
+        if (currentRole === 'owner' && await countOwners(orgId) <= 1) {
+            return res.status(400).json({
+                error: 'An organization must keep at least one owner',
+                message: 'Transfer ownership or delete the organization instead',
+            });
+        }
+
+        await prisma.membership.delete({
+            where: {
+                organizationId_userId: { organizationId: orgId, userId },
+            },
+        });
+
+        res.json({ message: leaving ? 'Left organization' : 'Member removed' });
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({
+            error: 'Failed to remove member',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/organizations/:orgId/invitations
+ * List pending invitations (owners and admins)
+ */
+router.get('/:orgId/invitations', async (req, res) => {
+    try {
+        const accessCheck = await verifyOrganizationAccess(req.params.orgId, req.user, 'members:manage');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const invitations = await prisma.invitation.findMany({
+            where: {
+                organizationId: req.params.orgId,
+                acceptedAt: null,
+                revokedAt: null,
+            },
+            select: INVITATION_SELECT,
+            orderBy: { createdAt: 'desc' },
+        });
+
+        res.json(invitations);
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({
+            error: 'Failed to fetch invitations',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/organizations/:orgId/invitations
+ * Invite someone by email (owners and admins, never above their own role)
+ * Body: { email, role }
+ * The invitee is emailed a link, which is also returned once so it can be shared
+ */
+router.post('/:orgId/invitations', async (req, res) => {
+    try {
+        const { orgId } = req.params;
+        const email = normalizeEmail(req.body.email);
+        const role = req.body.role || 'viewer';
+
+        const accessCheck = await verifyOrganizationAccess(orgId, req.user, 'members:manage');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({
+                error: 'Invalid email format',
+            });
+        }
+
+        if (!isValidRole(role)) {
+            return res.status(400).json({
+                error: `role must be one of: ${ROLES.join(', ')}`,
+            });
+        }
+
+        if (compareRoles(role, accessCheck.role) > 0) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: `A ${accessCheck.role} cannot invite ${role} members`,
+            });
+        }
+
+        const existingMember = await prisma.membership.findFirst({
+            where: {
+                organizationId: orgId,
+                user: { email: { equals: email, mode: 'insensitive' } },
+            },
+        });
+
+        if (existingMember) {
+            return res.status(409).json({
+                error: 'User is already a member of this organization',
+            });
+        }
+
+        const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+        const invitation = await prisma.invitation.create({
+            data: {
+                organizationId: orgId,
+                email,
+                role,
+                tokenHash,
+                expiresAt,
+                invitedById: req.user.id,
+            },
+            select: {
+                ...INVITATION_SELECT,
+                organization: { select: { name: true } },
+            },
+        });
+
+        const inviteUrl = buildInvitationUrl(token);
+
+        // The link is also returned so it can be shared manually if delivery fails
+        let emailSent = true;
+        try {
+            await sendInvitationEmail({
+                email,
+                role,
+                inviteUrl,
+                organizationName: invitation.organization.name,
+                invitedBy: req.user,
+            });
+        } catch (mailError) {
+            emailSent = false;
+            console.error('Error sending invitation email:', mailError);
+        }
+
+        const { organization, ...invitationData } = invitation;
+
+        res.status(201).json({
+            ...invitationData,
+            inviteUrl,
+            emailSent,
+        });
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        res.status(500).json({
+            error: 'Failed to create invitation',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/invitations/:invitationId
+ * Revoke a pending invitation (owners and admins)
+ */
+router.delete('/:orgId/invitations/:invitationId', async (req, res) => {
+    try {
+        const accessCheck = await verifyOrganizationAccess(req.params.orgId, req.user, 'members:manage');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const existing = await prisma.invitation.findFirst({
+            where: {
+                id: req.params.invitationId,
+                organizationId: req.params.orgId,
+            },
+        });
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Invitation not found',
+            });
+        }
+
+        const invitation = await prisma.invitation.update({
+            where: { id: existing.id },
+            data: { revokedAt: existing.revokedAt || new Date() },
+            select: INVITATION_SELECT,
+        });
+
+        res.json(invitation);
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({
+            error: 'Failed to revoke invitation',
+            message: error.message,
+        });
+    }
+});
+
+module.exports = router;
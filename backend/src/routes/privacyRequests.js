@@ -0,0 +1,109 @@
+// Privacy request audit log and customer data exports for a tenant's store
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../prisma');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { verifyTenantAccess } = require('../lib/tenantAccess');
+
+const REQUEST_SELECT = {
+    id: true,
+    topic: true,
+    customerShopifyId: true,
+    shopifyRequestId: true,
+    ordersRequested: true,
+    status: true,
+    summary: true,
+    lastError: true,
+    receivedAt: true,
+    completedAt: true,
+};
+
+/**
+ * Resolve the tenant for the request, answering 4xx when the user cannot manage it
+ * @returns {Promise<object|null>} - Tenant, or null if a response was already sent
+ */
+async function loadManagedTenant(req, res) {
+    const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'tenant:manage');
+    if (!accessCheck.valid) {
+        res.status(accessCheck.status).json({
+            error: accessCheck.error,
+            code: accessCheck.code,
+        });
+        return null;
+    }
+    return accessCheck.tenant;
+}
+
+/**
+ * GET /api/tenants/:tenantId/privacy-requests
+ * Privacy webhooks received for the tenant's store, newest first, with their completion status
+ * Requires an owner or admin role
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/', requireAuth, requireSession, async (req, res) => {
+    try {
+        const tenant = await loadManagedTenant(req, res);
+        if (!tenant) return;
+
+        const requests = await prisma.privacyRequest.findMany({
+            where: { shopDomain: tenant.shopifyDomain },
+            select: REQUEST_SELECT,
+            orderBy: { receivedAt: 'desc' },
+            take: 100,
+        });
+
+        res.json({ requests });
+    } catch (error) {
+        console.error('Error listing privacy requests:', error);
+        res.status(500).json({
+            error: 'Failed to list privacy requests',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/tenants/:tenantId/privacy-requests/:requestId/export
+ * Download the data assembled for a customers/data_request, to pass on to the customer
+ * Requires an owner or admin role
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/:requestId/export', requireAuth, requireSession, async (req, res) => {
+    try {
+        const tenant = await loadManagedTenant(req, res);
+        if (!tenant) return;
+
+        const request = await prisma.privacyRequest.findFirst({
+            where: {
+                id: req.params.requestId,
+                shopDomain: tenant.shopifyDomain,
+                topic: 'customers/data_request',
+            },
+            select: { id: true, status: true, export: true },
+        });
+
+        if (!request) {
+            return res.status(404).json({
+                error: 'Data request not found',
+            });
+        }
+
+        if (request.status !== 'completed' || !request.export) {
+            // Pending, failed, or cleared by a later redaction
+            return res.status(409).json({
+                error: `No export available for this request (status ${request.status})`,
+            });
+        }
+
+        res.set('Content-Disposition', `attachment; filename="data-request-${request.id}.json"`);
+        res.json(request.export);
+    } catch (error) {
+        console.error('Error exporting privacy request:', error);
+        res.status(500).json({
+            error: 'Failed to export privacy request',
+            message: error.message,
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+// Synced products and their variants for a tenant's store
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../prisma');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { verifyTenantAccess } = require('../lib/tenantAccess');
+
+const PRODUCT_SELECT = {
+    id: true,
+    shopifyId: true,
+    title: true,
+    vendor: true,
+    productType: true,
+    price: true,
+    updatedAt: true,
+};
+
+const VARIANT_SELECT = {
+    id: true,
+    shopifyId: true,
+    title: true,
+    sku: true,
+    options: true,
+    price: true,
+    compareAtPrice: true,
+    inventoryQuantity: true,
+    inventoryItemId: true,
+    position: true,
+    updatedAt: true,
+};
+
+function formatProduct(product) {
+    return {
+        ...product,
+        price: parseFloat(product.price || 0),
+    };
+}
+
+function formatVariant(variant) {
+    return {
+        ...variant,
+        price: parseFloat(variant.price || 0),
+        compareAtPrice: variant.compareAtPrice === null ? null : parseFloat(variant.compareAtPrice),
+    };
+}
+
+/**
+ * Resolve the tenant for the request, answering 4xx when the user cannot read it
+ * @returns {Promise<boolean>} - false if a response was already sent
+ */
+async function checkReadAccess(req, res) {
+    const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'metrics:read');
+    if (!accessCheck.valid) {
+        res.status(accessCheck.status).json({
+            error: accessCheck.error,
+            code: accessCheck.code,
+        });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * GET /api/tenants/:tenantId/products?limit=50&offset=0
+ * The store's products by title, with their variant count and total stock
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        if (!(await checkReadAccess(req, res))) return;
+
+        const { tenantId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const [products, total] = await Promise.all([
+            prisma.product.findMany({
+                where: { tenantId },
+                select: PRODUCT_SELECT,
+                orderBy: { title: 'asc' },
+                skip: offset,
+                take: limit,
+            }),
+            prisma.product.count({ where: { tenantId } }),
+        ]);
+
+        const stock = await prisma.productVariant.groupBy({
+            by: ['productId'],
+            where: { productId: { in: products.map((product) => product.id) } },
+            _count: { _all: true },
+            _sum: { inventoryQuantity: true },
+        });
+        const stockByProduct = new Map(stock.map((row) => [row.productId, row]));
+
+        res.json({
+            tenantId,
+            products: products.map((product) => ({
+                ...formatProduct(product),
+                variantCount: stockByProduct.get(product.id)?._count._all || 0,
+                inventoryQuantity: stockByProduct.get(product.id)?._sum.inventoryQuantity ?? null,
+            })),
+            total,
+        });
+    } catch (error) {
+        console.error('Error listing products:', error);
+        res.status(500).json({
+            error: 'Failed to list products',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/tenants/:tenantId/products/:productId
+ * One product with its variants: SKU, options, price, compare-at price and stock
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/:productId', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        if (!(await checkReadAccess(req, res))) return;
+
+        const product = await prisma.product.findFirst({
+            where: { id: req.params.productId, tenantId: req.params.tenantId },
+            select: {
+                ...PRODUCT_SELECT,
+                variants: {
+                    select: VARIANT_SELECT,
+                    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+                },
+            },
+        });
+
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+            });
+        }
+
+        res.json({
+            tenantId: req.params.tenantId,
+            product: {
+                ...formatProduct(product),
+                variants: product.variants.map(formatVariant),
+            },
+        });
+    } catch (error) {
+        console.error('Error fetching product:', error);
+        res.status(500).json({
+            error: 'Failed to fetch product',
+            message: error.message,
+        });
+    }
+});
+
+module.exports = router;
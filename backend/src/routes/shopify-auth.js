@@ -10,18 +10,96 @@ const {
     verifyHMAC,
     isValidShopDomain 
 } = require('../lib/shopifyOAuth');
-const { requireUserEmail } = require('../middleware/auth');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { getDefaultOrganizationId, verifyOrganizationAccess } = require('../lib/organizations');
+const { encryptAccessToken } = require('../lib/tenantCredentials');
+const { createOAuthState, consumeOAuthState } = require('../lib/oauthStates');
+const { registerTenantWebhooks } = require('../lib/webhookSubscriptions');
+
+function normalizeShopDomain(shop) {
+    return shop.includes('.myshopify.com') ? shop : `${shop}.myshopify.com`;
+}
+
+/**
+ * Redirect the browser back to the frontend callback page
+ * Only a success flag (or a short error code) is passed - never tokens
+ */
+function redirectToFrontend(res, params) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const redirectUrl = new URL(`${frontendUrl}/auth/shopify/callback`);
+
+    for (const [key, value] of Object.entries(params)) {
+        redirectUrl.searchParams.set(key, value);
+    }
+
+    res.redirect(redirectUrl.toString());
+}
+
+/**
+ * Create the tenant for a newly installed store, or store the new token if the
+ * organization already has it (reconnecting)
+ * @returns {Promise<{tenant: object, created: boolean}>}
+ */
+async function connectTenant({ shop, accessToken, organizationId, userId }) {
+    const existingTenant = await prisma.tenant.findFirst({
+        where: {
+            shopifyDomain: shop,
+            organizationId,
+        },
+    });
+
+    if (existingTenant) {
+        // Reconnecting after an uninstall reactivates the store
+        const tenant = await prisma.tenant.update({
+            where: { id: existingTenant.id },
+            data: {
+                ...encryptAccessToken(accessToken),
+                status: 'active',
+                disconnectedAt: null,
+            },
+        });
+        return { tenant, created: false };
+    }
+
+    // Fetch shop info to get store name
+    let storeName = shop.replace('.myshopify.com', '');
+    try {
+        const shopInfoResponse = await axios.get(
+            `https://${shop}/admin/api/2024-01/shop.json`,
+            {
+                headers: {
+                    'X-Shopify-Access-Token': accessToken,
+                },
+            }
+        );
+        storeName = shopInfoResponse.data.shop.name || storeName;
+    } catch (error) {
+        console.warn('Could not fetch shop info, using domain as name:', error.message);
+    }
+
+    const tenant = await prisma.tenant.create({
+        data: {
+            name: storeName,
+            shopifyDomain: shop,
+            ...encryptAccessToken(accessToken),
+            userId,
+            organizationId,
+        },
+    });
+    return { tenant, created: true };
+}
 
 /**
  * GET /api/shopify/install
  * Initiate Shopify OAuth installation flow
- * Query params: shop (shop domain)
- * Requires X-User-Email header
+ * Query params: shop (shop domain), organizationId (optional, defaults to the user's own)
+ * The state sent to Shopify is stored server-side, bound to this user and organization
+ * Installing a store the organization already has reconnects it with a fresh token
+ * Requires Authorization: Bearer <accessToken>
  */
-router.get('/install', requireUserEmail, async (req, res) => {
+router.get('/install', requireAuth, requireSession, async (req, res) => {
     try {
         const { shop } = req.query;
-        const userEmail = req.userEmail;
 
         // Validate shop domain
         if (!shop || !isValidShopDomain(shop)) {
@@ -40,32 +118,19 @@ router.get('/install', requireUserEmail, async (req, res) => {
             });
         }
 
-        // Get user
-        const user = await prisma.user.findUnique({
-            where: { email: userEmail },
-        });
+        // Only owners and admins can connect stores to an organization
+        const organizationId = req.query.organizationId || await getDefaultOrganizationId(req.user);
+        const orgCheck = await verifyOrganizationAccess(organizationId, req.user, 'tenant:manage');
 
-        if (!user) {
-            return res.status(404).json({
-                error: 'User not found',
+        if (!orgCheck.valid) {
+            return res.status(orgCheck.status).json({
+                error: 'Access denied',
+                message: orgCheck.error,
+                code: orgCheck.code,
             });
         }
 
-        // Check if tenant already exists
-        const existingTenant = await prisma.tenant.findFirst({
-            where: {
-                shopifyDomain: shop.includes('.myshopify.com') ? shop : `${shop}.myshopify.com`,
-                userId: user.id,
-            },
-        });
-
-        if (existingTenant) {
-            return res.status(409).json({
-                error: 'Store already connected',
-                message: `You already have ${shop} connected. Please disconnect it first to reconnect.`,
-                tenantId: existingTenant.id,
-            });
-        }
+        const normalizedShop = normalizeShopDomain(shop);
 
         // Get redirect URI from environment or construct it
         const baseUrl = process.env.API_BASE_URL || req.protocol + '://' + req.get('host');
@@ -76,18 +141,21 @@ router.get('/install', requireUserEmail, async (req, res) => {
             'read_customers',
             'read_orders',
             'read_products',
+            'read_inventory',
         ];
 
-        // Generate authorization URL
-        const { authUrl, state } = generateAuthUrl(shop, apiKey, redirectUri, scopes);
+        const state = await createOAuthState({
+            userId: req.user.id,
+            organizationId,
+            shop: normalizedShop,
+        });
 
-        // Store state in session/cookie for verification (optional - can also verify via HMAC)
-        // For simplicity, we'll verify via HMAC in callback
+        // Generate authorization URL
+        const { authUrl } = generateAuthUrl(normalizedShop, apiKey, redirectUri, scopes, state);
 
         res.json({
             authUrl,
-            shop,
-            state,
+            shop: normalizedShop,
         });
     } catch (error) {
         console.error('Error initiating OAuth flow:', error);
@@ -102,196 +170,72 @@ router.get('/install', requireUserEmail, async (req, res) => {
  * GET /api/shopify/callback
  * Handle Shopify OAuth callback
  * Query params: code, shop, state, hmac
+ * Validates the stored state, creates or updates the tenant, subscribes it to webhooks, then redirects to
+ * the frontend with success=true, or success=false and an error code
  */
 router.get('/callback', async (req, res) => {
     try {
         const { code, shop, state, hmac } = req.query;
 
         // Verify required parameters
-        if (!code || !shop || !hmac) {
-            return res.status(400).json({
-                error: 'Missing required parameters: code, shop, or hmac',
-            });
-        }
-
-        // Verify shop domain
-        if (!isValidShopDomain(shop)) {
-            return res.status(400).json({
-                error: 'Invalid shop domain',
-            });
+        if (!code || !shop || !state || !hmac || !isValidShopDomain(shop)) {
+            return redirectToFrontend(res, { success: 'false', error: 'invalid_request' });
         }
 
         // Verify HMAC signature
         const apiSecret = process.env.SHOPIFY_API_SECRET;
         if (!apiSecret) {
-            return res.status(500).json({
-                error: 'Shopify API secret not configured',
-            });
+            console.error('Shopify OAuth callback received but SHOPIFY_API_SECRET is not configured');
+            return redirectToFrontend(res, { success: 'false', error: 'not_configured' });
         }
 
-        const isValid = verifyHMAC(req.query, apiSecret);
-        if (!isValid) {
-            return res.status(401).json({
-                error: 'Invalid HMAC signature',
-            });
+        if (!verifyHMAC(req.query, apiSecret)) {
+            return redirectToFrontend(res, { success: 'false', error: 'invalid_signature' });
         }
 
-        // Exchange code for access token
-        const apiKey = process.env.SHOPIFY_API_KEY;
-        const normalizedShop = shop.includes('.myshopify.com') ? shop : `${shop}.myshopify.com`;
-
-        const { accessToken, scope } = await exchangeCodeForToken(
-            normalizedShop,
-            code,
-            apiKey,
-            apiSecret
-        );
-
-        // Get user email from state or session (for now, we'll need to pass it via frontend redirect)
-        // In a production app, you'd store state->userEmail mapping or use session
-        // For now, redirect to frontend with shop info and let frontend handle tenant creation
-        
-        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-        const redirectUrl = new URL(`${frontendUrl}/auth/shopify/callback`);
-        
-        redirectUrl.searchParams.set('shop', normalizedShop);
-        redirectUrl.searchParams.set('access_token', accessToken);
-        redirectUrl.searchParams.set('scope', scope);
-
-        // Redirect to frontend to complete tenant creation
-        res.redirect(redirectUrl.toString());
-
-    } catch (error) {
-        console.error('Error handling OAuth callback:', error);
-        
-        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-        const errorUrl = new URL(`${frontendUrl}/auth/shopify/error`);
-        errorUrl.searchParams.set('error', error.message);
-        
-        res.redirect(errorUrl.toString());
-    }
-});
-
-/**
- * POST /api/shopify/complete
- * Complete tenant creation after OAuth callback
- * Body: { shop, accessToken, scope }
- * Requires X-User-Email header
- */
-router.post('/complete', requireUserEmail, async (req, res) => {
-    try {
-        const { shop, accessToken, scope } = req.body;
-        const userEmail = req.userEmail;
+        const normalizedShop = normalizeShopDomain(shop);
 
-        // Validate required fields
-        if (!shop || !accessToken) {
-            return res.status(400).json({
-                error: 'Missing required fields: shop, accessToken',
-            });
-        }
-
-        // Verify shop domain
-        if (!isValidShopDomain(shop)) {
-            return res.status(400).json({
-                error: 'Invalid shop domain',
-            });
+        // State must have been issued by /install for this shop, unused and unexpired
+        const install = await consumeOAuthState(state, normalizedShop);
+        if (!install) {
+            return redirectToFrontend(res, { success: 'false', error: 'invalid_state' });
         }
 
-        // Get user
+        // Re-check the role in case it changed while the user was on Shopify
         const user = await prisma.user.findUnique({
-            where: { email: userEmail },
+            where: { id: install.userId },
+            select: { id: true, totpEnabledAt: true },
         });
-
-        if (!user) {
-            return res.status(404).json({
-                error: 'User not found',
-            });
+        const orgCheck = user && await verifyOrganizationAccess(install.organizationId, user, 'tenant:manage');
+        if (!orgCheck?.valid) {
+            return redirectToFrontend(res, { success: 'false', error: 'access_denied' });
         }
 
-        const normalizedShop = shop.includes('.myshopify.com') ? shop : `${shop}.myshopify.com`;
+        // Exchange code for access token
+        const { accessToken } = await exchangeCodeForToken(
+            normalizedShop,
+            code,
+            process.env.SHOPIFY_API_KEY,
+            apiSecret
+        );
 
-        // Check if tenant already exists
-        const existingTenant = await prisma.tenant.findFirst({
-            where: {
-                shopifyDomain: normalizedShop,
-                userId: user.id,
-            },
+        const { tenant, created } = await connectTenant({
+            shop: normalizedShop,
+            accessToken,
+            organizationId: install.organizationId,
+            userId: install.userId,
         });
 
-        if (existingTenant) {
-            // Update access token if tenant exists
-            const updatedTenant = await prisma.tenant.update({
-                where: { id: existingTenant.id },
-                data: {
-                    accessToken: accessToken,
-                    updatedAt: new Date(),
-                },
-            });
-
-            return res.json({
-                success: true,
-                tenant: {
-                    tenantId: updatedTenant.id,
-                    name: updatedTenant.name,
-                    shopifyDomain: updatedTenant.shopifyDomain,
-                    createdAt: updatedTenant.createdAt,
-                },
-                message: 'Store connection updated',
-            });
-        }
+        console.log(`Shopify store ${created ? 'connected' : 'reconnected'}: ${tenant.shopifyDomain} (tenant ${tenant.id})`);
 
-        // Fetch shop info to get store name
-        let storeName = normalizedShop.replace('.myshopify.com', '');
-        try {
-            const shopInfoResponse = await axios.get(
-                `https://${normalizedShop}/admin/api/2024-01/shop.json`,
-                {
-                    headers: {
-                        'X-Shopify-Access-Token': accessToken,
-                    },
-                }
-            );
-            storeName = shopInfoResponse.data.shop.name || storeName;
-        } catch (error) {
-            console.warn('Could not fetch shop info, using domain as name:', error.message);
-        }
+        // A reinstall invalidates the old subscriptions, so reconcile on every connect
+        await registerTenantWebhooks(tenant);
 
-        // Create tenant
-        const tenant = await prisma.tenant.create({
-            data: {
-                name: storeName,
-                shopifyDomain: normalizedShop,
-                accessToken: accessToken,
-                userId: user.id,
-            },
-        });
-
-        res.status(201).json({
-            success: true,
-            tenant: {
-                tenantId: tenant.id,
-                name: tenant.name,
-                shopifyDomain: tenant.shopifyDomain,
-                createdAt: tenant.createdAt,
-            },
-        });
+        redirectToFrontend(res, { success: 'true' });
     } catch (error) {
-        console.error('Error completing OAuth flow:', error);
-
-        // Handle unique constraint violation
-        if (error.code === 'P2002') {
-            return res.status(409).json({
-                error: 'Store already connected',
-                message: 'This store is already connected to your account',
-            });
-        }
-
-        res.status(500).json({
-            error: 'Failed to complete Shopify connection',
-            message: error.message,
-        });
+        console.error('Error handling OAuth callback:', error.message);
+        redirectToFrontend(res, { success: 'false', error: 'connection_failed' });
     }
 });
 
 module.exports = router;
-
@@ -2,38 +2,53 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../prisma');
-const { getUserEmail, requireUserEmail } = require('../middleware/auth');
+const { requireAuth, requireScope, requireSession } = require('../middleware/auth');
+const { accessibleTenantsWhere, verifyTenantAccess } = require('../lib/tenantAccess');
+const { hasPermission, permissionsFor } = require('../lib/permissions');
+const { getDefaultOrganizationId, verifyOrganizationAccess } = require('../lib/organizations');
+const { isBlockedByTwoFactorPolicy } = require('../lib/twoFactor');
+const { encryptAccessToken, getAccessTokenHint } = require('../lib/tenantCredentials');
+const { registerTenantWebhooks, reconcileWebhookSubscriptions, getWebhookStatus } = require('../lib/webhookSubscriptions');
+const { getShopApiMetrics } = require('../lib/shopifyRateLimiter');
 const axios = require('axios');
 
 /**
  * GET /api/tenants
- * List all tenants for the current user (without sensitive data like accessToken)
- * Requires X-User-Email header
+ * List all tenants shared with the current user through their organizations
+ * (without sensitive data like accessToken)
+ * Each tenant includes the organization, the user's role and the permissions it grants,
+ * plus twoFactorRequired when the organization's 2FA policy currently blocks access
+ * Requires Authorization: Bearer <accessToken>
  */
-router.get('/', requireUserEmail, async (req, res) => {
+router.get('/', requireAuth, requireScope('read'), async (req, res) => {
     try {
-        const userEmail = req.userEmail;
+        // Limit to the API key's tenants, if any
+        const restrictedIds = req.apiKey?.tenantIds?.length ? req.apiKey.tenantIds : null;
 
-        // Find user by email
-        const user = await prisma.user.findUnique({
-            where: { email: userEmail },
-        });
-
-        if (!user) {
-            return res.status(404).json({
-                error: 'User not found',
-            });
-        }
-
-        // Get tenants for this user
         const tenants = await prisma.tenant.findMany({
             where: {
-                userId: user.id,
+                ...accessibleTenantsWhere(req.user.id),
+                ...(restrictedIds && { id: { in: restrictedIds } }),
             },
             select: {
                 id: true,
                 name: true,
                 shopifyDomain: true,
+                status: true,
+                disconnectedAt: true,
+                userId: true,
+                organizationId: true,
+                organization: {
+                    select: {
+                        id: true,
+                        name: true,
+                        require2fa: true,
+                        memberships: {
+                            where: { userId: req.user.id },
+                            select: { role: true },
+                        },
+                    },
+                },
                 createdAt: true,
             },
             orderBy: {
@@ -41,7 +56,26 @@ router.get('/', requireUserEmail, async (req, res) => {
             },
         });
 
-        res.json(tenants);
+        res.json(tenants.map(tenant => {
+            // Pre-organization tenants are only visible to their creator
+            const role = tenant.organization ? tenant.organization.memberships[0]?.role : 'owner';
+
+            return {
+                id: tenant.id,
+                name: tenant.name,
+                shopifyDomain: tenant.shopifyDomain,
+                status: tenant.status,
+                disconnectedAt: tenant.disconnectedAt,
+                organization: tenant.organization
+                    ? { id: tenant.organization.id, name: tenant.organization.name }
+                    : null,
+                role,
+                permissions: permissionsFor(role),
+                // True when the organization requires 2FA and this user has not enabled it
+                twoFactorRequired: isBlockedByTwoFactorPolicy(tenant.organization, req.user),
+                createdAt: tenant.createdAt,
+            };
+        }));
     } catch (error) {
         console.error('Error fetching tenants:', error);
         res.status(500).json({
@@ -51,6 +85,152 @@ router.get('/', requireUserEmail, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/tenants/:tenantId
+ * Get a single tenant
+ * The access token hint is only included for roles allowed to see credentials (owner, admin)
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/:tenantId', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'metrics:read');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const { tenant, role } = accessCheck;
+        const canSeeCredentials = !req.apiKey && hasPermission(role, 'tenant:credentials');
+
+        res.json({
+            id: tenant.id,
+            name: tenant.name,
+            shopifyDomain: tenant.shopifyDomain,
+            status: tenant.status,
+            disconnectedAt: tenant.disconnectedAt,
+            organizationId: tenant.organizationId,
+            role,
+            permissions: permissionsFor(role),
+            // Never the full token - just enough to tell which one is configured
+            ...(canSeeCredentials && { accessTokenHint: getAccessTokenHint(tenant) }),
+            createdAt: tenant.createdAt,
+            updatedAt: tenant.updatedAt,
+        });
+    } catch (error) {
+        console.error('Error fetching tenant:', error);
+        res.status(500).json({
+            error: 'Failed to fetch tenant',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/tenants/:tenantId/webhooks
+ * Webhook subscription status per topic ("active", "failed" or "missing")
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/:tenantId/webhooks', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'metrics:read');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        const subscriptions = await getWebhookStatus(req.params.tenantId);
+
+        res.json({
+            tenantId: req.params.tenantId,
+            healthy: subscriptions.every((sub) => sub.status === 'active'),
+            subscriptions,
+        });
+    } catch (error) {
+        console.error('Error fetching webhook status:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhook status',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * GET /api/tenants/:tenantId/api-usage
+ * The store's Shopify API limits and this process's usage of them: GraphQL cost bucket and REST
+ * call bucket, with request, throttle and wait totals since the process started
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/:tenantId/api-usage', requireAuth, requireScope('read'), async (req, res) => {
+    try {
+        const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'metrics:read');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        res.json({
+            tenantId: req.params.tenantId,
+            shopifyDomain: accessCheck.tenant.shopifyDomain,
+            ...getShopApiMetrics(accessCheck.tenant.shopifyDomain),
+        });
+    } catch (error) {
+        console.error('Error fetching API usage:', error);
+        res.status(500).json({
+            error: 'Failed to fetch API usage',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/tenants/:tenantId/webhooks/reconcile
+ * Compare the store's subscriptions on Shopify with the ones we need:
+ * creates missing ones, deletes stale ones and records the result
+ * Returns 409 (TENANT_DISCONNECTED) if the app was uninstalled from the store
+ * Requires an owner or admin role
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.post('/:tenantId/webhooks/reconcile', requireAuth, requireSession, async (req, res) => {
+    try {
+        const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'tenant:manage');
+        if (!accessCheck.valid) {
+            return res.status(accessCheck.status).json({
+                error: accessCheck.error,
+                code: accessCheck.code,
+            });
+        }
+
+        if (accessCheck.tenant.status === 'disconnected') {
+            return res.status(409).json({
+                error: 'This store is disconnected - reconnect it before repairing webhooks',
+                code: 'TENANT_DISCONNECTED',
+            });
+        }
+
+        const summary = await reconcileWebhookSubscriptions(accessCheck.tenant);
+        const subscriptions = await getWebhookStatus(req.params.tenantId);
+
+        res.json({
+            tenantId: req.params.tenantId,
+            ...summary,
+            healthy: subscriptions.every((sub) => sub.status === 'active'),
+            subscriptions,
+        });
+    } catch (error) {
+        console.error('Error reconciling webhooks:', error);
+        res.status(502).json({
+            error: 'Failed to reconcile webhooks',
+            message: error.message,
+        });
+    }
+});
+
 /**
  * POST /api/tenants/validate
  * Validate Shopify credentials before onboarding
@@ -149,15 +329,15 @@ router.post('/validate', async (req, res) => {
 
 /**
  * POST /api/tenants/onboard
- * Create a new tenant (Shopify store) for the current user
- * Body: { name, shopifyDomain, accessToken }
- * Requires X-User-Email header
- * This endpoint validates credentials before creating the tenant
+ * Create a new tenant (Shopify store) in one of the current user's organizations
+ * Body: { name, shopifyDomain, accessToken, organizationId? }
+ * organizationId defaults to the user's own organization; requires an owner or admin role
+ * Requires Authorization: Bearer <accessToken>
+ * This endpoint validates credentials before creating the tenant, then subscribes the store to webhooks
  */
-router.post('/onboard', requireUserEmail, async (req, res) => {
+router.post('/onboard', requireAuth, requireSession, async (req, res) => {
     try {
         const { name, shopifyDomain, accessToken } = req.body;
-        const userEmail = req.userEmail;
 
         // Validate required fields
         if (!name || !shopifyDomain || !accessToken) {
@@ -166,6 +346,18 @@ router.post('/onboard', requireUserEmail, async (req, res) => {
             });
         }
 
+        // Resolve the organization and check the user may connect stores to it
+        const organizationId = req.body.organizationId || await getDefaultOrganizationId(req.user);
+        const orgCheck = await verifyOrganizationAccess(organizationId, req.user, 'tenant:manage');
+
+        if (!orgCheck.valid) {
+            return res.status(orgCheck.status).json({
+                error: 'Access denied',
+                message: orgCheck.error,
+                code: orgCheck.code,
+            });
+        }
+
         // Normalize shop domain
         const normalizedShop = shopifyDomain.replace(/^https?:\/\//, '').replace(/\/$/, '');
         const shop = normalizedShop.includes('.myshopify.com') 
@@ -213,32 +405,27 @@ router.post('/onboard', requireUserEmail, async (req, res) => {
             }
         }
 
-        // Find user by email
-        const user = await prisma.user.findUnique({
-            where: { email: userEmail },
-        });
-
-        if (!user) {
-            return res.status(404).json({
-                error: 'User not found',
-            });
-        }
-
         // Create tenant linked to user (using normalized shop domain)
         const tenant = await prisma.tenant.create({
             data: {
                 name,
                 shopifyDomain: shop, // Use normalized domain
-                accessToken,
-                userId: user.id,
+                ...encryptAccessToken(accessToken),
+                userId: req.user.id,
+                organizationId,
             },
         });
 
+        // Failures are recorded per topic and can be repaired with /webhooks/reconcile
+        const webhooks = await registerTenantWebhooks(tenant);
+
         res.status(201).json({
             tenantId: tenant.id,
             name: tenant.name,
             shopifyDomain: tenant.shopifyDomain,
+            organizationId: tenant.organizationId,
             createdAt: tenant.createdAt,
+            webhooks,
         });
     } catch (error) {
         console.error('Error creating tenant:', error);
@@ -246,7 +433,7 @@ router.post('/onboard', requireUserEmail, async (req, res) => {
         // Handle unique constraint violation
         if (error.code === 'P2002') {
             return res.status(409).json({
-                error: 'You already have a store with this Shopify domain connected',
+                error: 'This Shopify store is already connected to this organization',
             });
         }
 
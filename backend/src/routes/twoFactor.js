@@ -0,0 +1,228 @@
+// Two-factor authentication (TOTP) enrollment and management routes
+const express = require('express');
+const router = express.Router();
+const prisma = require('../prisma');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+} = require('../lib/totp');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../lib/twoFactor');
+
+// 2FA is only managed from interactive logins
+router.use(requireAuth, requireSession);
+
+function loadUser(userId) {
+    return prisma.user.findUnique({
+        where: { id: userId },
+    });
+}
+
+/**
+ * GET /api/auth/2fa
+ * Current two-factor status for the signed-in user
+ */
+router.get('/', async (req, res) => {
+    try {
+        const user = await loadUser(req.user.id);
+
+        res.json({
+            enabled: isTwoFactorEnabled(user),
+            enabledAt: user.totpEnabledAt,
+            recoveryCodesRemaining: user.totpRecoveryCodes.length,
+        });
+    } catch (error) {
+        console.error('Error fetching 2FA status:', error);
+        res.status(500).json({
+            error: 'Failed to fetch two-factor status',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: store a new pending secret and return it as an otpauth URI and QR code
+ * 2FA is not enforced until the code is confirmed
+ */
+router.post('/setup', async (req, res) => {
+    try {
+        const user = await loadUser(req.user.id);
+
+        if (isTwoFactorEnabled(user)) {
+            return res.status(409).json({
+                error: 'Two-factor authentication is already enabled',
+            });
+        }
+
+        const secret = generateTotpSecret();
+        const otpauthUri = buildOtpauthUri(secret, user.email);
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                totpSecret: secret,
+                totpLastUsedStep: null,
+            },
+        });
+
+        res.json({
+            secret,
+            otpauthUri,
+            qrCode: await QRCode.toDataURL(otpauthUri),
+        });
+    } catch (error) {
+        console.error('Error starting 2FA setup:', error);
+        res.status(500).json({
+            error: 'Failed to start two-factor setup',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Finish enrollment with a code from the authenticator app
+ * Body: { code }
+ * Returns recovery codes - they are only shown once
+ */
+router.post('/confirm', async (req, res) => {
+    try {
+        const user = await loadUser(req.user.id);
+
+        if (isTwoFactorEnabled(user)) {
+            return res.status(409).json({
+                error: 'Two-factor authentication is already enabled',
+            });
+        }
+
+        if (!user.totpSecret) {
+            return res.status(400).json({
+                error: 'Start two-factor setup first',
+            });
+        }
+
+        const step = verifyTotp(user.totpSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                error: 'Invalid code. Check the time on your device and try again.',
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                totpEnabledAt: new Date(),
+                totpLastUsedStep: step,
+                totpRecoveryCodes: hashes,
+            },
+        });
+
+        res.json({
+            enabled: true,
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error('Error confirming 2FA:', error);
+        res.status(500).json({
+            error: 'Failed to enable two-factor authentication',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes
+ * Body: { code } - current authenticator or recovery code
+ */
+router.post('/recovery-codes', async (req, res) => {
+    try {
+        const user = await loadUser(req.user.id);
+
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(400).json({
+                error: 'Two-factor authentication is not enabled',
+            });
+        }
+
+        const secondFactor = await verifySecondFactor(user, req.body.code);
+        if (!secondFactor.valid) {
+            return res.status(401).json({
+                error: 'Invalid two-factor authentication code',
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { totpRecoveryCodes: hashes },
+        });
+
+        res.json({ recoveryCodes: codes });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({
+            error: 'Failed to regenerate recovery codes',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off
+ * Body: { password, code }
+ */
+router.post('/disable', async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        const user = await loadUser(req.user.id);
+
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(400).json({
+                error: 'Two-factor authentication is not enabled',
+            });
+        }
+
+        if (!password || !(await bcrypt.compare(password, user.password))) {
+            return res.status(401).json({
+                error: 'Invalid password',
+            });
+        }
+
+        const secondFactor = await verifySecondFactor(user, code);
+        if (!secondFactor.valid) {
+            return res.status(401).json({
+                error: 'Invalid two-factor authentication code',
+            });
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                totpSecret: null,
+                totpEnabledAt: null,
+                totpLastUsedStep: null,
+                totpRecoveryCodes: [],
+            },
+        });
+
+        res.json({ enabled: false });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        res.status(500).json({
+            error: 'Failed to disable two-factor authentication',
+            message: error.message,
+        });
+    }
+});
+
+module.exports = router;
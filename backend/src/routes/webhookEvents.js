@@ -0,0 +1,163 @@
+// Webhook inbox inspection and replay for a tenant's store
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const prisma = require('../prisma');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { verifyTenantAccess } = require('../lib/tenantAccess');
+const { replayWebhookEvent } = require('../lib/webhookInbox');
+
+const STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+
+const EVENT_SELECT = {
+    id: true,
+    webhookId: true,
+    topic: true,
+    status: true,
+    attempts: true,
+    lastError: true,
+    nextAttemptAt: true,
+    processedAt: true,
+    triggeredAt: true,
+    receivedAt: true,
+};
+
+/**
+ * Resolve the tenant for the request, answering 4xx when the user cannot manage it
+ * @returns {Promise<object|null>} - Tenant, or null if a response was already sent
+ */
+async function loadManagedTenant(req, res) {
+    const accessCheck = await verifyTenantAccess(req.params.tenantId, req, 'tenant:manage');
+    if (!accessCheck.valid) {
+        res.status(accessCheck.status).json({
+            error: accessCheck.error,
+            code: accessCheck.code,
+        });
+        return null;
+    }
+    return accessCheck.tenant;
+}
+
+/**
+ * GET /api/tenants/:tenantId/webhook-events?status=dead&limit=50
+ * List received webhooks for the tenant's store, newest first, with counts per status
+ * Requires an owner or admin role
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.get('/', requireAuth, requireSession, async (req, res) => {
+    try {
+        const tenant = await loadManagedTenant(req, res);
+        if (!tenant) return;
+
+        const { status } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `status must be one of: ${STATUSES.join(', ')}`,
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+        const [events, grouped] = await Promise.all([
+            prisma.webhookEvent.findMany({
+                where: {
+                    shopDomain: tenant.shopifyDomain,
+                    ...(status && { status }),
+                },
+                select: EVENT_SELECT,
+                orderBy: { receivedAt: 'desc' },
+                take: limit,
+            }),
+            prisma.webhookEvent.groupBy({
+                by: ['status'],
+                where: { shopDomain: tenant.shopifyDomain },
+                _count: { _all: true },
+            }),
+        ]);
+
+        const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+        for (const row of grouped) {
+            counts[row.status] = row._count._all;
+        }
+
+        res.json({ events, counts });
+    } catch (error) {
+        console.error('Error listing webhook events:', error);
+        res.status(500).json({
+            error: 'Failed to list webhook events',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/tenants/:tenantId/webhook-events/replay
+ * Replay every dead-lettered event for the tenant's store
+ * Requires an owner or admin role
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.post('/replay', requireAuth, requireSession, async (req, res) => {
+    try {
+        const tenant = await loadManagedTenant(req, res);
+        if (!tenant) return;
+
+        const dead = await prisma.webhookEvent.findMany({
+            where: { shopDomain: tenant.shopifyDomain, status: 'dead' },
+            select: { id: true },
+        });
+
+        let replayed = 0;
+        for (const { id } of dead) {
+            if (await replayWebhookEvent(id)) {
+                replayed++;
+            }
+        }
+
+        res.json({ replayed });
+    } catch (error) {
+        console.error('Error replaying webhook events:', error);
+        res.status(500).json({
+            error: 'Failed to replay webhook events',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/tenants/:tenantId/webhook-events/:eventId/replay
+ * Queue a failed or dead event for processing again
+ * Requires an owner or admin role
+ * Requires Authorization: Bearer <accessToken>
+ */
+router.post('/:eventId/replay', requireAuth, requireSession, async (req, res) => {
+    try {
+        const tenant = await loadManagedTenant(req, res);
+        if (!tenant) return;
+
+        const event = await prisma.webhookEvent.findFirst({
+            where: { id: req.params.eventId, shopDomain: tenant.shopifyDomain },
+            select: { id: true, status: true },
+        });
+
+        if (!event) {
+            return res.status(404).json({
+                error: 'Webhook event not found',
+            });
+        }
+
+        if (!(await replayWebhookEvent(event.id))) {
+            return res.status(409).json({
+                error: `Only failed or dead events can be replayed (this one is ${event.status})`,
+            });
+        }
+
+        res.status(202).json({ id: event.id, status: 'pending' });
+    } catch (error) {
+        console.error('Error replaying webhook event:', error);
+        res.status(500).json({
+            error: 'Failed to replay webhook event',
+            message: error.message,
+        });
+    }
+});
+
+module.exports = router;
@@ -1,93 +1,50 @@
 // Shopify webhook receiver
 const express = require('express');
 const router = express.Router();
-const prisma = require('../prisma');
-const { verifyWebhook } = require('../lib/verifyWebhook');
-const { upsertCustomers, upsertProducts, upsertOrders } = require('../lib/syncService');
+const { verifyWebhookMiddleware, extractWebhookMetadata } = require('../utils/webhookVerification');
+const { recordWebhookEvent, processWebhookEventInBackground } = require('../lib/webhookInbox');
 
 /**
- * POST /webhooks/shopify/:topic
- * Receive and process Shopify webhooks
- * Topics: customers/create, customers/update, products/create, products/update, 
- *         orders/create, orders/updated, etc.
+ * POST /webhooks/shopify/:resource/:action (e.g. /webhooks/shopify/orders/create)
+ * Receive Shopify webhooks
+ * Topics: WEBHOOK_TOPICS in lib/webhookSubscriptions.js (creates, updates, deletes,
+ *         orders/cancelled, orders/paid, refunds/create, inventory_levels/update, app/uninstalled,
+ *         bulk_operations/finish) plus the privacy topics customers/data_request, customers/redact
+ *         and shop/redact; applied by lib/webhookHandlers.js
+ * The X-Shopify-Topic header wins over the path; the legacy /:topic form (orders_create) still works
+ * Deliveries are stored in the webhook inbox before we answer 200, then processed asynchronously.
+ * Retries of a delivery we already stored (same X-Shopify-Webhook-Id) are acknowledged and ignored.
+ * If the delivery cannot be stored we answer 500 so Shopify retries it.
  */
-router.post('/:topic', async (req, res) => {
+router.post(['/:resource/:action', '/:topic'], verifyWebhookMiddleware, async (req, res) => {
     try {
-        const { topic } = req.params;
-        const hmacHeader = req.headers['x-shopify-hmac-sha256'];
-        const shopDomain = req.headers['x-shopify-shop-domain'];
+        const metadata = extractWebhookMetadata(req);
+        metadata.topic = metadata.topic
+            || (req.params.topic ? req.params.topic.replace('_', '/') : `${req.params.resource}/${req.params.action}`);
 
-        // Get raw body for HMAC verification
-        const rawBody = req.rawBody || JSON.stringify(req.body);
-
-        // Verify webhook authenticity
-        const isValid = verifyWebhook(
-            rawBody,
-            hmacHeader,
-            process.env.SHOPIFY_API_SECRET
-        );
-
-        if (!isValid) {
-            console.warn('Invalid webhook signature');
-            return res.status(401).json({ error: 'Invalid signature' });
-        }
-
-        // Find tenant by shop domain
-        const tenant = await prisma.tenant.findUnique({
-            where: { shopifyDomain: shopDomain },
-        });
-
-        if (!tenant) {
-            console.warn(`Tenant not found for domain: ${shopDomain}`);
-            return res.status(404).json({ error: 'Tenant not found' });
+        if (!metadata.shopDomain) {
+            return res.status(400).json({ error: 'Missing X-Shopify-Shop-Domain header' });
         }
 
-        // Process webhook based on topic
-        const webhookData = req.body;
-
-        if (topic.startsWith('customers/')) {
-            // Handle customer webhooks
-            const customerData = [{
-                shopifyId: String(webhookData.id),
-                email: webhookData.email,
-                firstName: webhookData.first_name,
-                lastName: webhookData.last_name,
-                totalSpent: parseFloat(webhookData.total_spent) || 0,
-            }];
-            await upsertCustomers(tenant.id, customerData);
-
-        } else if (topic.startsWith('products/')) {
-            // Handle product webhooks
-            const productData = [{
-                shopifyId: String(webhookData.id),
-                title: webhookData.title,
-                vendor: webhookData.vendor,
-                productType: webhookData.product_type,
-                price: webhookData.variants?.[0]?.price ? parseFloat(webhookData.variants[0].price) : 0,
-            }];
-            await upsertProducts(tenant.id, productData);
+        const { event, duplicate } = await recordWebhookEvent(
+            metadata,
+            req.body,
+            req.rawBody || JSON.stringify(req.body)
+        );
 
-        } else if (topic.startsWith('orders/')) {
-            // Handle order webhooks
-            const orderData = [{
-                shopifyId: String(webhookData.id),
-                customerId: webhookData.customer?.id ? String(webhookData.customer.id) : null,
-                orderNumber: webhookData.order_number ? String(webhookData.order_number) : null,
-                totalPrice: parseFloat(webhookData.total_price) || 0,
-                orderDate: new Date(webhookData.created_at),
-            }];
-            await upsertOrders(tenant.id, orderData);
+        if (!duplicate) {
+            processWebhookEventInBackground(event.id);
         }
 
-        console.log(`Processed webhook: ${topic} for tenant ${tenant.name}`);
-
         // Respond quickly to Shopify
-        res.status(200).json({ received: true });
+        res.status(200).json({ received: true, duplicate });
 
     } catch (error) {
-        console.error('Webhook processing error:', error);
-        // Still return 200 to prevent Shopify retries for our internal errors
-        res.status(200).json({ received: true, error: error.message });
+        console.error('Error storing webhook:', error);
+        res.status(500).json({
+            error: 'Failed to store webhook',
+            message: error.message,
+        });
     }
 });
 
@@ -0,0 +1,42 @@
+const prisma = require('../prisma');
+const { getDefaultOrganizationId } = require('../lib/organizations');
+
+// Give every existing user a personal organization and move their
+// org-less tenants into it. Safe to run more than once.
+async function main() {
+    try {
+        const users = await prisma.user.findMany({
+            select: { id: true, email: true, name: true },
+        });
+
+        console.log(`🏢 Backfilling organizations for ${users.length} user(s)...`);
+
+        let movedTenants = 0;
+
+        for (const user of users) {
+            const organizationId = await getDefaultOrganizationId(user);
+
+            const { count } = await prisma.tenant.updateMany({
+                where: {
+                    userId: user.id,
+                    organizationId: null,
+                },
+                data: { organizationId },
+            });
+
+            movedTenants += count;
+            if (count > 0) {
+                console.log(`  ${user.email}: ${count} tenant(s) attached to organization ${organizationId}`);
+            }
+        }
+
+        console.log(`✅ Done. ${movedTenants} tenant(s) attached to organizations.`);
+    } catch (error) {
+        console.error('❌ Error backfilling organizations:', error);
+        process.exit(1);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,46 @@
+const prisma = require('../prisma');
+const { encryptAccessToken, getCurrentKeyVersion } = require('../lib/tenantCredentials');
+
+// One-time migration: encrypt every plaintext Tenant.accessToken with the
+// current key and clear the plaintext column. Safe to run more than once.
+async function main() {
+    try {
+        const version = getCurrentKeyVersion();
+        const tenants = await prisma.tenant.findMany({
+            where: {
+                accessToken: { not: null },
+                accessTokenCiphertext: null,
+            },
+            select: { id: true, shopifyDomain: true, accessToken: true },
+        });
+
+        console.log(`🔐 Encrypting access tokens for ${tenants.length} tenant(s) with key version ${version}...`);
+
+        let encrypted = 0;
+        for (const tenant of tenants) {
+            // Only touch the row if nobody reconnected the store in the meantime
+            const { count } = await prisma.tenant.updateMany({
+                where: {
+                    id: tenant.id,
+                    accessToken: tenant.accessToken,
+                    accessTokenCiphertext: null,
+                },
+                data: encryptAccessToken(tenant.accessToken),
+            });
+
+            encrypted += count;
+            if (count > 0) {
+                console.log(`  ${tenant.shopifyDomain}: encrypted`);
+            }
+        }
+
+        console.log(`✅ Done. ${encrypted} tenant(s) encrypted.`);
+    } catch (error) {
+        console.error('❌ Error encrypting access tokens:', error.message);
+        process.exit(1);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,60 @@
+const prisma = require('../prisma');
+const { encryptAccessToken, getTenantAccessToken, getCurrentKeyVersion } = require('../lib/tenantCredentials');
+
+// Re-encrypt every tenant's access token under the current master key.
+// To rotate: add the new key to TOKEN_ENCRYPTION_KEYS (e.g. "1:<old>,2:<new>"),
+// point TOKEN_ENCRYPTION_KEY_VERSION at it, deploy, run this script, then
+// remove the old key once it reports nothing left to rotate.
+async function main() {
+    try {
+        const version = getCurrentKeyVersion();
+        const tenants = await prisma.tenant.findMany({
+            where: {
+                accessTokenCiphertext: { not: null },
+                NOT: { accessTokenKeyVersion: version },
+            },
+        });
+
+        console.log(`🔑 Re-encrypting access tokens for ${tenants.length} tenant(s) with key version ${version}...`);
+
+        let rotated = 0;
+        let failed = 0;
+        for (const tenant of tenants) {
+            try {
+                // Only touch the row if nobody reconnected the store in the meantime
+                const { count } = await prisma.tenant.updateMany({
+                    where: {
+                        id: tenant.id,
+                        accessTokenCiphertext: tenant.accessTokenCiphertext,
+                    },
+                    data: encryptAccessToken(getTenantAccessToken(tenant)),
+                });
+
+                rotated += count;
+                console.log(`  ${tenant.shopifyDomain}: key version ${tenant.accessTokenKeyVersion} -> ${version}`);
+            } catch (error) {
+                failed++;
+                console.error(`  ${tenant.shopifyDomain}: ${error.message}`);
+            }
+        }
+
+        const plaintext = await prisma.tenant.count({
+            where: { accessToken: { not: null } },
+        });
+        if (plaintext > 0) {
+            console.warn(`⚠️  ${plaintext} tenant(s) still store a plaintext token. Run src/scripts/encrypt-access-tokens.js.`);
+        }
+
+        console.log(`✅ Done. ${rotated} tenant(s) re-encrypted, ${failed} failed.`);
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Error rotating token encryption key:', error.message);
+        process.exit(1);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+main();
@@ -1,4 +1,5 @@
 const prisma = require('../prisma');
+const { encryptAccessToken } = require('../lib/tenantCredentials');
 
 async function main() {
     // Accept arguments from command line or environment variables
@@ -21,7 +22,7 @@ async function main() {
             data: {
                 name,
                 shopifyDomain,
-                accessToken,
+                ...encryptAccessToken(accessToken),
             },
         });
 
@@ -0,0 +1,20 @@
+// Sync scheduler worker: runs scheduled syncs without serving the API
+require('dotenv').config();
+const prisma = require('./prisma');
+const { startSyncScheduler, stopSyncScheduler } = require('./cron');
+const { startStaleRunSweeper, stopStaleRunSweeper } = require('./lib/syncRuns');
+
+startSyncScheduler();
+// Scheduled runs also execute here, so this process fails the ones a crashed worker left behind
+startStaleRunSweeper();
+
+async function shutdown(signal) {
+    console.log(`${signal} received, stopping sync scheduler...`);
+    stopSyncScheduler();
+    stopStaleRunSweeper();
+    await prisma.$disconnect();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,56 @@
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import SyncButton from '../../components/SyncButton'
+import * as api from '../../lib/api'
+
+jest.mock('../../lib/api', () => ({
+    syncTenantData: jest.fn(),
+    getSyncRun: jest.fn(),
+}))
+
+describe('SyncButton', () => {
+    beforeEach(() => {
+        jest.useFakeTimers()
+        jest.clearAllMocks()
+        api.syncTenantData.mockResolvedValue({ id: 'run-1', status: 'queued' })
+        api.getSyncRun.mockResolvedValue({ id: 'run-1', status: 'running', phase: 'orders' })
+    })
+
+    afterEach(() => {
+        jest.useRealTimers()
+    })
+
+    it('shows the result once the run finishes', async () => {
+        api.getSyncRun.mockResolvedValue({ id: 'run-1', status: 'succeeded', counts: {} })
+        render(<SyncButton tenantId="tenant-1" />)
+
+        fireEvent.click(screen.getByText('Sync Data'))
+        await act(() => jest.advanceTimersByTimeAsync(2000))
+
+        expect(screen.getByText('Sync completed successfully!')).toBeInTheDocument()
+    })
+
+    it('stops polling after the time limit and says the run is still going', async () => {
+        render(<SyncButton tenantId="tenant-1" />)
+
+        fireEvent.click(screen.getByText('Sync Data'))
+        await act(() => jest.advanceTimersByTimeAsync(11 * 60 * 1000))
+
+        expect(screen.getByText('Sync still running')).toBeInTheDocument()
+        const polls = api.getSyncRun.mock.calls.length
+        await act(() => jest.advanceTimersByTimeAsync(60 * 1000))
+        expect(api.getSyncRun).toHaveBeenCalledTimes(polls)
+    })
+
+    it('stops polling when it unmounts', async () => {
+        const { unmount } = render(<SyncButton tenantId="tenant-1" />)
+
+        fireEvent.click(screen.getByText('Sync Data'))
+        await act(() => jest.advanceTimersByTimeAsync(4000))
+        const polls = api.getSyncRun.mock.calls.length
+        expect(polls).toBeGreaterThan(0)
+
+        unmount()
+        await jest.advanceTimersByTimeAsync(60 * 1000)
+        expect(api.getSyncRun).toHaveBeenCalledTimes(polls)
+    })
+})
@@ -40,6 +40,15 @@ export default function Header() {
                         )}
                         {session ? (
                             <div className="flex items-center space-x-4">
+                                <Link href="/settings/organization" className="text-sm text-slate-600 hover:text-slate-900 font-medium">
+                                    Team
+                                </Link>
+                                <Link href="/settings/api-keys" className="text-sm text-slate-600 hover:text-slate-900 font-medium">
+                                    API Keys
+                                </Link>
+                                <Link href="/settings/security" className="text-sm text-slate-600 hover:text-slate-900 font-medium">
+                                    Security
+                                </Link>
                                 <span className="text-sm text-slate-600 hidden sm:block font-medium">
                                     {session.user.email}
                                 </span>
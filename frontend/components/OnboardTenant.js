@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
-import { onboardTenant, validateShopifyCredentials, setUserEmail, getApiUrl } from '../lib/api';
+import { onboardTenant, validateShopifyCredentials, startShopifyInstall, setAccessToken, getApiUrl } from '../lib/api';
 import { useRouter } from 'next/router';
 
 export default function OnboardTenant({ onSuccess }) {
@@ -11,13 +11,14 @@ export default function OnboardTenant({ onSuccess }) {
         accessToken: '',
     });
     const [loading, setLoading] = useState(false);
+    const [installing, setInstalling] = useState(false);
     const [error, setError] = useState('');
     const router = useRouter();
 
-    // Ensure user email is set before form submission
+    // Ensure access token is set before form submission
     useEffect(() => {
-        if (session?.user?.email) {
-            setUserEmail(session.user.email);
+        if (session?.accessToken) {
+            setAccessToken(session.accessToken);
         }
     }, [session]);
 
@@ -27,15 +28,15 @@ export default function OnboardTenant({ onSuccess }) {
         setError('');
 
         // Validate user is authenticated
-        if (!session?.user?.email) {
+        if (!session?.accessToken) {
             setError('Please sign in to connect a store. Redirecting to login...');
             setLoading(false);
             setTimeout(() => router.push('/auth/signin'), 2000);
             return;
         }
 
-        // Ensure user email is set
-        setUserEmail(session.user.email);
+        // Ensure access token is set
+        setAccessToken(session.accessToken);
 
         // Validate shopifyDomain format
         if (!formData.shopifyDomain.includes('.myshopify.com')) {
@@ -115,6 +116,26 @@ export default function OnboardTenant({ onSuccess }) {
         }
     };
 
+    // Connect through Shopify's install screen instead of pasting a token
+    const handleInstall = async () => {
+        setError('');
+
+        if (!formData.shopifyDomain.includes('.myshopify.com')) {
+            setError('Enter your Shopify domain (yourstore.myshopify.com) to install the app');
+            return;
+        }
+
+        setInstalling(true);
+        try {
+            setAccessToken(session?.accessToken);
+            const { authUrl } = await startShopifyInstall(formData.shopifyDomain);
+            window.location.href = authUrl;
+        } catch (err) {
+            setError(err.response?.data?.message || err.response?.data?.error || 'Failed to start Shopify install');
+            setInstalling(false);
+        }
+    };
+
     return (
         <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6">
             <h2 className="text-xl font-bold text-slate-900 mb-4">Connect Shopify Store</h2>
@@ -197,6 +218,15 @@ export default function OnboardTenant({ onSuccess }) {
                         'Connect Store'
                     )}
                 </button>
+
+                <button
+                    type="button"
+                    onClick={handleInstall}
+                    disabled={loading || installing}
+                    className="w-full py-2.5 px-4 border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+                >
+                    {installing ? 'Redirecting to Shopify...' : 'Install via Shopify instead (domain only)'}
+                </button>
             </form>
         </div>
     );
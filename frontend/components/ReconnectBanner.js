@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { startShopifyInstall } from '../lib/api';
+
+// Shown when the app was uninstalled from the store; syncing is paused until it is reinstalled
+export default function ReconnectBanner({ tenant, canManage }) {
+    const [reconnecting, setReconnecting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleReconnect = async () => {
+        setError('');
+        setReconnecting(true);
+        try {
+            const { authUrl } = await startShopifyInstall(tenant.shopifyDomain, tenant.organization?.id);
+            window.location.href = authUrl;
+        } catch (err) {
+            setError(err.response?.data?.message || err.response?.data?.error || 'Failed to start reconnect');
+            setReconnecting(false);
+        }
+    };
+
+    const since = tenant.disconnectedAt ? ` on ${new Date(tenant.disconnectedAt).toLocaleDateString()}` : '';
+
+    return (
+        <div className="mb-8 bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg text-sm flex items-center justify-between gap-4">
+            <div>
+                <p className="font-medium">{tenant.name} is disconnected</p>
+                <p>
+                    The app was uninstalled from {tenant.shopifyDomain}{since}. Data is no longer syncing.
+                    {!canManage && ' Ask an owner or admin to reconnect the store.'}
+                </p>
+                {error && <p className="mt-1 text-red-700">{error}</p>}
+            </div>
+            {canManage && (
+                <button
+                    type="button"
+                    onClick={handleReconnect}
+                    disabled={reconnecting}
+                    className="shrink-0 px-4 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 disabled:opacity-50"
+                >
+                    {reconnecting ? 'Redirecting...' : 'Reconnect store'}
+                </button>
+            )}
+        </div>
+    );
+}
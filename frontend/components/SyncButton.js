@@ -1,12 +1,28 @@
-import { useState } from 'react';
-import { syncTenantData } from '../lib/api';
+import { useState, useEffect, useRef } from 'react';
+import { syncTenantData, getSyncRun } from '../lib/api';
+
+const POLL_INTERVAL_MS = 2000;
+// Stop following a run after this long; it keeps going in the background
+const MAX_POLL_MS = 10 * 60 * 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 export default function SyncButton({ tenantId, onSyncComplete }) {
     const [syncing, setSyncing] = useState(false);
+    const [phase, setPhase] = useState(null);
     const [syncResult, setSyncResult] = useState(null);
     const [error, setError] = useState(null);
+    const [stillRunning, setStillRunning] = useState(false);
+    const mounted = useRef(true);
+
+    useEffect(() => {
+        mounted.current = true;
+        return () => {
+            mounted.current = false;
+        };
+    }, []);
 
-    const handleSync = async () => {
+    const handleSync = async (fullResync = false) => {
         if (!tenantId) {
             setError('Please select a tenant first');
             return;
@@ -15,25 +31,54 @@ export default function SyncButton({ tenantId, onSyncComplete }) {
         setSyncing(true);
         setError(null);
         setSyncResult(null);
+        setStillRunning(false);
 
         try {
-            const result = await syncTenantData(tenantId);
-            setSyncResult(result);
+            // The sync runs in the background; follow the run until it finishes, we navigate
+            // away, or MAX_POLL_MS has passed
+            let run = await syncTenantData(tenantId, { fullResync });
+            const deadline = Date.now() + MAX_POLL_MS;
+            const unfinished = () => run.status === 'queued' || run.status === 'running';
+            while (unfinished() && mounted.current && Date.now() < deadline) {
+                await wait(POLL_INTERVAL_MS);
+                if (!mounted.current) return;
+                run = await getSyncRun(run.id);
+                if (mounted.current) setPhase(run.phase);
+            }
+
+            if (!mounted.current) return;
+            if (unfinished()) {
+                setStillRunning(true);
+                return;
+            }
+
+            if (run.status === 'failed') {
+                setError(run.error || 'Failed to sync data');
+                return;
+            }
+
+            setSyncResult(run);
             if (onSyncComplete) {
-                onSyncComplete(result);
+                onSyncComplete(run);
             }
         } catch (err) {
-            const errorMessage = err.response?.data?.error || err.response?.data?.message || err.message || 'Failed to sync data';
+            if (!mounted.current) return;
+            // Throttled syncs explain themselves in `message` ("already running", "synced recently")
+            const data = err.response?.data;
+            const errorMessage = (err.response?.status === 429 && data?.message) || data?.error || data?.message || err.message || 'Failed to sync data';
             setError(errorMessage);
         } finally {
-            setSyncing(false);
+            if (mounted.current) {
+                setSyncing(false);
+                setPhase(null);
+            }
         }
     };
 
     return (
         <div className="flex flex-col items-end space-y-2">
             <button
-                onClick={handleSync}
+                onClick={() => handleSync()}
                 disabled={syncing || !tenantId}
                 className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-sm"
             >
@@ -43,7 +88,7 @@ export default function SyncButton({ tenantId, onSyncComplete }) {
                             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                         </svg>
-                        Syncing...
+                        {phase ? `Syncing ${phase}...` : 'Syncing...'}
                     </>
                 ) : (
                     <>
@@ -54,13 +99,31 @@ export default function SyncButton({ tenantId, onSyncComplete }) {
                     </>
                 )}
             </button>
+            <button
+                type="button"
+                onClick={() => handleSync(true)}
+                disabled={syncing || !tenantId}
+                className="text-xs text-slate-500 hover:text-slate-700 underline disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Fetch every record from Shopify instead of only those changed since the last sync"
+            >
+                Full resync
+            </button>
 
             {syncResult && (
                 <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-2 rounded-lg text-sm">
-                    <p className="font-medium">Sync completed successfully!</p>
-                    <p className="text-xs mt-1">
-                        {syncResult.customersUpserted} customers, {syncResult.productsUpserted} products, {syncResult.ordersUpserted} orders
-                    </p>
+                    <p className="font-medium">{syncResult.fullResync ? 'Full resync' : 'Sync'} completed successfully!</p>
+                    {['customers', 'orders', 'products'].map((resource) => syncResult.counts?.[resource] && (
+                        <p key={resource} className="text-xs mt-1">
+                            {resource}: {syncResult.counts[resource].fetched} fetched, {syncResult.counts[resource].changed} changed
+                        </p>
+                    ))}
+                </div>
+            )}
+
+            {stillRunning && (
+                <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-2 rounded-lg text-sm max-w-xs">
+                    <p className="font-medium">Sync still running</p>
+                    <p className="text-xs mt-1">It continues in the background; check the sync history for the result.</p>
                 </div>
             )}
 
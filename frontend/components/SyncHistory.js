@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { getSyncRuns } from '../lib/api';
+
+const STATUS_STYLES = {
+    queued: 'bg-slate-100 text-slate-700',
+    running: 'bg-blue-50 text-blue-700',
+    succeeded: 'bg-green-50 text-green-700',
+    failed: 'bg-red-50 text-red-700',
+};
+
+function formatDuration(run) {
+    if (!run.startedAt || !run.finishedAt) return null;
+    const seconds = Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function formatCounts(counts) {
+    if (!counts) return null;
+    return ['customers', 'orders', 'products']
+        .filter((resource) => counts[resource])
+        .map((resource) => `${counts[resource].changed} ${resource}`)
+        .join(', ');
+}
+
+export default function SyncHistory({ tenantId, lastUpdated }) {
+    const [runs, setRuns] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchData = async () => {
+            try {
+                const data = await getSyncRuns(tenantId);
+                setRuns(data.runs);
+                setError('');
+            } catch (err) {
+                setError(err.response?.data?.error || 'Failed to load sync history');
+            }
+        };
+
+        fetchData();
+    }, [tenantId, lastUpdated]);
+
+    return (
+        <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6 mt-8">
+            <div className="mb-4">
+                <h3 className="text-lg font-bold text-slate-900">Sync History</h3>
+                <p className="text-sm text-slate-500">Recent syncs from Shopify and the records each one changed</p>
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg text-sm mb-4">
+                    {error}
+                </div>
+            )}
+
+            {!error && runs.length === 0 && (
+                <p className="text-sm text-slate-500">No syncs yet</p>
+            )}
+
+            {runs.length > 0 && (
+                <ul className="divide-y divide-slate-100">
+                    {runs.map((run) => (
+                        <li key={run.id} className="flex justify-between items-center py-2 text-sm">
+                            <span className="text-slate-700">
+                                {new Date(run.queuedAt).toLocaleString()}
+                                <span className="text-xs text-slate-500 ml-2">
+                                    {run.fullResync ? 'full' : 'incremental'} · {run.trigger}
+                                </span>
+                            </span>
+                            <span className="flex items-center space-x-2">
+                                {run.status === 'succeeded' && (
+                                    <span className="text-xs text-slate-500">
+                                        {formatCounts(run.counts)} changed in {formatDuration(run)}
+                                    </span>
+                                )}
+                                {run.status === 'running' && run.phase && (
+                                    <span className="text-xs text-slate-500">{run.phase}...</span>
+                                )}
+                                {run.error && <span className="text-xs text-red-600">{run.error}</span>}
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[run.status]}`}>
+                                    {run.status}
+                                </span>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { getWebhookStatus, reconcileWebhooks } from '../lib/api';
+
+const STATUS_STYLES = {
+    active: 'bg-green-50 text-green-700',
+    failed: 'bg-red-50 text-red-700',
+    missing: 'bg-amber-50 text-amber-700',
+};
+
+export default function WebhookStatus({ tenantId, canManage }) {
+    const [status, setStatus] = useState(null);
+    const [repairing, setRepairing] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchData = async () => {
+            try {
+                setStatus(await getWebhookStatus(tenantId));
+            } catch (err) {
+                setError(err.response?.data?.error || 'Failed to load webhook status');
+            }
+        };
+
+        fetchData();
+    }, [tenantId]);
+
+    const handleRepair = async () => {
+        setRepairing(true);
+        setError('');
+
+        try {
+            setStatus(await reconcileWebhooks(tenantId));
+        } catch (err) {
+            setError(err.response?.data?.message || err.response?.data?.error || 'Failed to repair webhooks');
+        } finally {
+            setRepairing(false);
+        }
+    };
+
+    return (
+        <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6 mt-8">
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h3 className="text-lg font-bold text-slate-900">Real-time Updates</h3>
+                    <p className="text-sm text-slate-500">Shopify webhook subscriptions for this store</p>
+                </div>
+                {canManage && (
+                    <button
+                        onClick={handleRepair}
+                        disabled={repairing}
+                        className="py-2 px-4 border border-slate-300 text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-50 disabled:opacity-70"
+                    >
+                        {repairing ? 'Checking...' : 'Check & Repair'}
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg text-sm mb-4">
+                    {error}
+                </div>
+            )}
+
+            {status && (
+                <ul className="divide-y divide-slate-100">
+                    {status.subscriptions.map((sub) => (
+                        <li key={sub.topic} className="flex justify-between items-center py-2 text-sm">
+                            <span className="font-mono text-slate-700">{sub.topic}</span>
+                            <span className="flex items-center space-x-2">
+                                {sub.lastError && <span className="text-xs text-red-600">{sub.lastError}</span>}
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[sub.status]}`}>
+                                    {sub.status}
+                                </span>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
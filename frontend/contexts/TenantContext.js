@@ -1,6 +1,6 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { useSession } from 'next-auth/react';
-import { getTenants, setUserEmail } from '../lib/api';
+import { useSession, signOut } from 'next-auth/react';
+import { getTenants, setAccessToken } from '../lib/api';
 
 const TenantContext = createContext();
 
@@ -11,19 +11,31 @@ export function TenantProvider({ children }) {
     const [loading, setLoading] = useState(true);
     const [mounted, setMounted] = useState(false);
 
-    // Set user email for API requests when user is authenticated
+    // Set access token for API requests when user is authenticated
     useEffect(() => {
-        if (status === 'authenticated' && session?.user?.email) {
-            setUserEmail(session.user.email);
+        if (status === 'authenticated' && session?.accessToken) {
+            setAccessToken(session.accessToken);
+        } else if (status === 'unauthenticated') {
+            setAccessToken(null);
         }
     }, [status, session]);
 
+    // The backend session could not be refreshed - ask the user to sign in again
+    useEffect(() => {
+        if (session?.error === 'RefreshAccessTokenError') {
+            setAccessToken(null);
+            signOut({ callbackUrl: '/auth/signin' });
+        }
+    }, [session]);
+
     const fetchTenants = useCallback(async () => {
         // Do not attempt to load tenants until the user is authenticated
-        if (status !== 'authenticated' || !session?.user?.email) {
+        if (status !== 'authenticated' || !session?.accessToken) {
             return;
         }
 
+        setAccessToken(session.accessToken);
+
         try {
             const data = await getTenants();
             setTenants(data);
@@ -15,12 +15,11 @@ const api = axios.create({
     },
 });
 
-// Store user email for API requests (set by components using useSession)
-let currentUserEmail = null;
+// Store backend access token for API requests (set by components using useSession)
+let currentAccessToken = null;
 
-export const setUserEmail = (email) => {
-    currentUserEmail = email;
-    console.log('[API] User email set:', email);
+export const setAccessToken = (token) => {
+    currentAccessToken = token || null;
 };
 
 // Export API URL for error messages
@@ -28,19 +27,16 @@ export const getApiUrl = () => {
     return API_URL;
 };
 
-// Add interceptor to include user email in headers and debug logging
+// Add interceptor to include the access token in headers and debug logging
 api.interceptors.request.use(
     (config) => {
-        // Add user email to headers if available
-        if (currentUserEmail) {
-            config.headers['X-User-Email'] = currentUserEmail;
-        } else {
-            console.warn('[API] No user email set - request may fail authentication');
+        // Add access token to headers if available (explicit headers win)
+        if (currentAccessToken && !config.headers.Authorization) {
+            config.headers.Authorization = `Bearer ${currentAccessToken}`;
         }
         // Debug logging
         console.log(`[API] ${config.method?.toUpperCase()} ${config.baseURL}${config.url}`, {
-            hasUserEmail: !!currentUserEmail,
-            userEmail: currentUserEmail || 'not set'
+            hasAccessToken: !!config.headers.Authorization,
         });
         return config;
     },
@@ -148,11 +144,18 @@ export const registerUser = async (email, password, name) => {
     }
 };
 
-export const loginUser = async (email, password) => {
+/**
+ * Log in with email and password, plus a one-time code for accounts with 2FA
+ * @param {string} email
+ * @param {string} password
+ * @param {string} [otp] - Authenticator or recovery code
+ */
+export const loginUser = async (email, password, otp) => {
     try {
         const response = await api.post('/api/auth/login', {
             email,
             password,
+            otp,
         });
         return response.data;
     } catch (error) {
@@ -161,6 +164,132 @@ export const loginUser = async (email, password) => {
     }
 };
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Used by the NextAuth jwt callback to keep the session alive
+ * @param {string} refreshToken
+ * @returns {Promise<object>} - { accessToken, refreshToken, expiresIn }
+ */
+export const refreshSession = async (refreshToken) => {
+    try {
+        const response = await api.post('/api/auth/refresh', {
+            refreshToken,
+        });
+        return response.data;
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        throw error;
+    }
+};
+
+/**
+ * Confirm an email address with the token from a verification link
+ * @param {string} token
+ */
+export const verifyEmail = async (token) => {
+    try {
+        const response = await api.post('/api/auth/verify-email', { token });
+        return response.data;
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        throw error;
+    }
+};
+
+export const resendVerification = async (email) => {
+    try {
+        const response = await api.post('/api/auth/resend-verification', { email });
+        return response.data;
+    } catch (error) {
+        console.error('Error resending verification email:', error);
+        throw error;
+    }
+};
+
+export const requestPasswordReset = async (email) => {
+    try {
+        const response = await api.post('/api/auth/forgot-password', { email });
+        return response.data;
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        throw error;
+    }
+};
+
+/**
+ * Set a new password with the token from a reset link
+ * @param {string} token
+ * @param {string} password
+ */
+export const resetPassword = async (token, password) => {
+    try {
+        const response = await api.post('/api/auth/reset-password', { token, password });
+        return response.data;
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        throw error;
+    }
+};
+
+export const getTwoFactorStatus = async () => {
+    try {
+        const response = await api.get('/api/auth/2fa');
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        throw error;
+    }
+};
+
+/**
+ * Start two-factor enrollment
+ * @returns {Promise<object>} - { secret, otpauthUri, qrCode }
+ */
+export const startTwoFactorSetup = async () => {
+    try {
+        const response = await api.post('/api/auth/2fa/setup');
+        return response.data;
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        throw error;
+    }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} code
+ * @returns {Promise<object>} - { enabled, recoveryCodes }
+ */
+export const confirmTwoFactor = async (code) => {
+    try {
+        const response = await api.post('/api/auth/2fa/confirm', { code });
+        return response.data;
+    } catch (error) {
+        console.error('Error confirming two-factor setup:', error);
+        throw error;
+    }
+};
+
+export const regenerateRecoveryCodes = async (code) => {
+    try {
+        const response = await api.post('/api/auth/2fa/recovery-codes', { code });
+        return response.data;
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        throw error;
+    }
+};
+
+export const disableTwoFactor = async (password, code) => {
+    try {
+        const response = await api.post('/api/auth/2fa/disable', { password, code });
+        return response.data;
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        throw error;
+    }
+};
+
 // Tenant management functions
 /**
  * Validate Shopify credentials before onboarding
@@ -204,23 +333,93 @@ export const onboardTenant = async (name, shopifyDomain, accessToken) => {
     }
 };
 
+/**
+ * Start connecting a store through Shopify's OAuth install
+ * The backend finishes the install itself and redirects to /auth/shopify/callback
+ * @param {string} shop - Shopify store domain
+ * @param {string} [organizationId] - Defaults to the user's own organization
+ * @returns {Promise<{authUrl: string, shop: string}>} - Send the browser to authUrl
+ */
+export const startShopifyInstall = async (shop, organizationId) => {
+    try {
+        const response = await api.get('/api/shopify/install', {
+            params: { shop, organizationId },
+        });
+        return response.data;
+    } catch (error) {
+        console.error('Error starting Shopify install:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get webhook subscription status for a tenant
+ * @param {string} tenantId
+ * @returns {Promise<{healthy: boolean, subscriptions: Array}>}
+ */
+export const getWebhookStatus = async (tenantId) => {
+    try {
+        const response = await api.get(`/api/tenants/${tenantId}/webhooks`);
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching webhook status:', error);
+        throw error;
+    }
+};
+
+/**
+ * Re-create missing and remove stale webhook subscriptions on Shopify (owners/admins)
+ * @param {string} tenantId
+ * @returns {Promise<object>} - Counts (kept, created, deleted, failed) and the new status
+ */
+export const reconcileWebhooks = async (tenantId) => {
+    try {
+        const response = await api.post(`/api/tenants/${tenantId}/webhooks/reconcile`);
+        return response.data;
+    } catch (error) {
+        console.error('Error reconciling webhooks:', error);
+        throw error;
+    }
+};
+
 // Data sync functions
 /**
  * Sync tenant data from Shopify
- * This operation can take several minutes for large stores
- * Uses extended timeout to handle long-running sync operations
+ * Only records changed since the last sync are fetched unless fullResync is set
+ * The sync runs in the background on the server (it can take several minutes for large stores)
  */
-export const syncTenantData = async (tenantId) => {
+export const syncTenantData = async (tenantId, { fullResync = false } = {}) => {
     try {
-        const response = await api.post(`/api/ingest/sync?tenantId=${tenantId}`, {}, {
-            timeout: 300000, // 5 minutes timeout for sync operations
+        const response = await api.post('/api/ingest/sync', {}, {
+            params: { tenantId, ...(fullResync && { full: 'true' }) },
         });
-        return response.data;
+        return response.data.run; // Poll getSyncRun(run.id) for progress
     } catch (error) {
         console.error('Error syncing tenant data:', error);
-        if (error.code === 'ECONNABORTED') {
-            throw new Error('Sync operation timed out. This may happen with large stores. Please try again or contact support.');
-        }
+        throw error;
+    }
+};
+
+// Get a sync run (status, phase, counts)
+export const getSyncRun = async (runId) => {
+    try {
+        const response = await api.get(`/api/ingest/runs/${runId}`);
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching sync run:', error);
+        throw error;
+    }
+};
+
+// Get recent sync runs for a tenant
+export const getSyncRuns = async (tenantId, limit = 10) => {
+    try {
+        const response = await api.get('/api/ingest/runs', {
+            params: { tenantId, limit },
+        });
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching sync runs:', error);
         throw error;
     }
 };
@@ -247,4 +446,161 @@ export const getOrdersList = async (tenantId) => {
     }
 };
 
+// API key management functions
+export const getApiKeys = async () => {
+    try {
+        const response = await api.get('/api/api-keys');
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a personal API key
+ * The plaintext key is only returned by this call
+ * @param {object} data - { name, scopes, tenantIds, expiresAt }
+ * @returns {Promise<object>} - Created key metadata including `key`
+ */
+export const createApiKey = async (data) => {
+    try {
+        const response = await api.post('/api/api-keys', data);
+        return response.data;
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        throw error;
+    }
+};
+
+export const updateApiKey = async (id, data) => {
+    try {
+        const response = await api.patch(`/api/api-keys/${id}`, data);
+        return response.data;
+    } catch (error) {
+        console.error('Error updating API key:', error);
+        throw error;
+    }
+};
+
+export const revokeApiKey = async (id) => {
+    try {
+        const response = await api.delete(`/api/api-keys/${id}`);
+        return response.data;
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        throw error;
+    }
+};
+
+/**
+ * List organizations the current user belongs to
+ * @returns {Promise<Array>} - Organizations with the user's role and permissions
+ */
+export const getOrganizations = async () => {
+    try {
+        const response = await api.get('/api/organizations');
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching organizations:', error);
+        throw error;
+    }
+};
+
+export const createOrganization = async (name) => {
+    try {
+        const response = await api.post('/api/organizations', { name });
+        return response.data;
+    } catch (error) {
+        console.error('Error creating organization:', error);
+        throw error;
+    }
+};
+
+export const updateOrganization = async (orgId, data) => {
+    try {
+        const response = await api.patch(`/api/organizations/${orgId}`, data);
+        return response.data;
+    } catch (error) {
+        console.error('Error updating organization:', error);
+        throw error;
+    }
+};
+
+export const getOrganizationMembers = async (orgId) => {
+    try {
+        const response = await api.get(`/api/organizations/${orgId}/members`);
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching members:', error);
+        throw error;
+    }
+};
+
+export const updateMemberRole = async (orgId, userId, role) => {
+    try {
+        const response = await api.patch(`/api/organizations/${orgId}/members/${userId}`, { role });
+        return response.data;
+    } catch (error) {
+        console.error('Error updating member role:', error);
+        throw error;
+    }
+};
+
+export const removeMember = async (orgId, userId) => {
+    try {
+        const response = await api.delete(`/api/organizations/${orgId}/members/${userId}`);
+        return response.data;
+    } catch (error) {
+        console.error('Error removing member:', error);
+        throw error;
+    }
+};
+
+export const getInvitations = async (orgId) => {
+    try {
+        const response = await api.get(`/api/organizations/${orgId}/invitations`);
+        return response.data;
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        throw error;
+    }
+};
+
+/**
+ * Invite someone to an organization by email
+ * @param {string} orgId
+ * @param {object} data - { email, role }
+ * @returns {Promise<object>} - Invitation including a one-time `inviteUrl`
+ */
+export const createInvitation = async (orgId, data) => {
+    try {
+        const response = await api.post(`/api/organizations/${orgId}/invitations`, data);
+        return response.data;
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        throw error;
+    }
+};
+
+export const revokeInvitation = async (orgId, invitationId) => {
+    try {
+        const response = await api.delete(`/api/organizations/${orgId}/invitations/${invitationId}`);
+        return response.data;
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        throw error;
+    }
+};
+
+export const acceptInvitation = async (token) => {
+    try {
+        const response = await api.post('/api/organizations/invitations/accept', { token });
+        return response.data;
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        throw error;
+    }
+};
+
 export default api;
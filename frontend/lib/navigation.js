@@ -0,0 +1,11 @@
+/**
+ * Resolve a post-login redirect target
+ * Only relative paths are followed so sign-in cannot redirect off-site
+ * @param {string|string[]|undefined} value - Usually router.query.callbackUrl
+ * @returns {string}
+ */
+export function safeCallbackUrl(value) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//')
+        ? value
+        : '/dashboard';
+}
@@ -1,6 +1,34 @@
 import NextAuth from "next-auth";
 import CredentialsProvider from "next-auth/providers/credentials";
-import { loginUser } from "@/lib/api";
+import { loginUser, refreshSession } from "@/lib/api";
+
+// Refresh the backend access token well before it expires (must exceed the
+// SessionProvider refetchInterval so a refetch always lands inside the window)
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Exchange the stored refresh token for a fresh backend token pair
+ * On failure the token is flagged so the client can force a new sign-in
+ */
+async function refreshAccessToken(token) {
+    try {
+        const refreshed = await refreshSession(token.refreshToken);
+
+        return {
+            ...token,
+            accessToken: refreshed.accessToken,
+            refreshToken: refreshed.refreshToken,
+            accessTokenExpires: Date.now() + refreshed.expiresIn * 1000,
+            error: undefined,
+        };
+    } catch (error) {
+        console.error('Session refresh error:', error);
+        return {
+            ...token,
+            error: 'RefreshAccessTokenError',
+        };
+    }
+}
 
 export const authOptions = {
     providers: [
@@ -8,7 +36,8 @@ export const authOptions = {
             name: 'Credentials',
             credentials: {
                 email: { label: "Email", type: "email", placeholder: "user@example.com" },
-                password: { label: "Password", type: "password" }
+                password: { label: "Password", type: "password" },
+                otp: { label: "Authentication code", type: "text" }
             },
             async authorize(credentials, req) {
                 try {
@@ -17,17 +46,24 @@ export const authOptions = {
                     }
 
                     // Call backend API to authenticate
-                    const user = await loginUser(credentials.email, credentials.password);
-                    
+                    const user = await loginUser(credentials.email, credentials.password, credentials.otp || undefined);
+
                     if (user) {
                         return {
                             id: user.id,
                             email: user.email,
                             name: user.name || user.email,
+                            accessToken: user.accessToken,
+                            refreshToken: user.refreshToken,
+                            accessTokenExpires: Date.now() + user.expiresIn * 1000,
                         };
                     }
                     return null;
                 } catch (error) {
+                    // Surface actionable backend codes (e.g. EMAIL_NOT_VERIFIED, TOTP_REQUIRED) as the sign-in error
+                    if (error.response?.data?.code) {
+                        throw new Error(error.response.data.code);
+                    }
                     console.error('Authentication error:', error);
                     return null;
                 }
@@ -41,14 +77,26 @@ export const authOptions = {
                 token.id = user.id;
                 token.email = user.email;
                 token.name = user.name;
+                token.accessToken = user.accessToken;
+                token.refreshToken = user.refreshToken;
+                token.accessTokenExpires = user.accessTokenExpires;
+                return token;
+            }
+
+            // Access token still valid
+            if (token.accessTokenExpires && Date.now() < token.accessTokenExpires - REFRESH_MARGIN_MS) {
+                return token;
             }
-            return token;
+
+            return refreshAccessToken(token);
         },
         async session({ session, token }) {
             if (token) {
                 session.user.id = token.id;
                 session.user.email = token.email;
                 session.user.name = token.name;
+                session.accessToken = token.accessToken;
+                session.error = token.error;
             }
             return session;
         },
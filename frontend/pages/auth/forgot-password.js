@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import Link from 'next/link';
+import Head from 'next/head';
+import { requestPasswordReset } from '../../lib/api';
+
+export default function ForgotPassword() {
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+
+        try {
+            const data = await requestPasswordReset(email);
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to send reset link. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-50">
+            <Head>
+                <title>Forgot Password | Xeno</title>
+            </Head>
+
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 w-full max-w-md">
+                <div className="text-center mb-8">
+                    <h1 className="text-2xl font-bold text-slate-900 mb-2">Forgot Password</h1>
+                    <p className="text-slate-500">We&apos;ll email you a link to choose a new password</p>
+                </div>
+
+                {message ? (
+                    <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm text-center">
+                        {message}
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-5">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Email</label>
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                className="w-full px-4 py-2.5 rounded-lg bg-white border border-slate-300 text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                                placeholder="user@example.com"
+                                required
+                            />
+                        </div>
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm text-center">
+                                {error}
+                            </div>
+                        )}
+
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full py-2.5 px-4 bg-blue-600 text-white font-medium rounded-lg shadow-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+                        >
+                            {loading ? 'Sending...' : 'Send Reset Link'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="mt-6 text-center">
+                    <p className="text-sm text-slate-500">
+                        Remembered it? <Link href="/auth/signin" className="text-blue-600 hover:text-blue-700 font-medium hover:underline">Sign in</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+}
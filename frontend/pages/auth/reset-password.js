@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Head from 'next/head';
+import { resetPassword } from '../../lib/api';
+
+export default function ResetPassword() {
+    const router = useRouter();
+    const { token } = router.query;
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [done, setDone] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        if (password.length < 6) {
+            setError('Password must be at least 6 characters');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            await resetPassword(token, password);
+            setDone(true);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to reset password. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const inputClassName = 'w-full px-4 py-2.5 rounded-lg bg-white border border-slate-300 text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-50">
+            <Head>
+                <title>Reset Password | Xeno</title>
+            </Head>
+
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 w-full max-w-md">
+                <div className="text-center mb-8">
+                    <h1 className="text-2xl font-bold text-slate-900 mb-2">Choose a New Password</h1>
+                    <p className="text-slate-500">You will be signed out of every other session</p>
+                </div>
+
+                {done ? (
+                    <div className="text-center space-y-4">
+                        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+                            Your password has been reset.
+                        </div>
+                        <Link href="/auth/signin" className="inline-block text-blue-600 hover:text-blue-700 font-medium hover:underline">
+                            Sign in
+                        </Link>
+                    </div>
+                ) : !token ? (
+                    <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm text-center">
+                        This reset link is missing its token. <Link href="/auth/forgot-password" className="font-medium underline">Request a new one</Link>.
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-5">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">New Password</label>
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                className={inputClassName}
+                                placeholder="••••••••"
+                                required
+                            />
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Confirm Password</label>
+                            <input
+                                type="password"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                className={inputClassName}
+                                placeholder="••••••••"
+                                required
+                            />
+                        </div>
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm text-center">
+                                {error}
+                            </div>
+                        )}
+
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full py-2.5 px-4 bg-blue-600 text-white font-medium rounded-lg shadow-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+                        >
+                            {loading ? 'Saving...' : 'Reset Password'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,59 @@
+import { useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Head from 'next/head';
+
+// Error codes the backend OAuth callback can send back
+const ERROR_MESSAGES = {
+    invalid_request: 'Shopify returned an incomplete response.',
+    invalid_signature: 'The response could not be verified as coming from Shopify.',
+    invalid_state: 'This install link has expired or was already used. Please start the connection again.',
+    access_denied: 'You no longer have permission to connect stores to this organization.',
+    not_configured: 'Shopify app credentials are not configured on the server.',
+    connection_failed: 'We could not finish connecting your store.',
+};
+
+export default function ShopifyCallback() {
+    const router = useRouter();
+    const { success, error } = router.query;
+    const connected = router.isReady && success === 'true';
+
+    useEffect(() => {
+        if (!connected) return;
+
+        const timer = setTimeout(() => router.replace('/dashboard'), 2000);
+        return () => clearTimeout(timer);
+    }, [connected, router]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-50">
+            <Head>
+                <title>Connect Shopify Store | Xeno</title>
+            </Head>
+
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 w-full max-w-md text-center space-y-4">
+                <h1 className="text-2xl font-bold text-slate-900">Shopify Connection</h1>
+
+                {!router.isReady && (
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+                )}
+
+                {connected && (
+                    <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+                        Your store is connected. Taking you to the dashboard...
+                    </div>
+                )}
+
+                {router.isReady && !connected && (
+                    <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+                        {ERROR_MESSAGES[error] || ERROR_MESSAGES.connection_failed}
+                    </div>
+                )}
+
+                <Link href="/dashboard" className="inline-block text-blue-600 hover:text-blue-700 font-medium hover:underline">
+                    Go to dashboard
+                </Link>
+            </div>
+        </div>
+    );
+}
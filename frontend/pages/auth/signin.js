@@ -3,30 +3,66 @@ import { signIn } from 'next-auth/react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import Head from 'next/head';
+import { safeCallbackUrl } from '../../lib/navigation';
+import { resendVerification } from '../../lib/api';
 
 export default function SignIn() {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    const [unverified, setUnverified] = useState(false);
+    const [notice, setNotice] = useState('');
+    // Second step for accounts with two-factor authentication
+    const [needsOtp, setNeedsOtp] = useState(false);
+    const [otp, setOtp] = useState('');
     const router = useRouter();
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError('');
+        setNotice('');
+        setUnverified(false);
 
         const result = await signIn('credentials', {
             redirect: false,
             email,
             password,
+            otp: needsOtp ? otp : '',
         });
 
-        if (result.error) {
+        if (result.error === 'TOTP_REQUIRED') {
+            setNeedsOtp(true);
+            setLoading(false);
+        } else if (result.error === 'TOTP_INVALID') {
+            setError('Invalid authentication code');
+            setOtp('');
+            setLoading(false);
+        } else if (result.error === 'EMAIL_NOT_VERIFIED') {
+            setUnverified(true);
+            setError('Please verify your email address before signing in.');
+            setLoading(false);
+        } else if (result.error === 'ACCOUNT_LOCKED') {
+            setError('Too many failed attempts. This account is temporarily locked - try again in a few minutes or reset your password.');
+            setLoading(false);
+        } else if (result.error === 'RATE_LIMITED') {
+            setError('Too many sign-in attempts. Please wait a few minutes and try again.');
+            setLoading(false);
+        } else if (result.error) {
             setError('Invalid email or password');
             setLoading(false);
         } else {
-            router.push('/dashboard');
+            router.push(safeCallbackUrl(router.query.callbackUrl));
+        }
+    };
+
+    const handleResend = async () => {
+        try {
+            const data = await resendVerification(email);
+            setNotice(data.message);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to send verification email');
         }
     };
 
@@ -56,7 +92,10 @@ export default function SignIn() {
                     </div>
 
                     <div>
-                        <label className="block text-sm font-medium text-slate-700 mb-1">Password</label>
+                        <div className="flex justify-between items-center mb-1">
+                            <label className="block text-sm font-medium text-slate-700">Password</label>
+                            <Link href="/auth/forgot-password" className="text-sm text-blue-600 hover:text-blue-700 hover:underline">Forgot password?</Link>
+                        </div>
                         <input
                             type="password"
                             value={password}
@@ -67,9 +106,38 @@ export default function SignIn() {
                         />
                     </div>
 
+                    {needsOtp && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Authentication Code</label>
+                            <input
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                autoFocus
+                                value={otp}
+                                onChange={(e) => setOtp(e.target.value)}
+                                className="w-full px-4 py-2.5 rounded-lg bg-white border border-slate-300 text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all tracking-widest"
+                                placeholder="123456"
+                                required
+                            />
+                            <p className="mt-1 text-xs text-slate-500">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+                        </div>
+                    )}
+
                     {error && (
                         <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm text-center">
                             {error}
+                            {unverified && (
+                                <button type="button" onClick={handleResend} className="block mx-auto mt-2 font-medium underline">
+                                    Resend verification email
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {notice && (
+                        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm text-center">
+                            {notice}
                         </div>
                     )}
 
@@ -87,7 +155,7 @@ export default function SignIn() {
                                 Signing in...
                             </span>
                         ) : (
-                            'Sign In'
+                            needsOtp ? 'Verify' : 'Sign In'
                         )}
                     </button>
                 </form>
@@ -4,6 +4,7 @@ import { signIn } from 'next-auth/react';
 import Link from 'next/link';
 import Head from 'next/head';
 import { registerUser } from '@/lib/api';
+import { safeCallbackUrl } from '@/lib/navigation';
 
 export default function SignUp() {
     const [name, setName] = useState('');
@@ -12,6 +13,7 @@ export default function SignUp() {
     const [confirmPassword, setConfirmPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    const [verificationSentTo, setVerificationSentTo] = useState('');
     const router = useRouter();
 
     const handleSubmit = async (e) => {
@@ -34,7 +36,14 @@ export default function SignUp() {
 
         try {
             // Register user
-            await registerUser(email, password, name);
+            const registration = await registerUser(email, password, name);
+
+            // Accounts must be verified before they can sign in
+            if (registration.emailVerificationRequired) {
+                setVerificationSentTo(email);
+                setLoading(false);
+                return;
+            }
 
             // Auto sign in after registration
             const result = await signIn('credentials', {
@@ -47,7 +56,7 @@ export default function SignUp() {
                 setError('Registration successful, but sign in failed. Please try signing in.');
                 setLoading(false);
             } else {
-                router.push('/dashboard');
+                router.push(safeCallbackUrl(router.query.callbackUrl));
             }
         } catch (err) {
             console.error('Registration error:', err);
@@ -68,6 +77,29 @@ export default function SignUp() {
         }
     };
 
+    if (verificationSentTo) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-slate-50">
+                <Head>
+                    <title>Verify Your Email | Xeno</title>
+                </Head>
+
+                <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 w-full max-w-md text-center space-y-4">
+                    <h1 className="text-2xl font-bold text-slate-900">Check your inbox</h1>
+                    <p className="text-slate-500">
+                        We sent a verification link to <span className="font-medium text-slate-900">{verificationSentTo}</span>. Follow it, then sign in.
+                    </p>
+                    <Link
+                        href={{ pathname: '/auth/signin', query: router.query.callbackUrl ? { callbackUrl: router.query.callbackUrl } : {} }}
+                        className="inline-block text-blue-600 hover:text-blue-700 font-medium hover:underline"
+                    >
+                        Go to sign in
+                    </Link>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="min-h-screen flex items-center justify-center bg-slate-50">
             <Head>
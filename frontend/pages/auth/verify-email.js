@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Head from 'next/head';
+import { verifyEmail } from '../../lib/api';
+
+export default function VerifyEmail() {
+    const router = useRouter();
+    const { token } = router.query;
+    const [status, setStatus] = useState('verifying');
+    const [error, setError] = useState('');
+    // Tokens are single-use, so only submit once even if the effect re-runs
+    const submitted = useRef(false);
+
+    const missingToken = router.isReady && !token;
+
+    useEffect(() => {
+        if (!router.isReady || !token || submitted.current) return;
+
+        submitted.current = true;
+        verifyEmail(token)
+            .then(() => setStatus('verified'))
+            .catch((err) => {
+                setStatus('error');
+                setError(err.response?.data?.error || 'Failed to verify email');
+            });
+    }, [router.isReady, token]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-50">
+            <Head>
+                <title>Verify Email | Xeno</title>
+            </Head>
+
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 w-full max-w-md text-center space-y-4">
+                <h1 className="text-2xl font-bold text-slate-900">Email Verification</h1>
+
+                {missingToken && (
+                    <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+                        This verification link is missing its token. You can request a new link from the sign-in page.
+                    </div>
+                )}
+
+                {!missingToken && status === 'verifying' && (
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+                )}
+
+                {status === 'verified' && (
+                    <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+                        Your email address is verified.
+                    </div>
+                )}
+
+                {status === 'error' && (
+                    <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+                        {error} You can request a new link from the sign-in page.
+                    </div>
+                )}
+
+                <Link href="/auth/signin" className="inline-block text-blue-600 hover:text-blue-700 font-medium hover:underline">
+                    Go to sign in
+                </Link>
+            </div>
+        </div>
+    );
+}
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
+import Link from 'next/link';
 import Header from '../components/Header';
 import MetricCard from '../components/MetricCard';
 import OrdersChart from '../components/OrdersChart';
@@ -9,15 +10,18 @@ import TopProducts from '../components/TopProducts';
 import SyncButton from '../components/SyncButton';
 import OnboardTenant from '../components/OnboardTenant';
 import DataListModal from '../components/DataListModal';
+import WebhookStatus from '../components/WebhookStatus';
+import SyncHistory from '../components/SyncHistory';
+import ReconnectBanner from '../components/ReconnectBanner';
 import { getMetrics, getCustomersList, getOrdersList } from '../lib/api';
 import { useTenant } from '../contexts/TenantContext';
 
-import { setUserEmail } from '../lib/api';
+import { setAccessToken } from '../lib/api';
 
 export default function Dashboard() {
     const { data: session, status } = useSession();
     const router = useRouter();
-    const { tenantId, refreshTenants, setTenantId } = useTenant();
+    const { tenantId, tenants, refreshTenants, setTenantId } = useTenant();
     const [metrics, setMetrics] = useState(null);
     const [loading, setLoading] = useState(true);
     const [modalOpen, setModalOpen] = useState(false);
@@ -26,10 +30,16 @@ export default function Dashboard() {
     const [cachedOrders, setCachedOrders] = useState(null);
     const [lastUpdated, setLastUpdated] = useState(Date.now());
 
-    // Set user email for API requests
+    // Viewers can read metrics but not trigger syncs
+    const currentTenant = tenants.find((tenant) => tenant.id === tenantId);
+    const canSync = Boolean(currentTenant?.permissions?.includes('sync:run'));
+    const canManage = Boolean(currentTenant?.permissions?.includes('tenant:manage'));
+    const disconnected = currentTenant?.status === 'disconnected';
+
+    // Set access token for API requests
     useEffect(() => {
-        if (session?.user?.email) {
-            setUserEmail(session.user.email);
+        if (session?.accessToken) {
+            setAccessToken(session.accessToken);
         }
     }, [session]);
 
@@ -96,7 +106,7 @@ export default function Dashboard() {
                         <h1 className="text-3xl font-bold text-slate-900">Dashboard</h1>
                         <p className="text-slate-500 mt-2">Overview of your store performance</p>
                     </div>
-                    {tenantId && (
+                    {tenantId && canSync && !disconnected && (
                         <SyncButton
                             tenantId={tenantId}
                             onSyncComplete={async () => {
@@ -110,6 +120,17 @@ export default function Dashboard() {
                     )}
                 </div>
 
+                {disconnected && (
+                    <ReconnectBanner tenant={currentTenant} canManage={canManage} />
+                )}
+
+                {currentTenant?.twoFactorRequired && (
+                    <div className="mb-8 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm">
+                        {currentTenant.organization?.name || 'This organization'} requires two-factor authentication.{' '}
+                        <Link href="/settings/security" className="font-medium underline">Enable it in your security settings</Link> to view this store.
+                    </div>
+                )}
+
                 {/* Metrics Grid */}
                 <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 mb-8">
                     <MetricCard
@@ -171,6 +192,12 @@ export default function Dashboard() {
                         <TopProducts tenantId={tenantId} lastUpdated={lastUpdated} />
                     </div>
                 )}
+                {tenantId && (
+                    <SyncHistory tenantId={tenantId} lastUpdated={lastUpdated} />
+                )}
+                {tenantId && canSync && !disconnected && (
+                    <WebhookStatus key={tenantId} tenantId={tenantId} canManage={canManage} />
+                )}
                 {!tenantId && (
                     <div className="space-y-6">
                         <div className="bg-white border border-slate-200 rounded-xl p-8 text-center">
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Head from 'next/head';
+import { useTenant } from '../../contexts/TenantContext';
+import { acceptInvitation, setAccessToken } from '../../lib/api';
+
+export default function AcceptInvitation() {
+    const { data: session, status } = useSession();
+    const router = useRouter();
+    const { refreshTenants } = useTenant();
+    const { token } = router.query;
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [accepting, setAccepting] = useState(false);
+
+    const callbackUrl = router.asPath;
+
+    useEffect(() => {
+        if (session?.accessToken) {
+            setAccessToken(session.accessToken);
+        }
+    }, [session]);
+
+    const handleAccept = async () => {
+        setAccepting(true);
+        setError('');
+
+        try {
+            const data = await acceptInvitation(token);
+            setResult(data);
+            await refreshTenants();
+        } catch (err) {
+            setError(err.response?.data?.message || err.response?.data?.error || 'Failed to accept invitation');
+        } finally {
+            setAccepting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-50">
+            <Head>
+                <title>Join Organization | Xeno</title>
+            </Head>
+
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8 w-full max-w-md text-center space-y-5">
+                <h1 className="text-2xl font-bold text-slate-900">You&apos;ve been invited</h1>
+
+                {!token && (
+                    <p className="text-slate-500">This invitation link is missing its token. Check the link you were sent.</p>
+                )}
+
+                {token && status === 'loading' && (
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 mx-auto"></div>
+                )}
+
+                {token && status === 'unauthenticated' && (
+                    <>
+                        <p className="text-slate-500">Sign in or create an account with the email address the invitation was sent to.</p>
+                        <div className="flex justify-center space-x-3">
+                            <Link
+                                href={{ pathname: '/auth/signin', query: { callbackUrl } }}
+                                className="py-2.5 px-4 bg-blue-600 text-white font-medium rounded-lg shadow-sm hover:bg-blue-700 transition-all"
+                            >
+                                Sign in
+                            </Link>
+                            <Link
+                                href={{ pathname: '/auth/signup', query: { callbackUrl } }}
+                                className="py-2.5 px-4 border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-all"
+                            >
+                                Sign up
+                            </Link>
+                        </div>
+                    </>
+                )}
+
+                {token && status === 'authenticated' && !result && (
+                    <>
+                        <p className="text-slate-500">
+                            Accept to join the organization as <span className="font-medium text-slate-900">{session.user.email}</span>.
+                        </p>
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg text-sm">
+                                {error}
+                            </div>
+                        )}
+                        <button
+                            onClick={handleAccept}
+                            disabled={accepting}
+                            className="w-full py-2.5 px-4 bg-blue-600 text-white font-medium rounded-lg shadow-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+                        >
+                            {accepting ? 'Joining...' : 'Accept Invitation'}
+                        </button>
+                    </>
+                )}
+
+                {result && (
+                    <>
+                        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm">
+                            {result.message} as {result.role}.
+                        </div>
+                        <Link href="/dashboard" className="inline-block text-blue-600 hover:text-blue-700 font-medium hover:underline">
+                            Go to dashboard
+                        </Link>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,269 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Header from '../../components/Header';
+import { useTenant } from '../../contexts/TenantContext';
+import { getApiKeys, createApiKey, updateApiKey, revokeApiKey, setAccessToken } from '../../lib/api';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg bg-white border border-slate-300 text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+function keyStatus(apiKey) {
+    if (apiKey.revokedAt) return { label: 'Revoked', className: 'bg-slate-100 text-slate-600' };
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'Expired', className: 'bg-amber-50 text-amber-700' };
+    return { label: 'Active', className: 'bg-green-50 text-green-700' };
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString() : '—';
+}
+
+export default function ApiKeysSettings() {
+    const { data: session, status } = useSession();
+    const router = useRouter();
+    const { tenants } = useTenant();
+    const [apiKeys, setApiKeys] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [createdKey, setCreatedKey] = useState(null);
+    const [formData, setFormData] = useState({
+        name: '',
+        allowSync: false,
+        tenantIds: [],
+        expiresAt: '',
+    });
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        if (status === 'unauthenticated') {
+            router.push('/');
+        }
+    }, [status, router]);
+
+    const loadKeys = useCallback(async () => {
+        try {
+            const data = await getApiKeys();
+            setApiKeys(data);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load API keys');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (status === 'authenticated' && session?.accessToken) {
+            setAccessToken(session.accessToken);
+            loadKeys();
+        }
+    }, [status, session, loadKeys]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError('');
+        setCreatedKey(null);
+
+        try {
+            const result = await createApiKey({
+                name: formData.name,
+                scopes: formData.allowSync ? ['read', 'sync'] : ['read'],
+                tenantIds: formData.tenantIds,
+                expiresAt: formData.expiresAt ? new Date(formData.expiresAt).toISOString() : undefined,
+            });
+            setCreatedKey(result.key);
+            setFormData({ name: '', allowSync: false, tenantIds: [], expiresAt: '' });
+            await loadKeys();
+        } catch (err) {
+            setError(err.response?.data?.error || err.response?.data?.message || 'Failed to create API key');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRename = async (apiKey) => {
+        const name = window.prompt('New label for this key', apiKey.name);
+        if (!name || name === apiKey.name) return;
+
+        try {
+            await updateApiKey(apiKey.id, { name });
+            await loadKeys();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update API key');
+        }
+    };
+
+    const handleRevoke = async (apiKey) => {
+        if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working immediately.`)) return;
+
+        try {
+            await revokeApiKey(apiKey.id);
+            await loadKeys();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to revoke API key');
+        }
+    };
+
+    const toggleTenant = (id) => {
+        setFormData((current) => ({
+            ...current,
+            tenantIds: current.tenantIds.includes(id)
+                ? current.tenantIds.filter((tenantId) => tenantId !== id)
+                : [...current.tenantIds, id],
+        }));
+    };
+
+    if (status === 'loading' || status === 'unauthenticated') {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-50">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen">
+            <Head>
+                <title>API Keys | Xeno</title>
+            </Head>
+
+            <Header />
+
+            <main className="max-w-4xl mx-auto py-8 px-4 sm:px-6 lg:px-8 space-y-8">
+                <div>
+                    <h1 className="text-3xl font-bold text-slate-900">API Keys</h1>
+                    <p className="text-slate-500 mt-2">
+                        Use personal API keys to read metrics or trigger syncs from scripts. Send them as <code className="text-sm">Authorization: Bearer &lt;key&gt;</code>.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {createdKey && (
+                    <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm">
+                        <p className="font-medium">Copy your new key now - it will not be shown again.</p>
+                        <code className="block mt-2 break-all bg-white border border-green-200 rounded px-3 py-2 text-slate-900">{createdKey}</code>
+                    </div>
+                )}
+
+                <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6">
+                    <h2 className="text-xl font-bold text-slate-900 mb-4">Create API Key</h2>
+                    <form onSubmit={handleCreate} className="space-y-4">
+                        <div>
+                            <label htmlFor="key-name" className="block text-sm font-medium text-slate-700 mb-1">Label</label>
+                            <input
+                                id="key-name"
+                                type="text"
+                                value={formData.name}
+                                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                className={inputClassName}
+                                placeholder="Nightly revenue notebook"
+                                required
+                            />
+                        </div>
+
+                        <label className="flex items-center space-x-2 text-sm text-slate-700">
+                            <input
+                                type="checkbox"
+                                checked={formData.allowSync}
+                                onChange={(e) => setFormData({ ...formData, allowSync: e.target.checked })}
+                            />
+                            <span>Allow triggering syncs (otherwise read-only)</span>
+                        </label>
+
+                        {tenants.length > 0 && (
+                            <div>
+                                <p className="block text-sm font-medium text-slate-700 mb-1">Limit to stores (leave empty for all)</p>
+                                <div className="space-y-1">
+                                    {tenants.map((tenant) => (
+                                        <label key={tenant.id} className="flex items-center space-x-2 text-sm text-slate-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.tenantIds.includes(tenant.id)}
+                                                onChange={() => toggleTenant(tenant.id)}
+                                            />
+                                            <span>{tenant.name}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        <div>
+                            <label htmlFor="key-expiry" className="block text-sm font-medium text-slate-700 mb-1">Expires (optional)</label>
+                            <input
+                                id="key-expiry"
+                                type="date"
+                                value={formData.expiresAt}
+                                onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                                className={inputClassName}
+                            />
+                        </div>
+
+                        <button
+                            type="submit"
+                            disabled={submitting}
+                            className="py-2.5 px-4 bg-indigo-600 text-white font-medium rounded-lg shadow-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+                        >
+                            {submitting ? 'Creating...' : 'Create Key'}
+                        </button>
+                    </form>
+                </div>
+
+                <div className="bg-white border border-slate-200 shadow-sm rounded-xl overflow-hidden">
+                    <table className="min-w-full divide-y divide-slate-200 text-sm">
+                        <thead className="bg-slate-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left font-medium text-slate-500">Label</th>
+                                <th className="px-4 py-3 text-left font-medium text-slate-500">Key</th>
+                                <th className="px-4 py-3 text-left font-medium text-slate-500">Permissions</th>
+                                <th className="px-4 py-3 text-left font-medium text-slate-500">Expires</th>
+                                <th className="px-4 py-3 text-left font-medium text-slate-500">Last used</th>
+                                <th className="px-4 py-3 text-left font-medium text-slate-500">Status</th>
+                                <th className="px-4 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-100">
+                            {loading && (
+                                <tr><td colSpan={7} className="px-4 py-6 text-center text-slate-500">Loading...</td></tr>
+                            )}
+                            {!loading && apiKeys.length === 0 && (
+                                <tr><td colSpan={7} className="px-4 py-6 text-center text-slate-500">No API keys yet</td></tr>
+                            )}
+                            {apiKeys.map((apiKey) => {
+                                const keyState = keyStatus(apiKey);
+                                return (
+                                    <tr key={apiKey.id}>
+                                        <td className="px-4 py-3 text-slate-900">{apiKey.name}</td>
+                                        <td className="px-4 py-3 font-mono text-slate-500">xeno_{apiKey.prefix}_…</td>
+                                        <td className="px-4 py-3 text-slate-700">
+                                            {apiKey.scopes.join(', ')}
+                                            {apiKey.tenantIds.length > 0 && ` · ${apiKey.tenantIds.length} store(s)`}
+                                        </td>
+                                        <td className="px-4 py-3 text-slate-700">{formatDate(apiKey.expiresAt)}</td>
+                                        <td className="px-4 py-3 text-slate-700">{formatDate(apiKey.lastUsedAt)}</td>
+                                        <td className="px-4 py-3">
+                                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${keyState.className}`}>{keyState.label}</span>
+                                        </td>
+                                        <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                                            {!apiKey.revokedAt && (
+                                                <>
+                                                    <button onClick={() => handleRename(apiKey)} className="text-indigo-600 hover:text-indigo-700 font-medium">Rename</button>
+                                                    <button onClick={() => handleRevoke(apiKey)} className="text-red-600 hover:text-red-700 font-medium">Revoke</button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,385 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Header from '../../components/Header';
+import {
+    getOrganizations,
+    createOrganization,
+    updateOrganization,
+    getOrganizationMembers,
+    updateMemberRole,
+    removeMember,
+    getInvitations,
+    createInvitation,
+    revokeInvitation,
+    setAccessToken,
+} from '../../lib/api';
+
+const ROLES = ['viewer', 'analyst', 'admin', 'owner'];
+
+const ROLE_DESCRIPTIONS = {
+    owner: 'Full control, including deleting the organization',
+    admin: 'Connect stores, see credentials and manage members',
+    analyst: 'View metrics and trigger syncs',
+    viewer: 'View metrics only',
+};
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg bg-white border border-slate-300 text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+function errorMessage(err, fallback) {
+    return err.response?.data?.message || err.response?.data?.error || fallback;
+}
+
+export default function OrganizationSettings() {
+    const { data: session, status } = useSession();
+    const router = useRouter();
+    const [organizations, setOrganizations] = useState([]);
+    const [orgId, setOrgId] = useState(null);
+    const [members, setMembers] = useState([]);
+    const [invitations, setInvitations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [createdInvitation, setCreatedInvitation] = useState(null);
+    const [inviteForm, setInviteForm] = useState({ email: '', role: 'viewer' });
+    const [newOrgName, setNewOrgName] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const organization = organizations.find((org) => org.id === orgId);
+    const canManageMembers = Boolean(organization?.permissions.includes('members:manage'));
+    const assignableRoles = organization
+        ? ROLES.slice(0, ROLES.indexOf(organization.role) + 1)
+        : [];
+
+    useEffect(() => {
+        if (status === 'unauthenticated') {
+            router.push('/');
+        }
+    }, [status, router]);
+
+    const loadOrganizations = useCallback(async () => {
+        try {
+            const data = await getOrganizations();
+            setOrganizations(data);
+            setOrgId((currentId) => (data.find((org) => org.id === currentId) ? currentId : data[0]?.id || null));
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to load organizations'));
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const loadMembers = useCallback(async () => {
+        if (!organization) return;
+
+        try {
+            const [membersData, invitationsData] = await Promise.all([
+                getOrganizationMembers(organization.id),
+                organization.permissions.includes('members:manage') ? getInvitations(organization.id) : [],
+            ]);
+            setMembers(membersData);
+            setInvitations(invitationsData);
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to load members'));
+        }
+    }, [organization]);
+
+    useEffect(() => {
+        if (status === 'authenticated' && session?.accessToken) {
+            setAccessToken(session.accessToken);
+            loadOrganizations();
+        }
+    }, [status, session, loadOrganizations]);
+
+    useEffect(() => {
+        loadMembers();
+    }, [loadMembers]);
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError('');
+        setCreatedInvitation(null);
+
+        try {
+            const invitation = await createInvitation(orgId, inviteForm);
+            setCreatedInvitation(invitation);
+            setInviteForm({ email: '', role: 'viewer' });
+            await loadMembers();
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to send invitation'));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleCreateOrganization = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        try {
+            const created = await createOrganization(newOrgName);
+            setNewOrgName('');
+            await loadOrganizations();
+            setOrgId(created.id);
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to create organization'));
+        }
+    };
+
+    const handleRequire2faChange = async (require2fa) => {
+        setError('');
+
+        try {
+            await updateOrganization(orgId, { require2fa });
+            await loadOrganizations();
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to update two-factor policy'));
+        }
+    };
+
+    const handleRoleChange = async (member, role) => {
+        setError('');
+
+        try {
+            await updateMemberRole(orgId, member.userId, role);
+            await loadMembers();
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to update role'));
+        }
+    };
+
+    const handleRemove = async (member) => {
+        const leaving = member.userId === session.user.id;
+        const prompt = leaving
+            ? `Leave ${organization.name}? You will lose access to its stores.`
+            : `Remove ${member.email} from ${organization.name}?`;
+        if (!window.confirm(prompt)) return;
+
+        setError('');
+
+        try {
+            await removeMember(orgId, member.userId);
+            if (leaving) {
+                await loadOrganizations();
+            } else {
+                await loadMembers();
+            }
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to remove member'));
+        }
+    };
+
+    const handleRevokeInvitation = async (invitation) => {
+        setError('');
+
+        try {
+            await revokeInvitation(orgId, invitation.id);
+            await loadMembers();
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to revoke invitation'));
+        }
+    };
+
+    if (status === 'loading' || status === 'unauthenticated') {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-50">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen">
+            <Head>
+                <title>Team | Xeno</title>
+            </Head>
+
+            <Header />
+
+            <main className="max-w-4xl mx-auto py-8 px-4 sm:px-6 lg:px-8 space-y-8">
+                <div className="flex justify-between items-start">
+                    <div>
+                        <h1 className="text-3xl font-bold text-slate-900">Team</h1>
+                        <p className="text-slate-500 mt-2">Share stores with your team and control what each member can do.</p>
+                    </div>
+                    {organizations.length > 1 && (
+                        <select
+                            value={orgId || ''}
+                            onChange={(e) => setOrgId(e.target.value)}
+                            className="block w-56 pl-3 pr-10 py-2 text-sm bg-slate-50 border border-slate-300 text-slate-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                            {organizations.map((org) => (
+                                <option key={org.id} value={org.id}>{org.name}</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {loading && <p className="text-slate-500">Loading...</p>}
+
+                {organization && (
+                    <div className="bg-white border border-slate-200 shadow-sm rounded-xl overflow-hidden">
+                        <div className="px-6 py-4 border-b border-slate-200">
+                            <h2 className="text-xl font-bold text-slate-900">{organization.name}</h2>
+                            <p className="text-sm text-slate-500">
+                                You are {organization.role === 'owner' || organization.role === 'admin' ? 'an' : 'a'} {organization.role} · {organization.tenantCount} store(s)
+                            </p>
+                            {organization.permissions.includes('org:manage') && (
+                                <label className="flex items-center space-x-2 text-sm text-slate-700 mt-3">
+                                    <input
+                                        type="checkbox"
+                                        checked={organization.require2fa}
+                                        onChange={(e) => handleRequire2faChange(e.target.checked)}
+                                    />
+                                    <span>Require two-factor authentication for all members</span>
+                                </label>
+                            )}
+                        </div>
+                        <table className="min-w-full divide-y divide-slate-200 text-sm">
+                            <thead className="bg-slate-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left font-medium text-slate-500">Member</th>
+                                    <th className="px-4 py-3 text-left font-medium text-slate-500">Role</th>
+                                    <th className="px-4 py-3"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {members.map((member) => {
+                                    const isSelf = member.userId === session.user.id;
+                                    const canEdit = canManageMembers && !isSelf && assignableRoles.includes(member.role);
+                                    return (
+                                        <tr key={member.userId}>
+                                            <td className="px-4 py-3 text-slate-900">
+                                                {member.name || member.email}
+                                                {member.name && <span className="block text-slate-500">{member.email}</span>}
+                                            </td>
+                                            <td className="px-4 py-3 text-slate-700">
+                                                {canEdit ? (
+                                                    <select
+                                                        value={member.role}
+                                                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                                                        className="pl-2 pr-8 py-1 text-sm bg-white border border-slate-300 rounded-lg"
+                                                    >
+                                                        {assignableRoles.map((role) => (
+                                                            <option key={role} value={role}>{role}</option>
+                                                        ))}
+                                                    </select>
+                                                ) : member.role}
+                                            </td>
+                                            <td className="px-4 py-3 text-right">
+                                                {(isSelf || canEdit) && (
+                                                    <button onClick={() => handleRemove(member)} className="text-red-600 hover:text-red-700 font-medium">
+                                                        {isSelf ? 'Leave' : 'Remove'}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {organization && canManageMembers && (
+                    <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6 space-y-4">
+                        <h2 className="text-xl font-bold text-slate-900">Invite Member</h2>
+
+                        {createdInvitation && (
+                            <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm">
+                                <p className="font-medium">
+                                    {createdInvitation.emailSent
+                                        ? `Invitation emailed to ${createdInvitation.email}. You can also share this link - it will not be shown again.`
+                                        : 'The invitation email could not be sent. Share this link with the invitee - it will not be shown again.'}
+                                </p>
+                                <code className="block mt-2 break-all bg-white border border-green-200 rounded px-3 py-2 text-slate-900">{createdInvitation.inviteUrl}</code>
+                            </div>
+                        )}
+
+                        <form onSubmit={handleInvite} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                            <div className="sm:col-span-2">
+                                <label htmlFor="invite-email" className="block text-sm font-medium text-slate-700 mb-1">Email</label>
+                                <input
+                                    id="invite-email"
+                                    type="email"
+                                    value={inviteForm.email}
+                                    onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                                    className={inputClassName}
+                                    placeholder="teammate@example.com"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="invite-role" className="block text-sm font-medium text-slate-700 mb-1">Role</label>
+                                <select
+                                    id="invite-role"
+                                    value={inviteForm.role}
+                                    onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                                    className={inputClassName}
+                                >
+                                    {assignableRoles.map((role) => (
+                                        <option key={role} value={role}>{role}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <p className="sm:col-span-2 text-xs text-slate-500">{ROLE_DESCRIPTIONS[inviteForm.role]}</p>
+                            <button
+                                type="submit"
+                                disabled={submitting}
+                                className="py-2.5 px-4 bg-indigo-600 text-white font-medium rounded-lg shadow-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all disabled:opacity-70 disabled:cursor-not-allowed"
+                            >
+                                {submitting ? 'Inviting...' : 'Send Invitation'}
+                            </button>
+                        </form>
+
+                        {invitations.length > 0 && (
+                            <div>
+                                <h3 className="text-sm font-medium text-slate-700 mb-2">Pending invitations</h3>
+                                <ul className="divide-y divide-slate-100 text-sm">
+                                    {invitations.map((invitation) => (
+                                        <li key={invitation.id} className="py-2 flex justify-between items-center">
+                                            <span className="text-slate-900">
+                                                {invitation.email} · {invitation.role}
+                                                <span className="text-slate-500"> · expires {new Date(invitation.expiresAt).toLocaleDateString()}</span>
+                                            </span>
+                                            <button onClick={() => handleRevokeInvitation(invitation)} className="text-red-600 hover:text-red-700 font-medium">
+                                                Revoke
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6">
+                    <h2 className="text-xl font-bold text-slate-900 mb-4">New Organization</h2>
+                    <form onSubmit={handleCreateOrganization} className="flex space-x-3">
+                        <input
+                            type="text"
+                            value={newOrgName}
+                            onChange={(e) => setNewOrgName(e.target.value)}
+                            className={inputClassName}
+                            placeholder="Acme Analytics"
+                            required
+                        />
+                        <button
+                            type="submit"
+                            className="py-2 px-4 border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 whitespace-nowrap"
+                        >
+                            Create
+                        </button>
+                    </form>
+                </div>
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,227 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Header from '../../components/Header';
+import {
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    confirmTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    setAccessToken,
+} from '../../lib/api';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg bg-white border border-slate-300 text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+const primaryButtonClassName = 'py-2.5 px-4 bg-indigo-600 text-white font-medium rounded-lg shadow-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all disabled:opacity-70 disabled:cursor-not-allowed';
+
+function errorMessage(err, fallback) {
+    return err.response?.data?.error || err.response?.data?.message || fallback;
+}
+
+export default function SecuritySettings() {
+    const { data: session, status } = useSession();
+    const router = useRouter();
+    const [twoFactor, setTwoFactor] = useState(null);
+    const [setup, setSetup] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        if (status === 'unauthenticated') {
+            router.push('/');
+        }
+    }, [status, router]);
+
+    const loadStatus = useCallback(async () => {
+        try {
+            setTwoFactor(await getTwoFactorStatus());
+        } catch (err) {
+            setError(errorMessage(err, 'Failed to load security settings'));
+        }
+    }, []);
+
+    useEffect(() => {
+        if (status === 'authenticated' && session?.accessToken) {
+            setAccessToken(session.accessToken);
+            loadStatus();
+        }
+    }, [status, session, loadStatus]);
+
+    // Wrap an action with the shared submitting/error handling
+    const run = async (action, fallback) => {
+        setSubmitting(true);
+        setError('');
+
+        try {
+            await action();
+            setCode('');
+            setPassword('');
+        } catch (err) {
+            setError(errorMessage(err, fallback));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleStartSetup = () => run(async () => {
+        setRecoveryCodes(null);
+        setSetup(await startTwoFactorSetup());
+    }, 'Failed to start setup');
+
+    const handleConfirm = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const result = await confirmTwoFactor(code);
+            setRecoveryCodes(result.recoveryCodes);
+            setSetup(null);
+            await loadStatus();
+        }, 'Failed to enable two-factor authentication');
+    };
+
+    const handleRegenerate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const result = await regenerateRecoveryCodes(code);
+            setRecoveryCodes(result.recoveryCodes);
+            await loadStatus();
+        }, 'Failed to regenerate recovery codes');
+    };
+
+    const handleDisable = (e) => {
+        e.preventDefault();
+        if (!window.confirm('Turn off two-factor authentication? Organizations that require it will block your access.')) return;
+
+        run(async () => {
+            await disableTwoFactor(password, code);
+            setRecoveryCodes(null);
+            await loadStatus();
+        }, 'Failed to disable two-factor authentication');
+    };
+
+    if (status === 'loading' || status === 'unauthenticated') {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-50">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
+
+    const codeInput = (
+        <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClassName}
+            placeholder="Authentication code"
+            required
+        />
+    );
+
+    return (
+        <div className="min-h-screen">
+            <Head>
+                <title>Security | Xeno</title>
+            </Head>
+
+            <Header />
+
+            <main className="max-w-2xl mx-auto py-8 px-4 sm:px-6 lg:px-8 space-y-8">
+                <div>
+                    <h1 className="text-3xl font-bold text-slate-900">Security</h1>
+                    <p className="text-slate-500 mt-2">
+                        Protect your account with a one-time code from an authenticator app when you sign in.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {recoveryCodes && (
+                    <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm">
+                        <p className="font-medium">Save these recovery codes somewhere safe - they will not be shown again. Each one works once if you lose your device.</p>
+                        <ul className="grid grid-cols-2 gap-2 mt-3 font-mono text-slate-900">
+                            {recoveryCodes.map((recoveryCode) => (
+                                <li key={recoveryCode} className="bg-white border border-green-200 rounded px-3 py-1">{recoveryCode}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6 space-y-4">
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-xl font-bold text-slate-900">Two-Factor Authentication</h2>
+                        {twoFactor && (
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${twoFactor.enabled ? 'bg-green-50 text-green-700' : 'bg-slate-100 text-slate-600'}`}>
+                                {twoFactor.enabled ? 'Enabled' : 'Off'}
+                            </span>
+                        )}
+                    </div>
+
+                    {twoFactor && !twoFactor.enabled && !setup && (
+                        <button onClick={handleStartSetup} disabled={submitting} className={primaryButtonClassName}>
+                            Set Up Two-Factor Authentication
+                        </button>
+                    )}
+
+                    {setup && (
+                        <form onSubmit={handleConfirm} className="space-y-4">
+                            <p className="text-sm text-slate-600">
+                                Scan this QR code with your authenticator app, or enter the key manually, then type the 6-digit code it shows.
+                            </p>
+                            {/* eslint-disable-next-line @next/next/no-img-element -- data URL generated by the backend */}
+                            <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 border border-slate-200 rounded" />
+                            <code className="block break-all bg-slate-50 border border-slate-200 rounded px-3 py-2 text-sm text-slate-900">{setup.secret}</code>
+                            {codeInput}
+                            <button type="submit" disabled={submitting} className={primaryButtonClassName}>
+                                {submitting ? 'Verifying...' : 'Enable'}
+                            </button>
+                        </form>
+                    )}
+
+                    {twoFactor?.enabled && (
+                        <>
+                            <p className="text-sm text-slate-600">
+                                {twoFactor.recoveryCodesRemaining} recovery code(s) remaining.
+                            </p>
+                            <form onSubmit={handleRegenerate} className="flex space-x-3">
+                                {codeInput}
+                                <button type="submit" disabled={submitting} className="py-2 px-4 border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 whitespace-nowrap">
+                                    New Recovery Codes
+                                </button>
+                            </form>
+                        </>
+                    )}
+                </div>
+
+                {twoFactor?.enabled && (
+                    <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-6 space-y-4">
+                        <h2 className="text-xl font-bold text-slate-900">Turn Off Two-Factor Authentication</h2>
+                        <form onSubmit={handleDisable} className="space-y-3">
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                className={inputClassName}
+                                placeholder="Current password"
+                                required
+                            />
+                            {codeInput}
+                            <button type="submit" disabled={submitting} className="py-2.5 px-4 bg-red-600 text-white font-medium rounded-lg shadow-sm hover:bg-red-700 transition-all disabled:opacity-70">
+                                Turn Off
+                            </button>
+                        </form>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}